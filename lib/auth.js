@@ -0,0 +1,71 @@
+// lib/auth.js — who a connection is: stable user ids, signed resumable session tokens and optional local accounts
+// session token = 'v1.<uid>.<issued, base36 ms>.<hmac>' — the client keeps it and sends it with 'identify'
+// account       = { uid, login, passwordHash, createdAt } — store collection 'accounts', keyed by login (see loginKey)
+// Authority (GM status, bans, macros, the vault) follows the uid; display names are only what others see.
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+export const SESSION_DAYS = 180; // tokens are re-issued on every identify, so only unused ones run out
+export const ACCOUNT_LIMITS = { password: 6, passwordMax: 200 };
+// Sign-in attempts: wrong passwords per login, and any attempt per connection, within the window
+export const LOGIN_LIMITS = { failures: 5, attempts: 10, windowMs: 15 * 60 * 1000 };
+
+export const newUserId = () => `u_${crypto.randomBytes(9).toString('hex')}`;
+export const loginKey = (name) => String(name ?? '').trim().toLowerCase().slice(0, 24);
+
+// scrypt runs off the event loop, so hashing never stalls the other lobbies
+const scrypt = promisify(crypto.scrypt);
+export const hashPass = async (plain) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(plain, salt, 64);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+};
+export const verifyPass = async (plain, stored) => {
+  const [saltHex, hashHex] = (stored || '').split(':');
+  if (!saltHex || !hashHex) return false;
+  const salt = Buffer.from(saltHex, 'hex');
+  const test = await scrypt(plain, salt, 64);
+  return crypto.timingSafeEqual(Buffer.from(hashHex, 'hex'), test);
+};
+
+// Counts events per key (a login, a socket id) in a sliding window: hit() records one, blocked() says when there are max
+export function createLimiter(max, windowMs) {
+  const hits = new Map(); // key -> timestamps
+  const recent = (key, now) => (hits.get(key) || []).filter(t => now - t < windowMs);
+  return {
+    blocked: (key, now = Date.now()) => recent(key, now).length >= max,
+    hit(key, now = Date.now()) {
+      if (hits.size > 10000) for (const k of hits.keys()) if (!recent(k, now).length) hits.delete(k);
+      hits.set(key, [...recent(key, now), now]);
+    },
+    clear: (key) => hits.delete(key),
+  };
+}
+
+// SESSION_SECRET when set; otherwise one generated on first boot and kept in the store, so sessions survive restarts
+export async function loadSessionSecret(store, env = process.env) {
+  if (env.SESSION_SECRET) return env.SESSION_SECRET;
+  const saved = await store.get('config', 'session');
+  if (saved?.secret) return saved.secret;
+  const secret = crypto.randomBytes(32).toString('hex');
+  await store.put('config', 'session', { secret });
+  return secret;
+}
+
+const mac = (secret, body) => crypto.createHmac('sha256', secret).update(body).digest('base64url');
+
+export const signSession = (secret, uid, now = Date.now()) => {
+  const body = `v1.${uid}.${now.toString(36)}`;
+  return `${body}.${mac(secret, body)}`;
+};
+// The token's uid, or null for anything forged, malformed or older than SESSION_DAYS
+export function verifySession(secret, token, now = Date.now()) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 4 || parts[0] !== 'v1' || !/^u_[0-9a-f]+$/.test(parts[1])) return null;
+  const expected = Buffer.from(mac(secret, parts.slice(0, 3).join('.'))), got = Buffer.from(parts[3]);
+  if (got.length !== expected.length || !crypto.timingSafeEqual(got, expected)) return null;
+  const issued = parseInt(parts[2], 36);
+  if (!Number.isFinite(issued) || now - issued > SESSION_DAYS * 86400000) return null;
+  return parts[1];
+}
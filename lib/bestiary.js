@@ -0,0 +1,124 @@
+// lib/bestiary.js — monster stat blocks: validation, lookup, rolled hit points and attacks
+// monster = { key, name, size?, type?, ac, hp: '2d6' | 7, speed, cr, abilities: {STR…CHA},
+//             resist?, vulnerable?, immune?, attacks: [{ name, bonus, damage: '1d6+2', type: 'slashing', reach? }], notes? }
+// Bestiary files are a JSON array of monsters or { monsters: [...] }; campaigns embed the same list as "monsters".
+
+import { ABILITIES, d20 } from './character.js';
+import { resolveDamageType } from './combat.js';
+import { rollAdvanced } from './dice.js';
+
+export const MONSTER_LIMITS = { name: 40, notes: 2000, attacks: 12, monsters: 500 };
+export const CHALLENGE_RATINGS = ['0','1/8','1/4','1/2', ...Array.from({ length: 30 }, (_, i) => String(i + 1))];
+
+const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+const signed = (n) => n >= 0 ? `+${n}` : `${n}`;
+export const monsterKey = (s) => String(s ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+
+// Throws on anything the dice roller can't parse
+const diceOk = (expr) => { try { rollAdvanced(String(expr)); return true; } catch { return false; } };
+
+// One stat block. Returns {monster, errors, warnings}; monster is null when it can't be used at all.
+export function validateMonster(raw, where = 'monster') {
+  const errors = [], warnings = [];
+  const err = (msg) => errors.push({ where, msg });
+  const warn = (msg) => warnings.push({ where, msg });
+  if (!isObj(raw)) { err('Monster must be an object.'); return { monster: null, errors, warnings }; }
+  const name = str(raw.name, MONSTER_LIMITS.name);
+  if (!name) { err('Missing "name".'); return { monster: null, errors, warnings }; }
+  where = `monster ${name}`;
+
+  const ac = Number(raw.ac);
+  if (!(Number.isInteger(ac) && ac >= 1 && ac <= 30)) err('"ac" must be a whole number from 1 to 30.');
+  const hp = typeof raw.hp === 'number' ? raw.hp : str(raw.hp, 40);
+  if (typeof hp === 'number' ? !(Number.isInteger(hp) && hp >= 1 && hp <= 1000) : !diceOk(hp)) err('"hp" must be dice like "2d6+2" or a whole number from 1 to 1000.');
+  const speed = raw.speed == null ? 30 : Number(raw.speed);
+  if (!(Number.isInteger(speed) && speed >= 0 && speed <= 120)) err('"speed" must be feet from 0 to 120.');
+  const cr = raw.cr == null ? null : String(raw.cr === 0.125 ? '1/8' : raw.cr === 0.25 ? '1/4' : raw.cr === 0.5 ? '1/2' : raw.cr);
+  if (cr == null) warn('Missing "cr".');
+  else if (!CHALLENGE_RATINGS.includes(cr)) err(`"cr" must be one of 0, 1/8, 1/4, 1/2, 1…30; got "${raw.cr}".`);
+
+  const abilities = {};
+  if (raw.abilities != null && !isObj(raw.abilities)) err('"abilities" must be an object like {"STR": 10, …}.');
+  for (const a of ABILITIES) {
+    const v = raw.abilities?.[a] ?? raw.abilities?.[a.toLowerCase()] ?? 10;
+    if (!(Number.isInteger(v) && v >= 1 && v <= 30)) err(`abilities.${a} must be a whole number from 1 to 30.`);
+    abilities[a] = v;
+  }
+
+  if (raw.attacks != null && !Array.isArray(raw.attacks)) err('"attacks" must be an array.');
+  const attacks = (Array.isArray(raw.attacks) ? raw.attacks : []).slice(0, MONSTER_LIMITS.attacks).flatMap((a, i) => {
+    const at = `attacks[${i}]`;
+    if (!isObj(a) || !str(a.name, 40)) { err(`${at}: needs a "name".`); return []; }
+    const bonus = Number(a.bonus ?? 0);
+    if (!(Number.isInteger(bonus) && bonus >= -5 && bonus <= 30)) err(`${at}: "bonus" must be a whole number from -5 to 30.`);
+    if (a.damage != null && !diceOk(a.damage)) err(`${at}: "damage" must be dice like "1d6+2".`);
+    const type = a.type == null ? null : resolveDamageType(a.type);
+    if (a.type != null && !type) warn(`${at}: unknown damage type "${a.type}".`);
+    return [{
+      name: str(a.name, 40), bonus, ...(a.damage != null ? { damage: str(a.damage, 60) } : {}), ...(type ? { type } : {}),
+      ...(a.reach != null ? { reach: str(a.reach, 20) } : {}),
+    }];
+  });
+  if (Array.isArray(raw.attacks) && raw.attacks.length > MONSTER_LIMITS.attacks) warn(`Only the first ${MONSTER_LIMITS.attacks} attacks are kept.`);
+  if (!attacks.length) warn('No attacks.');
+
+  const monster = {
+    key: monsterKey(raw.key || name), name, ac, hp, speed, cr, abilities, attacks,
+    ...Object.fromEntries(['size','type','resist','vulnerable','immune'].filter(k => raw[k]).map(k => [k, str(raw[k], 120)])),
+    ...(raw.notes ? { notes: str(raw.notes, MONSTER_LIMITS.notes) } : {}),
+  };
+  return { monster: errors.length ? null : monster, errors, warnings };
+}
+
+// A bestiary file or a campaign's "monsters". Returns {monsters: {key: monster}, errors, warnings}; bad stat blocks are skipped.
+export function validateBestiary(json, where = 'file') {
+  const list = Array.isArray(json) ? json : isObj(json) && Array.isArray(json.monsters) ? json.monsters : null;
+  if (!list) return { monsters: {}, errors: [{ where, msg: 'Bestiary must be an array of monsters or {"monsters": [...]}.' }], warnings: [] };
+  const monsters = {}, errors = [], warnings = [];
+  list.slice(0, MONSTER_LIMITS.monsters).forEach((raw, i) => {
+    const r = validateMonster(raw, `monsters[${i}]`);
+    errors.push(...r.errors); warnings.push(...r.warnings);
+    if (!r.monster) return;
+    if (monsters[r.monster.key]) { errors.push({ where: `monster ${r.monster.name}`, msg: `Duplicate key "${r.monster.key}".` }); return; }
+    monsters[r.monster.key] = r.monster;
+  });
+  if (list.length > MONSTER_LIMITS.monsters) warnings.push({ where, msg: `Only the first ${MONSTER_LIMITS.monsters} monsters are kept.` });
+  return { monsters, errors, warnings };
+}
+
+// "gob" → goblin; exact key or name first, then the only key starting with the word
+export function findMonster(monsters, word) {
+  const w = String(word ?? '').trim().toLowerCase(), key = monsterKey(w);
+  if (!key) return null;
+  if (monsters[key]) return monsters[key];
+  const all = Object.values(monsters);
+  const byName = all.find(m => m.name.toLowerCase() === w);
+  if (byName) return byName;
+  const prefixed = all.filter(m => m.key.startsWith(key));
+  return prefixed.length === 1 ? prefixed[0] : null;
+}
+
+// Fixed HP as written, or rolled from the hit dice (never below 1)
+export const rollMonsterHp = (m) => typeof m.hp === 'number' ? m.hp : Math.max(1, rollAdvanced(m.hp).total);
+
+// The named attack (or prefix of one), else the first. Returns null for a monster without attacks.
+export function findAttack(m, word) {
+  const w = String(word ?? '').trim().toLowerCase();
+  if (!w) return m.attacks?.[0] || null;
+  return m.attacks?.find(a => a.name.toLowerCase() === w) || m.attacks?.find(a => a.name.toLowerCase().startsWith(w)) || null;
+}
+
+// Same shape as buildCheck() for an attack, so rolls and damage follow-ups look alike in the log
+export function monsterAttackCheck(who, attack, mode) {
+  return {
+    kind: 'attack', bonus: attack.bonus, mode: mode || null,
+    label: `${who}: ${attack.name} attack`, expression: `${d20(mode)}${signed(attack.bonus)}`,
+    ...(attack.damage ? {
+      damage: { label: `${who}: ${attack.name} damage${attack.type ? ` (${attack.type})` : ''}`, type: attack.type || null, expression: attack.damage },
+    } : {}),
+  };
+}
+
+// For the GM's spawn picker
+export const monsterSummary = (m) => ({ key: m.key, name: m.name, cr: m.cr, ac: m.ac, hp: m.hp, type: m.type || null, attacks: m.attacks.map(a => a.name) });
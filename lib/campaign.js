@@ -0,0 +1,499 @@
+// lib/campaign.js — campaign file validation & normalization
+// validateCampaign(json) → { campaign, errors, warnings }
+//   campaign: normalized copy (missing ids filled with stable generated values) or null if unusable
+//   errors:   problems that break play (dangling choice targets, duplicate ids…)
+//   warnings: things worth fixing (unreachable scenes, dead ends, oversized text, generated ids…)
+// GM-only fields: scene gmNotes, handouts/quests with hidden:true, notes with private:true — see campaignView.
+// Campaign state lives in campaign.state = { flags, counters, visited, revealed, revealedTo, granted, xp }; the file's
+// top-level `flags` / `counters` objects are its starting values. Choices may carry:
+//   requires: [{flag, is?} | {counter, min?, max?} | {quest, done?} | {visited}]  (each may add not:true)
+//   effects:  [{flag, set?} | {counter, add|set} | {quest, done?} | {reveal: handoutId} | {xp} | grant]
+//   grant:    {item, qty?, to?} | {coins: "10 gp", to?} — to: 'stash' (the party stash, default) or 'each' character
+// Handouts may carry grants: [grant] too, handed out the first time the handout is revealed.
+//   check:    {what: ability|skill, dc, who: one|everyone|group, success?: sceneId, failure: sceneId}
+//             success defaults to the choice's `to` (and `to` to success)
+//             successEffects? / failureEffects?: [effect] — run on that outcome only; plain `effects` count as success
+//   decision: unanimous|majority|first|timed, or {mode, seconds} — overrides the lobby's vote mode
+// maps: [{id, name, ascii|tiles, …}] (see Map files in lib/map.js); a scene's mapId switches the battle map on entry.
+// monsters: [stat block] (see lib/bestiary.js) — GM-only, spawnable alongside the bestiary files.
+
+import { validateBestiary } from './bestiary.js';
+import { resolveAbility, resolveSkill } from './character.js';
+import { parseCoins } from './inventory.js';
+import { mapFromJson, mapTemplate } from './map.js';
+
+export const TEXT_LIMITS = { title: 120, summary: 2000, content: 4000, gmNotes: 4000, choice: 200, handout: 4000, quest: 200 };
+
+const slug = (s) => String(s ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 32);
+const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
+const isScalar = (v) => ['string','number','boolean'].includes(typeof v);
+const CONDITION_KEYS = ['flag','counter','quest','visited'];
+const EFFECT_KEYS = ['flag','counter','quest','reveal','xp','item','coins'];
+export const GRANT_TARGETS = ['stash','each'];
+export const CHECK_MODES = ['one','everyone','group'];
+export const DECISION_MODES = ['unanimous','majority','first','timed'];
+export const VOTE_SECONDS = { min: 10, max: 600, default: 60 };
+const kindOf = (o, keys) => keys.filter(k => k in o);
+
+// An item or coin grant's problems, for effects and handout grants alike
+function grantProblems(g) {
+  const out = [];
+  if ('item' in g && !(typeof g.item === 'string' && g.item.trim())) out.push('"item" must be an item name.');
+  if ('item' in g && g.qty != null && !(Number.isInteger(g.qty) && g.qty > 0)) out.push('"qty" must be a positive whole number.');
+  if ('coins' in g && !parseCoins(g.coins)) out.push(`"coins" must be like "10 gp" or "5 gp 3 sp"; got "${g.coins}".`);
+  if (g.to != null && !GRANT_TARGETS.includes(g.to)) out.push(`"to" must be one of ${GRANT_TARGETS.join(', ')}.`);
+  return out;
+}
+
+// Pick `base`, or base_2, base_3… if already taken
+function uniqueId(base, taken) {
+  let id = base, i = 2;
+  while (taken.has(id)) id = `${base}_${i++}`;
+  taken.add(id);
+  return id;
+}
+
+export function validateCampaign(json) {
+  const errors = [], warnings = [];
+  const err = (where, msg) => errors.push({ where, msg });
+  const warn = (where, msg) => warnings.push({ where, msg });
+  const tooLong = (where, field, value, max) => {
+    if (typeof value === 'string' && value.length > max) warn(where, `${field} is ${value.length} chars (limit ${max}).`);
+  };
+
+  if (!isObj(json)) { err('file', 'Campaign must be a JSON object.'); return { campaign: null, errors, warnings }; }
+  if (!Array.isArray(json.scenes)) { err('file', 'Missing "scenes" array.'); return { campaign: null, errors, warnings }; }
+  if (!json.scenes.length) { err('file', 'Campaign has no scenes.'); return { campaign: null, errors, warnings }; }
+  if (!json.title) warn('file', 'Missing "title".');
+  tooLong('file', 'title', json.title, TEXT_LIMITS.title);
+  tooLong('file', 'summary', json.summary, TEXT_LIMITS.summary);
+  for (const field of ['flags','counters']) {
+    if (json[field] == null) continue;
+    if (!isObj(json[field])) { err('file', `"${field}" must be an object.`); continue; }
+    for (const [k, v] of Object.entries(json[field])) {
+      if (field === 'flags' ? !isScalar(v) : !Number.isFinite(v)) err('file', `${field}.${k} must be ${field === 'flags' ? 'a string, number or boolean' : 'a number'}.`);
+    }
+  }
+
+  // ----- Scenes: ids first, so choice targets can be checked against the full set -----
+  const sceneIds = new Set(), seen = new Set();
+  const scenes = json.scenes.map((raw, i) => {
+    const s = isObj(raw) ? { ...raw } : {};
+    const where = `scenes[${i}]`;
+    if (!isObj(raw)) err(where, 'Scene must be an object.');
+    if (!s.id) {
+      s.id = uniqueId(`s_${slug(s.title) || i + 1}`, sceneIds);
+      warn(where, `Missing id; generated "${s.id}".`);
+    } else {
+      s.id = String(s.id);
+      if (seen.has(s.id)) err(where, `Duplicate scene id "${s.id}".`);
+      sceneIds.add(s.id);
+    }
+    seen.add(s.id);
+    if (!s.title) warn(`scene ${s.id}`, 'Missing title.');
+    tooLong(`scene ${s.id}`, 'title', s.title, TEXT_LIMITS.title);
+    tooLong(`scene ${s.id}`, 'content', s.content, TEXT_LIMITS.content);
+    tooLong(`scene ${s.id}`, 'gmNotes', s.gmNotes, TEXT_LIMITS.gmNotes);
+    if (s.choices != null && !Array.isArray(s.choices)) err(`scene ${s.id}`, '"choices" must be an array.');
+    s.choices = Array.isArray(s.choices) ? s.choices : [];
+    return s;
+  });
+
+  for (const s of scenes) {
+    const choiceIds = new Set(), seenChoices = new Set();
+    s.choices = s.choices.map((raw, j) => {
+      const c = isObj(raw) ? { ...raw } : {};
+      const where = `scene ${s.id} choice[${j}]`;
+      if (!isObj(raw)) err(where, 'Choice must be an object.');
+      if (!c.id) {
+        c.id = uniqueId(`c_${s.id.replace(/^s_/, '')}_${j + 1}`, choiceIds);
+        warn(where, `Missing id; generated "${c.id}".`);
+      } else {
+        c.id = String(c.id);
+        if (seenChoices.has(c.id)) err(where, `Duplicate choice id "${c.id}" in scene.`);
+        choiceIds.add(c.id);
+      }
+      seenChoices.add(c.id);
+      if (!c.text) warn(where, 'Missing text.');
+      tooLong(where, 'text', c.text, TEXT_LIMITS.choice);
+      if (c.check != null) {
+        if (!isObj(c.check)) err(where, '"check" must be an object.');
+        else {
+          const k = c.check = { ...c.check, who: c.check.who || 'one' };
+          k.success ??= c.to;
+          c.to ??= k.success;
+          if (!resolveAbility(k.what) && !resolveSkill(k.what)) err(where, `Check "what" must be an ability or skill, got "${k.what}".`);
+          if (!(Number.isInteger(k.dc) && k.dc >= 1 && k.dc <= 40)) err(where, 'Check "dc" must be a whole number from 1 to 40.');
+          if (!CHECK_MODES.includes(k.who)) err(where, `Check "who" must be one of ${CHECK_MODES.join(', ')}.`);
+          if (c.effects != null) warn(where, 'Effects on a checked choice run only on success; use check.successEffects / check.failureEffects.');
+          if (!k.failure) err(where, 'Check needs a "failure" scene.');
+          else if (!sceneIds.has(k.failure)) err(where, `Check "failure" points at unknown scene "${k.failure}".`);
+        }
+      }
+      if (c.decision != null) {
+        const mode = isObj(c.decision) ? c.decision.mode : c.decision;
+        if (!DECISION_MODES.includes(mode)) err(where, `"decision" must be one of ${DECISION_MODES.join(', ')}.`);
+        const secs = isObj(c.decision) ? c.decision.seconds : undefined;
+        if (secs != null && !(Number.isInteger(secs) && secs >= VOTE_SECONDS.min && secs <= VOTE_SECONDS.max)) {
+          err(where, `Decision "seconds" must be a whole number from ${VOTE_SECONDS.min} to ${VOTE_SECONDS.max}.`);
+        }
+      }
+      if (!c.to) err(where, 'Missing "to" scene.');
+      else if (!sceneIds.has(c.to)) err(where, `"to" points at unknown scene "${c.to}".`);
+      return c;
+    });
+  }
+
+  // ----- Start scene, reachability, dead ends -----
+  let currentSceneId = json.currentSceneId ? String(json.currentSceneId) : scenes[0].id;
+  if (!sceneIds.has(currentSceneId)) {
+    err('file', `currentSceneId "${currentSceneId}" is not a scene; using "${scenes[0].id}".`);
+    currentSceneId = scenes[0].id;
+  }
+  const byId = new Map(scenes.map(s => [s.id, s]));
+  const reached = new Set([currentSceneId]), queue = [currentSceneId];
+  while (queue.length) {
+    for (const c of byId.get(queue.shift())?.choices || []) {
+      for (const to of choiceTargets(c)) if (byId.has(to) && !reached.has(to)) { reached.add(to); queue.push(to); }
+    }
+  }
+  for (const s of scenes) {
+    if (!reached.has(s.id)) warn(`scene ${s.id}`, `Unreachable from start scene "${currentSceneId}".`);
+    if (!s.choices.length && !s.ending) warn(`scene ${s.id}`, 'Dead end: no choices and not marked "ending": true.');
+  }
+
+  // ----- Handouts & quests -----
+  const handoutIds = new Set();
+  const handouts = (Array.isArray(json.handouts) ? json.handouts : []).map((raw, i) => {
+    const h = isObj(raw) ? { ...raw } : {};
+    if (!h.id) { h.id = uniqueId(`h_${slug(h.title) || i + 1}`, handoutIds); warn(`handouts[${i}]`, `Missing id; generated "${h.id}".`); }
+    else if (handoutIds.has(String(h.id))) err(`handouts[${i}]`, `Duplicate handout id "${h.id}".`);
+    else handoutIds.add(h.id = String(h.id));
+    tooLong(`handout ${h.id}`, 'content', h.content, TEXT_LIMITS.handout);
+    h.hidden = !!h.hidden;
+    if (h.grants != null && !Array.isArray(h.grants)) err(`handout ${h.id}`, '"grants" must be an array.');
+    else (h.grants || []).forEach((g, k) => {
+      const at = `handout ${h.id} grants[${k}]`;
+      if (!isObj(g) || ('item' in g) === ('coins' in g)) { err(at, 'Grant needs exactly one of item, coins.'); return; }
+      grantProblems(g).forEach(msg => err(at, msg));
+    });
+    return h;
+  });
+  const questIds = new Set();
+  const quests = (Array.isArray(json.quests) ? json.quests : []).map((raw, i) => {
+    const q = isObj(raw) ? { ...raw } : {};
+    if (!q.id) { q.id = uniqueId(`q_${slug(q.title) || i + 1}`, questIds); warn(`quests[${i}]`, `Missing id; generated "${q.id}".`); }
+    else if (questIds.has(String(q.id))) err(`quests[${i}]`, `Duplicate quest id "${q.id}".`);
+    else questIds.add(q.id = String(q.id));
+    tooLong(`quest ${q.id}`, 'title', q.title, TEXT_LIMITS.quest);
+    q.done = !!q.done;
+    q.hidden = !!q.hidden;
+    return q;
+  });
+
+  // ----- Maps (normalized to mapTemplate form) & scene mapIds -----
+  const mapIds = new Set();
+  const maps = (Array.isArray(json.maps) ? json.maps : []).flatMap((raw, i) => {
+    const where = `maps[${i}]`;
+    const { map, errors: problems } = mapFromJson(raw);
+    for (const p of problems) (map ? warn : err)(where, p);
+    if (!map) return [];
+    if (!isObj(raw) || !raw.id) { map.id = uniqueId(`m_${slug(map.name) || i + 1}`, mapIds); warn(where, `Missing id; generated "${map.id}".`); }
+    else if (mapIds.has(map.id)) { err(where, `Duplicate map id "${map.id}".`); return []; }
+    else mapIds.add(map.id);
+    return [mapTemplate(map)];
+  });
+  if (json.maps != null && !Array.isArray(json.maps)) err('file', '"maps" must be an array.');
+  for (const s of scenes) {
+    if (s.mapId == null || s.mapId === '') { delete s.mapId; continue; }
+    s.mapId = String(s.mapId);
+    if (!mapIds.has(s.mapId)) err(`scene ${s.id}`, `"mapId" points at unknown map "${s.mapId}".`);
+  }
+
+  // ----- Monsters (same stat blocks as bestiary files) -----
+  let monsters = [];
+  if (json.monsters != null) {
+    const r = validateBestiary(json.monsters, 'monsters');
+    errors.push(...r.errors); warnings.push(...r.warnings);
+    monsters = Object.values(r.monsters);
+  }
+
+  // ----- Choice requires / effects (need every scene, quest and handout id) -----
+  const setFlags = new Set(Object.keys(isObj(json.flags) ? json.flags : {}));
+  const setCounters = new Set(Object.keys(isObj(json.counters) ? json.counters : {}));
+  const effectLists = (c) => ({ effects: c.effects, 'check.successEffects': c.check?.successEffects, 'check.failureEffects': c.check?.failureEffects });
+  for (const s of scenes) for (const c of s.choices) for (const [field, list] of Object.entries(effectLists(c))) {
+    const where = `scene ${s.id} choice ${c.id}`;
+    if (list == null) continue;
+    if (!Array.isArray(list)) { err(where, `"${field}" must be an array.`); continue; }
+    list.forEach((e, k) => {
+      const at = `${where} ${field}[${k}]`, kinds = isObj(e) ? kindOf(e, EFFECT_KEYS) : [];
+      if (kinds.length !== 1) { err(at, `Effect needs exactly one of ${EFFECT_KEYS.join(', ')}.`); return; }
+      if ('flag' in e) { setFlags.add(String(e.flag)); if ('set' in e && !isScalar(e.set)) err(at, 'Flag "set" must be a string, number or boolean.'); }
+      if ('counter' in e) {
+        setCounters.add(String(e.counter));
+        if (!Number.isFinite(e.add) && !Number.isFinite(e.set)) err(at, 'Counter effect needs a numeric "add" or "set".');
+      }
+      if ('quest' in e && !questIds.has(String(e.quest))) err(at, `Unknown quest "${e.quest}".`);
+      if ('reveal' in e && !handoutIds.has(String(e.reveal))) err(at, `Unknown handout "${e.reveal}".`);
+      if ('xp' in e && !(Number.isInteger(e.xp) && e.xp > 0)) err(at, '"xp" must be a positive whole number.');
+      if ('item' in e || 'coins' in e) grantProblems(e).forEach(msg => err(at, msg));
+    });
+  }
+  for (const s of scenes) for (const c of s.choices) {
+    const where = `scene ${s.id} choice ${c.id}`;
+    if (c.requires == null) continue;
+    if (!Array.isArray(c.requires)) { err(where, '"requires" must be an array.'); continue; }
+    c.requires.forEach((r, k) => {
+      const at = `${where} requires[${k}]`, kinds = isObj(r) ? kindOf(r, CONDITION_KEYS) : [];
+      if (kinds.length !== 1) { err(at, `Condition needs exactly one of ${CONDITION_KEYS.join(', ')}.`); return; }
+      if ('flag' in r && !setFlags.has(String(r.flag))) warn(at, `Flag "${r.flag}" is never set by any effect.`);
+      if ('counter' in r) {
+        if (!setCounters.has(String(r.counter))) warn(at, `Counter "${r.counter}" is never changed by any effect.`);
+        if ((r.min != null && !Number.isFinite(r.min)) || (r.max != null && !Number.isFinite(r.max))) err(at, 'Counter "min"/"max" must be numbers.');
+      }
+      if ('quest' in r && !questIds.has(String(r.quest))) err(at, `Unknown quest "${r.quest}".`);
+      if ('visited' in r && !sceneIds.has(String(r.visited))) err(at, `Unknown scene "${r.visited}".`);
+    });
+  }
+
+  const campaign = {
+    ...json,
+    title: json.title || 'Untitled Campaign',
+    summary: json.summary || '',
+    scenes, handouts, quests, maps, monsters,
+    notes: Array.isArray(json.notes) ? json.notes : [],
+    flags: isObj(json.flags) ? json.flags : {},
+    counters: isObj(json.counters) ? json.counters : {},
+    currentSceneId,
+    startSceneId: currentSceneId,
+    started: false,
+  };
+  campaign.state = initialState(campaign);
+  return { campaign, errors, warnings };
+}
+
+// Every scene a choice can lead to: `to`, plus the failure branch of a skill check
+export const choiceTargets = (c) => [c.to, c.check?.failure].filter(Boolean);
+
+// ===== Skill-check gated choices =====
+// Outcome of a group roll so far: 'success' | 'failure' | null (still waiting for rolls).
+//   one: the first roll decides; everyone: all must pass; group: at least half must pass (5e group check)
+export function checkOutcome(who, results, rollers) {
+  const rolls = Object.values(results);
+  const passed = rolls.filter(r => r.success).length, failed = rolls.length - passed, n = rollers.length;
+  if (who === 'one') return rolls.length ? (passed ? 'success' : 'failure') : null;
+  if (who === 'everyone') return failed ? 'failure' : passed >= n ? 'success' : null;
+  if (passed * 2 >= n) return 'success';
+  if (failed * 2 > n) return 'failure';
+  return null;
+}
+
+// ===== Party votes on choices =====
+// The choice's own decision setting wins over the lobby default: → { mode, seconds }
+export function decisionFor(choice, lobbyDefault = {}) {
+  const d = isObj(choice?.decision) ? choice.decision : choice?.decision ? { mode: choice.decision } : {};
+  const mode = DECISION_MODES.includes(d.mode) ? d.mode : DECISION_MODES.includes(lobbyDefault.mode) ? lobbyDefault.mode : 'unanimous';
+  const seconds = d.seconds ?? lobbyDefault.seconds ?? VOTE_SECONDS.default;
+  return { mode, seconds: Math.max(VOTE_SECONDS.min, Math.min(VOTE_SECONDS.max, seconds)) };
+}
+
+// votes: { name: 'yes'|'no' }; voters: who may vote right now. → 'accept' | 'reject' | null (keep waiting)
+//   unanimous: one "no" rejects; first: the first vote decides; majority: more than half either way
+//   (a tie rejects); timed: more yes than no once everyone voted or time is up
+export function voteOutcome(mode, votes, voters, expired = false) {
+  const n = voters.length;
+  if (!n) return Object.values(votes).includes('yes') ? 'accept' : Object.values(votes).includes('no') ? 'reject' : null;
+  const yes = voters.filter(v => votes[v] === 'yes').length, no = voters.filter(v => votes[v] === 'no').length;
+  switch (mode) {
+    case 'first': return yes ? 'accept' : no ? 'reject' : null;
+    case 'majority': return yes * 2 > n ? 'accept' : no * 2 >= n ? 'reject' : null;
+    case 'timed': return expired || yes + no === n ? (yes > no ? 'accept' : 'reject') : null;
+    default: return no ? 'reject' : yes === n ? 'accept' : null;
+  }
+}
+
+// ===== Campaign state: flags, counters, visited scenes, revealed handouts, party XP =====
+export const initialState = (c) => ({
+  flags: { ...(c.flags || {}) },
+  counters: { ...(c.counters || {}) },
+  visited: c.currentSceneId ? [c.currentSceneId] : [],
+  revealed: [],    // handout ids shown to everyone
+  revealedTo: {},  // handout id -> player names it was shown to
+  granted: [],     // handout ids whose grants were handed out
+  xp: 0,
+});
+// Lobbies saved before campaign state existed (or before per-player reveals) are filled in on first use
+export function ensureState(c) {
+  c.state ||= initialState(c);
+  c.state.revealedTo ||= {};
+  c.state.granted ||= [];
+  return c.state;
+}
+
+// A handout's grants, the first time it is revealed (to anyone); [] after that
+export function claimHandoutGrants(c, h) {
+  const st = ensureState(c);
+  if (!h.grants?.length || st.granted.includes(h.id)) return [];
+  st.granted.push(h.id);
+  return h.grants;
+}
+
+export const handoutVisibleTo = (c, h, user) => {
+  const st = ensureState(c);
+  return !h.hidden || st.revealed.includes(h.id) || !!st.revealedTo[h.id]?.includes(user);
+};
+
+export function enterScene(c, sceneId) {
+  const st = ensureState(c);
+  c.currentSceneId = sceneId;
+  if (!st.visited.includes(sceneId)) st.visited.push(sceneId);
+}
+
+const titleOf = (list, id) => list?.find(x => x.id === id)?.title || id;
+function describeCondition(c, r) {
+  const text = 'flag' in r ? ('is' in r ? `flag ${r.flag} is ${r.is}` : `flag ${r.flag}`)
+    : 'counter' in r ? [r.min != null && `${r.counter} ≥ ${r.min}`, r.max != null && `${r.counter} ≤ ${r.max}`].filter(Boolean).join(' and ') || `${r.counter}`
+    : 'quest' in r ? `quest "${titleOf(c.quests, r.quest)}" ${(r.done ?? true) ? 'done' : 'not done'}`
+    : 'visited' in r ? `visited "${titleOf(c.scenes, r.visited)}"` : 'unknown condition';
+  return r.not ? `not ${text}` : text;
+}
+function testCondition(c, st, r) {
+  let ok = false;
+  if ('flag' in r) ok = 'is' in r ? st.flags[r.flag] === r.is : !!st.flags[r.flag];
+  else if ('counter' in r) {
+    const v = st.counters[r.counter] ?? 0;
+    ok = (r.min == null || v >= r.min) && (r.max == null || v <= r.max);
+  }
+  else if ('quest' in r) ok = !!c.quests?.find(q => q.id === r.quest)?.done === (r.done ?? true);
+  else if ('visited' in r) ok = st.visited.includes(r.visited);
+  return r.not ? !ok : ok;
+}
+
+// Human-readable list of the conditions that currently fail ([] when the choice is available)
+export function unmetRequirements(c, requires) {
+  if (!Array.isArray(requires) || !requires.length) return [];
+  const st = ensureState(c);
+  return requires.filter(r => isObj(r) && !testCondition(c, st, r)).map(r => describeCondition(c, r));
+}
+
+// What a client receives. The GM gets everything, with choices annotated with `unmet` and handouts with
+// `revealed` / `revealedTo`. Players get a redacted copy: visited scenes (choices only for the current one,
+// without targets, requirements or effects), handouts shown to them, visible quests, public notes,
+// and counters/XP but not flags.
+export function campaignView(c, { gm = true, user = null, started = !!c.started } = {}) {
+  const st = ensureState(c);
+  if (gm) {
+    return {
+      ...c,
+      started,
+      scenes: c.scenes.map(s => ({ ...s, choices: s.choices.map(ch => ({ ...ch, unmet: unmetRequirements(c, ch.requires) })) })),
+      handouts: (c.handouts || []).map(h => ({ ...h, revealed: st.revealed.includes(h.id), revealedTo: st.revealedTo[h.id] || [] })),
+    };
+  }
+  const seen = new Set([...st.visited, c.currentSceneId]);
+  const playerChoice = (ch) => {
+    const unmet = unmetRequirements(c, ch.requires);
+    if (unmet.length && ch.hidden) return null;
+    const out = { id: ch.id, text: ch.text, unmet };
+    if (ch.check) out.check = { what: ch.check.what, dc: ch.check.dc, who: ch.check.who };
+    return out;
+  };
+  return {
+    title: c.title, summary: c.summary || '',
+    currentSceneId: c.currentSceneId,
+    started,
+    scenes: c.scenes.filter(s => seen.has(s.id)).map(s => ({
+      id: s.id, title: s.title, content: s.content || '', ending: !!s.ending,
+      choices: s.id === c.currentSceneId ? s.choices.map(playerChoice).filter(Boolean) : [],
+    })),
+    handouts: (c.handouts || []).filter(h => handoutVisibleTo(c, h, user)).map(({ id, title, content }) => ({ id, title, content })),
+    quests: (c.quests || []).filter(q => !q.hidden).map(({ id, title, done }) => ({ id, title, done })),
+    notes: (c.notes || []).filter(n => !n.private),
+    state: { counters: st.counters, xp: st.xp, visited: st.visited },
+  };
+}
+
+// Take a choice: check requirements, apply effects and move to the target scene — all on a copy,
+// so a bad effect leaves the live campaign untouched. Returns { campaign, choice, log, xp, grants } or throws;
+// grants (from item/coins effects and revealed handouts) are for the caller to hand to sheets and the stash.
+// Checked choices pass the rolled outcome; 'failure' branches to check.failure and runs only check.failureEffects.
+export function applyChoice(c, sceneId, choiceId, { outcome } = {}) {
+  const next = JSON.parse(JSON.stringify(c));
+  const st = ensureState(next);
+  const choice = next.scenes.find(s => s.id === sceneId)?.choices.find(ch => ch.id === choiceId);
+  if (!choice) throw new Error('That choice no longer exists.');
+  const unmet = unmetRequirements(next, choice.requires);
+  if (unmet.length) throw new Error(`Requirements not met: ${unmet.join(', ')}.`);
+  const to = outcome === 'failure' ? choice.check?.failure : choice.check?.success ?? choice.to;
+  if (!next.scenes.some(s => s.id === to)) throw new Error(`Choice target "${to}" is not a scene.`);
+
+  // log: [{ text, gmOnly }] — flag changes stay between the GM and the campaign file
+  const log = [];
+  const grants = [];
+  let xp = 0;
+  const list = (l) => Array.isArray(l) ? l : [];
+  const effects = !choice.check ? list(choice.effects)
+    : outcome === 'failure' ? list(choice.check.failureEffects)
+    : [...list(choice.effects), ...list(choice.check.successEffects)];
+  for (const e of effects) {
+    if (!isObj(e)) throw new Error('Malformed effect.');
+    if ('flag' in e) {
+      st.flags[e.flag] = 'set' in e ? e.set : true;
+      log.push({ text: `Flag ${e.flag} = ${st.flags[e.flag]}`, gmOnly: true });
+    } else if ('counter' in e) {
+      const before = st.counters[e.counter] ?? 0;
+      st.counters[e.counter] = Number.isFinite(e.set) ? e.set : before + (Number(e.add) || 0);
+      const diff = st.counters[e.counter] - before;
+      log.push({ text: `${e.counter} ${diff >= 0 ? '+' : ''}${diff} (now ${st.counters[e.counter]})`, gmOnly: false });
+    } else if ('quest' in e) {
+      const q = next.quests.find(q => q.id === e.quest);
+      if (!q) throw new Error(`Effect points at unknown quest "${e.quest}".`);
+      q.done = e.done ?? true;
+      log.push({ text: `Quest ${q.done ? 'completed' : 'reopened'}: ${q.title}`, gmOnly: !!q.hidden });
+    } else if ('reveal' in e) {
+      const h = next.handouts.find(h => h.id === e.reveal);
+      if (!h) throw new Error(`Effect points at unknown handout "${e.reveal}".`);
+      if (!st.revealed.includes(h.id)) st.revealed.push(h.id);
+      log.push({ text: `Handout revealed: ${h.title}`, gmOnly: false });
+      grants.push(...claimHandoutGrants(next, h));
+    } else if ('xp' in e) {
+      const n = parseInt(e.xp, 10);
+      if (!(n > 0)) throw new Error('Malformed XP effect.');
+      xp += n;
+    } else if ('item' in e || 'coins' in e) {
+      if (grantProblems(e).length) throw new Error('Malformed item or coins effect.');
+      grants.push(e);
+    } else throw new Error('Malformed effect.');
+  }
+  st.xp += xp;
+  enterScene(next, to);
+  return { campaign: next, choice, log, xp, grants };
+}
+
+// One line per file for the boot log
+export const summarizeReport = (key, r) =>
+  `campaign ${key}: ${r.errors.length} error(s), ${r.warnings.length} warning(s)` +
+  (r.errors.length ? ` — first error: ${r.errors[0].where}: ${r.errors[0].msg}` : '');
+
+// Registry keys double as file names: letters, digits, dot, dash, underscore
+export const campaignKey = (s) => String(s ?? '').trim().toLowerCase()
+  .replace(/[^a-z0-9._-]+/g, '-').replace(/^[^a-z0-9]+|-+$/g, '').slice(0, 48);
+
+// Reusable copy of a lobby's live campaign: progress and session-only fields are dropped.
+// A lobby keeps its maps outside the campaign, so it passes them in (as mapTemplate copies).
+export function campaignTemplate(c, startSceneId, maps = c.maps) {
+  const start = c.scenes.some(s => s.id === startSceneId) ? startSceneId : c.scenes[0]?.id ?? null;
+  return {
+    title: c.title, summary: c.summary || '',
+    currentSceneId: start,
+    flags: c.flags || {},
+    counters: c.counters || {},
+    scenes: c.scenes.map(({ broken, ...s }) => ({ ...s, choices: (s.choices || []).map(({ broken, ...ch }) => ch) })),
+    handouts: c.handouts || [],
+    quests: (c.quests || []).map(q => ({ ...q, done: false })),
+    maps: maps || [],
+    monsters: c.monsters || [],
+    notes: [],
+  };
+}
@@ -0,0 +1,262 @@
+// lib/character.js — character rules: ability modifiers, proficiency, skills, weapons, sheet @refs,
+// ability score generation, racial modifiers, derived stats and levelling
+
+import { rollAdvanced } from './dice.js';
+
+export const ABILITIES = ['STR','DEX','CON','INT','WIS','CHA'];
+export const ABILITY_NAMES = { STR:'Strength', DEX:'Dexterity', CON:'Constitution', INT:'Intelligence', WIS:'Wisdom', CHA:'Charisma' };
+
+export const SKILLS = {
+  'acrobatics':'DEX', 'animal handling':'WIS', 'arcana':'INT', 'athletics':'STR', 'deception':'CHA', 'history':'INT',
+  'insight':'WIS', 'intimidation':'CHA', 'investigation':'INT', 'medicine':'WIS', 'nature':'INT', 'perception':'WIS',
+  'performance':'CHA', 'persuasion':'CHA', 'religion':'INT', 'sleight of hand':'DEX', 'stealth':'DEX', 'survival':'WIS',
+};
+
+// SRD weapons. cat: simple|martial; props: finesse, ranged, light, heavy, thrown, two-handed, versatile
+export const WEAPONS = {
+  'unarmed':        { dice:'1',   type:'bludgeoning', cat:'simple',  props:[] },
+  'club':           { dice:'1d4', type:'bludgeoning', cat:'simple',  props:['light'] },
+  'dagger':         { dice:'1d4', type:'piercing',    cat:'simple',  props:['finesse','light','thrown'] },
+  'handaxe':        { dice:'1d6', type:'slashing',    cat:'simple',  props:['light','thrown'] },
+  'javelin':        { dice:'1d6', type:'piercing',    cat:'simple',  props:['thrown'] },
+  'mace':           { dice:'1d6', type:'bludgeoning', cat:'simple',  props:[] },
+  'quarterstaff':   { dice:'1d6', type:'bludgeoning', cat:'simple',  props:['versatile'] },
+  'spear':          { dice:'1d6', type:'piercing',    cat:'simple',  props:['thrown','versatile'] },
+  'light crossbow': { dice:'1d8', type:'piercing',    cat:'simple',  props:['ranged','two-handed'] },
+  'shortbow':       { dice:'1d6', type:'piercing',    cat:'simple',  props:['ranged','two-handed'] },
+  'sling':          { dice:'1d4', type:'bludgeoning', cat:'simple',  props:['ranged'] },
+  'battleaxe':      { dice:'1d8', type:'slashing',    cat:'martial', props:['versatile'] },
+  'greataxe':       { dice:'1d12',type:'slashing',    cat:'martial', props:['heavy','two-handed'] },
+  'greatsword':     { dice:'2d6', type:'slashing',    cat:'martial', props:['heavy','two-handed'] },
+  'longsword':      { dice:'1d8', type:'slashing',    cat:'martial', props:['versatile'] },
+  'maul':           { dice:'2d6', type:'bludgeoning', cat:'martial', props:['heavy','two-handed'] },
+  'rapier':         { dice:'1d8', type:'piercing',    cat:'martial', props:['finesse'] },
+  'scimitar':       { dice:'1d6', type:'slashing',    cat:'martial', props:['finesse','light'] },
+  'shortsword':     { dice:'1d6', type:'piercing',    cat:'martial', props:['finesse','light'] },
+  'warhammer':      { dice:'1d8', type:'bludgeoning', cat:'martial', props:['versatile'] },
+  'heavy crossbow': { dice:'1d10',type:'piercing',    cat:'martial', props:['ranged','heavy','two-handed'] },
+  'longbow':        { dice:'1d8', type:'piercing',    cat:'martial', props:['ranged','heavy','two-handed'] },
+};
+
+const norm = (s) => String(s ?? '').trim().toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+const signed = (n) => n >= 0 ? `+${n}` : `${n}`;
+
+export const abilityMod = (score) => Math.floor(((parseInt(score, 10) || 10) - 10) / 2);
+export const profBonus = (level) => 2 + Math.floor((Math.max(1, Math.min(20, parseInt(level, 10) || 1)) - 1) / 4);
+export const parseProfs = (profs) => String(profs || '').split(/[,;\n]/).map(norm).filter(Boolean);
+
+export function resolveAbility(word) {
+  const w = norm(word);
+  return ABILITIES.find(a => a.toLowerCase() === w || ABILITY_NAMES[a].toLowerCase() === w) || null;
+}
+export function resolveSkill(word) {
+  const w = norm(word);
+  if (!w) return null;
+  return Object.keys(SKILLS).find(k => k === w) || Object.keys(SKILLS).find(k => k.startsWith(w)) || null;
+}
+export function resolveWeapon(word) {
+  const w = norm(word);
+  if (!w) return null;
+  if (WEAPONS[w]) return w;
+  return Object.keys(WEAPONS).find(k => k.replace(/\s/g, '') === w.replace(/\s/g, '')) || null;
+}
+
+// Proficiency comes from the free-text profs list: "stealth", "dex save", "longsword", "martial weapons"…
+export function isProficient(sheet, kind, key) {
+  const profs = parseProfs(sheet?.profs);
+  if (kind === 'skill') return profs.includes(key);
+  if (kind === 'save') {
+    const names = [key.toLowerCase(), ABILITY_NAMES[key].toLowerCase()];
+    return profs.some(p => /sav/.test(p) && names.some(n => p.split(/\s+/).includes(n)));
+  }
+  if (kind === 'weapon') {
+    const w = WEAPONS[key];
+    return key === 'unarmed' || profs.includes(key) || profs.includes(`${key}s`) || profs.some(p => p.startsWith(`${w.cat} weapon`));
+  }
+  return false;
+}
+
+// "Stealth (DEX) check" / "Wisdom check" for an ability or skill name, or null if it is neither
+export function checkLabel(what) {
+  const ability = resolveAbility(what);
+  if (ability) return `${ABILITY_NAMES[ability]} check`;
+  const skill = resolveSkill(what);
+  return skill ? `${skill.replace(/\b\w/g, c => c.toUpperCase())} (${SKILLS[skill]}) check` : null;
+}
+
+export const d20 = (mode) => mode === 'adv' ? '2d20kh1' : mode === 'dis' ? '2d20kl1' : '1d20';
+export const rollMode = (word) => {
+  const w = norm(word);
+  return ['adv','advantage'].includes(w) ? 'adv' : ['dis','disadvantage'].includes(w) ? 'dis' : null;
+};
+
+// Build a d20 roll from a sheet. kind: check|save|attack. Returns {expression, label, ...} or throws.
+export function buildCheck(sheet, { kind, what, mode, magic = 0 }) {
+  if (!sheet) throw new Error('You need a character sheet first.');
+  const lvl = profBonus(sheet.level);
+  const mods = Object.fromEntries(ABILITIES.map(a => [a, abilityMod(sheet.abilities?.[a])]));
+
+  if (kind === 'check') {
+    const ability = resolveAbility(what);
+    const skill = ability ? null : resolveSkill(what);
+    if (!ability && !skill) throw new Error('Unknown ability or skill. Try dex, wis, stealth, perception…');
+    const ab = ability || SKILLS[skill];
+    const prof = skill && isProficient(sheet, 'skill', skill);
+    const bonus = mods[ab] + (prof ? lvl : 0);
+    const label = checkLabel(what);
+    return { kind, ability: ab, skill, proficient: !!prof, bonus, label, expression: `${d20(mode)}${signed(bonus)}`, mode: mode || null };
+  }
+  if (kind === 'save') {
+    const ab = resolveAbility(what);
+    if (!ab) throw new Error('Unknown ability. Try str, dex, con, int, wis, cha.');
+    const prof = isProficient(sheet, 'save', ab);
+    const bonus = mods[ab] + (prof ? lvl : 0);
+    return { kind, ability: ab, proficient: prof, bonus, label: `${ABILITY_NAMES[ab]} save`, expression: `${d20(mode)}${signed(bonus)}`, mode: mode || null };
+  }
+  if (kind === 'attack') {
+    const key = resolveWeapon(what || 'unarmed');
+    if (!key) throw new Error(`Unknown weapon. Try ${Object.keys(WEAPONS).slice(1, 6).join(', ')}…`);
+    const w = WEAPONS[key];
+    const ab = w.props.includes('ranged') ? 'DEX' : w.props.includes('finesse') && mods.DEX > mods.STR ? 'DEX' : 'STR';
+    const prof = isProficient(sheet, 'weapon', key);
+    const bonus = mods[ab] + (prof ? lvl : 0) + magic;
+    const name = key.replace(/\b\w/g, c => c.toUpperCase()) + (magic ? ` ${signed(magic)}` : '');
+    return {
+      kind, weapon: key, ability: ab, proficient: prof, bonus, mode: mode || null,
+      label: `${name} attack`, expression: `${d20(mode)}${signed(bonus)}`,
+      damage: { label: `${name} damage (${w.type})`, type: w.type, dice: w.dice, expression: `${w.dice}${signed(mods[ab] + magic)}` },
+    };
+  }
+  throw new Error('Unknown roll kind.');
+}
+
+// Double every dice count for a critical hit: "1d8+3" → "2d8+3"
+export const critExpression = (expr) => String(expr).replace(/(\d*)d(\d+|%)/gi, (_, n, s) => `${(parseInt(n || '1', 10)) * 2}d${s}`);
+
+// Natural d20 of the first term (after keep/drop), or null
+export function naturalD20(res) {
+  const t = res?.terms?.[0];
+  if (!t || t.type !== 'dice' || t.sides !== 20) return null;
+  return t.dice.find(d => !d.rerolled && !d.dropped)?.value ?? null;
+}
+
+// Replace @STR…@CHA (modifiers), @prof, @level, @ac, @hp, @speed with values from the sheet.
+export const REF_RE = /@([a-z]+)/gi;
+export function expandRefs(expr, sheet) {
+  const src = String(expr ?? '');
+  if (!/@[a-z]/i.test(src)) return src;
+  if (!sheet) throw new Error('@references need a character sheet.');
+  const out = src.replace(REF_RE, (m, name) => {
+    const n = name.toUpperCase();
+    if (ABILITIES.includes(n)) return String(abilityMod(sheet.abilities?.[n]));
+    switch (n) {
+      case 'PROF': return String(profBonus(sheet.level));
+      case 'LEVEL': case 'LVL': return String(parseInt(sheet.level, 10) || 1);
+      case 'AC': return String(parseInt(sheet.ac, 10) || 10);
+      case 'HP': return String(parseInt(sheet.hp, 10) || 0);
+      case 'SPEED': return String(parseInt(sheet.speed, 10) || 30);
+      default: throw new Error(`Unknown reference ${m}. Use @STR…@CHA, @prof, @level, @ac, @hp, @speed.`);
+    }
+  });
+  // "+-1" → "-1", "--1" → "+1" once values are substituted
+  return out.replace(/\s+/g, '').replace(/\+-/g, '-').replace(/-\+/g, '-').replace(/--/g, '+').replace(/^\+/, '');
+}
+
+// ===== Character creation and levelling (enforced by the server on character_upsert) =====
+// A sheet keeps baseAbilities (the scores the player assigned) and abilities (base + racial modifiers, used
+// everywhere else). How base scores may be assigned is the lobby's abilityMethod: pointbuy|standard|rolled|free.
+export const ABILITY_METHODS = ['pointbuy','standard','rolled','free'];
+export const ABILITY_METHOD_NAMES = { pointbuy: '27-point buy', standard: 'the standard array', rolled: 'rolled scores (4d6, drop lowest)', free: 'free entry' };
+export const POINT_BUY = { budget: 27, min: 8, max: 15, costs: { 8:0, 9:1, 10:2, 11:3, 12:4, 13:5, 14:7, 15:9 } };
+export const STANDARD_ARRAY = [15,14,13,12,10,8];
+export const RACES = {
+  Human:    { mods: { STR:1, DEX:1, CON:1, INT:1, WIS:1, CHA:1 }, speed: 30, traits: 'Versatile' },
+  Elf:      { mods: { DEX:2, INT:1 }, speed: 30, traits: 'Darkvision, Keen Senses' },
+  Dwarf:    { mods: { CON:2, WIS:1 }, speed: 25, traits: 'Darkvision, Dwarven Resilience' },
+  Halfling: { mods: { DEX:2, CHA:1 }, speed: 25, traits: 'Lucky, Brave' },
+};
+// Archetype presets are suggested point-buy spreads; hitDie stands in when the class isn't a known one
+export const PRESETS = {
+  Warrior: { STR:15, DEX:10, CON:14, INT:8,  WIS:10, CHA:10, hitDie: 10, traits: 'Martial prowess, Second Wind' },
+  Rogue:   { STR:8,  DEX:15, CON:12, INT:10, WIS:10, CHA:12, hitDie: 8,  traits: 'Sneak Attack, Cunning Action' },
+  Wizard:  { STR:8,  DEX:12, CON:12, INT:15, WIS:12, CHA:8,  hitDie: 6,  traits: 'Spellbook, Arcane Recovery' },
+  Cleric:  { STR:10, DEX:10, CON:14, INT:8,  WIS:15, CHA:10, hitDie: 8,  traits: 'Channel Divinity, Divine Domain' },
+};
+export const HIT_DICE = {
+  barbarian: 12, fighter: 10, paladin: 10, ranger: 10, bard: 8, cleric: 8, druid: 8, monk: 8, rogue: 8, warlock: 8, sorcerer: 6, wizard: 6,
+};
+// XP needed for each level (index 0 = level 1)
+export const XP_LEVELS = [0,300,900,2700,6500,14000,23000,34000,48000,64000,85000,100000,120000,140000,165000,195000,225000,265000,305000,355000];
+
+export const pointBuyCost = (base) => ABILITIES.reduce((sum, a) => sum + (POINT_BUY.costs[base[a]] ?? Infinity), 0);
+const sameScores = (base, list) => JSON.stringify(ABILITIES.map(a => base[a]).sort()) === JSON.stringify([...list].sort());
+
+// Why these base scores aren't allowed under the method, or null when they are. rolled: the player's six rolled totals.
+export function checkAbilities(base, method, rolled) {
+  if (method === 'pointbuy') {
+    const off = ABILITIES.find(a => !(base[a] >= POINT_BUY.min && base[a] <= POINT_BUY.max));
+    if (off) return `Point buy scores run from ${POINT_BUY.min} to ${POINT_BUY.max} (${off} is ${base[off]}).`;
+    const spent = pointBuyCost(base);
+    return spent > POINT_BUY.budget ? `That spends ${spent} points; the budget is ${POINT_BUY.budget}.` : null;
+  }
+  if (method === 'standard') return sameScores(base, STANDARD_ARRAY) ? null : `Assign the standard array ${STANDARD_ARRAY.join(', ')}, each score once.`;
+  if (method === 'rolled') {
+    if (!rolled) return 'Roll your ability scores first (/rollstats).';
+    return sameScores(base, rolled) ? null : `Assign your rolled scores ${rolled.join(', ')}, each once.`;
+  }
+  return null;
+}
+
+// 4d6, drop the lowest, six times. Returns [{total, dice}] in rolled order.
+export function rollAbilityScores() {
+  return ABILITIES.map(() => {
+    const res = rollAdvanced('4d6dl1');
+    return { total: res.total, dice: res.terms[0].dice.map(d => d.value) };
+  });
+}
+
+export const raceName = (race) => Object.keys(RACES).find(r => r.toLowerCase() === norm(race)) || null;
+export const raceOf = (race) => RACES[raceName(race)] || null;
+export const applyRace = (base, race) => {
+  const mods = raceOf(race)?.mods || {};
+  return Object.fromEntries(ABILITIES.map(a => [a, Math.min(30, base[a] + (mods[a] || 0))]));
+};
+export const hitDieFor = (sheet) => HIT_DICE[norm(sheet?.class)] || PRESETS[sheet?.archetype]?.hitDie || 8;
+// Max HP with average rolls: full hit die at level 1, then die/2+1 a level, plus CON modifier every level
+export function averageMaxHp(sheet) {
+  const die = hitDieFor(sheet), level = Math.max(1, parseInt(sheet.level, 10) || 1), con = abilityMod(sheet.abilities?.CON);
+  return Math.max(level, die + (level - 1) * (die / 2 + 1) + level * con);
+}
+
+// Everything the sheet implies: modifiers, proficiency, saves, skills, passive Perception, initiative, next level
+export function deriveStats(sheet) {
+  const level = Math.max(1, Math.min(20, parseInt(sheet.level, 10) || 1)), prof = profBonus(level);
+  const mods = Object.fromEntries(ABILITIES.map(a => [a, abilityMod(sheet.abilities?.[a])]));
+  const saves = Object.fromEntries(ABILITIES.map(a => [a, mods[a] + (isProficient(sheet, 'save', a) ? prof : 0)]));
+  const skills = Object.fromEntries(Object.entries(SKILLS).map(([k, a]) => [k, mods[a] + (isProficient(sheet, 'skill', k) ? prof : 0)]));
+  const nextXp = level < 20 ? XP_LEVELS[level] : null;
+  return {
+    mods, prof, saves, skills, passivePerception: 10 + skills.perception, initiative: mods.DEX, hitDie: hitDieFor(sheet),
+    nextXp, canLevelUp: nextXp != null && (parseInt(sheet.xp, 10) || 0) >= nextXp,
+  };
+}
+
+// One level: hp 'roll' rolls the hit die, 'average' takes die/2+1; CON modifier added, at least 1.
+// Mutates the sheet (level, maxHp, hp gain the same). Returns {level, gain, die, rolled?} or throws at level 20.
+export function levelUp(sheet, hp = 'average') {
+  const level = parseInt(sheet.level, 10) || 1;
+  if (level >= 20) throw new Error(`${sheet.name} is already level 20.`);
+  const die = hitDieFor(sheet), con = abilityMod(sheet.abilities?.CON);
+  const rolled = hp === 'roll' ? rollAdvanced(`1d${die}`).total : null;
+  const gain = Math.max(1, (rolled ?? die / 2 + 1) + con);
+  sheet.level = level + 1;
+  sheet.maxHp += gain;
+  if (sheet.status !== 'dead') sheet.hp = Math.min(sheet.maxHp, sheet.hp + gain);
+  return { level: sheet.level, gain, die, ...(rolled != null ? { rolled } : {}) };
+}
+
+// Static rules for the client's sheet editor (point costs, presets, races), so it never keeps its own copy
+export const characterRules = () => ({
+  abilities: ABILITIES, methods: ABILITY_METHODS, methodNames: ABILITY_METHOD_NAMES, pointBuy: POINT_BUY, standardArray: STANDARD_ARRAY,
+  races: RACES, presets: PRESETS, hitDice: HIT_DICE, xpLevels: XP_LEVELS,
+});
@@ -0,0 +1,196 @@
+// lib/combat.js — encounter tracker: combatants, initiative order, turns and rounds
+// encounter = { active, round, turnIndex, order: [combatant], movement: {tokenId: {feet, parity}} }
+// combatant = { id, name, init, dex, kind: 'pc'|'npc', owner?, tokenId?, hp?, maxHp?, ac?, delayed?, ready? }
+//   PCs keep HP and AC on their owner's character sheet; NPCs carry their own.
+//   Order is initiative high to low, ties broken by DEX score. order[turnIndex] is acting.
+//   delayed: stepped out of the order and skipped until they act(); ready: a readied trigger, cleared on their next turn.
+
+import { abilityMod } from './character.js';
+import { rollAdvanced } from './dice.js';
+
+export const defaultEncounter = () => ({ active: false, round: 0, turnIndex: 0, order: [], movement: {} });
+
+const signed = (n) => n >= 0 ? `+${n}` : `${n}`;
+
+// d20 + DEX modifier. Returns {init, natural, expression}
+export function rollInitiative(dex) {
+  const expression = `1d20${signed(abilityMod(dex))}`;
+  const res = rollAdvanced(expression);
+  return { init: res.total, natural: res.used[0], expression };
+}
+
+export const byInitiative = (a, b) => b.init - a.init || (b.dex ?? 10) - (a.dex ?? 10);
+export const currentCombatant = (enc) => enc.active && enc.round ? enc.order[enc.turnIndex] || null : null;
+
+// Re-sort after initiative changes; whoever is acting keeps the turn
+export function sortOrder(enc) {
+  const cur = enc.order[enc.turnIndex];
+  enc.order.sort(byInitiative);
+  enc.turnIndex = Math.max(0, enc.order.indexOf(cur));
+}
+
+export function addCombatant(enc, c) {
+  enc.order.push(c);
+  sortOrder(enc);
+  return c;
+}
+
+// Advance to the next combatant that isn't delaying, starting a new round on wrap-around.
+// Returns {combatant, newRound, ended} (ended: whose turn just finished, if anyone's) or null when nobody can act.
+export function nextTurn(enc) {
+  const n = enc.order.length, ended = enc.round ? enc.order[enc.turnIndex] || null : null;
+  let newRound = false;
+  for (let step = 1; step <= n; step++) {
+    let i = enc.turnIndex + 1;
+    if (i >= n) { i = 0; enc.round += 1; newRound = true; }
+    enc.turnIndex = i;
+    if (!enc.order[i].delayed) return beginTurn(enc, newRound, ended);
+  }
+  return null;
+}
+function beginTurn(enc, newRound, ended = null) {
+  const c = enc.order[enc.turnIndex];
+  enc.movement = {}; // fresh speed for the new turn
+  delete c.ready;
+  return { combatant: c, newRound, ended };
+}
+
+// First turn: round 1, highest initiative acts
+export function startCombat(enc) {
+  enc.round = 0;
+  enc.turnIndex = enc.order.length - 1; // nextTurn wraps to the top of the order
+  return nextTurn(enc);
+}
+
+// Drop a combatant (death, flight, GM removal). If they were acting, the next one in line takes the turn.
+// Returns {removed, turn} where turn is nextTurn()'s result when the turn moved on.
+export function removeCombatant(enc, id) {
+  const i = enc.order.findIndex(c => c.id === id);
+  if (i < 0) return null;
+  const [removed] = enc.order.splice(i, 1);
+  if (!enc.order.length) { enc.turnIndex = 0; return { removed, turn: null }; }
+  if (i < enc.turnIndex) { enc.turnIndex -= 1; return { removed, turn: null }; }
+  if (i > enc.turnIndex || !enc.round) return { removed, turn: null };
+  enc.turnIndex = i - 1; // so nextTurn lands on whoever followed the removed combatant
+  const turn = nextTurn(enc);
+  if (turn) turn.ended = removed;
+  return { removed, turn };
+}
+
+// The acting combatant holds their turn; they can step back in later with act()
+export function delayTurn(enc) {
+  const c = currentCombatant(enc);
+  if (!c) return null;
+  c.delayed = true;
+  return { combatant: c, turn: nextTurn(enc) };
+}
+
+// The acting combatant readies an action against a trigger and ends their turn
+export function readyAction(enc, trigger) {
+  const c = currentCombatant(enc);
+  if (!c) return null;
+  c.ready = trigger;
+  return { combatant: c, turn: nextTurn(enc) };
+}
+
+// A delayed combatant steps in now, ahead of whoever is up; their initiative becomes that slot's
+export function act(enc, id) {
+  const i = enc.order.findIndex(c => c.id === id);
+  const c = enc.order[i];
+  if (!c?.delayed) return null;
+  enc.order.splice(i, 1);
+  if (i < enc.turnIndex) enc.turnIndex -= 1;
+  const cur = enc.order[enc.turnIndex];
+  delete c.delayed;
+  c.init = cur ? cur.init : c.init;
+  enc.order.splice(cur ? enc.turnIndex : enc.order.length, 0, c);
+  enc.turnIndex = enc.order.indexOf(c);
+  return beginTurn(enc, false);
+}
+
+// ===== Damage, healing, temp HP, death saves =====
+// Targets are PC sheets or NPC combatants: { hp, maxHp, tempHp?, resist?, vulnerable?, immune? } where the
+// last three are free-text damage type lists ("fire, poison"). PCs at 0 HP also carry
+// status: dying|stable|dead and deathSaves: {successes, failures}; NPCs at 0 HP are simply defeated.
+export const DAMAGE_TYPES = ['acid','bludgeoning','cold','fire','force','lightning','necrotic','piercing','poison','psychic','radiant','slashing','thunder'];
+export function resolveDamageType(word) {
+  const w = String(word ?? '').trim().toLowerCase();
+  if (w.length < 3) return null;
+  return DAMAGE_TYPES.find(t => t === w) || DAMAGE_TYPES.find(t => t.startsWith(w)) || null;
+}
+const typeList = (s) => String(s || '').toLowerCase().split(/[,;\n]/).map(x => resolveDamageType(x)).filter(Boolean);
+
+// immune: none; resistant: half, rounded down; vulnerable: double. Resistance and vulnerability cancel out.
+export function damageModifier(target, type) {
+  if (!type) return null;
+  if (typeList(target.immune).includes(type)) return 'immune';
+  const res = typeList(target.resist).includes(type), vul = typeList(target.vulnerable).includes(type);
+  return res === vul ? null : res ? 'resistant' : 'vulnerable';
+}
+
+const startDying = (t) => { t.status = 'dying'; t.deathSaves = { successes: 0, failures: 0 }; };
+const recover = (t) => { delete t.status; delete t.deathSaves; };
+
+// Temp HP soak damage first. With deathSaves, a PC dropping to 0 starts dying (or dies outright when the
+// damage left over reaches their max HP); damage taken at 0 HP costs a failed death save.
+// Returns {taken, modifier, absorbed, lost, status?} where status is what changed: dying|failure|dead
+export function applyDamage(target, amount, type, { deathSaves = false } = {}) {
+  const modifier = damageModifier(target, type);
+  const taken = modifier === 'immune' ? 0 : modifier === 'resistant' ? Math.floor(amount / 2) : modifier === 'vulnerable' ? amount * 2 : amount;
+  const absorbed = Math.min(target.tempHp || 0, taken);
+  if (absorbed) target.tempHp -= absorbed;
+  const rest = taken - absorbed, before = target.hp;
+  target.hp = Math.max(0, before - rest);
+  const out = { taken, modifier, absorbed, lost: before - target.hp };
+  if (!deathSaves || !rest || target.status === 'dead') return out;
+  if (rest - before >= target.maxHp) { target.status = 'dead'; return { ...out, status: 'dead' }; }
+  if (before > 0) {
+    if (target.hp === 0) { startDying(target); out.status = 'dying'; }
+    return out;
+  }
+  if (target.status !== 'dying') startDying(target);
+  target.deathSaves.failures += 1;
+  if (target.deathSaves.failures >= 3) { target.status = 'dead'; return { ...out, status: 'dead' }; }
+  return { ...out, status: 'failure' };
+}
+
+// Returns {healed, revived} or {dead: true}; any healing brings a dying or stable PC back
+export function applyHealing(target, amount) {
+  if (target.status === 'dead') return { healed: 0, dead: true };
+  const before = target.hp;
+  target.hp = Math.min(target.maxHp, before + amount);
+  const revived = !!target.status && target.hp > 0;
+  if (revived) recover(target);
+  return { healed: target.hp - before, revived };
+}
+
+// Temp HP don't stack: the higher of the old and new pool stays. Returns {tempHp, kept}
+export function grantTempHp(target, amount) {
+  const kept = (target.tempHp || 0) >= amount;
+  if (!kept) target.tempHp = amount;
+  return { tempHp: target.tempHp || 0, kept };
+}
+
+// A death save from the natural d20: 20 wakes with 1 HP, 1 counts as two failures, 10+ succeeds.
+// Three successes stabilise, three failures kill. Returns {result, successes, failures, status}
+export function deathSave(target, natural) {
+  const s = target.deathSaves;
+  let result;
+  if (natural === 20) { target.hp = 1; recover(target); return { result: 'revived', successes: 0, failures: 0, status: null }; }
+  if (natural === 1) { s.failures += 2; result = 'critical failure'; }
+  else if (natural >= 10) { s.successes += 1; result = 'success'; }
+  else { s.failures += 1; result = 'failure'; }
+  s.failures = Math.min(3, s.failures);
+  if (s.failures >= 3) target.status = 'dead';
+  else if (s.successes >= 3) target.status = 'stable';
+  return { result, successes: s.successes, failures: s.failures, status: target.status };
+}
+
+// A sheet edit keeps temp HP and the dying state from play; HP above 0 ends dying, HP set to 0 starts it
+export function carryHpState(sheet, prev) {
+  if (prev?.tempHp) sheet.tempHp = prev.tempHp;
+  if (sheet.hp > 0) return sheet;
+  if (prev?.status) { sheet.status = prev.status; if (prev.deathSaves) sheet.deathSaves = prev.deathSaves; }
+  else startDying(sheet);
+  return sheet;
+}
@@ -0,0 +1,116 @@
+// lib/conditions.js — 5e conditions and timed effects, and what they do to d20 rolls
+// A holder (character sheet, NPC combatant or bare map token) keeps conditions: [{ key, name, rounds?, until?, untilName?, by? }]
+//   rounds: whole rounds left; ticks at the end of the holder's own turn, or once per round for holders outside the order
+//   until: a combatant id; the condition ends when that combatant's turn ends
+//   by: the name of the player who applied it (players may clear only their own); none for the GM's and the rules'
+// Anything not in CONDITIONS is a custom condition: tracked and timed, but with no effect on rolls.
+
+// rolls: {check|save|attack: 'adv'|'dis' | {ABILITY: 'adv'|'dis'}}; bonus: extra dice on the roll; autoFail: saves failed outright
+export const CONDITIONS = {
+  blinded:       { name: 'Blinded',       rolls: { attack: 'dis' } },
+  charmed:       { name: 'Charmed' },
+  deafened:      { name: 'Deafened' },
+  exhaustion:    { name: 'Exhaustion',    rolls: { check: 'dis' } },
+  frightened:    { name: 'Frightened',    rolls: { check: 'dis', attack: 'dis' } },
+  grappled:      { name: 'Grappled' },
+  incapacitated: { name: 'Incapacitated' },
+  invisible:     { name: 'Invisible',     rolls: { attack: 'adv' } },
+  paralyzed:     { name: 'Paralyzed',     autoFail: ['STR','DEX'] },
+  petrified:     { name: 'Petrified',     autoFail: ['STR','DEX'] },
+  poisoned:      { name: 'Poisoned',      rolls: { check: 'dis', attack: 'dis' } },
+  prone:         { name: 'Prone',         rolls: { attack: 'dis' } },
+  restrained:    { name: 'Restrained',    rolls: { attack: 'dis', save: { DEX: 'dis' } } },
+  stunned:       { name: 'Stunned',       autoFail: ['STR','DEX'] },
+  unconscious:   { name: 'Unconscious',   autoFail: ['STR','DEX'] },
+  // Common spell and class effects
+  concentrating: { name: 'Concentrating' },
+  blessed:       { name: 'Blessed',       bonus: { attack: '+1d4', save: '+1d4' } },
+  baned:         { name: 'Baned',         bonus: { attack: '-1d4', save: '-1d4' } },
+  dodging:       { name: 'Dodging',       rolls: { save: { DEX: 'adv' } } },
+  hasted:        { name: 'Hasted',        rolls: { save: { DEX: 'adv' } } },
+  raging:        { name: 'Raging',        rolls: { check: { STR: 'adv' }, save: { STR: 'adv' } } },
+};
+
+const slug = (s) => String(s ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 24);
+
+// "pois" → poisoned; anything else becomes a custom condition. Returns {key, name} or null for an empty name.
+export function resolveCondition(word) {
+  const key = slug(word);
+  if (!key) return null;
+  const known = CONDITIONS[key] ? key : key.length >= 3 ? Object.keys(CONDITIONS).find(k => k.startsWith(key)) : null;
+  if (known) return { key: known, name: CONDITIONS[known].name };
+  return { key, name: String(word).trim().slice(0, 24) };
+}
+
+// Whether a condition changes d20 rolls at all (custom ones never do)
+export const hasRollEffects = (key) => {
+  const def = CONDITIONS[key];
+  return !!(def?.rolls || def?.bonus || def?.autoFail);
+};
+
+// The holder's conditions, plus Unconscious while a PC is dying or stable at 0 HP
+export function activeConditions(holder) {
+  const list = holder?.conditions || [];
+  if (!['dying','stable'].includes(holder?.status) || list.some(c => c.key === 'unconscious')) return list;
+  return [...list, { key: 'unconscious', name: 'Unconscious' }];
+}
+
+// Applying a condition the holder already has replaces it, so a re-cast refreshes the duration
+export function addCondition(holder, cond, { rounds, until, untilName, by } = {}) {
+  const entry = { key: cond.key, name: cond.name };
+  if (rounds > 0) entry.rounds = rounds;
+  if (until) { entry.until = until; entry.untilName = untilName; }
+  if (by) entry.by = by;
+  holder.conditions = [...(holder.conditions || []).filter(c => c.key !== cond.key), entry];
+  return entry;
+}
+// key 'all' clears everything; with by, only what that player applied. Returns the removed conditions.
+export function removeCondition(holder, key, { by } = {}) {
+  const list = holder.conditions || [];
+  const removed = list.filter(c => (key === 'all' || c.key === key) && (!by || c.by === by));
+  holder.conditions = list.filter(c => !removed.includes(c));
+  return removed;
+}
+
+// After a turn ends. endedId: the combatant whose turn it was; ownTurn: that was this holder's turn;
+// inOrder: the holder has a place in the initiative order (else its rounds tick on newRound). Returns what ran out.
+export function tickConditions(holder, { endedId, ownTurn, inOrder, newRound }) {
+  const expired = [];
+  holder.conditions = (holder.conditions || []).filter(c => {
+    if (endedId && c.until === endedId) { expired.push(c); return false; }
+    if (c.rounds && (inOrder ? ownTurn : newRound) && --c.rounds <= 0) { expired.push(c); return false; }
+    return true;
+  });
+  return expired;
+}
+
+// "poisoned (2 rounds), prone, frightened (until Pat's turn ends)"
+export const describeConditions = (list) => list.map(c => {
+  const name = c.name.toLowerCase();
+  if (c.rounds) return `${name} (${c.rounds} round${c.rounds === 1 ? '' : 's'})`;
+  if (c.untilName) return `${name} (until ${c.untilName}'s turn ends)`;
+  return name;
+}).join(', ');
+
+// Advantage and disadvantage from any number of sources cancel out to a plain roll
+export function combineModes(modes) {
+  const adv = modes.includes('adv'), dis = modes.includes('dis');
+  return adv === dis ? null : adv ? 'adv' : 'dis';
+}
+
+// What the holder's conditions do to a d20 roll. kind: check|save|attack; ability: STR…CHA.
+// Returns {modes, bonus, autoFail, reasons} with reasons like "poisoned: disadvantage" for the roll label.
+export function rollEffects(holder, kind, ability) {
+  const out = { modes: [], bonus: [], autoFail: false, reasons: [] };
+  for (const c of activeConditions(holder)) {
+    const def = CONDITIONS[c.key];
+    if (!def) continue;
+    const r = def.rolls?.[kind];
+    const mode = typeof r === 'string' ? r : r?.[ability];
+    if (mode) { out.modes.push(mode); out.reasons.push(`${c.name.toLowerCase()}: ${mode === 'adv' ? 'advantage' : 'disadvantage'}`); }
+    const bonus = def.bonus?.[kind];
+    if (bonus) { out.bonus.push(bonus); out.reasons.push(`${c.name.toLowerCase()}: ${bonus}`); }
+    if (kind === 'save' && def.autoFail?.includes(ability)) { out.autoFail = true; out.reasons.push(`${c.name.toLowerCase()}: fails ${ability} saves`); }
+  }
+  return out;
+}
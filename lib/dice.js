@@ -0,0 +1,177 @@
+// lib/dice.js — dice expression parser & roller
+// Grammar:  expr := term (('+'|'-') term)*
+//           term := number | [N]d(S|%) mod*
+//           mod  := !<cmp>?            explode (default: on max face)
+//                 | r<cmp> | ro<cmp>   reroll (repeat / once)
+//                 | kh N | kl N | k N  keep highest/lowest
+//                 | dh N | dl N | d N  drop highest/lowest
+//                 | <cmp> [f<cmp>]     count successes (minus failures)
+//           cmp  := (>=|<=|>|<|=)? N   (bare N means "= N")
+// Limits apply to the whole expression, including dice added by explosions/rerolls.
+
+export const DICE_LIMITS = { maxLength: 120, maxTerms: 20, maxDice: 100, maxSides: 1000, maxRolls: 1000 };
+
+const ALIASES = { adv: '2d20kh1', d20adv: '2d20kh1', dis: '2d20kl1', d20dis: '2d20kl1' };
+
+const rollDie = (sides) => 1 + Math.floor(Math.random() * sides);
+
+const CMP_RE = /(>=|<=|>|<|=)?(\d+)/y;
+const compare = (v, { op, n }) => (
+  op === '>=' ? v >= n : op === '<=' ? v <= n : op === '>' ? v > n : op === '<' ? v < n : v === n
+);
+const cmpText = (c) => c ? `${c.op === '=' ? '' : c.op}${c.n}` : '';
+
+// ----- Parser -----
+function parse(expr) {
+  const terms = [];
+  let i = 0;
+
+  const eat = (re) => { re.lastIndex = i; const m = re.exec(expr); if (m) i = re.lastIndex; return m; };
+  const eatCmp = (requireOp) => {
+    const m = eat(CMP_RE);
+    if (!m) return null;
+    if (requireOp && !m[1]) { i -= m[0].length; return null; }
+    return { op: m[1] || '=', n: parseInt(m[2], 10) };
+  };
+
+  while (i < expr.length) {
+    let sign = 1;
+    if (expr[i] === '+' || expr[i] === '-') { sign = expr[i] === '-' ? -1 : 1; i++; }
+    else if (terms.length) throw new Error(`Expected + or - at "${expr.slice(i)}".`);
+    const start = i;
+
+    const dm = eat(/(\d*)d(\d+|%)/y);
+    if (dm) {
+      const term = {
+        type: 'dice', sign,
+        count: dm[1] === '' ? 1 : parseInt(dm[1], 10),
+        sides: dm[2] === '%' ? 100 : parseInt(dm[2], 10),
+        explode: null, reroll: null, keep: null, success: null, failure: null,
+      };
+      if (term.count < 1) throw new Error('Need at least one die.');
+      if (term.sides < 1) throw new Error('Dice need at least one side.');
+      if (term.sides > DICE_LIMITS.maxSides) throw new Error(`Too many sides (<=${DICE_LIMITS.maxSides}).`);
+
+      for (;;) {
+        if (expr[i] === '!') {
+          if (term.explode) throw new Error('Only one explode (!) per term.');
+          i++;
+          term.explode = eatCmp(false) || { op: '=', n: term.sides };
+        } else if (expr[i] === 'r') {
+          if (term.reroll) throw new Error('Only one reroll per term.');
+          i++;
+          const once = expr[i] === 'o'; if (once) i++;
+          const c = eatCmp(false);
+          if (!c) throw new Error('Reroll needs a target, e.g. r1 or r<3.');
+          term.reroll = { ...c, once };
+        } else if (expr[i] === 'k' || (expr[i] === 'd' && /[hl\d]/.test(expr[i + 1] || ''))) {
+          if (term.keep) throw new Error('Only one keep/drop per term.');
+          const km = eat(/([kd])([hl])?(\d+)/y);
+          if (!km) throw new Error('Keep/drop needs a count, e.g. kh3 or dl1.');
+          const mode = km[1], side = km[2] || (mode === 'k' ? 'h' : 'l'), n = parseInt(km[3], 10);
+          if (n < 1 || n > term.count) throw new Error('Keep out of range.');
+          term.keep = { mode, side, n };
+        } else if (/[<>=]/.test(expr[i] || '')) {
+          if (term.success) throw new Error('Only one success target per term.');
+          term.success = eatCmp(true);
+          if (!term.success) throw new Error('Bad success target.');
+        } else if (expr[i] === 'f') {
+          if (!term.success) throw new Error('Failures (f) need a success target first, e.g. 6d10>=7f1.');
+          if (term.failure) throw new Error('Only one failure target per term.');
+          i++;
+          term.failure = eatCmp(false);
+          if (!term.failure) throw new Error('Bad failure target.');
+        } else break;
+      }
+
+      const faces = Array.from({ length: term.sides }, (_, k) => k + 1);
+      if (term.explode && faces.every(f => compare(f, term.explode))) throw new Error('That explosion would never stop.');
+      if (term.reroll && !term.reroll.once && faces.every(f => compare(f, term.reroll))) throw new Error('That reroll would never stop.');
+      term.notation = expr.slice(start, i);
+      terms.push(term);
+    } else {
+      const nm = eat(/\d+/y);
+      if (!nm) throw new Error(`Unexpected "${expr.slice(i) || 'end of expression'}".`);
+      terms.push({ type: 'number', sign, value: parseInt(nm[0], 10), notation: nm[0] });
+    }
+    if (terms.length > DICE_LIMITS.maxTerms) throw new Error(`Too many terms (<=${DICE_LIMITS.maxTerms}).`);
+  }
+  if (!terms.length) throw new Error('Empty dice expression.');
+  const dice = terms.reduce((n, t) => n + (t.type === 'dice' ? t.count : 0), 0);
+  if (dice > DICE_LIMITS.maxDice) throw new Error(`Too many dice (<=${DICE_LIMITS.maxDice} in total).`);
+  return terms;
+}
+
+// ----- Roller -----
+function rollTerm(term, budget) {
+  const roll = () => {
+    if (++budget.rolls > DICE_LIMITS.maxRolls) throw new Error(`Too many dice rolled (explosions/rerolls exceed ${DICE_LIMITS.maxRolls}).`);
+    return rollDie(term.sides);
+  };
+  // dice: [{value, rerolled?, exploded?, dropped?, success?, failure?}] — rerolled entries are history only
+  const dice = [];
+  const rollOne = () => {
+    let v = roll();
+    if (term.reroll) {
+      while (compare(v, term.reroll)) {
+        dice.push({ value: v, rerolled: true });
+        v = roll();
+        if (term.reroll.once) break;
+      }
+    }
+    const die = { value: v };
+    dice.push(die);
+    return die;
+  };
+  for (let n = 0; n < term.count; n++) {
+    let die = rollOne();
+    while (term.explode && compare(die.value, term.explode)) { die.exploded = true; die = rollOne(); }
+  }
+
+  const active = dice.filter(d => !d.rerolled);
+  if (term.keep) {
+    const order = [...active].sort((a, b) => term.keep.side === 'h' ? b.value - a.value : a.value - b.value);
+    const n = Math.min(term.keep.n, order.length);
+    const hit = new Set(order.slice(0, n));
+    // keep → everything outside the first n is dropped; drop → the first n are dropped
+    for (const d of active) if (term.keep.mode === 'k' ? !hit.has(d) : hit.has(d)) d.dropped = true;
+  }
+  const kept = active.filter(d => !d.dropped);
+
+  let subtotal;
+  if (term.success) {
+    for (const d of kept) {
+      if (compare(d.value, term.success)) d.success = true;
+      else if (term.failure && compare(d.value, term.failure)) d.failure = true;
+    }
+    subtotal = kept.filter(d => d.success).length - kept.filter(d => d.failure).length;
+  } else {
+    subtotal = kept.reduce((a, d) => a + d.value, 0);
+  }
+  return {
+    type: 'dice', notation: term.notation, sign: term.sign, count: term.count, sides: term.sides,
+    explode: cmpText(term.explode) || null, reroll: term.reroll ? `${term.reroll.once ? 'ro' : 'r'}${cmpText(term.reroll)}` : null,
+    success: cmpText(term.success) || null, failure: cmpText(term.failure) || null,
+    dice, subtotal,
+  };
+}
+
+export function rollAdvanced(exprRaw) {
+  let expr = String(exprRaw ?? '').replace(/\s+/g, '').toLowerCase();
+  if (!expr) throw new Error('Empty dice expression.');
+  if (expr.length > DICE_LIMITS.maxLength) throw new Error(`Expression too long (<=${DICE_LIMITS.maxLength} chars).`);
+  expr = ALIASES[expr] || expr;
+
+  let terms;
+  try { terms = parse(expr); }
+  catch (e) { throw new Error(`${e.message} Try d20, 1d8+2d6+3, 4d6dl1, 3d6!, 2d20r1, 6d10>=7, adv/dis.`); }
+
+  const budget = { rolls: 0 };
+  const out = terms.map(t => t.type === 'dice' ? rollTerm(t, budget) : { type: 'number', notation: t.notation, sign: t.sign, value: t.value, subtotal: t.value });
+  const diceTerms = out.filter(t => t.type === 'dice');
+  const rolls = diceTerms.flatMap(t => t.dice.filter(d => !d.rerolled).map(d => d.value));
+  const used = diceTerms.flatMap(t => t.dice.filter(d => !d.rerolled && !d.dropped).map(d => d.value));
+  const modifier = out.filter(t => t.type === 'number').reduce((a, t) => a + t.sign * t.value, 0);
+  const total = out.reduce((a, t) => a + t.sign * t.subtotal, 0);
+  return { expression: String(exprRaw), terms: out, rolls, used, modifier, total, diceRolled: budget.rolls };
+}
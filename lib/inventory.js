@@ -0,0 +1,245 @@
+// lib/inventory.js — items, equipment slots, carrying weight and coins
+// A holder (character sheet or the party stash) keeps inventory: [{ id, name, qty, weight?, equipped?, bonus? }]
+// and coins: { cp, sp, ep, gp, pp }. Items named after catalog armour, shields and weapons get their rules;
+// anything else is plain gear. bonus: a magic +N ("Longsword +1") added to AC or to attack and damage.
+// Equipped armour and shield set the sheet's AC (gearAc: true marks it); with neither equipped the AC is whatever
+// was typed in, or 10 + DEX once the last piece comes off.
+
+import { abilityMod, resolveWeapon, WEAPONS } from './character.js';
+
+export const COINS = ['cp','sp','ep','gp','pp'];
+export const COIN_NAMES = { cp: 'copper', sp: 'silver', ep: 'electrum', gp: 'gold', pp: 'platinum' };
+export const COIN_VALUES = { cp: 1, sp: 10, ep: 50, gp: 100, pp: 1000 }; // in copper
+export const INVENTORY_LIMITS = { items: 100, name: 40, qty: 9999, coins: 999999 };
+export const SLOTS = ['armor','shield','weapon'];
+
+// SRD armour. dex: the most DEX modifier that counts (null: all of it)
+export const ARMOR = {
+  'padded armor':    { ac: 11, dex: null, kind: 'light',  weight: 8 },
+  'leather armor':   { ac: 11, dex: null, kind: 'light',  weight: 10 },
+  'studded leather': { ac: 12, dex: null, kind: 'light',  weight: 13 },
+  'hide armor':      { ac: 12, dex: 2,    kind: 'medium', weight: 12 },
+  'chain shirt':     { ac: 13, dex: 2,    kind: 'medium', weight: 20 },
+  'scale mail':      { ac: 14, dex: 2,    kind: 'medium', weight: 45 },
+  'breastplate':     { ac: 14, dex: 2,    kind: 'medium', weight: 20 },
+  'half plate':      { ac: 15, dex: 2,    kind: 'medium', weight: 40 },
+  'ring mail':       { ac: 14, dex: 0,    kind: 'heavy',  weight: 40 },
+  'chain mail':      { ac: 16, dex: 0,    kind: 'heavy',  weight: 55 },
+  'splint armor':    { ac: 17, dex: 0,    kind: 'heavy',  weight: 60 },
+  'plate armor':     { ac: 18, dex: 0,    kind: 'heavy',  weight: 65 },
+};
+export const SHIELD = { ac: 2, weight: 6 };
+const WEAPON_WEIGHTS = {
+  'club': 2, 'dagger': 1, 'handaxe': 2, 'javelin': 2, 'mace': 4, 'quarterstaff': 4, 'spear': 3, 'light crossbow': 5,
+  'shortbow': 2, 'sling': 0, 'battleaxe': 4, 'greataxe': 7, 'greatsword': 6, 'longsword': 3, 'maul': 10, 'rapier': 2,
+  'scimitar': 3, 'shortsword': 2, 'warhammer': 2, 'heavy crossbow': 18, 'longbow': 2,
+};
+// Common adventuring gear, so "/give Pat 5 torches" knows what they weigh
+export const GEAR = {
+  'arrow': 0.05, 'backpack': 5, 'bedroll': 7, 'bolt': 0.075, 'crowbar': 5, 'healing potion': 0.5, 'holy symbol': 1,
+  'lantern': 2, 'oil flask': 1, 'rations': 2, 'rope': 10, 'tinderbox': 1, 'thieves tools': 1, 'torch': 1, 'waterskin': 5,
+};
+
+const norm = (s) => String(s ?? '').trim().toLowerCase().replace(/['’]/g, '').replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+const title = (s) => s.replace(/\b\w/g, c => c.toUpperCase());
+const randItemId = () => 'i_' + Math.random().toString(36).slice(2, 10);
+
+// What a name means to the rules: {slot, key, name, weight} for catalog items (plurals and "+1" allowed),
+// {slot: null, name, weight} for gear and {slot: null, name} for anything else
+export function catalogItem(name) {
+  let n = norm(name).replace(/armour/g, 'armor'), bonus = 0;
+  const pre = n.match(/^\+(\d)\s+(.+)$/), post = n.match(/^(.+?)\s+\+(\d)$/);
+  if (pre) { bonus = parseInt(pre[1], 10); n = pre[2]; }
+  else if (post) { bonus = parseInt(post[2], 10); n = post[1]; }
+  const forms = [n, n.replace(/ies$/, 'y'), n.replace(/(ch|sh|x)es$/, '$1'), n.replace(/s$/, '')];
+  const pick = (key, slot, weight) => ({ slot, key, name: title(key) + (bonus ? ` +${bonus}` : ''), weight, bonus });
+  for (const f of forms) {
+    const armor = [f, `${f} armor`, f.replace(/ armor$/, '')].find(k => ARMOR[k]);
+    if (armor) return pick(armor, 'armor', ARMOR[armor].weight);
+    if (f === 'shield') return pick('shield', 'shield', SHIELD.weight);
+    const weapon = f !== 'unarmed' && resolveWeapon(f);
+    if (weapon) return pick(weapon, 'weapon', WEAPON_WEIGHTS[weapon] ?? 0);
+    if (GEAR[f] != null) return { slot: null, key: f, name: title(f), weight: GEAR[f], bonus: 0 };
+  }
+  return { slot: null, key: null, name: String(name ?? '').trim().slice(0, INVENTORY_LIMITS.name), bonus: 0 };
+}
+
+// ===== Coins =====
+export const emptyCoins = () => Object.fromEntries(COINS.map(c => [c, 0]));
+export const coinValue = (coins) => COINS.reduce((sum, c) => sum + (coins?.[c] || 0) * COIN_VALUES[c], 0);
+// "10 gp, 5 sp" (or "no coins")
+export const formatCoins = (coins) => [...COINS].reverse().filter(c => coins?.[c]).map(c => `${coins[c]} ${c}`).join(', ') || 'no coins';
+
+// "10 gp", "5gp 3 sp", "12 gold" → {gp: 10, …}; null when the text isn't only coins
+export function parseCoins(text) {
+  const s = norm(text);
+  if (!s) return null;
+  const out = emptyCoins();
+  const re = /(\d+)\s*([a-z]+)(?:\s+(?:pieces?|coins?))?\s*(?:,|and)?\s*/gy;
+  let m, used = 0;
+  while ((m = re.exec(s))) {
+    const coin = COINS.find(c => c === m[2] || COIN_NAMES[c] === m[2]);
+    if (!coin) return null;
+    out[coin] += parseInt(m[1], 10);
+    used = re.lastIndex;
+  }
+  return used === s.length && coinValue(out) > 0 ? out : null;
+}
+
+export function addCoins(holder, coins) {
+  holder.coins = { ...emptyCoins(), ...holder.coins };
+  for (const c of COINS) holder.coins[c] = Math.min(INVENTORY_LIMITS.coins, holder.coins[c] + (coins[c] || 0));
+  return holder.coins;
+}
+
+// Pay an amount: the named coins where the holder has them, the rest of the value from their other coins,
+// smallest first, breaking a bigger coin for change (handed back without electrum). Throws when they can't afford it.
+export function takeCoins(holder, amount) {
+  const have = { ...emptyCoins(), ...holder.coins };
+  if (coinValue(have) < coinValue(amount)) throw new Error(`Not enough coin: has ${formatCoins(have)}, needs ${formatCoins(amount)}.`);
+  let owe = 0;
+  for (const c of COINS) {
+    const use = Math.min(amount[c] || 0, have[c]);
+    have[c] -= use;
+    owe += ((amount[c] || 0) - use) * COIN_VALUES[c];
+  }
+  for (const c of COINS) {
+    if (owe <= 0) break;
+    const use = Math.min(have[c], Math.ceil(owe / COIN_VALUES[c]));
+    have[c] -= use;
+    owe -= use * COIN_VALUES[c];
+  }
+  let change = -owe;
+  for (const c of ['pp','gp','sp','cp']) { const n = Math.floor(change / COIN_VALUES[c]); have[c] += n; change -= n * COIN_VALUES[c]; }
+  holder.coins = have;
+  return have;
+}
+
+// Trade n coins of one kind for another at the SRD rates; whatever doesn't divide evenly stays put.
+// "25 sp → gp" spends 20 sp for 2 gp. Returns {spent, got}
+export function exchangeCoins(holder, n, from, to) {
+  if (!COINS.includes(from) || !COINS.includes(to) || from === to) throw new Error(`Exchange between two of ${COINS.join(', ')}.`);
+  if ((holder.coins?.[from] || 0) < n) throw new Error(`Only ${holder.coins?.[from] || 0} ${from} to exchange.`);
+  const got = Math.floor(n * COIN_VALUES[from] / COIN_VALUES[to]);
+  if (!got) throw new Error(`${n} ${from} isn't worth a whole ${to}.`);
+  const spent = got * COIN_VALUES[to] / COIN_VALUES[from];
+  holder.coins = { ...emptyCoins(), ...holder.coins };
+  holder.coins[from] -= spent;
+  holder.coins[to] = Math.min(INVENTORY_LIMITS.coins, holder.coins[to] + got);
+  return { spent, got };
+}
+
+// ===== Items =====
+// "3 torches", "2x rope", "+1 longsword" → {name, qty}
+export function parseItemSpec(text) {
+  const m = String(text ?? '').trim().match(/^(\d+)\s*[x×]?\s+(.+)$/i);
+  const qty = m ? parseInt(m[1], 10) : 1;
+  const name = (m ? m[2] : String(text ?? '')).trim();
+  return name && qty > 0 ? { name, qty: Math.min(qty, INVENTORY_LIMITS.qty) } : null;
+}
+// A list like "10 gp, 3 torches, longsword" → [{coins} | {name, qty}]
+export const parseGoods = (text) => String(text ?? '').split(/\s*[,;]\s*/).filter(Boolean)
+  .map(part => { const coins = parseCoins(part); return coins ? { coins } : parseItemSpec(part); }).filter(Boolean);
+
+// By id, exact name, singular/plural or the only name starting with the word. Among same-named entries
+// the equipped one wins with equipped: true, an unequipped one otherwise.
+export function findItem(holder, word, { equipped = false } = {}) {
+  const list = [...(holder.inventory || [])].sort((a, b) => (!!b.equipped === equipped) - (!!a.equipped === equipped)), w = norm(word);
+  if (!w) return null;
+  const key = catalogItem(word).name.toLowerCase();
+  return list.find(i => i.id === word) || list.find(i => norm(i.name) === w) || list.find(i => i.name.toLowerCase() === key)
+    || (list.filter(i => norm(i.name).startsWith(w)).length === 1 ? list.find(i => norm(i.name).startsWith(w)) : null);
+}
+
+// Stacks onto an unequipped item of the same name. Returns the stack.
+export function addItem(holder, { name, qty = 1, weight }) {
+  const cat = catalogItem(name);
+  if (!cat.name) throw new Error('Name the item.');
+  holder.inventory ||= [];
+  const stack = holder.inventory.find(i => i.name.toLowerCase() === cat.name.toLowerCase() && !i.equipped);
+  if (stack) { stack.qty = Math.min(INVENTORY_LIMITS.qty, stack.qty + qty); return stack; }
+  if (holder.inventory.length >= INVENTORY_LIMITS.items) throw new Error(`Inventory is full (${INVENTORY_LIMITS.items} kinds of item).`);
+  const item = { id: randItemId(), name: cat.name, qty };
+  const w = weight ?? cat.weight;
+  if (w != null) item.weight = w;
+  if (cat.slot) item.slot = cat.slot; // for display; the catalog stays the authority (itemSlot)
+  if (cat.bonus) item.bonus = cat.bonus;
+  holder.inventory.push(item);
+  return item;
+}
+
+// Take qty of an item away (all of it by default). Returns {item, qty} with a copy of what was removed.
+export function removeItem(holder, word, qty) {
+  const item = findItem(holder, word);
+  if (!item) throw new Error(`No "${word}" in the inventory.`);
+  if (qty > item.qty) throw new Error(`Only ${item.qty} × ${item.name} to hand over.`);
+  const n = qty || item.qty;
+  item.qty -= n;
+  if (!item.qty) holder.inventory = holder.inventory.filter(i => i !== item);
+  const { equipped, ...rest } = item;
+  return { item: { ...rest, qty: n }, qty: n };
+}
+
+export const itemSlot = (item) => catalogItem(item.name).slot;
+export const equippedIn = (holder, slot) => (holder.inventory || []).find(i => i.equipped && itemSlot(i) === slot) || null;
+
+// One armour, one shield and one weapon at a time; equipping takes whatever held the slot before.
+// A two-handed weapon and a shield don't go together. Returns {item, slot, replaced}
+export function equipItem(holder, word, on = true) {
+  const item = findItem(holder, word, { equipped: !on });
+  if (!item) throw new Error(`No "${word}" in the inventory.`);
+  const slot = itemSlot(item);
+  if (!on) { delete item.equipped; return { item, slot, replaced: null }; }
+  if (!slot) throw new Error(`${item.name} isn't armour, a shield or a weapon.`);
+  const twoHanded = (i) => i && WEAPONS[catalogItem(i.name).key]?.props.includes('two-handed');
+  if (slot === 'shield' && twoHanded(equippedIn(holder, 'weapon'))) throw new Error(`Can't use a shield with a two-handed ${equippedIn(holder, 'weapon').name}.`);
+  if (slot === 'weapon' && twoHanded(item) && equippedIn(holder, 'shield')) throw new Error(`${item.name} needs both hands; unequip the shield first.`);
+  const replaced = equippedIn(holder, slot);
+  if (replaced) delete replaced.equipped;
+  // Only one of a stack goes on
+  if (item.qty > 1) {
+    item.qty -= 1;
+    const one = { ...item, id: randItemId(), qty: 1, equipped: true };
+    holder.inventory.push(one);
+    return { item: one, slot, replaced };
+  }
+  item.equipped = true;
+  return { item, slot, replaced: replaced === item ? null : replaced };
+}
+
+// AC from equipped armour (DEX capped by its kind) or 10 + DEX, plus a shield; null when neither is equipped
+export function armorClass(sheet) {
+  const armor = equippedIn(sheet, 'armor'), shield = equippedIn(sheet, 'shield');
+  if (!armor && !shield) return null;
+  const dex = abilityMod(sheet.abilities?.DEX);
+  const a = armor && ARMOR[catalogItem(armor.name).key];
+  const base = a ? a.ac + (a.dex == null ? dex : Math.min(dex, a.dex)) + (armor.bonus || 0) : 10 + dex;
+  return base + (shield ? SHIELD.ac + (shield.bonus || 0) : 0);
+}
+// Re-derive a sheet's AC after equipment or DEX changes
+export function applyEquipment(sheet) {
+  const ac = armorClass(sheet);
+  if (ac != null) { sheet.ac = ac; sheet.gearAc = true; }
+  else if (sheet.gearAc) { sheet.ac = 10 + abilityMod(sheet.abilities?.DEX); delete sheet.gearAc; }
+  return sheet;
+}
+
+// The weapon an attack uses: the named one, else the equipped one. Returns {what, magic, item} for buildCheck.
+export function attackWeapon(sheet, word) {
+  const item = word ? findItem(sheet, word, { equipped: true }) : equippedIn(sheet, 'weapon');
+  const cat = item && catalogItem(item.name);
+  if (cat?.slot === 'weapon') return { what: cat.key, magic: item.bonus || 0, item };
+  return { what: word, magic: 0, item: null };
+}
+
+// Carried weight in lb (50 coins to the pound) against STR × 15
+export function carriedLoad(sheet) {
+  const items = (sheet.inventory || []).reduce((sum, i) => sum + (i.weight || 0) * i.qty, 0);
+  const coins = COINS.reduce((sum, c) => sum + (sheet.coins?.[c] || 0), 0) / 50;
+  const weight = Math.round((items + coins) * 10) / 10, capacity = (parseInt(sheet.abilities?.STR, 10) || 10) * 15;
+  return { weight, capacity, over: weight > capacity };
+}
+
+// "Longsword +1 (equipped), 3 × Torch" for chat
+export const describeInventory = (holder) => (holder.inventory || [])
+  .map(i => `${i.qty > 1 ? `${i.qty} × ` : ''}${i.name}${i.equipped ? ' (equipped)' : ''}`).join(', ') || 'nothing';
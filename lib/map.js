@@ -0,0 +1,457 @@
+// lib/map.js — battle map rules: tile semantics, fog of war, line of sight, per-viewer map views and patches, map files
+// map = { id, name, w, h, tiles, objects, notes, tokens: {id: {id, name, x, y, color, owner, light?, hidden?}}, fog }
+// Layers: tiles[y][x] is terrain (a TILE_TYPES code), objects {cell: OBJECT_TYPES key} sit on top of it,
+//   notes {cell: text} are GM-only and never leave the server in a player's view.
+// fog = { enabled, ambient: dark|bright, explored: {user: Set<cell>}, revealed: Set<cell>, hidden: Set<cell> }
+//   cell = y * w + x. Radii (token light, darkvision) are in feet; one square is 5 ft.
+//   A player sees a cell when one of their tokens has line of sight to it and it is in bright ambient light,
+//   inside the token's own sight (darkvision, or BASE_SIGHT_FT without it) or lit by any token's light.
+//   GM-revealed cells are always visible; GM-hidden cells never are, even in line of sight.
+
+export const FOOT_PER_SQUARE = 5;
+export const BASE_SIGHT_FT = 5;
+export const AMBIENT = ['dark','bright'];
+export const LIGHT_FT_MAX = 120;
+
+// SRD races with darkvision (feet)
+export const DARKVISION = { elf: 60, 'half-elf': 60, drow: 120, dwarf: 60, gnome: 60, 'half-orc': 60, tiefling: 60 };
+
+// Terrain codes. cost: movement squares per square entered; blocks*: movement / sight; hazard: announced on entry
+export const TILE = { FLOOR: 0, WALL: 1, DOOR: 2, DOOR_OPEN: 3, DOOR_LOCKED: 4, DIFFICULT: 5, WATER: 6, PIT: 7, HAZARD: 8 };
+export const TILE_TYPES = {
+  0: { key: 'floor',       name: 'Floor',             cost: 1 },
+  1: { key: 'wall',        name: 'Wall',              blocksMove: true, blocksSight: true },
+  2: { key: 'door',        name: 'Closed door',       blocksMove: true, blocksSight: true, door: true },
+  3: { key: 'door_open',   name: 'Open door',         cost: 1, door: true },
+  4: { key: 'door_locked', name: 'Locked door',       blocksMove: true, blocksSight: true, door: true },
+  5: { key: 'difficult',   name: 'Difficult terrain', cost: 2 },
+  6: { key: 'water',       name: 'Water',             cost: 2 },
+  7: { key: 'pit',         name: 'Pit',               cost: 1, hazard: 'falls into a pit' },
+  8: { key: 'hazard',      name: 'Hazard',            cost: 1, hazard: 'enters a hazard' },
+};
+export const OBJECT_TYPES = {
+  crate:  { name: 'Crate',  blocksMove: true },
+  chest:  { name: 'Chest',  blocksMove: true },
+  statue: { name: 'Statue', blocksMove: true },
+  pillar: { name: 'Pillar', blocksMove: true, blocksSight: true },
+  rubble: { name: 'Rubble', cost: 2 },
+};
+
+export const tileAt = (map, x, y) => TILE_TYPES[map.tiles?.[y]?.[x] ?? 0] || TILE_TYPES[0];
+export const objectAt = (map, x, y) => OBJECT_TYPES[map.objects?.[y * map.w + x]] || null;
+export const blocksSight = (map, x, y) => !!(tileAt(map, x, y).blocksSight || objectAt(map, x, y)?.blocksSight);
+export const blocksMove = (map, x, y) => !!(tileAt(map, x, y).blocksMove || objectAt(map, x, y)?.blocksMove);
+// Difficult terrain doesn't stack: rubble in water still costs 2
+export const moveCost = (map, x, y) => blocksMove(map, x, y) ? Infinity : Math.max(tileAt(map, x, y).cost || 1, objectAt(map, x, y)?.cost || 1);
+
+// ===== Movement =====
+// simple: every diagonal costs 5 ft. alternate: 5/10/5 — every second diagonal costs 10 ft.
+// Difficult terrain doubles the step. Diagonals can't cut a corner past anything that blocks movement.
+export const DIAGONAL_RULES = ['simple','alternate'];
+const STEPS = [[1,0],[-1,0],[0,1],[0,-1],[1,1],[1,-1],[-1,1],[-1,-1]];
+const TIE = 1024; // distances are feet * TIE + diagonal steps, so equal-cost routes prefer straight lines
+
+// Cheapest path from `from` to `to` ({x,y}). parity carries the 5/10/5 count over from earlier moves this turn.
+// Returns { path: [{x, y, feet, parity}] (start first; feet is cumulative), feet } or null if unreachable.
+export function findPath(map, from, to, { diagonals = 'simple', parity = 0 } = {}) {
+  const { w, h } = map;
+  const inside = (x, y) => x >= 0 && y >= 0 && x < w && y < h;
+  if (!inside(to.x, to.y) || blocksMove(map, to.x, to.y)) return null;
+  const alt = diagonals === 'alternate';
+  const key = (x, y, p) => (y * w + x) * 2 + p;
+  const dist = new Map(), prev = new Map();
+  const heap = new MinHeap();
+  const start = key(from.x, from.y, alt ? parity & 1 : 0);
+  dist.set(start, 0);
+  heap.push(0, start);
+  let goal = null;
+  while (heap.size) {
+    const [d, k] = heap.pop();
+    if (d > dist.get(k)) continue;
+    const cell = k >> 1, p = k & 1, x = cell % w, y = (cell - x) / w;
+    if (x === to.x && y === to.y) { goal = k; break; }
+    for (const [dx, dy] of STEPS) {
+      const nx = x + dx, ny = y + dy;
+      if (!inside(nx, ny) || blocksMove(map, nx, ny)) continue;
+      const diag = dx && dy;
+      if (diag && (blocksMove(map, x + dx, y) || blocksMove(map, x, y + dy))) continue;
+      const step = diag && alt && p ? 10 : 5;
+      const np = diag && alt ? 1 - p : p;
+      const nk = key(nx, ny, np), nd = d + step * moveCost(map, nx, ny) * TIE + (diag ? 1 : 0);
+      if (nd < (dist.get(nk) ?? Infinity)) { dist.set(nk, nd); prev.set(nk, k); heap.push(nd, nk); }
+    }
+  }
+  if (goal === null) return null;
+  const path = [];
+  for (let k = goal; k !== undefined; k = prev.get(k)) {
+    const cell = k >> 1;
+    path.unshift({ x: cell % w, y: Math.floor(cell / w), feet: Math.floor(dist.get(k) / TIE), parity: k & 1 });
+  }
+  return { path, feet: path[path.length - 1].feet };
+}
+
+// Furthest index along a findPath result that stays within `budget` feet
+export const reachableIndex = (route, budget) => {
+  let i = 0;
+  while (i + 1 < route.path.length && route.path[i + 1].feet <= budget) i++;
+  return i;
+};
+
+class MinHeap {
+  constructor() { this.items = []; }
+  get size() { return this.items.length; }
+  push(pri, val) {
+    const a = this.items; a.push([pri, val]);
+    for (let i = a.length - 1; i > 0;) {
+      const up = (i - 1) >> 1;
+      if (a[up][0] <= a[i][0]) break;
+      [a[up], a[i]] = [a[i], a[up]]; i = up;
+    }
+  }
+  pop() {
+    const a = this.items, top = a[0], last = a.pop();
+    if (a.length) {
+      a[0] = last;
+      for (let i = 0;;) {
+        const l = 2 * i + 1, r = l + 1;
+        let m = i;
+        if (l < a.length && a[l][0] < a[m][0]) m = l;
+        if (r < a.length && a[r][0] < a[m][0]) m = r;
+        if (m === i) break;
+        [a[m], a[i]] = [a[i], a[m]]; i = m;
+      }
+    }
+    return top;
+  }
+}
+
+export const MAP_SIZE = { min: 5, max: 60 };
+const clampSize = (n, d = 20) => Math.max(MAP_SIZE.min, Math.min(MAP_SIZE.max, parseInt(n, 10) || d));
+
+export function newMap({ id = 'main', name = 'Main', w = 20, h = 20 } = {}) {
+  w = clampSize(w); h = clampSize(h);
+  return { id, name, w, h, tiles: Array.from({ length: h }, () => Array(w).fill(0)), objects: {}, notes: {}, tokens: {}, fog: defaultFog() };
+}
+// Nothing painted, placed or noted — safe to replace without asking
+export const isBlankMap = (map) => map.tiles.every(r => r.every(t => !t)) && !Object.keys(map.objects || {}).length
+  && !Object.keys(map.notes || {}).length && !Object.keys(map.tokens || {}).length;
+
+// Older saved maps predate ids, objects/notes and fog
+export function ensureMap(map) {
+  if (!map.id) map.id = 'main';
+  if (!map.name) map.name = 'Main';
+  if (!map.objects || typeof map.objects !== 'object') map.objects = {};
+  if (!map.notes || typeof map.notes !== 'object') map.notes = {};
+  ensureFog(map);
+  return map;
+}
+
+const squares = (ft) => Math.max(0, Math.floor((Number(ft) || 0) / FOOT_PER_SQUARE));
+
+export function defaultFog() {
+  return { enabled: false, ambient: 'dark', explored: {}, revealed: new Set(), hidden: new Set() };
+}
+// Older saved maps have no fog block, and decoded ones may miss fields
+export function ensureFog(map) {
+  const f = map.fog = { ...defaultFog(), ...(map.fog || {}) };
+  if (!(f.revealed instanceof Set)) f.revealed = new Set(f.revealed || []);
+  if (!(f.hidden instanceof Set)) f.hidden = new Set(f.hidden || []);
+  for (const [u, cells] of Object.entries(f.explored)) if (!(cells instanceof Set)) f.explored[u] = new Set(cells || []);
+  return f;
+}
+
+export function darkvisionFor(sheet) {
+  const dv = parseInt(sheet?.darkvision, 10);
+  if (dv > 0) return dv;
+  return DARKVISION[String(sheet?.race || '').trim().toLowerCase()] || 0;
+}
+
+// Bresenham from (x0,y0) to (x1,y1); walls between the two block sight, the target wall itself is seen
+export function lineOfSight(map, x0, y0, x1, y1) {
+  let dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0), err = dx + dy;
+  const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+  let x = x0, y = y0;
+  while (x !== x1 || y !== y1) {
+    if ((x !== x0 || y !== y0) && blocksSight(map, x, y)) return false;
+    const e2 = 2 * err;
+    if (e2 >= dy) { err += dy; x += sx; }
+    if (e2 <= dx) { err += dx; y += sy; }
+  }
+  return true;
+}
+
+// Cells within `r` squares (Euclidean) of (x,y) that it has line of sight to
+function cellsInSight(map, x, y, r) {
+  const out = [];
+  for (let cy = Math.max(0, y - r); cy <= Math.min(map.h - 1, y + r); cy++) {
+    for (let cx = Math.max(0, x - r); cx <= Math.min(map.w - 1, x + r); cx++) {
+      if ((cx - x) ** 2 + (cy - y) ** 2 > r * r) continue;
+      if (lineOfSight(map, x, y, cx, cy)) out.push(cy * map.w + cx);
+    }
+  }
+  return out;
+}
+
+// Cells lit by token light sources
+export function litCells(map) {
+  const lit = new Set();
+  for (const t of Object.values(map.tokens || {})) {
+    const r = squares(t.light);
+    if (r) for (const c of cellsInSight(map, t.x, t.y, r)) lit.add(c);
+  }
+  return lit;
+}
+
+// Sight only changes with walls, lights and the ambient light, so it is worked out once per layout:
+// map -> { key, lit, byToken: Map('x,y,range' -> cells) }, dropped as soon as the key differs
+const sightCache = new WeakMap();
+const SIGHT_CACHE_MAX = 256;
+function sightFor(map) {
+  const bright = ensureFog(map).ambient === 'bright';
+  let walls = '';
+  for (let y = 0; y < map.h; y++) for (let x = 0; x < map.w; x++) walls += blocksSight(map, x, y) ? '1' : '0';
+  const lights = bright ? '' : Object.values(map.tokens || {}).filter(t => squares(t.light)).map(t => `${t.x},${t.y},${squares(t.light)}`).sort().join(';');
+  const key = `${map.w}x${map.h}|${bright}|${lights}|${walls}`;
+  let s = sightCache.get(map);
+  if (s?.key !== key) sightCache.set(map, s = { key, lit: bright ? null : litCells(map), byToken: new Map() });
+  return s;
+}
+
+// Cells the given tokens can see right now. sheetFor(owner) supplies darkvision.
+// In bright light that is everything in line of sight; in the dark, cells within the token's own range plus lit ones.
+export function visibleCells(map, viewers, sheetFor = () => null) {
+  const fog = ensureFog(map);
+  const sight = sightFor(map);
+  const seen = new Set(fog.revealed);
+  for (const t of viewers) {
+    const own = Math.max(squares(BASE_SIGHT_FT), squares(darkvisionFor(sheetFor(t.owner))), squares(t.light));
+    const key = `${t.x},${t.y},${sight.lit ? own : '*'}`;
+    let cells = sight.byToken.get(key);
+    if (!cells) {
+      if (!sight.lit) cells = cellsInSight(map, t.x, t.y, Math.ceil(Math.hypot(map.w, map.h)));
+      else {
+        cells = cellsInSight(map, t.x, t.y, own);
+        for (const c of sight.lit) if (lineOfSight(map, t.x, t.y, c % map.w, Math.floor(c / map.w))) cells.push(c);
+      }
+      if (sight.byToken.size >= SIGHT_CACHE_MAX) sight.byToken.clear();
+      sight.byToken.set(key, cells);
+    }
+    for (const c of cells) seen.add(c);
+  }
+  for (const c of fog.hidden) seen.delete(c);
+  return seen;
+}
+
+// Players can't tell a locked door from a closed one until they try it
+const playerTile = (t) => t === TILE.DOOR_LOCKED ? TILE.DOOR : (t ?? 0);
+
+// Map as one viewer may see it. Players never get GM notes; with fog on they get unexplored tiles as null,
+// objects on explored cells only, the tokens they can see (plus their own) and `vis` rows of
+// '0' unexplored / '1' explored / '2' visible. Records what a player sees in fog.explored, so call it once per emit.
+export function mapViewFor(map, { gm = false, user = null, sheetFor } = {}) {
+  const fog = ensureMap(map).fog;
+  const fogInfo = { enabled: fog.enabled, ambient: fog.ambient };
+  if (gm) return { id: map.id, name: map.name, w: map.w, h: map.h, tiles: map.tiles, objects: map.objects, notes: map.notes, tokens: map.tokens, fog: { ...fogInfo, revealed: [...fog.revealed], hidden: [...fog.hidden] } };
+  const shown = Object.values(map.tokens || {}).filter(t => !t.hidden || t.owner === user);
+  if (!fog.enabled) {
+    const tiles = map.tiles.map(row => row.map(playerTile));
+    return { id: map.id, name: map.name, w: map.w, h: map.h, tiles, objects: map.objects, tokens: Object.fromEntries(shown.map(t => [t.id, t])), fog: fogInfo };
+  }
+
+  const mine = Object.values(map.tokens || {}).filter(t => t.owner === user);
+  const seen = visibleCells(map, mine, sheetFor);
+  const explored = fog.explored[user] = fog.explored[user] || new Set();
+  for (const c of seen) explored.add(c);
+  for (const c of fog.hidden) explored.delete(c);
+
+  const tiles = [], vis = [];
+  for (let y = 0; y < map.h; y++) {
+    const row = [];
+    let v = '';
+    for (let x = 0; x < map.w; x++) {
+      const c = y * map.w + x;
+      v += seen.has(c) ? '2' : explored.has(c) ? '1' : '0';
+      row.push(v[x] === '0' ? null : playerTile(map.tiles[y]?.[x]));
+    }
+    tiles.push(row); vis.push(v);
+  }
+  const tokens = Object.fromEntries(shown.filter(t => t.owner === user || seen.has(t.y * map.w + t.x)).map(t => [t.id, t]));
+  const objects = Object.fromEntries(Object.entries(map.objects).filter(([c]) => explored.has(Number(c))));
+  return { id: map.id, name: map.name, w: map.w, h: map.h, tiles, objects, tokens, fog: fogInfo, vis };
+}
+
+// ===== Sync: what changed between two views of the same map, as patch ops =====
+// null means the view has to be sent whole (another map, a resize, fog switched on or off for this viewer,
+// or a change touching most of the grid). Otherwise a list of ops, empty when nothing changed:
+//   {op:'tile', x, y, t, v?}       terrain of one cell; under fog also its visibility ('0'|'1'|'2')
+//   {op:'object'|'note', c, val}   object / GM note at cell c; val null removes it
+//   {op:'token', token}            a token appeared or changed; {op:'token_move', id, x, y} when it only moved
+//   {op:'token_remove', id}        gone, or out of sight
+//   {op:'meta', name, fog}         map name and fog settings
+export function diffMapView(prev, next) {
+  if (!prev || prev.id !== next.id || prev.w !== next.w || prev.h !== next.h || !prev.vis !== !next.vis) return null;
+  const ops = [];
+  for (let y = 0; y < next.h; y++) {
+    for (let x = 0; x < next.w; x++) {
+      const t = next.tiles[y][x], v = next.vis?.[y][x];
+      if (prev.tiles[y][x] !== t || prev.vis?.[y][x] !== v) ops.push(v === undefined ? { op: 'tile', x, y, t } : { op: 'tile', x, y, t, v });
+    }
+  }
+  for (const [layer, op] of [['objects', 'object'], ['notes', 'note']]) {
+    const a = prev[layer] || {}, b = next[layer] || {};
+    for (const c of new Set([...Object.keys(a), ...Object.keys(b)])) if (a[c] !== b[c]) ops.push({ op, c: Number(c), val: b[c] ?? null });
+  }
+  const was = prev.tokens || {}, now = next.tokens || {};
+  for (const id of Object.keys(was)) if (!now[id]) ops.push({ op: 'token_remove', id });
+  for (const [id, t] of Object.entries(now)) {
+    const json = JSON.stringify(t);
+    if (was[id] && JSON.stringify(was[id]) === json) continue;
+    if (was[id] && JSON.stringify({ ...was[id], x: t.x, y: t.y }) === json) ops.push({ op: 'token_move', id, x: t.x, y: t.y });
+    else ops.push({ op: 'token', token: t });
+  }
+  if (prev.name !== next.name || JSON.stringify(prev.fog) !== JSON.stringify(next.fog)) ops.push({ op: 'meta', name: next.name, fog: next.fog });
+  return ops.length > next.w * next.h / 2 ? null : ops;
+}
+
+// Open/close the door at (x,y). Players can't open locked doors and need a token next to it;
+// the GM can toggle any door (a locked one unlocks to closed). Returns {tile, was} or {error}.
+export function toggleDoor(map, x, y, { gm = false, user = null } = {}) {
+  const t = map.tiles?.[y]?.[x];
+  if (!TILE_TYPES[t]?.door) return { error: 'That is not a door.' };
+  if (!gm) {
+    const near = Object.values(map.tokens || {}).some(k => k.owner === user && Math.max(Math.abs(k.x - x), Math.abs(k.y - y)) <= 1);
+    if (!near) return { error: 'Move one of your tokens next to the door first.' };
+    if (t === TILE.DOOR_LOCKED) return { error: 'The door is locked.' };
+  }
+  if (t === TILE.DOOR_OPEN && Object.values(map.tokens || {}).some(k => k.x === x && k.y === y)) return { error: 'Something is standing in the doorway.' };
+  map.tiles[y][x] = t === TILE.DOOR ? TILE.DOOR_OPEN : TILE.DOOR;
+  return { tile: map.tiles[y][x], was: t };
+}
+
+// GM fog brush over a rectangle. mode: reveal (always visible) | hide (never visible) | clear (back to line of sight)
+export function setFogRegion(map, { x0, y0, x1, y1, mode }) {
+  const fog = ensureFog(map);
+  const [ax, bx] = [Math.min(x0, x1), Math.max(x0, x1)], [ay, by] = [Math.min(y0, y1), Math.max(y0, y1)];
+  let n = 0;
+  for (let y = Math.max(0, ay); y <= Math.min(map.h - 1, by); y++) {
+    for (let x = Math.max(0, ax); x <= Math.min(map.w - 1, bx); x++) {
+      const c = y * map.w + x;
+      fog.revealed.delete(c); fog.hidden.delete(c);
+      if (mode === 'reveal') fog.revealed.add(c);
+      else if (mode === 'hide') fog.hidden.add(c);
+      n++;
+    }
+  }
+  return n;
+}
+
+// ===== Map files =====
+// JSON: { id?, name?, w, h, tiles, objects?, notes?, tokens? } — mapTemplate() output, or a campaign's `maps` entry.
+// ASCII: one text row per map row, then optionally a blank line and a legend, one token per line:
+//   #######        # wall   . floor   + door   / open door   = locked door
+//   #..G..#        : difficult   ~ water   % pit   ! hazard
+//   #.+...#        A–Z / a–z: a token standing on floor (objects and notes are JSON-only)
+//   #######
+//
+//   G = Goblin #16a34a
+export const ASCII_TILES = { '.': 0, ' ': 0, '#': 1, '+': 2, '/': 3, '=': 4, ':': 5, '~': 6, '%': 7, '!': 8 };
+const TILE_CHARS = Object.fromEntries(Object.entries(ASCII_TILES).filter(([ch]) => ch !== ' ').map(([ch, t]) => [t, ch]));
+const TOKEN_LETTER = /^[A-Za-z]$/;
+const HEX_COLOR = /^#[0-9a-f]{3,8}$/i;
+const str = (v, n) => String(v ?? '').replace(/[\u0000-\u001f\u007f]/g, '').trim().slice(0, n);
+
+// Reusable copy of a map for files and campaigns: no fog progress, no player ownership
+export function mapTemplate(map) {
+  const tokens = Object.values(map.tokens || {}).map(({ owner, ...t }) => t);
+  return {
+    id: map.id, name: map.name, w: map.w, h: map.h,
+    tiles: map.tiles, objects: { ...map.objects }, notes: { ...map.notes },
+    tokens: Object.fromEntries(tokens.map(t => [t.id, t])),
+  };
+}
+
+// Parse either format into a fresh map. Returns { map, errors } (map is null when unusable).
+export function parseMapText(text, { name } = {}) {
+  const src = String(text ?? '');
+  if (/^\s*[{[]/.test(src)) {
+    try { return mapFromJson(JSON.parse(src), { name }); }
+    catch (e) { return { map: null, errors: [`Invalid JSON: ${e.message}`] }; }
+  }
+  return parseAsciiMap(src, { name });
+}
+
+export function parseAsciiMap(text, { name, legend = {}, id } = {}) {
+  const errors = [];
+  const lines = String(text ?? '').replace(/\r/g, '').split('\n');
+  while (lines.length && !lines[0].trim()) lines.shift();
+  const gap = lines.findIndex(l => !l.trim());
+  const rows = gap < 0 ? lines : lines.slice(0, gap);
+  const keyed = { ...legend };
+  for (const [i, line] of (gap < 0 ? [] : lines.slice(gap + 1)).entries()) {
+    if (!line.trim()) continue;
+    const m = line.match(/^\s*([A-Za-z])\s*[=:]\s*(.*?)\s*(#[0-9a-f]{3,8})?\s*$/i);
+    if (!m) { errors.push(`Legend line ${gap + i + 2}: expected "X = Name #color".`); continue; }
+    keyed[m[1]] = { name: m[2] || m[1], color: m[3] };
+  }
+  if (!rows.length) return { map: null, errors: ['The map has no rows.'] };
+  const h = rows.length, w = Math.max(...rows.map(r => r.length));
+  if (w > MAP_SIZE.max || h > MAP_SIZE.max) return { map: null, errors: [`Maps can be at most ${MAP_SIZE.max}×${MAP_SIZE.max} (this one is ${w}×${h}).`] };
+  const map = newMap({ id: id || 'main', name: str(name, 60) || 'Imported map', w: Math.max(w, MAP_SIZE.min), h: Math.max(h, MAP_SIZE.min) });
+  rows.forEach((row, y) => [...row].forEach((ch, x) => {
+    if (ch in ASCII_TILES) { map.tiles[y][x] = ASCII_TILES[ch]; return; }
+    if (!TOKEN_LETTER.test(ch)) { errors.push(`Row ${y + 1}, column ${x + 1}: unknown character "${ch}".`); return; }
+    const info = keyed[ch] || {};
+    const tid = `tok_${ch}${map.tokens[`tok_${ch}`] ? `_${x}_${y}` : ''}`;
+    map.tokens[tid] = { id: tid, name: str(info.name, 24) || ch, x, y, color: HEX_COLOR.test(info.color || '') ? info.color : '#222', owner: null, light: 0 };
+  }));
+  return { map, errors };
+}
+
+export function mapToAscii(map) {
+  const letters = new Map(); // token id -> letter
+  const used = new Set();
+  for (const t of Object.values(map.tokens || {})) {
+    const first = str(t.name, 24)[0] || '';
+    const pick = [first.toUpperCase(), first.toLowerCase(), ...'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz']
+      .find(c => TOKEN_LETTER.test(c) && !used.has(c));
+    if (!pick) break; // more than 52 tokens: the rest only survive JSON export
+    used.add(pick); letters.set(t.id, pick);
+  }
+  const at = new Map(Object.values(map.tokens || {}).filter(t => letters.has(t.id)).map(t => [t.y * map.w + t.x, letters.get(t.id)]));
+  const rows = map.tiles.map((row, y) => row.map((t, x) => at.get(y * map.w + x) || TILE_CHARS[t] || '.').join(''));
+  const legend = Object.values(map.tokens || {}).filter(t => letters.has(t.id)).map(t => `${letters.get(t.id)} = ${t.name}${t.color ? ` ${t.color}` : ''}`);
+  return rows.join('\n') + (legend.length ? `\n\n${legend.join('\n')}` : '') + '\n';
+}
+
+export function mapFromJson(json, { name } = {}) {
+  const errors = [];
+  if (!json || typeof json !== 'object' || Array.isArray(json)) return { map: null, errors: ['A map must be a JSON object.'] };
+  if (json.ascii != null) {
+    const text = Array.isArray(json.ascii) ? json.ascii.join('\n') : String(json.ascii);
+    return parseAsciiMap(text, { name: json.name || name, legend: json.legend || {}, id: json.id });
+  }
+  const h = Array.isArray(json.tiles) ? json.tiles.length : 0;
+  const w = h ? Math.max(...json.tiles.map(r => Array.isArray(r) ? r.length : 0)) : 0;
+  if (!h || !w) return { map: null, errors: ['A map needs a `tiles` grid or an `ascii` drawing.'] };
+  if (w > MAP_SIZE.max || h > MAP_SIZE.max) return { map: null, errors: [`Maps can be at most ${MAP_SIZE.max}×${MAP_SIZE.max} (this one is ${w}×${h}).`] };
+  const map = newMap({ id: str(json.id, 40) || 'main', name: str(json.name || name, 60) || 'Imported map', w: Math.max(w, MAP_SIZE.min), h: Math.max(h, MAP_SIZE.min) });
+  json.tiles.forEach((row, y) => (Array.isArray(row) ? row : []).forEach((t, x) => {
+    if (TILE_TYPES[t]) map.tiles[y][x] = t;
+    else if (t) errors.push(`tiles[${y}][${x}]: unknown tile ${JSON.stringify(t)}.`);
+  }));
+  const cellOk = (c) => Number.isInteger(+c) && +c >= 0 && +c < map.w * map.h;
+  for (const [c, kind] of Object.entries(json.objects || {})) {
+    if (cellOk(c) && OBJECT_TYPES[kind]) map.objects[c] = kind; else errors.push(`objects[${c}]: unknown object or cell.`);
+  }
+  for (const [c, text] of Object.entries(json.notes || {})) if (cellOk(c) && str(text, 200)) map.notes[c] = str(text, 200);
+  for (const t of Object.values(json.tokens || {})) {
+    const x = parseInt(t?.x, 10), y = parseInt(t?.y, 10);
+    if (!(x >= 0 && y >= 0 && x < map.w && y < map.h)) { errors.push(`Token "${str(t?.name, 24)}" is off the map.`); continue; }
+    const id = str(t.id, 40) || `tok_${Object.keys(map.tokens).length + 1}`;
+    map.tokens[id] = {
+      id, name: str(t.name, 24) || '?', x, y, color: HEX_COLOR.test(t.color || '') ? t.color : '#222', owner: null,
+      light: Math.max(0, Math.min(LIGHT_FT_MAX, parseInt(t.light, 10) || 0)), ...(t.hidden ? { hidden: true } : {}),
+    };
+  }
+  return { map, errors };
+}
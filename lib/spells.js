@@ -0,0 +1,281 @@
+// lib/spells.js — spell data, caster classes, spell slots, casting rolls and concentration
+// spell = { key, name, level: 0-9 (0: cantrip), school?, classes: [class], castingTime?, range?, duration?,
+//           concentration?, attack?: 'melee'|'ranged', save?: STR…CHA, halfOnSave?, damage?: '8d6', type?, heal?: '1d8',
+//           addMod?: adds the casting modifier to damage/healing, upcast?: '1d6' more per slot level above, description? }
+// Spell files are a JSON array of spells or { spells: [...] }, like bestiary files.
+// A sheet keeps spells: [{ key, prepared? }] (cantrips and known or spellbook spells) and slotsUsed: { slotLevel: n }.
+// Concentration is the 'concentrating' condition (see lib/conditions.js), named after the spell.
+
+import { ABILITIES, abilityMod, d20, profBonus } from './character.js';
+import { resolveDamageType } from './combat.js';
+import { rollAdvanced } from './dice.js';
+
+export const SPELL_LIMITS = { name: 40, description: 2000, spells: 1000, known: 60 };
+
+// prepares: picks its castable spells each day from those it knows (cleric, druid, wizard, paladin)
+export const CASTERS = {
+  bard:     { ability: 'CHA', progression: 'full', prepares: false },
+  cleric:   { ability: 'WIS', progression: 'full', prepares: true },
+  druid:    { ability: 'WIS', progression: 'full', prepares: true },
+  sorcerer: { ability: 'CHA', progression: 'full', prepares: false },
+  wizard:   { ability: 'INT', progression: 'full', prepares: true },
+  paladin:  { ability: 'CHA', progression: 'half', prepares: true },
+  ranger:   { ability: 'WIS', progression: 'half', prepares: false },
+  warlock:  { ability: 'CHA', progression: 'pact', prepares: false },
+};
+// Slots per spell level (1st…9th) for a full caster of each level; half casters use half their level, rounded up
+const FULL_SLOTS = [
+  [2], [3], [4,2], [4,3], [4,3,2], [4,3,3], [4,3,3,1], [4,3,3,2], [4,3,3,3,1], [4,3,3,3,2],
+  [4,3,3,3,2,1], [4,3,3,3,2,1], [4,3,3,3,2,1,1], [4,3,3,3,2,1,1], [4,3,3,3,2,1,1,1], [4,3,3,3,2,1,1,1],
+  [4,3,3,3,2,1,1,1,1], [4,3,3,3,3,1,1,1,1], [4,3,3,3,3,2,1,1,1], [4,3,3,3,3,2,2,1,1],
+];
+// Warlock pact magic: [slots, slot level] by warlock level; all slots are cast at that level and come back on a short rest
+const PACT_SLOTS = [
+  [1,1], [2,1], [2,2], [2,2], [2,3], [2,3], [2,4], [2,4], [2,5], [2,5],
+  [3,5], [3,5], [3,5], [3,5], [3,5], [3,5], [4,5], [4,5], [4,5], [4,5],
+];
+
+const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+const norm = (s) => String(s ?? '').trim().toLowerCase().replace(/['’]/g, '').replace(/[_-]+/g, ' ').replace(/\s+/g, ' ');
+const signed = (n) => n >= 0 ? `+${n}` : `${n}`;
+const clampLevel = (level) => Math.max(1, Math.min(20, parseInt(level, 10) || 1));
+export const spellKey = (s) => String(s ?? '').trim().toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+export const ordinal = (n) => n === 0 ? 'cantrip' : `${n}${n === 1 ? 'st' : n === 2 ? 'nd' : n === 3 ? 'rd' : 'th'}`;
+
+const diceOk = (expr) => { try { rollAdvanced(String(expr)); return true; } catch { return false; } };
+
+// One spell. Returns {spell, errors, warnings}; spell is null when it can't be used at all.
+export function validateSpell(raw, where = 'spell') {
+  const errors = [], warnings = [];
+  const err = (msg) => errors.push({ where, msg });
+  const warn = (msg) => warnings.push({ where, msg });
+  if (!isObj(raw)) { err('Spell must be an object.'); return { spell: null, errors, warnings }; }
+  const name = str(raw.name, SPELL_LIMITS.name);
+  if (!name) { err('Missing "name".'); return { spell: null, errors, warnings }; }
+  where = `spell ${name}`;
+
+  const level = Number(raw.level);
+  if (!(Number.isInteger(level) && level >= 0 && level <= 9)) err('"level" must be 0 (cantrip) to 9.');
+  const classes = (Array.isArray(raw.classes) ? raw.classes : []).map(norm);
+  if (!Array.isArray(raw.classes)) err('"classes" must be an array like ["wizard", "sorcerer"].');
+  classes.filter(c => !CASTERS[c]).forEach(c => warn(`Unknown class "${c}".`));
+  if (raw.attack != null && !['melee','ranged'].includes(raw.attack)) err('"attack" must be "melee" or "ranged".');
+  const save = raw.save == null ? null : ABILITIES.find(a => a === String(raw.save).toUpperCase());
+  if (raw.save != null && !save) err('"save" must be an ability like "DEX".');
+  if (raw.attack != null && save) warn('Has both "attack" and "save"; the attack is rolled.');
+  for (const k of ['damage','heal','upcast']) if (raw[k] != null && !diceOk(raw[k])) err(`"${k}" must be dice like "2d6".`);
+  const type = raw.type == null ? null : resolveDamageType(raw.type);
+  if (raw.type != null && !type) warn(`Unknown damage type "${raw.type}".`);
+  if (raw.upcast != null && level === 0) warn('Cantrips scale with character level; "upcast" is ignored.');
+
+  const spell = {
+    key: spellKey(raw.key || name), name, level, classes: classes.filter(c => CASTERS[c]),
+    ...Object.fromEntries(['school','castingTime','range','duration'].filter(k => raw[k]).map(k => [k, str(raw[k], 60)])),
+    ...(raw.concentration ? { concentration: true } : {}),
+    ...(raw.attack ? { attack: raw.attack } : {}),
+    ...(save ? { save } : {}),
+    ...(save && raw.halfOnSave ? { halfOnSave: true } : {}),
+    ...Object.fromEntries(['damage','heal','upcast'].filter(k => raw[k] != null).map(k => [k, str(raw[k], 40)])),
+    ...(type ? { type } : {}),
+    ...(raw.addMod ? { addMod: true } : {}),
+    ...(raw.description ? { description: str(raw.description, SPELL_LIMITS.description) } : {}),
+  };
+  return { spell: errors.length ? null : spell, errors, warnings };
+}
+
+// A spell file. Returns {spells: {key: spell}, errors, warnings}; bad spells are skipped.
+export function validateSpellList(json, where = 'file') {
+  const list = Array.isArray(json) ? json : isObj(json) && Array.isArray(json.spells) ? json.spells : null;
+  if (!list) return { spells: {}, errors: [{ where, msg: 'Spell file must be an array of spells or {"spells": [...]}.' }], warnings: [] };
+  const spells = {}, errors = [], warnings = [];
+  list.slice(0, SPELL_LIMITS.spells).forEach((raw, i) => {
+    const r = validateSpell(raw, `spells[${i}]`);
+    errors.push(...r.errors); warnings.push(...r.warnings);
+    if (!r.spell) return;
+    if (spells[r.spell.key]) { errors.push({ where: `spell ${r.spell.name}`, msg: `Duplicate key "${r.spell.key}".` }); return; }
+    spells[r.spell.key] = r.spell;
+  });
+  if (list.length > SPELL_LIMITS.spells) warnings.push({ where, msg: `Only the first ${SPELL_LIMITS.spells} spells are kept.` });
+  return { spells, errors, warnings };
+}
+
+// "magic miss" → magic missile; exact key or name first, then the only one starting with the words
+export function findSpell(spells, word) {
+  const key = spellKey(word);
+  if (!key) return null;
+  if (spells[key]) return spells[key];
+  const prefixed = Object.values(spells).filter(s => s.key.startsWith(key));
+  return prefixed.length === 1 ? prefixed[0] : null;
+}
+
+// The spellcasting class from the sheet's class ("Wizard 3", "Cleric") or its archetype preset; null for non-casters
+export function casterOf(sheet) {
+  const words = `${norm(sheet?.class)} ${norm(sheet?.archetype)}`.split(' ');
+  const cls = Object.keys(CASTERS).find(c => words.includes(c));
+  return cls ? { cls, ...CASTERS[cls] } : null;
+}
+
+// { slotLevel: max } for the sheet's class and level; pact: the warlock slot level (else null)
+export function spellSlots(sheet) {
+  const caster = casterOf(sheet), level = clampLevel(sheet?.level);
+  if (!caster) return { max: {}, pact: null };
+  if (caster.progression === 'pact') { const [n, at] = PACT_SLOTS[level - 1]; return { max: { [at]: n }, pact: at }; }
+  const casterLevel = caster.progression === 'half' ? (level < 2 ? 0 : Math.ceil(level / 2)) : level;
+  const row = casterLevel ? FULL_SLOTS[casterLevel - 1] : [];
+  return { max: Object.fromEntries(row.map((n, i) => [i + 1, n])), pact: null };
+}
+export const slotsLeft = (sheet, level) => (spellSlots(sheet).max[level] || 0) - (sheet.slotsUsed?.[level] || 0);
+
+// Casting modifier + level for prepared casters (half the level for paladins), at least one
+export function maxPrepared(sheet) {
+  const caster = casterOf(sheet);
+  if (!caster?.prepares) return null;
+  const level = clampLevel(sheet.level);
+  return Math.max(1, abilityMod(sheet.abilities?.[caster.ability]) + (caster.progression === 'half' ? Math.floor(level / 2) : level));
+}
+
+// A cantrip, a spell of a class that knows its spells, or a prepared one
+export const castable = (sheet, spell, entry) => spell.level === 0 || !casterOf(sheet)?.prepares || !!entry?.prepared;
+
+// Derived spellcasting for the sheet view: null for non-casters. spells resolves keys against the loaded spell data.
+export function spellcastingFor(sheet, spells = {}) {
+  const caster = casterOf(sheet);
+  if (!caster) return null;
+  const mod = abilityMod(sheet.abilities?.[caster.ability]), prof = profBonus(sheet.level);
+  const { max, pact } = spellSlots(sheet);
+  const list = (sheet.spells || []).map(e => {
+    const s = spells[e.key];
+    return s ? { key: s.key, name: s.name, level: s.level, prepared: !!e.prepared, castable: castable(sheet, s, e), concentration: !!s.concentration }
+      : { key: e.key, name: e.key, level: null, prepared: !!e.prepared, castable: false, missing: true };
+  }).sort((a, b) => (a.level ?? 99) - (b.level ?? 99) || a.name.localeCompare(b.name));
+  return {
+    class: caster.cls, ability: caster.ability, dc: 8 + prof + mod, attack: prof + mod, pact,
+    slots: Object.entries(max).map(([level, n]) => ({ level: Number(level), max: n, used: Math.min(n, sheet.slotsUsed?.[level] || 0) })),
+    prepares: caster.prepares, maxPrepared: maxPrepared(sheet), prepared: list.filter(s => s.prepared).length,
+    spells: list,
+    concentration: concentratingOn(sheet),
+  };
+}
+
+// Add a spell to the sheet's list. Players only learn their class's spells of a level they have slots for;
+// gm skips both checks. Returns the entry.
+export function learnSpell(sheet, spell, { gm = false } = {}) {
+  const caster = casterOf(sheet);
+  if (!caster) throw new Error(`${sheet.name} has no spellcasting class. Set a class like Wizard or Cleric.`);
+  sheet.spells ||= [];
+  if (sheet.spells.some(e => e.key === spell.key)) throw new Error(`${sheet.name} already knows ${spell.name}.`);
+  if (sheet.spells.length >= SPELL_LIMITS.known) throw new Error(`${sheet.name} knows ${SPELL_LIMITS.known} spells already.`);
+  if (!gm) {
+    if (spell.classes.length && !spell.classes.includes(caster.cls)) throw new Error(`${spell.name} isn't a ${caster.cls} spell.`);
+    const top = Math.max(0, ...Object.keys(spellSlots(sheet).max).map(Number));
+    if (spell.level > top) throw new Error(`${sheet.name} has no ${ordinal(spell.level)}-level slots yet.`);
+  }
+  const entry = { key: spell.key };
+  sheet.spells.push(entry);
+  return entry;
+}
+export function forgetSpell(sheet, spell) {
+  const before = (sheet.spells || []).length;
+  sheet.spells = (sheet.spells || []).filter(e => e.key !== spell.key);
+  if (sheet.spells.length === before) throw new Error(`${sheet.name} doesn't know ${spell.name}.`);
+}
+// Prepared casters only, up to maxPrepared (cantrips don't count)
+export function prepareSpell(sheet, spell, on = true) {
+  const caster = casterOf(sheet);
+  if (!caster?.prepares) throw new Error(`${caster ? `A ${caster.cls}` : sheet.name} doesn't prepare spells; known spells are always ready.`);
+  if (!spell.level) throw new Error('Cantrips are always ready.');
+  const entry = (sheet.spells || []).find(e => e.key === spell.key);
+  if (!entry) throw new Error(`${sheet.name} doesn't know ${spell.name}.`);
+  if (!on) { delete entry.prepared; return entry; }
+  const count = sheet.spells.filter(e => e.prepared && e !== entry).length, limit = maxPrepared(sheet);
+  if (count >= limit) throw new Error(`${sheet.name} can prepare ${limit} spells; unprepare one first.`);
+  entry.prepared = true;
+  return entry;
+}
+
+// Spend the slot for a cast. level: the slot level asked for (default: the spell's own; warlocks always use their
+// pact level). Returns the slot level, 0 for a cantrip. Throws when the spell isn't ready or no slot is left.
+export function spendSlot(sheet, spell, level) {
+  const caster = casterOf(sheet);
+  if (!caster) throw new Error(`${sheet.name} can't cast spells.`);
+  const entry = (sheet.spells || []).find(e => e.key === spell.key);
+  if (!entry) throw new Error(`${sheet.name} doesn't know ${spell.name}.`);
+  if (!castable(sheet, spell, entry)) throw new Error(`${spell.name} isn't prepared.`);
+  if (!spell.level) return 0;
+  const { max, pact } = spellSlots(sheet);
+  const at = pact || level || spell.level;
+  if (at < spell.level) throw new Error(`${spell.name} needs at least a ${ordinal(spell.level)}-level slot.`);
+  if (pact && level && level !== pact) throw new Error(`Pact slots are all ${ordinal(pact)} level.`);
+  if (!max[at]) throw new Error(`${sheet.name} has no ${ordinal(at)}-level slots.`);
+  if (slotsLeft(sheet, at) <= 0) throw new Error(`${sheet.name} has no ${ordinal(at)}-level slots left.`);
+  sheet.slotsUsed = { ...sheet.slotsUsed, [at]: (sheet.slotsUsed?.[at] || 0) + 1 };
+  return at;
+}
+// kind: 'long' restores every slot, 'short' only pact slots. Returns whether anything came back.
+export function recoverSlots(sheet, kind) {
+  const used = Object.values(sheet.slotsUsed || {}).some(Boolean);
+  if (!used) return false;
+  const { pact } = spellSlots(sheet);
+  if (kind === 'long') { sheet.slotsUsed = {}; return true; }
+  if (!pact || !sheet.slotsUsed[pact]) return false;
+  sheet.slotsUsed = { ...sheet.slotsUsed, [pact]: 0 };
+  return true;
+}
+
+const DICE_RE = /^(\d*)d(\d+)([+-]\d+)?$/i;
+// Cantrip damage grows at character levels 5, 11 and 17
+export const cantripTier = (level) => { const l = clampLevel(level); return l >= 17 ? 4 : l >= 11 ? 3 : l >= 5 ? 2 : 1; };
+const timesDice = (expr, k) => String(expr).replace(/(\d*)d(\d+)/gi, (_, n, s) => `${(parseInt(n || '1', 10)) * k}d${s}`);
+// Damage or healing dice for a cast at slotLevel: cantrips scaled, upcast dice added, the casting modifier if addMod
+export function spellDice(spell, expr, { slotLevel, charLevel, mod }) {
+  let out = spell.level === 0 ? timesDice(expr, cantripTier(charLevel)) : String(expr);
+  const extra = spell.level > 0 && spell.upcast ? slotLevel - spell.level : 0;
+  if (extra > 0) {
+    // "3d4+3" upcast by two levels of "1d4+1" → "5d4+5"; anything else is appended as is
+    const a = out.match(DICE_RE), b = String(spell.upcast).match(DICE_RE);
+    if (a && b && a[2] === b[2]) {
+      const n = (parseInt(a[1] || '1', 10)) + (parseInt(b[1] || '1', 10)) * extra, flat = (+a[3] || 0) + (+b[3] || 0) * extra;
+      out = `${n}d${a[2]}${flat ? signed(flat) : ''}`;
+    } else out = `${out}+${Array(extra).fill(spell.upcast).join('+')}`;
+  }
+  return spell.addMod && mod ? `${out}${signed(mod)}` : out;
+}
+
+// What a cast rolls. Returns {attack?: buildCheck-like check with damage, dc?, damage?, heal?} with expressions ready for the roller.
+export function castRolls(sheet, spell, slotLevel, mode) {
+  const caster = casterOf(sheet);
+  const mod = abilityMod(sheet.abilities?.[caster.ability]), prof = profBonus(sheet.level), who = sheet.name;
+  const opts = { slotLevel, charLevel: sheet.level, mod };
+  const at = slotLevel > spell.level ? ` (${ordinal(slotLevel)} level)` : '';
+  const damage = spell.damage && {
+    label: `${who}: ${spell.name} damage${at}${spell.type ? ` (${spell.type})` : ''}`, type: spell.type || null, expression: spellDice(spell, spell.damage, opts),
+  };
+  const heal = spell.heal && { label: `${who}: ${spell.name} healing${at}`, expression: spellDice(spell, spell.heal, opts) };
+  if (spell.attack) {
+    const bonus = prof + mod;
+    return {
+      attack: { kind: 'attack', bonus, mode: mode || null, label: `${who}: ${spell.name} (${spell.attack} spell attack)`, expression: `${d20(mode)}${signed(bonus)}`, ...(damage ? { damage } : {}) },
+      ...(heal ? { heal } : {}),
+    };
+  }
+  return { ...(spell.save ? { dc: 8 + prof + mod } : {}), ...(damage ? { damage } : {}), ...(heal ? { heal } : {}) };
+}
+
+// "1 minute" → 10 rounds, "10 minutes" → 100, "1 hour" → 600; null when it isn't a timed duration
+export function durationRounds(text) {
+  const m = norm(text).match(/(\d+)\s*(round|minute|hour)/);
+  if (!m) return null;
+  return parseInt(m[1], 10) * { round: 1, minute: 10, hour: 600 }[m[2]];
+}
+export const concentrationCondition = (spell) => ({ key: 'concentrating', name: `Concentrating on ${spell.name}` });
+// The spell name, or null when the holder isn't concentrating
+export const concentratingOn = (holder) => {
+  const c = (holder?.conditions || []).find(c => c.key === 'concentrating');
+  return c ? c.name.replace(/^Concentrating on /, '') : null;
+};
+// Keeping concentration after damage: a CON save against half the damage taken, at least 10
+export const concentrationDc = (taken) => Math.max(10, Math.floor(taken / 2));
+
+// For the client's spell picker
+export const spellSummary = (s) => ({ key: s.key, name: s.name, level: s.level, classes: s.classes, concentration: !!s.concentration, ...(s.description ? { description: s.description } : {}) });
@@ -0,0 +1,116 @@
+// lib/store.js — pluggable persistence (memory | JSON files | Mongo)
+// Every store exposes the same small document API, keyed by (collection, key):
+//   init(), get(col, key), put(col, key, doc), del(col, key), all(col) -> [{key, doc}], close()
+// Docs are plain JSON; use encode()/decode() to carry Map, Set and Date values through.
+
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+// ===== Tagged JSON for Map / Set / Date =====
+export function encode(value) {
+  if (value instanceof Map) return { __map: [...value.entries()].map(([k, v]) => [k, encode(v)]) };
+  if (value instanceof Set) return { __set: [...value].map(encode) };
+  if (value instanceof Date) return { __date: value.toISOString() };
+  if (Array.isArray(value)) return value.map(encode);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) if (v !== undefined) out[k] = encode(v);
+    return out;
+  }
+  return value;
+}
+export function decode(value) {
+  if (Array.isArray(value)) return value.map(decode);
+  if (value && typeof value === 'object') {
+    if (Array.isArray(value.__map)) return new Map(value.__map.map(([k, v]) => [k, decode(v)]));
+    if (Array.isArray(value.__set)) return new Set(value.__set.map(decode));
+    if (typeof value.__date === 'string') return new Date(value.__date);
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = decode(v);
+    return out;
+  }
+  return value;
+}
+
+// ===== In-memory (default; nothing survives a restart) =====
+export function createMemoryStore() {
+  const cols = new Map();
+  const col = (c) => { if (!cols.has(c)) cols.set(c, new Map()); return cols.get(c); };
+  const copy = (doc) => doc == null ? null : JSON.parse(JSON.stringify(doc));
+  return {
+    kind: 'memory',
+    async init() {},
+    async get(c, key) { return copy(col(c).get(key)); },
+    async put(c, key, doc) { col(c).set(key, copy(doc)); },
+    async del(c, key) { col(c).delete(key); },
+    async all(c) { return [...col(c).entries()].map(([key, doc]) => ({ key, doc: copy(doc) })); },
+    async close() {},
+  };
+}
+
+// ===== Local JSON files: <dir>/<collection>/<key>.json =====
+export function createFileStore(dir) {
+  const colDir = (c) => path.join(dir, encodeURIComponent(c));
+  const file = (c, key) => path.join(colDir(c), `${encodeURIComponent(key)}.json`);
+  return {
+    kind: 'file',
+    async init() { await fsp.mkdir(dir, { recursive: true }); },
+    async get(c, key) {
+      try { return JSON.parse(await fsp.readFile(file(c, key), 'utf8')); }
+      catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+    },
+    async put(c, key, doc) {
+      await fsp.mkdir(colDir(c), { recursive: true });
+      const target = file(c, key), tmp = `${target}.${process.pid}.tmp`;
+      await fsp.writeFile(tmp, JSON.stringify(doc));
+      await fsp.rename(tmp, target); // atomic replace, no half-written files on crash
+    },
+    async del(c, key) { await fsp.rm(file(c, key), { force: true }); },
+    async all(c) {
+      if (!fs.existsSync(colDir(c))) return [];
+      const out = [];
+      for (const f of await fsp.readdir(colDir(c))) {
+        if (!f.endsWith('.json')) continue;
+        try { out.push({ key: decodeURIComponent(f.slice(0, -5)), doc: JSON.parse(await fsp.readFile(path.join(colDir(c), f), 'utf8')) }); }
+        catch (e) { console.error(`Skipping unreadable ${c}/${f}:`, e.message); }
+      }
+      return out;
+    },
+    async close() {},
+  };
+}
+
+// ===== MongoDB: one collection per store collection, {_id: key, data: doc} =====
+export function createMongoStore(uri, dbName = 'dnd') {
+  let client = null, db = null;
+  return {
+    kind: 'mongo',
+    async init() {
+      const { MongoClient } = await import('mongodb');
+      client = new MongoClient(uri, { ignoreUndefined: true });
+      await client.connect();
+      db = client.db(dbName);
+    },
+    async get(c, key) { return (await db.collection(c).findOne({ _id: key }))?.data ?? null; },
+    async put(c, key, doc) { await db.collection(c).updateOne({ _id: key }, { $set: { data: doc, updatedAt: new Date() } }, { upsert: true }); },
+    async del(c, key) { await db.collection(c).deleteOne({ _id: key }); },
+    async all(c) {
+      const docs = await db.collection(c).find({ data: { $exists: true } }).toArray();
+      return docs.map(d => ({ key: d._id, doc: d.data }));
+    },
+    async close() { await client?.close(); },
+  };
+}
+
+// STORE=memory|file|mongo; defaults to mongo when MONGODB_URI is set, otherwise memory
+export function createStore(env = process.env, baseDir = process.cwd()) {
+  const kind = (env.STORE || (env.MONGODB_URI ? 'mongo' : 'memory')).toLowerCase();
+  if (kind === 'mongo') {
+    if (!env.MONGODB_URI) throw new Error('STORE=mongo needs MONGODB_URI.');
+    return createMongoStore(env.MONGODB_URI, env.MONGODB_DB || 'dnd');
+  }
+  if (kind === 'file') return createFileStore(path.resolve(baseDir, env.DATA_DIR || 'data'));
+  if (kind === 'memory') return createMemoryStore();
+  throw new Error(`Unknown STORE "${kind}" (use memory, file or mongo).`);
+}
@@ -0,0 +1,134 @@
+// lib/vault.js — portable characters: versioned character files, the personal vault, and checks against a lobby's rules
+// file  = { format: 'dnd-lobby-character', version: 1, exportedAt, character: sheet }
+// vault = { characters: { key: { sheet, savedAt, lobby? } } } — one per user identity (store collection 'vault')
+// Only what belongs to the character travels; lobby state (conditions, dying, temp HP) stays behind.
+
+import {
+  ABILITIES, ABILITY_METHOD_NAMES, RACES, XP_LEVELS, abilityMod, applyRace, averageMaxHp, checkAbilities, hitDieFor, raceName,
+} from './character.js';
+import { COINS, INVENTORY_LIMITS, addItem, applyEquipment, equipItem } from './inventory.js';
+import { SPELL_LIMITS, casterOf, maxPrepared, ordinal, spellKey, spellSlots } from './spells.js';
+
+export const CHARACTER_FILE = { format: 'dnd-lobby-character', version: 1 };
+export const VAULT_LIMITS = { characters: 20, file: 200000 };
+const PORTABLE_FIELDS = [
+  'name','class','archetype','race','level','xp','ac','maxHp','hp','speed','profs','traits','notes','resist','vulnerable','immune',
+  'baseAbilities','inventory','coins','spells','slotsUsed',
+];
+
+const isObj = (v) => v && typeof v === 'object' && !Array.isArray(v);
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+const int = (v, min, max, dflt) => { const n = parseInt(v, 10); return Number.isFinite(n) ? Math.max(min, Math.min(max, n)) : dflt; };
+export const vaultKey = (name) => String(name ?? '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
+
+// The parts of a sheet that travel with the character
+export const portableSheet = (sheet) => structuredClone(Object.fromEntries(PORTABLE_FIELDS.filter(k => sheet[k] != null).map(k => [k, sheet[k]])));
+export const exportCharacter = (sheet) => ({ ...CHARACTER_FILE, exportedAt: new Date().toISOString(), character: portableSheet(sheet) });
+
+// A clean sheet from anything shaped like one, within the same limits as character_upsert. Items go back through the
+// catalogue so slots, weights and bonuses are the server's. Returns {sheet, warnings}.
+export function readSheet(raw) {
+  const warnings = [];
+  const ab = isObj(raw.baseAbilities) ? raw.baseAbilities : isObj(raw.abilities) ? raw.abilities : {};
+  if (!isObj(raw.baseAbilities) && isObj(raw.abilities)) warnings.push('No "baseAbilities": the scores are read as base scores before racial modifiers.');
+  const baseAbilities = Object.fromEntries(ABILITIES.map(a => [a, int(ab[a], 1, 30, 8)]));
+  const race = raceName(raw.race) || str(raw.race, 20);
+  const sheet = {
+    name: str(raw.name, 24), archetype: str(raw.archetype, 20), race, class: str(raw.class, 24),
+    level: int(raw.level, 1, 20, 1), xp: int(raw.xp, 0, 355000, 0),
+    ac: int(raw.ac, 1, 30, 10), speed: int(raw.speed, 0, 120, 30),
+    profs: str(raw.profs, 200), traits: str(raw.traits, 800), notes: str(raw.notes, 2000),
+    resist: str(raw.resist, 120), vulnerable: str(raw.vulnerable, 120), immune: str(raw.immune, 120),
+    baseAbilities, abilities: applyRace(baseAbilities, race),
+  };
+  sheet.maxHp = int(raw.maxHp, 1, 1000, averageMaxHp(sheet));
+  sheet.hp = int(raw.hp, 0, sheet.maxHp, sheet.maxHp);
+
+  sheet.inventory = [];
+  for (const i of (Array.isArray(raw.inventory) ? raw.inventory : []).slice(0, INVENTORY_LIMITS.items)) {
+    const name = isObj(i) ? str(i.name, INVENTORY_LIMITS.name) : '';
+    if (!name) continue;
+    const added = addItem(sheet, { name, qty: int(i.qty, 1, INVENTORY_LIMITS.qty, 1), weight: typeof i.weight === 'number' && i.weight >= 0 ? i.weight : undefined });
+    if (!i.equipped) continue;
+    try { equipItem(sheet, added.name); } catch (e) { warnings.push(`${added.name} isn't equipped: ${e.message}`); }
+  }
+  sheet.coins = Object.fromEntries(COINS.map(c => [c, int(raw.coins?.[c], 0, INVENTORY_LIMITS.coins, 0)]));
+  applyEquipment(sheet);
+
+  const keys = new Set();
+  sheet.spells = (Array.isArray(raw.spells) ? raw.spells : []).flatMap(e => {
+    const key = spellKey(isObj(e) ? e.key : e);
+    if (!key || keys.has(key) || keys.size >= SPELL_LIMITS.known) return [];
+    keys.add(key);
+    return [{ key, ...(e?.prepared ? { prepared: true } : {}) }];
+  });
+  const used = Object.entries(isObj(raw.slotsUsed) ? raw.slotsUsed : {}).filter(([l, n]) => /^[1-9]$/.test(l) && int(n, 0, 4, 0));
+  if (used.length) sheet.slotsUsed = Object.fromEntries(used.map(([l, n]) => [l, int(n, 0, 4, 0)]));
+  return { sheet, warnings };
+}
+
+// A character file's text (or parsed JSON). Bare sheets without the wrapper are read too, with a warning.
+// Returns {sheet, errors, warnings}; sheet is null when there are errors.
+export function parseCharacterFile(input) {
+  const fail = (msg) => ({ sheet: null, errors: [msg], warnings: [] });
+  let json = input;
+  if (typeof input === 'string') {
+    if (input.length > VAULT_LIMITS.file) return fail('Character file too large.');
+    try { json = JSON.parse(input); } catch (e) { return fail(`Invalid JSON: ${e.message}`); }
+  }
+  if (!isObj(json)) return fail('A character file is a JSON object.');
+  const warnings = [];
+  let raw = json;
+  if (json.format === CHARACTER_FILE.format) {
+    if (!(Number.isInteger(json.version) && json.version >= 1)) return fail('Missing "version".');
+    if (json.version > CHARACTER_FILE.version) return fail(`This file is version ${json.version}; this server reads up to version ${CHARACTER_FILE.version}.`);
+    raw = json.character;
+  } else if (json.format != null) {
+    return fail(`Not a character file (format "${str(json.format, 40)}").`);
+  } else {
+    warnings.push('No "format" or "version": read as a bare sheet.');
+  }
+  if (!isObj(raw)) return fail('Missing "character".');
+  if (!str(raw.name, 24)) return fail('The character needs a "name".');
+  const r = readSheet(raw);
+  return { sheet: r.sheet, errors: [], warnings: [...warnings, ...r.warnings] };
+}
+
+// Where a sheet brought in from elsewhere breaks a lobby's rules for player-made characters (see character_upsert).
+// rules: {abilityMethod, spells: the lobby's spell data}. Returns a list of problems; empty when it fits.
+export function lobbyProblems(sheet, { abilityMethod, spells = {} }) {
+  const out = [];
+  if (abilityMethod === 'rolled') out.push(`Ability scores can't be checked: this lobby uses ${ABILITY_METHOD_NAMES.rolled}.`);
+  else {
+    const problem = checkAbilities(sheet.baseAbilities, abilityMethod);
+    if (problem) out.push(`Ability scores don't follow ${ABILITY_METHOD_NAMES[abilityMethod]}: ${problem}`);
+  }
+  if (!raceName(sheet.race)) out.push(`Race "${sheet.race || '(none)'}" isn't one of ${Object.keys(RACES).join(', ')}.`);
+  if (sheet.level > 1) {
+    const xpNeeded = XP_LEVELS[sheet.level - 1];
+    out.push(`Level ${sheet.level}: player characters here start at level 1 and level up through XP` + ((sheet.xp || 0) < xpNeeded ? ` (${sheet.xp || 0} XP; level ${sheet.level} needs ${xpNeeded}).` : '.'));
+  }
+  const hpCap = sheet.level * Math.max(1, hitDieFor(sheet) + abilityMod(sheet.abilities?.CON));
+  if (sheet.maxHp > hpCap) out.push(`Max HP ${sheet.maxHp} is more than the hit dice allow at level ${sheet.level} (${hpCap}).`);
+
+  const caster = casterOf(sheet), top = Math.max(0, ...Object.keys(spellSlots(sheet).max).map(Number));
+  if (sheet.spells?.length && !caster) out.push(`Knows ${sheet.spells.length} spell(s) but has no spellcasting class.`);
+  const unknown = [];
+  for (const e of sheet.spells || []) {
+    const s = spells[e.key];
+    if (!s) { unknown.push(e.key); continue; }
+    if (!caster) continue;
+    if (s.classes.length && !s.classes.includes(caster.cls)) out.push(`${s.name} isn't a ${caster.cls} spell.`);
+    else if (s.level > top) out.push(`${s.name} needs ${ordinal(s.level)}-level slots.`);
+  }
+  if (unknown.length) out.push(`Not in this lobby's spell data: ${unknown.join(', ')}.`);
+  const prepared = (sheet.spells || []).filter(e => e.prepared).length, limit = maxPrepared(sheet);
+  if (limit != null && prepared > limit) out.push(`${prepared} spells prepared; the limit is ${limit}.`);
+  return out;
+}
+
+// For the client's vault list
+export const vaultSummary = (key, entry) => ({
+  key, name: entry.sheet.name, race: entry.sheet.race || '', class: entry.sheet.class || entry.sheet.archetype || '',
+  level: entry.sheet.level || 1, savedAt: entry.savedAt, lobby: entry.lobby || null,
+});
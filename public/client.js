@@ -9,13 +9,17 @@
 const socket = io();
 
 /* ---------------- Global state ---------------- */
-let CURRENT_USER = null; // set on 'identified'
+let CURRENT_USER = null; // set on 'identified', then to your name in the lobby on 'joined'
+let CURRENT_LOBBY = null;
 let IS_GM = false;       // updated from server
 let LOCAL_OVERRIDE_STARTED = false; // if true (GM), ignore false coming from server
+let LOBBY_USERS = [];    // names in the lobby, from 'state'
 let CAMPAIGN = {
   started: false,
   currentSceneId: null,
-  pendingChoice: null,
+  vote: null,       // live tally of the pending choice vote
+  proposals: [],    // player suggestions waiting for the GM
+  sceneCheck: null, // skill check gating the accepted choice
   gm: ''
 };
 
@@ -64,37 +68,34 @@ async function injectCampaignPicker() {
       <strong>Load Campaign</strong>
       <select id="campaignSelect" class="w-30"><option>Loading…</option></select>
       <button id="campaignLoadBtn" class="btn">Load</button>
+      <button id="campaignExport" class="btn ghost" title="Download as JSON">Export</button>
+      <label class="btn ghost" title="Import a campaign JSON file (needs the admin token)">Import<input type="file" id="campaignImport" accept="application/json,.json" hidden></label>
+      <input id="campaignAdminToken" type="password" autocomplete="off" placeholder="Admin token (import / save as)" />
       <label class="toggle" style="margin-left:auto">
         <input type="checkbox" id="unlockChoicesChk">
         <span class="small">Unlock Choices (GM override)</span>
       </label>
     </div>
     <div id="campaignPreview" class="small muted" style="margin-top:6px;"></div>
+    <div id="campaignIssues" class="small" style="margin-top:6px;"></div>
   `;
   tab.prepend(wrap);
 
-  // fetch list
-  try {
-    const res = await fetch('/campaigns', { headers:{ 'accept':'application/json' } });
-    const list = await res.json();
-    const sel = $('campaignSelect');
-    sel.innerHTML = list.map(c => `<option value="${c.key}">${escapeHtml(c.title)}</option>`).join('') || '<option>(none found)</option>';
-
-    const preview = $('campaignPreview');
-    const renderPrev = () => {
-      const cur = list.find(x => x.key === sel.value);
-      preview.textContent = cur ? cur.summary : '';
-    };
-    sel.addEventListener('change', renderPrev);
-    renderPrev();
-
-    $('campaignLoadBtn').addEventListener('click', ()=>{
-      log('GM: loading campaign…', 'sys');
-      socket.emit('campaign_load', { key: sel.value });
-    });
-  } catch (e) {
-    console.error(e);
-  }
+  $('campaignLoadBtn').addEventListener('click', ()=>{
+    log('GM: loading campaign…', 'sys');
+    socket.emit('campaign_load', { key: $('campaignSelect').value });
+  });
+  $('campaignSelect').addEventListener('change', renderCampaignPickerPreview);
+  $('campaignExport').addEventListener('click', ()=>{
+    if (!CAMPAIGN_LIST.some(c => c.key === $('campaignSelect').value)) return;
+    pendingExport = $('campaignSelect').value;
+    socket.emit('campaign_upload_token');
+  });
+  $('campaignImport').addEventListener('change', (e)=>{
+    const file = e.target.files?.[0]; e.target.value = '';
+    if (file) importCampaignFile(file);
+  });
+  await refreshCampaignPicker();
 
   // GM override checkbox
   const chk = $('unlockChoicesChk');
@@ -115,6 +116,71 @@ async function injectCampaignPicker() {
   });
 }
 
+let CAMPAIGN_LIST = [];
+function renderCampaignPickerPreview(){
+  const sel = $('campaignSelect'), preview = $('campaignPreview'); if (!sel || !preview) return;
+  const cur = CAMPAIGN_LIST.find(x => x.key === sel.value);
+  preview.textContent = cur ? cur.summary : '';
+  renderCampaignIssues(cur);
+}
+async function refreshCampaignPicker(){
+  const sel = $('campaignSelect'); if (!sel) return;
+  try {
+    const res = await fetch('/campaigns', { headers:{ 'accept':'application/json' } });
+    CAMPAIGN_LIST = await res.json();
+    const keep = sel.value;
+    const badge = (c) => c.errors ? ` ⛔ ${c.errors}` : c.warnings ? ` ⚠ ${c.warnings}` : '';
+    sel.innerHTML = CAMPAIGN_LIST.map(c => `<option value="${c.key}">${escapeHtml(c.title)}${badge(c)}</option>`).join('') || '<option>(none found)</option>';
+    if (CAMPAIGN_LIST.some(c => c.key === keep)) sel.value = keep;
+    renderCampaignPickerPreview();
+  } catch (e) {
+    console.error(e);
+  }
+}
+// Export needs a one-shot token from the server (GM only); writing to the registry needs the server's admin token
+let pendingExport = null;
+socket.on('campaign_upload_token', ({ token })=>{
+  if (!pendingExport || !token) return;
+  const key = pendingExport; pendingExport = null;
+  window.location.href = `/campaigns/${encodeURIComponent(key)}/export?token=${encodeURIComponent(token)}`;
+});
+async function importCampaignFile(file){
+  const token = $('campaignAdminToken')?.value.trim();
+  if (!token) { log('Importing a campaign needs the admin token.', 'sys'); return; }
+  try {
+    const key = file.name.replace(/\.json$/i, '');
+    const res = await fetch(`/campaigns/import?key=${encodeURIComponent(key)}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', 'authorization': `Bearer ${token}` },
+      body: await file.text(),
+    });
+    const out = await res.json();
+    if (!res.ok) throw new Error(out.error || ('HTTP '+res.status));
+    log(`Imported campaign <strong>${escapeHtml(out.key)}</strong>${out.warnings?.length ? ` (${out.warnings.length} warning(s))` : ''}.`, 'sys');
+  } catch (e) {
+    log(`Import failed: ${escapeHtml(String(e.message||e))}`, 'sys');
+  }
+}
+socket.on('campaigns_changed', ()=> { if (IS_GM) refreshCampaignPicker(); });
+
+// Validator report for the selected campaign (errors first, warnings folded away)
+async function renderCampaignIssues(cur){
+  const box = $('campaignIssues'); if (!box) return;
+  box.innerHTML = '';
+  if (!cur || (!cur.errors && !cur.warnings)) return;
+  try {
+    const res = await fetch(`/campaigns/${encodeURIComponent(cur.key)}/validate`, { headers:{ 'accept':'application/json' } });
+    if (!res.ok) throw new Error('HTTP '+res.status);
+    const r = await res.json();
+    const item = (i) => `<li><code>${escapeHtml(i.where)}</code> ${escapeHtml(i.msg)}</li>`;
+    box.innerHTML =
+      (r.errors.length ? `<div style="color:#b91c1c"><strong>${r.errors.length} error(s)</strong><ul>${r.errors.map(item).join('')}</ul></div>` : '') +
+      (r.warnings.length ? `<details><summary>${r.warnings.length} warning(s)</summary><ul>${r.warnings.map(item).join('')}</ul></details>` : '');
+  } catch (e) {
+    box.textContent = `Could not load validation report: ${e.message || e}`;
+  }
+}
+
 /* ---------------- Tiny UI Kit: modal ---------------- */
 function ensureLayer() {
   let layer = $('modal-layer');
@@ -170,12 +236,18 @@ function makeBtn(text, opts={}) {
 }
 
 /* ---------------- Lobby actions ---------------- */
+// The session token resumes the same user (GM status, sheet, tokens, macros) after a reload or reconnect.
+// With an account password the join waits for the sign-in; see 'identified'.
+let PENDING_JOIN = null;
 $('joinBtn')?.addEventListener('click', ()=>{
   const name = $('name')?.value.trim() || 'Anon';
   const lobby = $('lobby')?.value.trim() || 'tavern';
   const password = $('password')?.value.trim() || '';
-  socket.emit('identify', { name });
-  socket.emit('join_lobby', { lobby, password });
+  const accountPass = $('accountPass')?.value || '';
+  const token = localStorage.getItem('session') || undefined;
+  PENDING_JOIN = { lobby, password };
+  if (accountPass && !CURRENT_LOBBY) socket.emit('account_login', { name, password: accountPass, token });
+  else socket.emit('identify', { name, token });
 });
 
 $('listBtn')?.addEventListener('click', async ()=>{
@@ -210,64 +282,341 @@ $('rollBtn')?.addEventListener('click', ()=>{
   socket.emit('roll', { expression });
 });
 
+// Sheet-driven checks / saves / attacks
+const CHECK_OPTIONS = {
+  check:  ['STR','DEX','CON','INT','WIS','CHA','Acrobatics','Animal Handling','Arcana','Athletics','Deception','History','Insight','Intimidation',
+           'Investigation','Medicine','Nature','Perception','Performance','Persuasion','Religion','Sleight of Hand','Stealth','Survival'],
+  save:   ['STR','DEX','CON','INT','WIS','CHA'],
+  attack: ['Unarmed','Club','Dagger','Handaxe','Javelin','Mace','Quarterstaff','Spear','Light Crossbow','Shortbow','Sling','Battleaxe',
+           'Greataxe','Greatsword','Longsword','Maul','Rapier','Scimitar','Shortsword','Warhammer','Heavy Crossbow','Longbow'],
+};
+const fillCheckOptions = ()=>{
+  const list = $('chkWhatList'); if (!list) return;
+  list.innerHTML = (CHECK_OPTIONS[$('chkKind')?.value] || []).map(o => `<option value="${escapeHtml(o)}">`).join('');
+};
+$('chkKind')?.addEventListener('change', fillCheckOptions);
+fillCheckOptions();
+$('chkBtn')?.addEventListener('click', ()=>{
+  const kind = $('chkKind')?.value || 'check';
+  const what = $('chkWhat')?.value.trim() || (kind === 'attack' ? 'unarmed' : '');
+  if (!what) return;
+  socket.emit('roll_check', { kind, what, mode: $('chkMode')?.value || '' });
+});
+
+// Macro bar: personal macros plus the ones the GM shared with the lobby
+let MACROS = { mine: {}, shared: {} };
+function renderMacroBar(){
+  const bar = $('macroBar'); if (!bar) return;
+  bar.innerHTML = '';
+  const shareWrap = $('macroShareWrap'); if (shareWrap) shareWrap.style.display = IS_GM ? '' : 'none';
+  const entries = [
+    ...Object.entries(MACROS.mine || {}).map(([name, body]) => ({ name, body, shared: false })),
+    ...Object.entries(MACROS.shared || {}).filter(([name]) => !(name in (MACROS.mine || {}))).map(([name, body]) => ({ name, body, shared: true })),
+  ];
+  if (!entries.length) { bar.innerHTML = '<span class="small muted">No macros yet.</span>'; return; }
+  entries.forEach(({ name, body, shared })=>{
+    const b = makeBtn(shared ? `★ ${name}` : name, { ghost: shared });
+    b.title = body + (shared ? '\n(shared by GM)' : '');
+    b.addEventListener('click', ()=> socket.emit('macro_run', { name }));
+    b.addEventListener('contextmenu', (e)=>{
+      e.preventDefault();
+      if ($('macroName')) $('macroName').value = name;
+      if ($('macroBody')) $('macroBody').value = body.split(';;').map(l => l.trim()).join('\n');
+      if ($('macroShare')) $('macroShare').checked = name in (MACROS.shared || {});
+    });
+    bar.appendChild(b);
+  });
+}
+$('macroSave')?.addEventListener('click', ()=>{
+  const name = $('macroName')?.value.trim(); const body = $('macroBody')?.value || '';
+  if (!name || !body.trim()) return;
+  socket.emit('macro_save', IS_GM ? { name, body, shared: !!$('macroShare')?.checked } : { name, body });
+});
+$('macroDelete')?.addEventListener('click', ()=>{
+  const name = $('macroName')?.value.trim(); if (!name) return;
+  socket.emit('macro_delete', { name });
+  if (IS_GM && name in (MACROS.shared || {})) socket.emit('macro_publish', { name, shared: false });
+});
+
 function renderChat({ user, text, ts }) {
   const when = ts ? new Date(ts).toLocaleTimeString() : '';
   log(`<span class="chat"><strong>${escapeHtml(user)}:</strong> ${linkify(escapeHtml(text))} <small>${when}</small></span>`);
 }
-function renderRoll({ user, expression, rolls, used, modifier, total, ts }) {
+function renderDie(d){
+  const cls = ['die'];
+  if (d.rerolled) cls.push('rerolled');
+  if (d.dropped) cls.push('dropped');
+  if (d.exploded) cls.push('exploded');
+  if (d.success) cls.push('success');
+  if (d.failure) cls.push('failure');
+  const title = d.rerolled ? 'rerolled' : d.dropped ? 'dropped' : d.exploded ? 'exploded' : '';
+  return `<span class="${cls.join(' ')}"${title ? ` title="${title}"` : ''}>${d.value}${d.exploded ? '!' : ''}</span>`;
+}
+function renderTerms(terms){
+  return terms.map((t, i)=>{
+    const sign = t.sign < 0 ? '− ' : (i ? '+ ' : '');
+    if (t.type !== 'dice') return `${sign}${t.value}`;
+    const unit = t.success ? ` (${t.subtotal} success${Math.abs(t.subtotal)===1 ? '' : 'es'})` : ` = ${t.subtotal}`;
+    return `${sign}<code>${escapeHtml(t.notation)}</code> [${t.dice.map(renderDie).join(', ')}]${unit}`;
+  }).join(' ');
+}
+function renderRoll({ user, label, expression, terms, rolls, used, modifier, total, natural, ts }) {
   const when = ts ? new Date(ts).toLocaleTimeString() : '';
   const modStr = modifier ? (modifier > 0 ? `+${modifier}` : `${modifier}`) : '';
-  log(`<div class="roll"><strong>${escapeHtml(user)}</strong> rolled <code>${escapeHtml(expression)}</code> → <strong>${total}</strong> <small>${when}</small><br/>Rolls: [${(rolls||[]).join(', ')}] • Used: [${(used||[]).join(', ')}] ${modStr}</div>`, 'roll');
+  const detail = Array.isArray(terms) && terms.length
+    ? renderTerms(terms)
+    : `Rolls: [${(rolls||[]).join(', ')}] • Used: [${(used||[]).join(', ')}] ${modStr}`;
+  const what = label ? `<em>${escapeHtml(label)}</em> <code>${escapeHtml(expression)}</code>` : `<code>${escapeHtml(expression)}</code>`;
+  const nat = natural === 20 ? ' <span class="chip">nat 20</span>' : natural === 1 ? ' <span class="chip">nat 1</span>' : '';
+  log(`<div class="roll"><strong>${escapeHtml(user)}</strong> rolled ${what} → <strong>${total}</strong>${nat} <small>${when}</small><br/>${detail}</div>`, 'roll');
 }
 
-/* ---------------- Characters (point buy + table) ---------------- */
-const PRESETS = {
-  Warrior: { STR:15, DEX:10, CON:14, INT:8, WIS:10, CHA:10, traits:'Martial prowess, Second Wind' },
-  Rogue:   { STR:8,  DEX:15, CON:12, INT:10, WIS:10, CHA:12, traits:'Sneak Attack, Cunning Action' },
-  Wizard:  { STR:8,  DEX:12, CON:12, INT:15, WIS:12, CHA:8, traits:'Spellbook, Arcane Recovery' },
-  Cleric:  { STR:10, DEX:10, CON:14, INT:8, WIS:15, CHA:10, traits:'Channel Divinity, Divine Domain' },
-};
-const RACE_MODS = {
-  Human:   { STR:1, DEX:1, CON:1, INT:1, WIS:1, CHA:1, speed:30, note:'Versatile' },
-  Elf:     { DEX:2, INT:1, speed:30, note:'Darkvision, Keen Senses' },
-  Dwarf:   { CON:2, WIS:1, speed:25, note:'Dwarven Resilience' },
-  Halfling:{ DEX:2, CHA:1, speed:25, note:'Lucky, Brave' },
-};
+/* ---------------- Characters (ability scores + table) ---------------- */
+// Point costs, presets, races and the lobby's ability method come from the server, which enforces them on save
 const AB_IDS = ['STR','DEX','CON','INT','WIS','CHA'];
-const cost = (score) => {
-  if (score < 8) return 0;
-  if (score <= 13) return score - 8;
-  if (score === 14) return 9;
-  if (score === 15) return 11;
-  return 999;
-};
-const totalCost = () => AB_IDS.reduce((sum,id)=> sum + cost(parseInt($('ab_'+id)?.value||8,10)), 0);
+let RULES = null, ABILITY_METHOD = 'pointbuy', MY_ROLLS = null;
+socket.on('character_rules', (rules)=>{ RULES = rules; updatePoints(); });
+socket.on('ability_rolls', (rolls)=>{ MY_ROLLS = rolls; updatePoints(); });
+const cost = (score) => RULES?.pointBuy.costs[score] ?? Infinity;
+const signedNum = (n) => (n >= 0 ? `+${n}` : `${n}`);
+// "Points left: 3", "Assign 15, 14, 13, 12, 10, 8"… for the base scores being edited; bad when the server would refuse them
+function abilityStatus(scores){
+  if (!RULES) return { text: '', bad: false };
+  const list = AB_IDS.map(id => scores[id]);
+  const same = (want) => JSON.stringify([...list].sort()) === JSON.stringify([...want].sort());
+  if (ABILITY_METHOD === 'pointbuy') {
+    const left = RULES.pointBuy.budget - list.reduce((sum, s) => sum + cost(s), 0);
+    return { text: Number.isFinite(left) ? `Points left: ${left}` : `Scores ${RULES.pointBuy.min}–${RULES.pointBuy.max} only`, bad: !(left >= 0) };
+  }
+  if (ABILITY_METHOD === 'standard') return { text: `Assign ${RULES.standardArray.join(', ')}`, bad: !same(RULES.standardArray) };
+  if (ABILITY_METHOD === 'rolled') return MY_ROLLS ? { text: `Assign your rolls: ${MY_ROLLS.join(', ')}`, bad: !same(MY_ROLLS) } : { text: 'Roll your scores first', bad: true };
+  return { text: 'Any scores', bad: false };
+}
+const formScores = () => Object.fromEntries(AB_IDS.map(id => [id, parseInt($('ab_'+id)?.value||8,10)]));
 const updatePoints = () => {
-  const left = 27 - totalCost();
   const chip = $('pointsLeft'); if (!chip) return;
-  chip.textContent = `Points left: ${left}`;
-  chip.style.background = left < 0 ? '#ffe6e6' : '';
+  const { text, bad } = abilityStatus(formScores());
+  chip.textContent = text;
+  chip.style.background = bad ? '#ffe6e6' : '';
+  if ($('abMethod')) $('abMethod').textContent = RULES ? RULES.methodNames[ABILITY_METHOD].replace(/^the /, '').replace(/^\w/, c => c.toUpperCase()) : '';
+  if ($('rollStats')) $('rollStats').style.display = ABILITY_METHOD === 'rolled' && !MY_ROLLS ? '' : 'none';
+  const pb = ABILITY_METHOD === 'pointbuy';
+  AB_IDS.forEach(id => { const el = $('ab_'+id); if (el) { el.min = pb ? RULES?.pointBuy.min ?? 8 : 1; el.max = pb ? RULES?.pointBuy.max ?? 15 : 30; } });
+  // The race's modifiers on top, as the server will store them
+  const mods = RULES?.races[$('c_race')?.value]?.mods || {};
+  if ($('abFinal')) $('abFinal').textContent = Object.keys(mods).length
+    ? `With ${$('c_race').value}: ` + AB_IDS.filter(id => mods[id]).map(id => `${id} ${formScores()[id] + mods[id]}`).join(', ') : '';
 };
+function syncAbilityMethod(method){
+  if (method) ABILITY_METHOD = method;
+  const sel = $('abilityMethod');
+  if (sel) { sel.style.display = IS_GM ? '' : 'none'; if (document.activeElement !== sel) sel.value = ABILITY_METHOD; }
+  // Level and max HP come from level-ups for players; only the GM types them in
+  ['c_level','c_maxHp','c_speed'].forEach(id => { if ($(id)) $(id).disabled = !IS_GM; });
+  updatePoints();
+}
+$('abilityMethod')?.addEventListener('change', ()=> socket.emit('ability_method', { method: $('abilityMethod').value }));
+$('rollStats')?.addEventListener('click', ()=> socket.emit('ability_roll'));
 
 AB_IDS.forEach(id => $('ab_'+id)?.addEventListener('input', updatePoints));
 $('c_archetype')?.addEventListener('change', ()=>{
-  const a = $('c_archetype').value;
-  if (!a || !PRESETS[a]) return;
-  AB_IDS.forEach(id => { const el = $('ab_'+id); if (el) el.value = PRESETS[a][id]; });
-  if ($('c_traits') && PRESETS[a].traits) $('c_traits').value = PRESETS[a].traits;
+  const p = RULES?.presets[$('c_archetype').value];
+  if (!p) return;
+  if (ABILITY_METHOD === 'pointbuy') AB_IDS.forEach(id => { const el = $('ab_'+id); if (el) el.value = p[id]; });
+  if ($('c_traits') && p.traits) $('c_traits').value = p.traits;
   updatePoints();
 });
 $('c_race')?.addEventListener('change', ()=>{
-  const r = $('c_race').value;
-  const mod = RACE_MODS[r] || {};
-  if ($('c_speed')) $('c_speed').value = mod.speed || 30;
-  if (mod.note && $('c_traits') && !$('c_traits').value.includes(mod.note)) {
-    $('c_traits').value = (($('c_traits').value || '') + '; ' + mod.note).trim();
+  const race = RULES?.races[$('c_race').value] || {};
+  if ($('c_speed')) $('c_speed').value = race.speed || 30;
+  if (race.traits && $('c_traits') && !$('c_traits').value.includes(race.traits)) {
+    $('c_traits').value = (($('c_traits').value || '') + '; ' + race.traits).replace(/^; /, '').trim();
   }
+  updatePoints();
+});
+$('levelUp')?.addEventListener('click', ()=>{
+  socket.emit('level_up', { name: $('c_name')?.value.trim() || CURRENT_USER, hp: $('levelUpHp')?.value || 'average' });
 });
+// Modifiers, saves, skills and the next level for the sheet on the form (derived by the server)
+function showDerived(c){
+  const box = $('c_derived'); if (!box) return;
+  const d = c?.derived;
+  if (!d) { box.innerHTML = ''; if ($('levelUpWrap')) $('levelUpWrap').style.display = 'none'; return; }
+  const title = (k) => k.replace(/\b\w/g, ch => ch.toUpperCase());
+  box.innerHTML = `<div><strong>Prof</strong> ${signedNum(d.prof)} · <strong>Init</strong> ${signedNum(d.initiative)} · <strong>Passive Perception</strong> ${d.passivePerception} · <strong>Hit die</strong> d${d.hitDie}</div>`
+    + `<div><strong>Saves</strong> ${AB_IDS.map(a => `${a} ${signedNum(d.saves[a])}`).join(', ')}</div>`
+    + `<div><strong>Skills</strong> ${Object.entries(d.skills).map(([k, v]) => `${escapeHtml(title(k))} ${signedNum(v)}`).join(', ')}</div>`
+    + `<div>${d.nextXp == null ? 'Level 20' : `XP ${Number(c.xp)||0} / ${d.nextXp} for level ${Number(c.level)+1}`}${d.canLevelUp ? ' — <strong>level up available</strong>' : ''}</div>`;
+  if ($('levelUpWrap')) $('levelUpWrap').style.display = d.canLevelUp || IS_GM ? '' : 'none';
+}
+
+// Inventory of the sheet on the form; the buttons run the same slash commands as typing them
+const chatCommand = (text) => socket.emit('chat', { text });
+const itemLabel = (i) => `${i.qty > 1 ? `${i.qty} × ` : ''}${i.name}`;
+const coinText = (coins) => ['pp','gp','ep','sp','cp'].filter(k => coins?.[k]).map(k => `${coins[k]} ${k}`).join(', ') || 'No coins';
+let INV_SHEET = null; // name of the sheet shown in the inventory card
+function renderInventory(c){
+  const card = $('invCard'); if (!card) return;
+  card.style.display = c ? '' : 'none';
+  if (!c) return;
+  INV_SHEET = c.name;
+  const mine = IS_GM || c.name === CURRENT_USER;
+  $('invTitle').textContent = `Inventory — ${c.name}`;
+  $('invCoins').textContent = coinText(c.coins);
+  const load = c.derived?.load;
+  $('invLoad').textContent = load ? `Carrying ${load.weight} of ${load.capacity} lb${load.over ? ' — over capacity!' : ''}` : '';
+  $('invGiveRow').style.display = IS_GM ? '' : 'none';
+  const tbody = $('invTable');
+  tbody.innerHTML = '';
+  if (!c.inventory?.length) tbody.innerHTML = '<tr><td colspan="4" class="muted small">Nothing yet.</td></tr>';
+  (c.inventory||[]).forEach(i=>{
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${escapeHtml(i.name)}${i.equipped ? ' <span class="chip">equipped</span>' : ''}</td><td>${i.qty}</td><td>${i.weight != null ? i.weight * i.qty : '—'}</td><td class="hstack wrap"></td>`;
+    const who = c.name === CURRENT_USER ? '' : `${c.name} `;
+    if (mine && i.slot) {
+      const b = makeBtn(i.equipped ? 'Unequip' : 'Equip', { ghost:true });
+      b.addEventListener('click', ()=> chatCommand(`/${i.equipped ? 'unequip' : 'equip'} ${who}${i.name}`));
+      tr.lastElementChild.appendChild(b);
+    }
+    if (c.name === CURRENT_USER) {
+      const b = makeBtn('To stash', { ghost:true });
+      b.addEventListener('click', ()=> chatCommand(`/give stash ${i.qty} ${i.name}`));
+      tr.lastElementChild.appendChild(b);
+    } else if (IS_GM) {
+      const b = makeBtn('Remove', { ghost:true, danger:true });
+      b.addEventListener('click', ()=> chatCommand(`/take ${c.name} ${i.qty} ${i.name}`));
+      tr.lastElementChild.appendChild(b);
+    }
+    tbody.appendChild(tr);
+  });
+}
+function renderStash(stash){
+  const tbody = $('stashTable'); if (!tbody) return;
+  $('stashCoins').textContent = coinText(stash?.coins);
+  $('lootRow').style.display = IS_GM ? '' : 'none';
+  tbody.innerHTML = '';
+  if (!stash?.inventory?.length) tbody.innerHTML = '<tr><td colspan="3" class="muted small">Empty.</td></tr>';
+  (stash?.inventory||[]).forEach(i=>{
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${escapeHtml(i.name)}</td><td>${i.qty}</td><td></td>`;
+    const b = makeBtn(IS_GM ? 'Remove' : 'Take', { ghost:true });
+    b.addEventListener('click', ()=> chatCommand(`/take stash ${i.qty} ${i.name}`));
+    tr.lastElementChild.appendChild(b);
+    tbody.appendChild(tr);
+  });
+}
+$('invGiveBtn')?.addEventListener('click', ()=>{
+  const text = $('invGive')?.value.trim();
+  if (!text || !INV_SHEET) return;
+  chatCommand(`/give ${INV_SHEET} ${text}`);
+  $('invGive').value = '';
+});
+$('lootBtn')?.addEventListener('click', ()=>{
+  const text = $('lootText')?.value.trim(); if (!text) return;
+  chatCommand(`/loot ${text}`);
+  $('lootText').value = '';
+});
+$('lootSplit')?.addEventListener('click', ()=> chatCommand('/loot split'));
+
+// Spellcasting of the sheet on the form: slots as pips (● left, ○ spent); the buttons run /cast, /prepare and /forget
+let SPELL_LIST = []; // [{key, name, level, classes, concentration, description}] from the server's spell files
+socket.on('spell_list', (list)=>{
+  SPELL_LIST = list || [];
+  const dl = $('spellOptions'); if (!dl) return;
+  dl.innerHTML = SPELL_LIST.slice().sort((a,b)=> a.level - b.level || a.name.localeCompare(b.name))
+    .map(s => `<option value="${escapeHtml(s.name)}">${s.level ? `Level ${s.level}` : 'Cantrip'} · ${escapeHtml(s.classes.join(', '))}</option>`).join('');
+});
+const spellLevel = (n) => n == null ? '?' : n === 0 ? 'Cantrip' : ['1st','2nd','3rd'][n-1] || `${n}th`;
+const slotPips = (s) => '●'.repeat(s.max - s.used) + '○'.repeat(s.used);
+let SPELL_SHEET = null; // name of the sheet shown in the spellcasting card
+function renderSpells(c){
+  const card = $('spellCard'); if (!card) return;
+  const sc = c?.derived?.spellcasting;
+  card.style.display = sc ? '' : 'none';
+  if (!sc) return;
+  SPELL_SHEET = c.name;
+  const mine = c.name === CURRENT_USER, who = mine ? '' : `${c.name} `;
+  $('spellTitle').textContent = `Spellcasting — ${c.name} (${sc.class})`;
+  $('spellStats').innerHTML = `<strong>Save DC</strong> ${sc.dc} · <strong>Spell attack</strong> ${signedNum(sc.attack)} (${sc.ability})`
+    + (sc.prepares ? ` · <strong>Prepared</strong> ${sc.prepared}/${sc.maxPrepared}` : '')
+    + (sc.concentration ? ` · <span class="chip">Concentrating on ${escapeHtml(sc.concentration)}</span>` : '');
+  $('spellSlots').textContent = sc.slots.length ? sc.slots.map(s => `${spellLevel(s.level)} ${slotPips(s)}`).join('  ') + (sc.pact ? ' (pact magic)' : '') : 'No spell slots yet';
+  $('spellLearnRow').style.display = mine || IS_GM ? '' : 'none';
+  const tbody = $('spellTable');
+  tbody.innerHTML = '';
+  if (!sc.spells.length) tbody.innerHTML = '<tr><td colspan="3" class="muted small">No spells yet.</td></tr>';
+  sc.spells.forEach(s=>{
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${escapeHtml(s.name)}${s.concentration ? ' <span class="chip" title="Concentration">C</span>' : ''}${s.missing ? ' <span class="small muted">(not in the spell files)</span>' : ''}</td>`
+      + `<td>${spellLevel(s.level)}</td><td class="hstack wrap"></td>`;
+    tr.title = SPELL_LIST.find(x => x.key === s.key)?.description || '';
+    const add = (text, cmd, opts) => { const b = makeBtn(text, opts); b.addEventListener('click', ()=> chatCommand(cmd)); tr.lastElementChild.appendChild(b); };
+    if (mine && s.castable) add('Cast', `/cast ${s.name}`, { primary:true });
+    if ((mine || IS_GM) && sc.prepares && s.level) add(s.prepared ? 'Unprepare' : 'Prepare', `/${s.prepared ? 'unprepare' : 'prepare'} ${who}${s.name}`, { ghost:true });
+    if (mine || IS_GM) add('Forget', `/forget ${who}${s.name}`, { ghost:true, danger:true });
+    tbody.appendChild(tr);
+  });
+}
+$('spellLearnBtn')?.addEventListener('click', ()=>{
+  const name = $('spellLearn')?.value.trim();
+  if (!name || !SPELL_SHEET) return;
+  chatCommand(`/learn ${SPELL_SHEET === CURRENT_USER ? '' : `${SPELL_SHEET} `}${name}`);
+  $('spellLearn').value = '';
+});
+// Every caster's remaining slots at a glance (GM)
+function renderCasters(charsObj){
+  const card = $('castersCard'); if (!card) return;
+  const casters = Object.values(charsObj||{}).filter(c => c.derived?.spellcasting);
+  card.style.display = IS_GM && casters.length ? '' : 'none';
+  $('castersTable').innerHTML = casters.map(c => {
+    const sc = c.derived.spellcasting;
+    const slots = sc.slots.map(s => `${spellLevel(s.level)} ${s.max - s.used}/${s.max}`).join(', ') || '—';
+    return `<tr><td>${escapeHtml(c.name)}</td><td>${sc.dc}</td><td class="small">${slots}</td><td class="small">${sc.concentration ? escapeHtml(sc.concentration) : '—'}</td></tr>`;
+  }).join('');
+}
+$('shortRest')?.addEventListener('click', ()=> chatCommand('/rest short'));
+
+// Vault: your characters across lobbies (kept by the server under your name). Use brings one in as your sheet here.
+let VAULT = []; // [{key, name, race, class, level, savedAt, lobby}]
+let CHARS = {}; // the lobby's sheets by name, as last rendered
+socket.on('vault', (list)=>{ VAULT = list || []; renderVault(); });
+function renderVault(){
+  const tbody = $('vaultTable'); if (!tbody) return;
+  tbody.innerHTML = '';
+  if (!VAULT.length) tbody.innerHTML = '<tr><td colspan="4" class="muted small">Empty. Save your sheet or import a character file.</td></tr>';
+  VAULT.forEach(v=>{
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td>${escapeHtml(v.name)}</td><td class="small">Level ${Number(v.level)||1} ${escapeHtml([v.race, v.class].filter(Boolean).join(' '))}</td>`
+      + `<td class="small muted">${v.savedAt ? escapeHtml(new Date(v.savedAt).toLocaleDateString()) : ''}${v.lobby ? ` · ${escapeHtml(v.lobby)}` : ''}</td><td class="hstack wrap"></td>`;
+    const add = (text, fn, opts) => { const b = makeBtn(text, opts); b.addEventListener('click', fn); tr.lastElementChild.appendChild(b); };
+    add('Use', ()=> useVaultCharacter(v.key), { primary:true });
+    add('Export', ()=> socket.emit('character_export', { key: v.key }), { ghost:true });
+    add('Delete', ()=> { if (confirm(`Delete ${v.name} from your vault?`)) socket.emit('vault_delete', { key: v.key }); }, { ghost:true, danger:true });
+    tbody.appendChild(tr);
+  });
+}
+function useVaultCharacter(key){
+  const v = VAULT.find(x => x.key === key);
+  if (!v || (CHARS[CURRENT_USER] && !confirm(`Replace your sheet in this lobby with ${v.name}?`))) return;
+  socket.emit('vault_use', { key });
+}
+$('vaultSave')?.addEventListener('click', ()=> socket.emit('vault_save'));
+$('sheetExport')?.addEventListener('click', ()=> socket.emit('character_export', { name: $('c_name')?.value.trim() || CURRENT_USER }));
+$('vaultImport')?.addEventListener('change', async (e)=>{
+  const file = e.target.files?.[0]; e.target.value = '';
+  if (file) socket.emit('vault_import', { text: await file.text() });
+});
+socket.on('character_file', ({ name, text })=>{
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  a.download = `${(name || 'character').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.character.json`;
+  a.click();
+  setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+});
+$('longRest')?.addEventListener('click', ()=> chatCommand('/rest long'));
 
 $('saveChar')?.addEventListener('click', ()=>{
-  const abilities = Object.fromEntries(AB_IDS.map(id => [id, parseInt($('ab_'+id)?.value||8,10)]));
+  const abilities = formScores();
   const sheet = {
     name: $('c_name')?.value.trim(),
     class: $('c_class')?.value.trim(),
@@ -280,6 +629,9 @@ $('saveChar')?.addEventListener('click', ()=>{
     abilities,
     speed: Number($('c_speed')?.value||30),
     profs: $('c_profs')?.value || '',
+    resist: $('c_resist')?.value || '',
+    vulnerable: $('c_vulnerable')?.value || '',
+    immune: $('c_immune')?.value || '',
     traits: $('c_traits')?.value || '',
     notes: $('c_notes')?.value || ''
   };
@@ -289,7 +641,33 @@ $('deleteChar')?.addEventListener('click', ()=>{
   socket.emit('character_delete', { name: $('c_name')?.value.trim() });
 });
 
+// "7/20 +5 temp", then the dying state: "dying ✔1 ✖2", "stable", "dead"
+function hpText(c){
+  let s = `${Number(c.hp)||0}/${Number(c.maxHp)||0}${c.tempHp ? ` +${Number(c.tempHp)} temp` : ''}`;
+  if (c.status === 'dying') s += ` <span class="small">dying ✔${c.deathSaves?.successes||0} ✖${c.deathSaves?.failures||0}</span>`;
+  else if (c.status) s += ` <span class="small">${escapeHtml(c.status)}</span>`;
+  return s;
+}
+// Condition chips; ✕ clears one (the server decides who may). target: a sheet name, NPC combatant id or token id
+function condChips(list, target){
+  const wrap = document.createElement('div');
+  wrap.className = 'hstack wrap';
+  (list||[]).forEach(c=>{
+    const chip = document.createElement('span');
+    chip.className = 'chip';
+    chip.textContent = c.name + (c.rounds ? ` ${c.rounds}r` : '') + (c.untilName ? ` → ${c.untilName}` : '');
+    if (c.key !== 'unconscious' || !['dying','stable'].includes(c.status)) {
+      const x = document.createElement('a');
+      x.href = '#'; x.textContent = ' ✕'; x.title = `Clear ${c.name}`;
+      x.addEventListener('click', (e)=>{ e.preventDefault(); e.stopPropagation(); socket.emit('condition_remove', { target, condition: c.key }); });
+      chip.appendChild(x);
+    }
+    wrap.appendChild(chip);
+  });
+  return wrap;
+}
 function renderChars(charsObj){
+  CHARS = charsObj || {};
   const tbody = $('charsTable'); if (!tbody) return;
   tbody.innerHTML='';
   Object.values(charsObj||{}).forEach(c=>{
@@ -301,9 +679,11 @@ function renderChars(charsObj){
       <td>${escapeHtml(c.archetype||c.class||'')}</td>
       <td>${Number(c.level)||1}</td>
       <td>${Number(c.ac)||10}</td>
-      <td>${Number(c.hp)||0}/${Number(c.maxHp)||0}</td>
-      <td class="small">STR ${ab.STR||8}, DEX ${ab.DEX||8}, CON ${ab.CON||8}, INT ${ab.INT||8}, WIS ${ab.WIS||8}, CHA ${ab.CHA||8}</td>
+      <td>${hpText(c)}</td>
+      <td class="small">STR ${ab.STR||8}, DEX ${ab.DEX||8}, CON ${ab.CON||8}, INT ${ab.INT||8}, WIS ${ab.WIS||8}, CHA ${ab.CHA||8}${c.derived
+        ? `<div class="muted">Init ${signedNum(c.derived.initiative)} · PP ${c.derived.passivePerception}${c.derived.canLevelUp ? ' · level up!' : ''}</div>` : ''}</td>
     `;
+    if (c.conditions?.length) tr.firstElementChild.appendChild(condChips(c.conditions, c.name));
     tr.style.cursor='pointer';
     tr.onclick = ()=>{
       if ($('c_name')) $('c_name').value = c.name || '';
@@ -314,19 +694,48 @@ function renderChars(charsObj){
       if ($('c_ac')) $('c_ac').value = c.ac || 10;
       if ($('c_hp')) $('c_hp').value = c.hp || 10;
       if ($('c_maxHp')) $('c_maxHp').value = c.maxHp || 10;
-      AB_IDS.forEach(id => { const el = $('ab_'+id); if (el) el.value = (c.abilities?.[id] ?? 8); });
+      AB_IDS.forEach(id => { const el = $('ab_'+id); if (el) el.value = (c.baseAbilities ?? c.abilities)?.[id] ?? 8; });
       if ($('c_speed')) $('c_speed').value = c.speed || 30;
       if ($('c_profs')) $('c_profs').value = c.profs || '';
+      ['resist','vulnerable','immune'].forEach(k => { if ($('c_'+k)) $('c_'+k).value = c[k] || ''; });
       if ($('c_traits')) $('c_traits').value = c.traits || '';
       if ($('c_notes')) $('c_notes').value = c.notes || '';
       updatePoints();
+      showDerived(c);
+      renderInventory(c);
+      renderSpells(c);
     };
     tbody.appendChild(tr);
   });
+  const shown = charsObj?.[$('c_name')?.value.trim() || CURRENT_USER];
+  showDerived(shown);
+  renderInventory(shown);
+  renderSpells(shown);
+  renderCasters(charsObj);
 }
 
 /* ---------------- Map ---------------- */
-let MAP = { w:20, h:20, tiles:[], tokens:{} };
+let MAP = { w:20, h:20, tiles:[], objects:{}, tokens:{} }; // players under fog of war also get `vis` rows ('0' unexplored, '1' explored, '2' visible)
+// Terrain codes and object keys match lib/map.js (TILE_TYPES / OBJECT_TYPES); the GM also gets `notes`
+const TILE_STYLE = {
+  0: { name:'Floor',             color:'#f9fafb' },
+  1: { name:'Wall',              color:'#2b303b' },
+  2: { name:'Door',              color:'#92400e', glyph:'▮' },
+  3: { name:'Open door',         color:'#fde68a', glyph:'▯' },
+  4: { name:'Locked door',       color:'#7f1d1d', glyph:'▮' },
+  5: { name:'Difficult terrain', color:'#e7e5e4', glyph:'∴' },
+  6: { name:'Water',             color:'#93c5fd', glyph:'≈' },
+  7: { name:'Pit',               color:'#57534e', glyph:'○' },
+  8: { name:'Hazard',            color:'#fecaca', glyph:'⚠' },
+};
+const OBJECT_STYLE = {
+  crate:  { color:'#a16207', glyph:'▣' },
+  chest:  { color:'#ca8a04', glyph:'⊡' },
+  statue: { color:'#6b7280', glyph:'♜' },
+  pillar: { color:'#44403c', glyph:'●' },
+  rubble: { color:'#78716c', glyph:'∵' },
+};
+const isDoorTile = (t) => t === 2 || t === 3 || t === 4;
 const mapCanvas = $('mapCanvas');
 const miniCanvas = $('miniCanvas');
 const ctx = mapCanvas?.getContext('2d');
@@ -338,54 +747,128 @@ function resizeCells(){
   cellW = Math.max(1, Math.floor(mapCanvas.width / (MAP.w || 1)));
   cellH = Math.max(1, Math.floor(mapCanvas.height / (MAP.h || 1)));
 }
+// Unexplored tiles arrive as null; explored-but-not-visible ones are dimmed
+function tileColor(x, y){
+  const t = (MAP.tiles[y] || [])[x];
+  return t == null ? '#111827' : (TILE_STYLE[t] || TILE_STYLE[0]).color;
+}
+function drawGlyph(g, glyph, color, px, py, w, h, scale=0.6){
+  g.fillStyle = color;
+  g.font = `${Math.floor(Math.min(w,h)*scale)}px system-ui`;
+  g.textAlign='center'; g.textBaseline='middle';
+  g.fillText(glyph, px + w/2, py + h/2);
+}
+function fogShade(x, y, gmFog){
+  if (MAP.vis) return MAP.vis[y]?.[x] === '1' ? 'rgba(17,24,39,0.45)' : null;
+  if (!gmFog) return null;
+  const c = y*MAP.w + x;
+  return gmFog.revealed.has(c) ? 'rgba(34,197,94,0.25)' : gmFog.hidden.has(c) ? 'rgba(220,38,38,0.3)' : null;
+}
+const gmFogSets = () => MAP.fog?.enabled && MAP.fog.revealed ? { revealed: new Set(MAP.fog.revealed), hidden: new Set(MAP.fog.hidden) } : null;
+// One cell's ground (terrain, object, note, fog shade, grid line) on the map and the mini-map
+function drawCell(x, y, gmFog){
+  const px = x*cellW, py = y*cellH;
+  ctx.fillStyle = tileColor(x, y);
+  ctx.fillRect(px, py, cellW, cellH);
+  const tile = TILE_STYLE[(MAP.tiles[y] || [])[x]];
+  if (tile?.glyph) drawGlyph(ctx, tile.glyph, 'rgba(17,24,39,0.55)', px, py, cellW, cellH);
+  const obj = OBJECT_STYLE[MAP.objects?.[y*MAP.w + x]];
+  if (obj) drawGlyph(ctx, obj.glyph, obj.color, px, py, cellW, cellH, 0.75);
+  const note = MAP.notes?.[y*MAP.w + x];
+  if (note) drawGlyph(ctx, '✎', '#7c3aed', px + cellW*0.3, py - cellH*0.3, cellW, cellH, 0.4);
+  const shade = fogShade(x, y, gmFog);
+  if (shade) { ctx.fillStyle = shade; ctx.fillRect(px, py, cellW, cellH); }
+  ctx.strokeStyle = '#e5e7eb';
+  ctx.strokeRect(px, py, cellW, cellH);
+
+  const sx = miniCanvas.width / (MAP.w || 1), sy = miniCanvas.height / (MAP.h || 1);
+  mctx.fillStyle = tileColor(x, y);
+  mctx.fillRect(x*sx, y*sy, sx, sy);
+  if (obj) { mctx.fillStyle = obj.color; mctx.fillRect(x*sx + sx/4, y*sy + sy/4, sx/2, sy/2); }
+  if (note) { mctx.fillStyle = '#7c3aed'; mctx.fillRect(x*sx, y*sy, sx/3, sy/3); }
+  const miniShade = fogShade(x, y, null);
+  if (miniShade) { mctx.fillStyle = miniShade; mctx.fillRect(x*sx, y*sy, sx, sy); }
+}
+function drawToken(t){
+  const cx = t.x*cellW + cellW/2, cy = t.y*cellH + cellH/2;
+  ctx.beginPath(); ctx.arc(cx,cy, Math.min(cellW,cellH)*0.35, 0, Math.PI*2);
+  ctx.fillStyle = t.color || '#222'; ctx.fill();
+  ctx.strokeStyle = '#111'; ctx.stroke();
+  ctx.fillStyle = '#fff';
+  ctx.font = `${Math.floor(Math.min(cellW,cellH)*0.4)}px system-ui`;
+  ctx.textAlign='center'; ctx.textBaseline='middle';
+  ctx.fillText((t.name||'?')[0]?.toUpperCase() || '?', cx, cy);
+  // HP bar along the bottom of the cell; players see NPCs as a rough percentage only
+  const hp = t.health;
+  if (hp) {
+    const pct = hp.pct ?? Math.round(Math.max(0, hp.hp) / (hp.maxHp || 1) * 100);
+    const bx = t.x*cellW + 2, by = t.y*cellH + cellH - 5, bw = cellW - 4;
+    ctx.fillStyle = 'rgba(17,24,39,0.6)'; ctx.fillRect(bx, by, bw, 4);
+    ctx.fillStyle = pct <= 25 ? '#b91c1c' : pct <= 50 ? '#d97706' : '#15803d';
+    ctx.fillRect(bx, by, bw * pct / 100, 4);
+    if (hp.tempHp) { ctx.fillStyle = '#60a5fa'; ctx.fillRect(bx, by - 2, Math.min(bw, bw * hp.tempHp / (hp.maxHp || 1)), 2); }
+    if (hp.status) drawGlyph(ctx, hp.status === 'dead' ? '✝' : '✚', '#b91c1c', t.x*cellW + cellW*0.3, t.y*cellH - cellH*0.3, cellW, cellH, 0.4);
+  }
+  // One pip per condition down the right edge (up to four); the names are in the tracker
+  (t.conditions||[]).slice(0, 4).forEach((c, i)=>{
+    const r = Math.max(2, Math.min(cellW, cellH) * 0.07);
+    ctx.beginPath(); ctx.arc(t.x*cellW + cellW - r - 1, t.y*cellH + r + 1 + i*(2*r + 1), r, 0, Math.PI*2);
+    ctx.fillStyle = '#7c3aed'; ctx.fill();
+  });
+  const sx = miniCanvas.width / (MAP.w || 1), sy = miniCanvas.height / (MAP.h || 1);
+  mctx.fillStyle = t.color || '#222';
+  mctx.fillRect(t.x*sx, t.y*sy, sx, sy);
+}
 function drawMap(){
   if (!mapCanvas || !ctx || !mctx) return;
   ctx.clearRect(0,0,mapCanvas.width,mapCanvas.height);
+  mctx.clearRect(0,0,miniCanvas.width,miniCanvas.height);
 
   // Guard tiles
-  if (!Array.isArray(MAP.tiles) || MAP.tiles.length !== (MAP.h||0)) {
-    if (mctx) mctx.clearRect(0,0,miniCanvas.width,miniCanvas.height);
-    return;
-  }
+  if (!Array.isArray(MAP.tiles) || MAP.tiles.length !== (MAP.h||0)) return;
 
-  for (let y=0;y<MAP.h;y++){
-    for (let x=0;x<MAP.w;x++){
-      const isWall = ((MAP.tiles[y] || [])[x] === 1);
-      ctx.fillStyle = isWall ? '#2b303b' : '#f9fafb';
-      ctx.fillRect(x*cellW, y*cellH, cellW, cellH);
-      ctx.strokeStyle = '#e5e7eb';
-      ctx.strokeRect(x*cellW, y*cellH, cellW, cellH);
-    }
+  const gmFog = gmFogSets();
+  for (let y=0;y<MAP.h;y++) for (let x=0;x<MAP.w;x++) drawCell(x, y, gmFog);
+  Object.values(MAP.tokens||{}).forEach(drawToken);
+  drawMovePreview();
+}
+// Redraw only the cells a patch touched (cell = y*w + x), with whatever tokens stand on them.
+// Overlays that span many cells (drag preview, pings) still take a full redraw.
+function drawCells(cells){
+  if (!mapCanvas || !ctx || !mctx || !cells.size) return;
+  if (movePreview || pings.length) { drawMap(); return; }
+  const gmFog = gmFogSets();
+  for (const c of cells) {
+    const x = c % MAP.w, y = Math.floor(c / MAP.w);
+    ctx.clearRect(x*cellW, y*cellH, cellW, cellH);
+    drawCell(x, y, gmFog);
   }
+  Object.values(MAP.tokens||{}).filter(t => cells.has(t.y*MAP.w + t.x)).forEach(drawToken);
+}
 
-  // Tokens
-  Object.values(MAP.tokens||{}).forEach(t=>{
-    const cx = t.x*cellW + cellW/2, cy = t.y*cellH + cellH/2;
-    ctx.beginPath(); ctx.arc(cx,cy, Math.min(cellW,cellH)*0.35, 0, Math.PI*2);
-    ctx.fillStyle = t.color || '#222'; ctx.fill();
-    ctx.strokeStyle = '#111'; ctx.stroke();
-    ctx.fillStyle = '#fff';
-    ctx.font = `${Math.floor(Math.min(cellW,cellH)*0.4)}px system-ui`;
-    ctx.textAlign='center'; ctx.textBaseline='middle';
-    ctx.fillText((t.name||'?')[0]?.toUpperCase() || '?', cx, cy);
-  });
-
-  // Mini-map
-  if (mctx) {
-    mctx.clearRect(0,0,miniCanvas.width,miniCanvas.height);
-    const sx = miniCanvas.width / (MAP.w || 1), sy = miniCanvas.height / (MAP.h || 1);
-    for (let y=0;y<MAP.h;y++){
-      for (let x=0;x<MAP.w;x++){
-        const isWall = ((MAP.tiles[y] || [])[x] === 1);
-        mctx.fillStyle = isWall ? '#2b303b' : '#f9fafb';
-        mctx.fillRect(x*sx, y*sy, sx, sy);
-      }
-    }
-    Object.values(MAP.tokens||{}).forEach(t=>{
-      mctx.fillStyle = t.color || '#222';
-      mctx.fillRect(t.x*sx, t.y*sy, sx, sy);
-    });
+// Path preview while dragging a token: blue within this turn's movement, dashed red beyond it
+let movePreview = null;
+function drawMovePreview(){
+  const p = movePreview; if (!p || !ctx) return;
+  const center = ([x,y]) => [x*cellW + cellW/2, y*cellH + cellH/2];
+  const stroke = (pts, color, dash) => {
+    if (pts.length < 2) return;
+    ctx.beginPath(); ctx.setLineDash(dash); ctx.lineWidth = 3; ctx.strokeStyle = color;
+    pts.map(center).forEach(([cx,cy], i) => i ? ctx.lineTo(cx,cy) : ctx.moveTo(cx,cy));
+    ctx.stroke(); ctx.setLineDash([]); ctx.lineWidth = 1;
+  };
+  let text = p.error, over = !!p.error;
+  if (!p.error) {
+    stroke(p.path.slice(0, p.reach + 1), 'rgba(37,99,235,0.85)', []);
+    stroke(p.path.slice(p.reach), 'rgba(220,38,38,0.85)', [6,4]);
+    over = p.reach < p.path.length - 1;
+    text = p.budget === undefined ? `${p.feet} ft` : `${p.feet} ft · ${p.remaining} ft left${over ? ' (too far)' : ''}`;
   }
+  const [cx, cy] = center([p.x, p.y]);
+  ctx.font = '12px system-ui'; ctx.textAlign = 'left'; ctx.textBaseline = 'bottom';
+  const tw = ctx.measureText(text).width;
+  ctx.fillStyle = 'rgba(255,255,255,0.9)'; ctx.fillRect(cx + 6, cy - cellH/2 - 16, tw + 8, 16);
+  ctx.fillStyle = over ? '#b91c1c' : '#1d4ed8'; ctx.fillText(text, cx + 10, cy - cellH/2 - 2);
 }
 
 let selectedTokenId = null;
@@ -401,35 +884,133 @@ function tileFromMouse(e){
   return { x: Math.floor(mx / cellW), y: Math.floor(my / cellH), mx, my };
 }
 
-let dragging = false;
+let dragging = false, dragTarget = null;
+// Paint brush value is "<layer>:<value>"; Erase clears that layer instead
+function paintAt(x, y){
+  const [layer, brush] = ($('paintBrush')?.value || 'terrain:1').split(':');
+  const erase = !!$('eraseWalls')?.checked;
+  let val;
+  if (layer === 'terrain') val = erase ? 0 : Number(brush);
+  else if (layer === 'notes') val = erase ? '' : ($('mapNoteText')?.value.trim() || '');
+  else val = erase ? '' : brush;
+  if (layer === 'notes' && !erase && !val) { log('Type the note text first.', 'sys'); return; }
+  socket.emit('map_set', { x, y, layer, val });
+}
+const fogBrush = () => IS_GM ? ($('fogBrush')?.value || '') : '';
 mapCanvas?.addEventListener('mousedown', (e)=>{
   const {x,y} = tileFromMouse(e);
-  if ($('drawWalls')?.checked){
-    const val = $('eraseWalls')?.checked ? 0 : 1;
-    socket.emit('map_set', { x, y, val });
+  dragTarget = null;
+  if (fogBrush()){
+    socket.emit('map_fog_region', { x0:x, y0:y, mode: fogBrush() });
+    dragging = true;
+  } else if ($('drawWalls')?.checked){
+    paintAt(x, y);
     dragging = true;
   } else {
     const id = pickTokenAt(e.offsetX, e.offsetY);
     selectedTokenId = id;
     dragging = !!id;
+    syncTokenControls();
+    if (!id && isDoorTile((MAP.tiles[y] || [])[x])) socket.emit('door_toggle', { x, y });
   }
 });
+// GM notes show as a tooltip
+mapCanvas?.addEventListener('mousemove', (e)=>{
+  const {x,y} = tileFromMouse(e);
+  const t = (MAP.tiles[y] || [])[x], note = MAP.notes?.[y*MAP.w + x];
+  mapCanvas.title = [t ? TILE_STYLE[t]?.name : '', note ? `GM: ${note}` : ''].filter(Boolean).join(' — ');
+});
 mapCanvas?.addEventListener('mousemove', (e)=>{
   if (!dragging) return;
   const {x,y} = tileFromMouse(e);
-  if ($('drawWalls')?.checked){
-    const val = $('eraseWalls')?.checked ? 0 : 1;
-    socket.emit('map_set', { x, y, val });
-  } else if (selectedTokenId){
-    socket.emit('token_move', { id: selectedTokenId, x, y });
+  if (fogBrush()){
+    socket.emit('map_fog_region', { x0:x, y0:y, mode: fogBrush() });
+  } else if ($('drawWalls')?.checked){
+    paintAt(x, y);
+  } else if (selectedTokenId && (dragTarget?.x !== x || dragTarget?.y !== y)){
+    dragTarget = { x, y };
+    socket.emit('move_preview', { id: selectedTokenId, x, y });
   }
 });
-window.addEventListener('mouseup', ()=> { dragging = false; });
+// Tokens move on drop, along the previewed path
+window.addEventListener('mouseup', ()=> {
+  if (dragging && selectedTokenId && dragTarget) socket.emit('token_move', { id: selectedTokenId, ...dragTarget });
+  dragging = false; dragTarget = null;
+  if (movePreview) { movePreview = null; drawMap(); }
+});
+socket.on('move_preview', (p)=>{
+  if (!dragging || p.id !== selectedTokenId || p.x !== dragTarget?.x || p.y !== dragTarget?.y) return;
+  movePreview = p; drawMap();
+});
 
-$('gmSetMap')?.addEventListener('click', ()=> socket.emit('map_init', { w: Number($('mapW')?.value||20), h: Number($('mapH')?.value||20) }));
+$('gmSetMap')?.addEventListener('click', ()=> socket.emit('map_init', { w: Number($('mapW')?.value||20), h: Number($('mapH')?.value||20), name: $('mapName')?.value.trim() }));
 $('gmClear')?.addEventListener('click', ()=> socket.emit('map_clear'));
-$('addToken')?.addEventListener('click', ()=> socket.emit('token_add', { name: $('tokenName')?.value.trim() || $('name')?.value.trim() || 'Anon', color: $('tokenColor')?.value || '#222' }));
+$('addToken')?.addEventListener('click', ()=> socket.emit('token_add', { name: $('tokenName')?.value.trim() || $('name')?.value.trim() || 'Anon', color: $('tokenColor')?.value || '#222', light: Number($('tokenLight')?.value||0) }));
 $('removeToken')?.addEventListener('click', ()=> { if (selectedTokenId) socket.emit('token_remove', { id: selectedTokenId }); });
+$('tokenLight')?.addEventListener('change', ()=>{
+  if (selectedTokenId) socket.emit('token_update', { id: selectedTokenId, light: Number($('tokenLight').value||0) });
+});
+$('hideToken')?.addEventListener('change', ()=>{
+  if (selectedTokenId) socket.emit('token_update', { id: selectedTokenId, hidden: $('hideToken').checked });
+});
+function syncTokenControls(){
+  const t = MAP.tokens?.[selectedTokenId];
+  if (!t) return;
+  if ($('tokenLight')) $('tokenLight').value = String(t.light || 0);
+  if ($('hideToken')) $('hideToken').checked = !!t.hidden;
+}
+
+// Fog of war (GM)
+$('fogEnabled')?.addEventListener('change', ()=> socket.emit('map_fog', { enabled: $('fogEnabled').checked }));
+$('fogAmbient')?.addEventListener('change', ()=> socket.emit('map_fog', { ambient: $('fogAmbient').value }));
+$('fogReset')?.addEventListener('click', ()=> socket.emit('map_fog', { resetExplored: true }));
+// Map library (GM): slots, JSON / ASCII files
+let MAP_LIBRARY = [];
+const mapOptions = (selected) => `<option value="">(no map)</option>` +
+  (selected && !MAP_LIBRARY.some(m => m.id === selected) ? `<option value="${escapeHtml(selected)}" selected>(missing: ${escapeHtml(selected)})</option>` : '') +
+  MAP_LIBRARY.map(m => `<option value="${escapeHtml(m.id)}"${m.id===selected?' selected':''}>${escapeHtml(m.name)}</option>`).join('');
+socket.on('map_library', (list)=>{
+  MAP_LIBRARY = list || [];
+  const sel = $('mapSlot');
+  if (sel) sel.innerHTML = MAP_LIBRARY.map(m => `<option value="${escapeHtml(m.id)}"${m.active?' selected':''}>${escapeHtml(m.name)} (${m.w}×${m.h})${m.active?' • current':''}</option>`).join('');
+  document.querySelectorAll('#sceneEditor select[data-f="mapId"]').forEach(s => { s.innerHTML = mapOptions(s.value || s.dataset.mapId); });
+});
+$('mapLoad')?.addEventListener('click', ()=> { if ($('mapSlot')?.value) socket.emit('map_load', { id: $('mapSlot').value }); });
+$('mapSaveAs')?.addEventListener('click', ()=> socket.emit('map_save_as', { name: $('mapName')?.value.trim() }));
+$('mapRename')?.addEventListener('click', ()=> { const name = $('mapName')?.value.trim(); if (name) socket.emit('map_rename', { name }); });
+$('mapDelete')?.addEventListener('click', ()=>{
+  const m = MAP_LIBRARY.find(x => x.id === $('mapSlot')?.value);
+  if (m && confirm(`Delete map "${m.name}"?`)) socket.emit('map_delete', { id: m.id });
+});
+$('mapExportJson')?.addEventListener('click', ()=> socket.emit('map_export', { id: $('mapSlot')?.value, format: 'json' }));
+$('mapExportAscii')?.addEventListener('click', ()=> socket.emit('map_export', { id: $('mapSlot')?.value, format: 'ascii' }));
+socket.on('map_export', ({ name, format, text })=>{
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([text], { type: format === 'ascii' ? 'text/plain' : 'application/json' }));
+  a.download = `${(name || 'map').toLowerCase().replace(/[^a-z0-9]+/g, '-')}.${format === 'ascii' ? 'txt' : 'json'}`;
+  a.click();
+  setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+});
+$('mapImport')?.addEventListener('change', async (e)=>{
+  const file = e.target.files?.[0]; e.target.value = '';
+  if (file) socket.emit('map_import', { text: await file.text(), name: file.name.replace(/\.(json|txt)$/i, '') });
+});
+
+$('diagonalRule')?.addEventListener('change', ()=> socket.emit('movement_rule', { diagonals: $('diagonalRule').value }));
+function syncMovementRule(rule){
+  const sel = $('diagonalRule');
+  if (sel && rule && document.activeElement !== sel) sel.value = rule;
+}
+function syncFogControls(){
+  const lib = $('mapLibraryControls'); if (lib) lib.style.display = IS_GM ? '' : 'none';
+  if ($('mapTitle')) $('mapTitle').textContent = MAP.name || '';
+  const wrap = $('fogControls'); if (!wrap) return;
+  wrap.style.display = IS_GM ? '' : 'none';
+  if (!IS_GM || !MAP.fog) return;
+  $('fogEnabled').checked = !!MAP.fog.enabled;
+  $('fogAmbient').value = MAP.fog.ambient || 'dark';
+}
+
 $('pingBtn')?.addEventListener('click', ()=>{
   const x = Math.floor((MAP.w||1)/2), y = Math.floor((MAP.h||1)/2);
   socket.emit('ping', { x, y });
@@ -460,14 +1041,115 @@ $('setInit')?.addEventListener('click',  ()=>{
   if (!name) return;
   socket.emit('chat', { text: `/setinit ${name} ${val}` });
 });
+// Delay / ready / act go through chat commands so they read the same in the log
+$('encDelay')?.addEventListener('click', ()=> socket.emit('chat', { text: '/delay' }));
+$('encReady')?.addEventListener('click', ()=>{
+  const trigger = $('encReadyText')?.value.trim();
+  if (!trigger) { log('Describe the trigger for your readied action first.', 'sys'); return; }
+  socket.emit('chat', { text: `/ready ${trigger}` });
+  $('encReadyText').value = '';
+});
+$('encAct')?.addEventListener('click', ()=> socket.emit('chat', { text: '/act' }));
+$('encDeathSave')?.addEventListener('click', ()=> socket.emit('chat', { text: '/deathsave' }));
+$('npcAdd')?.addEventListener('click', ()=>{
+  const name = $('npcName')?.value.trim();
+  if (!name) return;
+  socket.emit('encounter_add', {
+    name, hp: $('npcHp')?.value, ac: $('npcAc')?.value, dex: $('npcDex')?.value, init: $('npcInit')?.value,
+    resist: $('npcResist')?.value, vulnerable: $('npcVulnerable')?.value, immune: $('npcImmune')?.value,
+  });
+  $('npcName').value = ''; $('npcInit').value = '';
+});
+
+// Apply a condition: known names come from the datalist, anything else is a custom condition
+const CONDITION_NAMES = ['Blinded','Charmed','Deafened','Exhaustion','Frightened','Grappled','Incapacitated','Invisible','Paralyzed',
+  'Petrified','Poisoned','Prone','Restrained','Stunned','Unconscious','Concentrating','Blessed','Baned','Dodging','Hasted','Raging'];
+if ($('condList')) $('condList').innerHTML = CONDITION_NAMES.map(n => `<option value="${escapeHtml(n)}">`).join('');
+$('condApply')?.addEventListener('click', ()=>{
+  const condition = $('condName')?.value.trim();
+  if (!condition) return;
+  socket.emit('condition_add', {
+    target: $('condTarget')?.value.trim() || CURRENT_USER, condition,
+    rounds: $('condRounds')?.value, until: $('condUntil')?.value || null,
+  });
+  $('condName').value = ''; $('condRounds').value = '';
+});
+
+// Bestiary (GM): picker for /spawn, and each spawned monster's attacks for the tracker
+let BESTIARY = null; // [{key, name, cr, ac, hp, type, attacks}] once the server sends it
+socket.on('bestiary', (list)=>{
+  BESTIARY = list || [];
+  const sel = $('spawnMonster'); if (!sel) return;
+  const keep = sel.value;
+  sel.innerHTML = BESTIARY.slice().sort((a,b)=> a.name.localeCompare(b.name))
+    .map(m => `<option value="${escapeHtml(m.key)}">${escapeHtml(m.name)}${m.cr != null ? ` (CR ${escapeHtml(m.cr)})` : ''}</option>`).join('');
+  if (BESTIARY.some(m => m.key === keep)) sel.value = keep;
+  showSpawnInfo();
+});
+const showSpawnInfo = ()=>{
+  const m = BESTIARY?.find(x => x.key === $('spawnMonster')?.value);
+  if ($('spawnInfo')) $('spawnInfo').textContent = m ? `AC ${m.ac} · HP ${m.hp}${m.type ? ` · ${m.type}` : ''}${m.attacks.length ? ` · ${m.attacks.join(', ')}` : ''}` : '';
+};
+$('spawnMonster')?.addEventListener('change', showSpawnInfo);
+$('spawnBtn')?.addEventListener('click', ()=>{
+  const key = $('spawnMonster')?.value;
+  if (!key) return;
+  const n = Math.max(1, Math.min(20, parseInt($('spawnCount')?.value, 10) || 1));
+  socket.emit('chat', { text: `/spawn ${key}${n > 1 ? ` x${n}` : ''}` });
+});
+
+// Players get NPC health as hpPct only; everyone else's bar comes from hp/maxHp
+const hpBar = (pct) => `<div class="hpbar ${pct <= 25 ? 'crit' : pct <= 50 ? 'low' : ''}"><span style="width:${pct}%"></span></div>`;
 function renderEncounter(enc){
+  if ($('encRound')) $('encRound').textContent = !enc.active ? 'No encounter' : enc.round ? `Round ${enc.round}` : 'Not started';
+  const until = $('condUntil');
+  if (until) {
+    const keep = until.value;
+    until.innerHTML = '<option value="">No end turn</option>'
+      + (enc.order||[]).map(o => `<option value="${escapeHtml(o.id)}">Until ${escapeHtml(o.name)}'s turn ends</option>`).join('');
+    until.value = (enc.order||[]).some(o => o.id === keep) ? keep : '';
+  }
   const tbody = $('initTable'); if (!tbody) return;
   tbody.innerHTML='';
   (enc.order||[]).forEach((o,idx)=>{
     const tr = document.createElement('tr');
-    const isTurn = enc.active && idx === (enc.turnIndex||0);
-    tr.innerHTML = `<td>${idx+1}${isTurn?' ▶':''}</td><td>${escapeHtml(o.name)}</td><td>${o.init}</td>`;
-    if (isTurn) tr.style.background='#fff8dc';
+    const isTurn = enc.active && o.id === enc.current;
+    const pct = o.hp != null && o.maxHp ? Math.round(Math.max(0, o.hp) / o.maxHp * 100) : o.hpPct;
+    const hp = pct == null ? '—' : hpBar(pct) + (o.hp != null ? `<span class="small">${hpText(o)}</span>` : '');
+    const tags = [o.delayed && 'delaying', o.ready && `ready: ${o.ready}`].filter(Boolean).join(' · ');
+    tr.innerHTML = `<td>${idx+1}${isTurn?' ▶':''}</td>`
+      + `<td>${escapeHtml(o.name)}${tags ? `<div class="small muted">${escapeHtml(tags)}</div>` : ''}</td>`
+      + `<td>${Number(o.init)}</td><td>${hp}</td><td>${o.ac != null ? Number(o.ac) : '—'}</td><td class="hstack"></td>`;
+    if (o.conditions?.length) tr.children[1].appendChild(condChips(o.conditions.map(c => ({ ...c, status: o.status })), o.kind === 'npc' ? o.id : o.owner));
+    if (isTurn) tr.classList.add('turn');
+    if (o.delayed) tr.classList.add('delayed');
+    if (IS_GM) {
+      const cell = tr.lastElementChild;
+      if (o.hp != null) {
+        // "7", "2d6+3" or "7 fire"; an NPC goes by id, a PC by their sheet
+        const input = document.createElement('input');
+        input.className = 'w-10'; input.placeholder = '7 fire';
+        const send = (kind) => {
+          const [amount, type] = input.value.trim().split(/\s+/);
+          if (!amount) return;
+          socket.emit('hp_change', { target: o.kind === 'npc' ? o.id : o.owner, kind, amount, type });
+          input.value = '';
+        };
+        const dmg = makeBtn('Dmg', { danger:true }), heal = makeBtn('Heal');
+        dmg.addEventListener('click', ()=> send('damage'));
+        heal.addEventListener('click', ()=> send('heal'));
+        cell.append(input, dmg, heal);
+      }
+      // One button per stat-block attack (first three) for spawned monsters
+      (BESTIARY?.find(m => m.key === o.monster)?.attacks || []).slice(0, 3).forEach(name=>{
+        const b = makeBtn(name, { ghost:true }); b.title = `${o.name} attacks with ${name}`;
+        b.addEventListener('click', ()=> socket.emit('chat', { text: `/mattack ${o.id} ${name}` }));
+        cell.appendChild(b);
+      });
+      const rm = makeBtn('✕', { ghost:true }); rm.title = 'Remove from the encounter';
+      rm.addEventListener('click', ()=> socket.emit('encounter_remove', { id: o.id }));
+      cell.appendChild(rm);
+    }
     tbody.appendChild(tr);
   });
 }
@@ -501,7 +1183,27 @@ function gmControlsBar() {
     });
     bar.appendChild(b);
   }
-  if (IS_GM && CAMPAIGN.pendingChoice) {
+  if (IS_GM && CAMPAIGN.sceneCheck) {
+    const k = CAMPAIGN.sceneCheck;
+    const rolled = Object.keys(k.results || {}).length;
+    const info = document.createElement('span');
+    info.className = 'small muted';
+    info.textContent = `${k.label} DC ${k.dc}: ${rolled}/${k.rollers.length} rolled`;
+    const pass = makeBtn('Pass Check (GM)'), fail = makeBtn('Fail Check (GM)', { danger:true });
+    pass.addEventListener('click', ()=> socket.emit('campaign_check_force', { outcome: 'success' }));
+    fail.addEventListener('click', ()=> socket.emit('campaign_check_force', { outcome: 'failure' }));
+    bar.append(info, pass, fail);
+  }
+  if (IS_GM) (CAMPAIGN.proposals || []).forEach(p => {
+    const info = document.createElement('span');
+    info.className = 'small';
+    info.textContent = `${p.by.join(', ')} propose${p.by.length === 1 ? 's' : ''}: ${p.text}`;
+    const ok = makeBtn('Put to vote'), no = makeBtn('Dismiss', { ghost:true });
+    ok.addEventListener('click', ()=> socket.emit('campaign_choice_request', { choiceId: p.choiceId }));
+    no.addEventListener('click', ()=> socket.emit('campaign_proposal_dismiss', { choiceId: p.choiceId }));
+    bar.append(info, ok, no);
+  });
+  if (IS_GM && CAMPAIGN.vote) {
     const f = makeBtn('Force Proceed (GM)', { danger:true });
     f.addEventListener('click', ()=> {
       log('GM: force proceed…', 'sys');
@@ -511,6 +1213,27 @@ function gmControlsBar() {
   }
 }
 
+// Live tally of the pending vote, for everyone
+const DECISION_LABELS = { unanimous:'everyone must agree', majority:'majority decides', first:'first answer decides', timed:'timed vote' };
+function renderVote(){
+  const el = $('campVote'); if (!el) return;
+  const v = CAMPAIGN.vote;
+  el.style.display = v ? '' : 'none';
+  if (!v) { el.innerHTML = ''; return; }
+  const secs = v.endsAt ? Math.max(0, Math.round((v.endsAt - Date.now()) / 1000)) : null;
+  const names = (list) => list.length ? list.map(n => escapeHtml(n)).join(', ') : '—';
+  el.innerHTML = `<div><strong>Vote:</strong> ${escapeHtml(v.text)} <span class="muted">(${DECISION_LABELS[v.mode] || escapeHtml(v.mode)}${secs != null ? `, ${secs}s left` : ''})</span></div>
+    <div>✅ ${names(v.yes)} &nbsp; ❌ ${names(v.no)} &nbsp; ⏳ ${names(v.waiting)}</div>`;
+}
+let VOTE_TICK = null;
+function setVote(v){
+  CAMPAIGN.vote = v || null;
+  clearInterval(VOTE_TICK);
+  if (v?.endsAt) VOTE_TICK = setInterval(renderVote, 1000);
+  renderVote();
+  gmControlsBar();
+}
+
 function renderCampaignState(c){
   // Keep a copy of what server last said about started-ness
   if (typeof c?.started === 'boolean') CAMPAIGN._serverStarted = c.started;
@@ -524,11 +1247,12 @@ function renderCampaignState(c){
   const meta = $('campMeta'), sceneEl = $('campScene'), choicesWrap = $('campChoices');
   if (!meta || !sceneEl || !choicesWrap) return;
 
-  meta.innerHTML = `<h3>${escapeHtml(c.title || 'Untitled Campaign')}</h3><p class="small">${escapeHtml(c.summary || '')}</p>`;
+  meta.innerHTML = `<h3>${escapeHtml(c.title || 'Untitled Campaign')}</h3><p class="small">${escapeHtml(c.summary || '')}</p>` + partyStateHtml(c.state);
 
   const current = (c.scenes || []).find(s => s.id === c.currentSceneId);
   sceneEl.innerHTML = current
     ? `<h4>${escapeHtml(current.title)}</h4><p>${escapeHtml(current.content || '')}</p>
+       ${IS_GM && current.gmNotes ? `<div class="small muted">🔒 GM notes: ${escapeHtml(current.gmNotes)}</div>` : ''}
        <div class="small">Scene ID: <code>${escapeHtml(current.id)}</code></div>`
     : `<em>No scene selected</em>`;
 
@@ -537,36 +1261,224 @@ function renderCampaignState(c){
   gmControlsBar();
 
   (current?.choices || []).forEach(ch=>{
-    const btn = makeBtn(ch.text);
-    if (IS_GM && CAMPAIGN.started) {
-      btn.addEventListener('click', ()=> socket.emit('campaign_choice_request', { choiceId: ch.id }));
+    const locked = !!ch.unmet?.length;
+    if (locked && ch.hidden && !IS_GM) return;
+    const btn = makeBtn(locked ? `🔒 ${ch.text}` : ch.text);
+    if (locked) {
+      btn.disabled = true;
+      btn.title = `Requires: ${ch.unmet.join(', ')}`;
+      btn.style.cursor = 'not-allowed';
+    } else if (CAMPAIGN.started) {
+      btn.addEventListener('click', ()=> socket.emit(IS_GM ? 'campaign_choice_request' : 'campaign_choice_propose', { choiceId: ch.id }));
       btn.disabled = false;
-      btn.title = '';
+      btn.title = IS_GM ? '' : 'Propose this choice to the GM';
       btn.style.cursor = 'pointer';
       btn.style.pointerEvents = 'auto';
     } else {
       btn.disabled = true;
-      btn.title = CAMPAIGN.started ? 'Only the GM can choose' : 'Campaign not started yet';
+      btn.title = 'Campaign not started yet';
       btn.style.cursor = 'not-allowed';
       btn.style.pointerEvents = 'none';
     }
     choicesWrap.appendChild(btn);
   });
 
+  renderVote();
+
   // Lists
   const handouts = $('handouts'), quests = $('quests'), notes = $('notes');
-  if (handouts) handouts.innerHTML = (c.handouts||[]).map(h => `<li><strong>${escapeHtml(h.title)}</strong>: ${escapeHtml(h.content)}</li>`).join('');
-  if (quests) quests.innerHTML = (c.quests||[]).map(q => `<li>${q.done ? '✅' : '⬜️'} ${escapeHtml(q.title)} <small><code>${escapeHtml(q.id)}</code></small></li>`).join('');
-  if (notes) notes.innerHTML = (c.notes||[]).map(n => `<div class="small"><strong>${escapeHtml(n.by)}</strong>: ${escapeHtml(n.text)} <em>${new Date(n.ts).toLocaleTimeString()}</em></div>`).join('');
+  // Players only receive what they may see; the GM gets every handout, marked when hidden
+  const shownTo = (h) => h.revealed ? '' : h.revealedTo?.length ? ` (shown to ${h.revealedTo.join(', ')})` : ' (hidden)';
+  if (handouts) handouts.innerHTML = (c.handouts||[])
+    .map(h => `<li><strong>${escapeHtml(h.title)}</strong>${IS_GM && h.hidden ? ` <small class="muted">${escapeHtml(shownTo(h))}</small>` : ''}: ${escapeHtml(h.content)}</li>`).join('');
+  if (quests) quests.innerHTML = (c.quests||[]).map(q => `<li>${q.done ? '✅' : '⬜️'} ${escapeHtml(q.title)}${q.hidden ? ' <small class="muted">(hidden)</small>' : ''} <small><code>${escapeHtml(q.id)}</code></small></li>`).join('');
+  if (notes) notes.innerHTML = (c.notes||[]).map(n => `<div class="small">${n.private ? '🔒 ' : ''}<strong>${escapeHtml(n.by)}</strong>: ${escapeHtml(n.text)} <em>${new Date(n.ts).toLocaleTimeString()}</em></div>`).join('');
+  const privWrap = $('notePrivateWrap'); if (privWrap) privWrap.style.display = IS_GM ? '' : 'none';
 
   // GM-only picker after we know GM status
-  if (IS_GM) injectCampaignPicker();
+  if (IS_GM) { injectCampaignPicker(); renderCampaignEditor(CAMPAIGN); }
+}
+
+// Counters and party XP for everyone; flags only for the GM
+function partyStateHtml(st){
+  if (!st) return '';
+  const counters = Object.entries(st.counters || {}).map(([k, v]) => `${escapeHtml(k)}: <strong>${v}</strong>`);
+  if (st.xp) counters.push(`XP earned: <strong>${st.xp}</strong>`);
+  const flags = IS_GM ? Object.entries(st.flags || {}).map(([k, v]) => `<code>${escapeHtml(k)}=${escapeHtml(String(v))}</code>`) : [];
+  return (counters.length ? `<div class="small">${counters.join(' · ')}</div>` : '') +
+    (flags.length ? `<div class="small muted">Flags: ${flags.join(' ')}</div>` : '');
+}
+const effectText = (e) => 'flag' in e ? `flag ${e.flag}=${'set' in e ? e.set : true}`
+  : 'counter' in e ? ('set' in e ? `${e.counter}=${e.set}` : `${e.counter} ${e.add >= 0 ? '+' : ''}${e.add}`)
+  : 'quest' in e ? `${(e.done ?? true) ? 'complete' : 'reopen'} ${e.quest}`
+  : 'reveal' in e ? `reveal ${e.reveal}` : 'xp' in e ? `+${e.xp} XP` : '?';
+
+/* ---------------- Campaign editor (GM Tools) ---------------- */
+const EDITOR_OPEN = new Set();  // scene ids expanded in the editor
+let EDITOR_PENDING = null;      // state that arrived while the GM was typing; applied on blur
+
+const editorBusy = () => {
+  const a = document.activeElement, tools = $('gmTools');
+  return !!(tools && a && tools.contains(a) && /^(INPUT|TEXTAREA|SELECT)$/.test(a.tagName));
+};
+const swapId = (ids, id, dir) => {
+  const i = ids.indexOf(id), j = i + dir;
+  if (i < 0 || j < 0 || j >= ids.length) return null;
+  const out = [...ids]; [out[i], out[j]] = [out[j], out[i]];
+  return out;
+};
+const sceneOptions = (scenes, selected) => {
+  const known = scenes.some(s => s.id === selected);
+  return (!known && selected ? `<option value="${escapeHtml(selected)}" selected>(missing: ${escapeHtml(selected)})</option>` : '') +
+    scenes.map(s => `<option value="${escapeHtml(s.id)}"${s.id===selected?' selected':''}>${escapeHtml(s.title || s.id)}</option>`).join('');
+};
+const moveBtns = '<button class="btn ghost" data-act="up" title="Move up">↑</button><button class="btn ghost" data-act="down" title="Move down">↓</button>';
+
+function renderCampaignEditor(c){
+  const scenesEl = $('sceneEditor'), handoutsEl = $('handoutEditor'), questsEl = $('questEditor');
+  if (!scenesEl || !handoutsEl || !questsEl) return;
+  if (editorBusy()) { EDITOR_PENDING = c; return; }
+  EDITOR_PENDING = null;
+  const scenes = c.scenes || [];
+
+  scenesEl.innerHTML = scenes.map(sc => {
+    const current = sc.id === c.currentSceneId;
+    return `<details class="editor-item${current?' current':''}" data-scene="${escapeHtml(sc.id)}"${EDITOR_OPEN.has(sc.id)?' open':''}>
+      <summary>${escapeHtml(sc.title || sc.id)} <small><code>${escapeHtml(sc.id)}</code>${current?' • current':''}${sc.ending?' • ending':''}</small></summary>
+      <div class="vstack gap-8 top-pad">
+        <div class="editor-row">
+          <input data-f="title" value="${escapeHtml(sc.title || '')}" placeholder="Scene title" />
+          <label class="toggle"><input type="checkbox" data-f="ending"${sc.ending?' checked':''}><span>Ending</span></label>
+        </div>
+        <textarea data-f="content" rows="2" class="grow" placeholder="Scene content">${escapeHtml(sc.content || '')}</textarea>
+        <textarea data-f="gmNotes" rows="2" class="grow" placeholder="Secret GM notes (players never see these)">${escapeHtml(sc.gmNotes || '')}</textarea>
+        <label class="editor-row small muted">Battle map <select data-f="mapId" data-map-id="${escapeHtml(sc.mapId || '')}" title="Shown automatically when the party enters this scene">${mapOptions(sc.mapId)}</select></label>
+        <div class="editor-row">
+          <button class="btn" data-act="scene-save">Save Scene</button>
+          <button class="btn ghost" data-act="scene-set"${current?' disabled':''}>Set Current</button>
+          ${moveBtns}
+          <button class="btn danger ghost" data-act="scene-del">Delete</button>
+        </div>
+        <div class="small muted">Choices</div>
+        ${(sc.choices || []).map(ch => `
+        <div class="editor-row${ch.broken || !scenes.some(s=>s.id===ch.to) ? ' broken' : ''}" data-choice="${escapeHtml(ch.id)}">
+          <input data-f="text" value="${escapeHtml(ch.text || '')}" placeholder="Choice text" />
+          <select data-f="to">${sceneOptions(scenes, ch.to)}</select>
+          <button class="btn" data-act="choice-save">Save</button>
+          ${moveBtns}
+          <button class="btn danger ghost" data-act="choice-del">✕</button>
+        </div>${ch.requires?.length || ch.effects?.length ? `
+        <div class="small muted">${ch.requires?.length ? `Requires ${ch.requires.length} condition(s)${ch.unmet?.length ? ` — unmet: ${escapeHtml(ch.unmet.join(', '))}` : ' — met'}` : ''}${ch.requires?.length && ch.effects?.length ? ' · ' : ''}${ch.effects?.length ? `Effects: ${escapeHtml(ch.effects.map(effectText).join(', '))}` : ''}</div>` : ''}`).join('')}
+        <div class="editor-row" data-newchoice="1">
+          <input data-f="text" placeholder="New choice text" />
+          <select data-f="to">${sceneOptions(scenes, '')}</select>
+          <button class="btn ghost" data-act="choice-add">Add Choice</button>
+        </div>
+      </div>
+    </details>`;
+  }).join('');
+
+  const players = LOBBY_USERS.filter(u => u !== CAMPAIGN.gm);
+  handoutsEl.innerHTML = (c.handouts || []).map(h => `
+    <div class="vstack gap-8" data-handout="${escapeHtml(h.id)}">
+      <div class="editor-row">
+        <input data-f="title" value="${escapeHtml(h.title || '')}" placeholder="Handout title" />
+        <input data-f="content" value="${escapeHtml(h.content || '')}" placeholder="Handout content" />
+        <label class="toggle"><input type="checkbox" data-f="hidden"${h.hidden?' checked':''}><span>Hidden</span></label>
+        <button class="btn" data-act="handout-save">Save</button>
+        ${moveBtns}
+        <button class="btn danger ghost" data-act="handout-del">✕</button>
+      </div>${h.hidden ? `
+      <div class="editor-row small">
+        <span class="muted">${h.revealed ? 'Shown to everyone' : h.revealedTo?.length ? `Shown to ${escapeHtml(h.revealedTo.join(', '))}` : 'Not shown yet'}</span>
+        <button class="btn ghost" data-act="handout-reveal-all"${h.revealed?' disabled':''}>Reveal to all</button>
+        <select data-f="revealTo">${players.map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`).join('')}</select>
+        <button class="btn ghost" data-act="handout-reveal-one"${players.length?'':' disabled'}>Show to player</button>
+        ${h.revealed || h.revealedTo?.length ? '<button class="btn ghost" data-act="handout-unreveal">Hide again</button>' : ''}
+      </div>` : ''}
+    </div>`).join('');
+
+  questsEl.innerHTML = (c.quests || []).map(q => `
+    <div class="editor-row" data-quest="${escapeHtml(q.id)}">
+      <input type="checkbox" data-f="done"${q.done?' checked':''} title="Done" style="flex:0 0 auto" />
+      <input data-f="title" value="${escapeHtml(q.title || '')}" placeholder="Quest title" />
+      <label class="toggle"><input type="checkbox" data-f="hidden"${q.hidden?' checked':''}><span>Hidden</span></label>
+      <button class="btn" data-act="quest-save">Save</button>
+      ${moveBtns}
+      <button class="btn danger ghost" data-act="quest-del">✕</button>
+    </div>`).join('');
+}
+
+(()=>{
+  const tools = $('gmTools'); if (!tools) return;
+  const field = (root, f) => root?.querySelector(`[data-f="${f}"]`);
+  const ids = (kind, sceneId) => kind === 'choices'
+    ? ((CAMPAIGN.scenes || []).find(s => s.id === sceneId)?.choices || []).map(c => c.id)
+    : (CAMPAIGN[kind] || []).map(x => x.id);
+
+  tools.addEventListener('toggle', (e)=>{
+    const sid = e.target?.dataset?.scene; if (!sid) return;
+    if (e.target.open) EDITOR_OPEN.add(sid); else EDITOR_OPEN.delete(sid);
+  }, true);
+  tools.addEventListener('focusout', ()=> setTimeout(()=>{ if (EDITOR_PENDING && !editorBusy()) renderCampaignEditor(EDITOR_PENDING); }, 0));
+
+  tools.addEventListener('click', (e)=>{
+    const btn = e.target.closest('[data-act]'); if (!btn || !tools.contains(btn)) return;
+    const act = btn.dataset.act;
+    const sceneEl = btn.closest('[data-scene]'), sceneId = sceneEl?.dataset.scene;
+    const row = btn.closest('[data-choice],[data-handout],[data-quest],[data-newchoice]');
+
+    if (act === 'up' || act === 'down') {
+      const dir = act === 'up' ? -1 : 1;
+      let kind, id;
+      if (row?.dataset.choice) { kind = 'choices'; id = row.dataset.choice; }
+      else if (row?.dataset.handout) { kind = 'handouts'; id = row.dataset.handout; }
+      else if (row?.dataset.quest) { kind = 'quests'; id = row.dataset.quest; }
+      else { kind = 'scenes'; id = sceneId; }
+      const order = swapId(ids(kind, sceneId), id, dir);
+      if (order) socket.emit('campaign_reorder', { kind, sceneId, order });
+      return;
+    }
+    switch (act) {
+      case 'scene-save':
+        socket.emit('campaign_scene_update', { sceneId, title: field(sceneEl, 'title').value, content: field(sceneEl, 'content').value, gmNotes: field(sceneEl, 'gmNotes').value, ending: field(sceneEl, 'ending').checked, mapId: field(sceneEl, 'mapId').value });
+        break;
+      case 'scene-set': socket.emit('campaign_scene_set', { sceneId }); break;
+      case 'scene-del':
+        if (confirm(`Delete scene "${sceneId}"?`)) socket.emit('campaign_scene_delete', { sceneId });
+        break;
+      case 'choice-save':
+        socket.emit('campaign_choice_update', { sceneId, choiceId: row.dataset.choice, text: field(row, 'text').value, to: field(row, 'to').value });
+        break;
+      case 'choice-del': socket.emit('campaign_choice_delete', { sceneId, choiceId: row.dataset.choice }); break;
+      case 'choice-add': {
+        const text = field(row, 'text').value.trim(); if (!text) return;
+        socket.emit('campaign_choice_add', { sceneId, text, to: field(row, 'to').value });
+        break;
+      }
+      case 'handout-save': socket.emit('campaign_handout_update', { id: row.dataset.handout, title: field(row, 'title').value, content: field(row, 'content').value, hidden: field(row, 'hidden').checked }); break;
+      case 'handout-reveal-all': socket.emit('campaign_handout_reveal', { id: row.dataset.handout, to: 'all' }); break;
+      case 'handout-reveal-one': socket.emit('campaign_handout_reveal', { id: row.dataset.handout, to: [field(row, 'revealTo').value] }); break;
+      case 'handout-unreveal': socket.emit('campaign_handout_reveal', { id: row.dataset.handout, hide: true }); break;
+      case 'handout-del': if (confirm('Delete this handout?')) socket.emit('campaign_handout_delete', { id: row.dataset.handout }); break;
+      case 'quest-save': socket.emit('campaign_quest_update', { id: row.dataset.quest, title: field(row, 'title').value, done: field(row, 'done').checked, hidden: field(row, 'hidden').checked }); break;
+      case 'quest-del': if (confirm('Delete this quest?')) socket.emit('campaign_quest_delete', { id: row.dataset.quest }); break;
+    }
+  });
+})();
+
+// Reflect the lobby's decision mode in GM Tools unless the GM is editing it
+function syncDecisionMode(d){
+  const sel = $('decisionMode'), secs = $('decisionSeconds');
+  if (!d || !sel || document.activeElement === sel || document.activeElement === secs) return;
+  sel.value = d.mode;
+  if (secs) { secs.value = d.seconds; secs.disabled = d.mode !== 'timed'; }
 }
 
 function wireCampaignInputs(){
   $('addNote')?.addEventListener('click', ()=>{
     const t = $('noteText')?.value.trim(); if (!t) return;
-    socket.emit('campaign_note_add', { text: t });
+    socket.emit('campaign_note_add', { text: t, private: IS_GM && !!$('notePrivate')?.checked });
     $('noteText').value='';
   });
   $('saveCampMeta')?.addEventListener('click', ()=>{
@@ -576,16 +1488,17 @@ function wireCampaignInputs(){
   $('saveCampSummary')?.addEventListener('click', ()=>{
     socket.emit('campaign_update_meta', { summary: $('campSummary')?.value || '' });
   });
+  const emitDecision = ()=> socket.emit('campaign_decision_mode', { mode: $('decisionMode').value, seconds: $('decisionSeconds')?.value });
+  $('decisionMode')?.addEventListener('change', emitDecision);
+  $('decisionSeconds')?.addEventListener('change', emitDecision);
+  $('campSaveAs')?.addEventListener('click', ()=>{
+    socket.emit('campaign_save_as', {
+      key: $('campSaveKey')?.value.trim() || '', overwrite: !!$('campSaveOverwrite')?.checked, adminToken: $('campaignAdminToken')?.value.trim() || '',
+    });
+  });
   $('addScene')?.addEventListener('click', ()=>{
     socket.emit('campaign_scene_add', { title: $('sceneTitle')?.value || 'New Scene', content: $('sceneContent')?.value || '' });
   });
-  $('setScene')?.addEventListener('click', ()=>{
-    const id = $('sceneIdSet')?.value.trim(); if (!id) return;
-    socket.emit('campaign_scene_set', { sceneId: id });
-  });
-  $('addChoice')?.addEventListener('click', ()=>{
-    socket.emit('campaign_choice_add', { sceneId: $('choiceSceneId')?.value.trim(), text: $('choiceText')?.value || 'Choice', to: $('choiceTo')?.value.trim() });
-  });
   $('addHandout')?.addEventListener('click', ()=>{
     socket.emit('campaign_handout_add', { title: $('handoutTitle')?.value || 'Handout', content: $('handoutContent')?.value || '' });
   });
@@ -600,33 +1513,36 @@ function openCharacterPopup(prefillName=''){
   const body = document.createElement('div');
   body.innerHTML = `
   <div class="grid cols-1 gap-8">
+    ${VAULT.length ? `<label class="field"><span>From your vault</span><select id="pc_vault">${VAULT.map(v=>
+      `<option value="${escapeHtml(v.key)}">${escapeHtml(v.name)} — level ${Number(v.level)||1} ${escapeHtml(v.class)}</option>`).join('')}</select></label>
+    <div class="small muted">…or make a new character:</div>` : ''}
     <label class="field"><span>Name</span><input id="pc_name" placeholder="Your hero" value="${escapeHtml(prefillName)}"/></label>
     <div class="grid-3 gap-8">
       <label class="field"><span>Archetype</span>
-        <select id="pc_arch"><option value="">(Preset)</option><option>Warrior</option><option>Rogue</option><option>Wizard</option><option>Cleric</option></select>
+        <select id="pc_arch"><option value="">(Preset)</option>${Object.keys(RULES?.presets || {}).map(p=>`<option>${escapeHtml(p)}</option>`).join('')}</select>
       </label>
       <label class="field"><span>Race</span>
-        <select id="pc_race"><option>Human</option><option>Elf</option><option>Dwarf</option><option>Halfling</option></select>
+        <select id="pc_race">${Object.keys(RULES?.races || { Human: 1 }).map(r=>`<option>${escapeHtml(r)}</option>`).join('')}</select>
       </label>
       <label class="field"><span>Class</span><input id="pc_class" placeholder="e.g. Fighter"/></label>
     </div>
     <div class="grid-6 sm-grid-3 gap-8">
-      ${AB_IDS.map(id=>`<label class="ability small"><span>${id}</span><input id="pc_${id}" type="number" min="8" max="15" value="8"></label>`).join('')}
+      ${AB_IDS.map(id=>`<label class="ability small"><span>${id}</span><input id="pc_${id}" type="number" min="1" max="30" value="8"></label>`).join('')}
     </div>
-    <div class="small muted" id="pc_points">Points left: 27</div>
+    <div class="small muted" id="pc_points"></div>
   </div>`;
   const pcPoints = body.querySelector('#pc_points');
-  const pcCost = () => AB_IDS.reduce((sum,id)=> sum + cost(parseInt(body.querySelector('#pc_'+id)?.value||8,10)), 0);
+  const pcScores = () => Object.fromEntries(AB_IDS.map(id => [id, parseInt(body.querySelector('#pc_'+id)?.value||8,10)]));
   const pcUpdate = ()=>{
-    const left = 27 - pcCost();
-    pcPoints.textContent = `Points left: ${left}`;
-    pcPoints.style.color = left < 0 ? '#b91c1c' : '';
+    const { text, bad } = abilityStatus(pcScores());
+    pcPoints.textContent = text;
+    pcPoints.style.color = bad ? '#b91c1c' : '';
   };
   AB_IDS.forEach(id=> body.querySelector('#pc_'+id).addEventListener('input', pcUpdate));
   body.querySelector('#pc_arch').addEventListener('change', (e)=>{
-    const a = e.target.value;
-    if (a && PRESETS[a]) {
-      AB_IDS.forEach(id => { body.querySelector('#pc_'+id).value = PRESETS[a][id]; });
+    const p = RULES?.presets[e.target.value];
+    if (p && ABILITY_METHOD === 'pointbuy') {
+      AB_IDS.forEach(id => { body.querySelector('#pc_'+id).value = p[id]; });
       pcUpdate();
     }
   });
@@ -635,9 +1551,12 @@ function openCharacterPopup(prefillName=''){
   const cancel = makeBtn('Later', { ghost:true });
   cancel.addEventListener('click', hideModal);
 
+  const fromVault = makeBtn('Use From Vault');
+  fromVault.addEventListener('click', ()=>{ useVaultCharacter(body.querySelector('#pc_vault')?.value); hideModal(); });
+
   const save = makeBtn('Save Character', { primary:true });
   save.addEventListener('click', ()=>{
-    const abilities = Object.fromEntries(AB_IDS.map(id => [id, parseInt(body.querySelector('#pc_'+id)?.value||8,10)]));
+    const abilities = pcScores();
     const sheet = {
       name: body.querySelector('#pc_name')?.value.trim() || $('name')?.value.trim() || 'Hero',
       class: body.querySelector('#pc_class')?.value.trim() || '',
@@ -650,22 +1569,41 @@ function openCharacterPopup(prefillName=''){
     hideModal();
   });
 
-  showModal(makeCard('Create Your Character', body, [cancel, save]));
+  showModal(makeCard('Create Your Character', body, VAULT.length ? [cancel, fromVault, save] : [cancel, save]));
 }
 
 /* ---------------- Consent Modal ---------------- */
-function openConsentModal({ text, requestedBy }){
+function openConsentModal({ text, requestedBy, proposedBy, check, mode, endsAt }){
   const body = document.createElement('div');
+  body.dataset.votemodal = '1';
   body.innerHTML = `<p>${escapeHtml(requestedBy || 'GM')} proposes: <strong>${escapeHtml(text)}</strong></p>
-  <p class="small muted">Everyone must accept (or the GM can force after ~30s).</p>`;
-  const cancel = makeBtn('Not Yet', { ghost:true });
-  cancel.addEventListener('click', hideModal);
+  ${proposedBy?.length ? `<p class="small muted">Suggested by ${escapeHtml(proposedBy.join(', '))}.</p>` : ''}
+  ${check ? `<p class="small">This needs a <strong>${escapeHtml(check.what)}</strong> check (DC ${check.dc}, ${escapeHtml(check.who)}).</p>` : ''}
+  <p class="small muted">${escapeHtml(DECISION_LABELS[mode] || DECISION_LABELS.unanimous)}${endsAt ? ` — closes at ${new Date(endsAt).toLocaleTimeString()}` : ''}; the GM can also force it.</p>`;
+  const later = makeBtn('Not Yet', { ghost:true });
+  later.addEventListener('click', hideModal);
+  const no = makeBtn('Reject', { danger:true });
+  no.addEventListener('click', ()=>{ socket.emit('campaign_choice_reject'); hideModal(); });
   const ok = makeBtn("I'm OK with this", { primary:true });
   ok.addEventListener('click', ()=>{
     socket.emit('campaign_choice_ack');
     hideModal();
   });
-  showModal(makeCard('Proceed?', body, [cancel, ok]));
+  showModal(makeCard('Proceed?', body, [later, no, ok]));
+}
+
+/* ---------------- Skill check prompt ---------------- */
+function openCheckModal({ label, dc, who }){
+  const body = document.createElement('div');
+  body.dataset.checkmodal = '1';
+  body.innerHTML = `<p>Roll <strong>${escapeHtml(label)}</strong> (DC ${dc}).</p>
+  <p class="small muted">${who === 'one' ? 'The first roll decides.' : who === 'everyone' ? 'Everyone must pass.' : 'At least half the party must pass.'}</p>`;
+  const roll = (mode)=> { socket.emit('campaign_check_roll', { mode }); hideModal(); };
+  const dis = makeBtn('Disadvantage', { ghost:true }), adv = makeBtn('Advantage', { ghost:true }), normal = makeBtn('Roll', { primary:true });
+  dis.addEventListener('click', ()=> roll('dis'));
+  adv.addEventListener('click', ()=> roll('adv'));
+  normal.addEventListener('click', ()=> roll(null));
+  showModal(makeCard('Skill Check', body, [dis, adv, normal]));
 }
 
 /* ---------------- Socket events ---------------- */
@@ -673,15 +1611,20 @@ socket.on('connect_error', (err)=>{
   log(`Socket error: ${escapeHtml(err?.message || String(err))}`, 'sys');
 });
 
-socket.on('identified', ({ username })=> {
+socket.on('identified', ({ username, token, account })=> {
   CURRENT_USER = username;
+  if (token) localStorage.setItem('session', token);
+  if ($('accountPass')) $('accountPass').value = '';
   updateIsGM(); // may resolve once gmBadge exists too
-  log(`You are <strong>${escapeHtml(username)}</strong>.`, 'sys');
+  log(`You are <strong>${escapeHtml(username)}</strong>${account ? ' (signed in)' : ''}.`, 'sys');
+  if (PENDING_JOIN) { socket.emit('join_lobby', PENDING_JOIN); PENDING_JOIN = null; }
 });
 
-socket.on('joined', ({ lobby, history, gm, settings })=>{
+socket.on('joined', ({ lobby, username, history, gm, settings })=>{
+  CURRENT_LOBBY = lobby;
+  if (username) CURRENT_USER = username;
   if ($('log')) $('log').innerHTML = '';
-  log(`Joined lobby <strong>${escapeHtml(lobby)}</strong>.`, 'sys');
+  log(`Joined lobby <strong>${escapeHtml(lobby)}</strong>${username ? ` as <strong>${escapeHtml(username)}</strong>` : ''}.`, 'sys');
   (history?.messages||[]).forEach(m=>renderChat(m));
   (history?.rolls||[]).forEach(r=>renderRoll(r));
   if ($('gmBadge')) $('gmBadge').textContent = `GM: ${gm || '—'}`;
@@ -706,11 +1649,17 @@ socket.on('roll', (r)=> renderRoll(r));
 socket.on('error_message', (msg)=> log(`Error: ${escapeHtml(msg)}`, 'sys'));
 
 socket.on('characters', renderChars);
+socket.on('macros', (m)=> { MACROS = { mine: m?.mine || {}, shared: m?.shared || {} }; renderMacroBar(); });
+socket.on('macros_shared', (shared)=> { MACROS.shared = shared || {}; renderMacroBar(); });
 
 socket.on('state', (state)=>{
   if ($('gmBadge')) $('gmBadge').textContent = `GM: ${state.gm || '—'}`;
+  LOBBY_USERS = state.users || [];
   if ($('users')) $('users').innerHTML = (state.users||[]).map(u=>`<span class="pill">@${escapeHtml(u)}</span>`).join(' ');
   renderChars(state.characters || {});
+  renderStash(state.stash);
+  if (IS_GM && !BESTIARY) { BESTIARY = []; socket.emit('bestiary_get'); }
+  if ($('spawnCard')) $('spawnCard').style.display = IS_GM ? '' : 'none';
   renderEncounter(state.encounter || {active:false, order:[], turnIndex:0});
 
   // Sync started flag from server, but honor local override if GM
@@ -724,7 +1673,13 @@ socket.on('state', (state)=>{
   }
 
   if (state.gm) CAMPAIGN.gm = state.gm;
+  CAMPAIGN.sceneCheck = state.settings?.sceneCheck || null;
+  CAMPAIGN.proposals = state.settings?.proposals || [];
+  if (state.settings && 'vote' in state.settings) setVote(state.settings.vote);
+  syncDecisionMode(state.settings?.decision);
+  syncMovementRule(state.settings?.diagonals);
   updateIsGM(state.gm);
+  syncAbilityMethod(state.settings?.abilityMethod);
 
   if (state.campaign) {
     renderCampaignState(state.campaign);
@@ -733,7 +1688,46 @@ socket.on('state', (state)=>{
   }
 });
 
-socket.on('map_state', (map)=>{ MAP = map || MAP; resizeCells(); drawMap(); });
+// The whole map arrives on join, a map switch or a resize; everything else is a versioned map_patch.
+// A patch that doesn't follow our version means we missed one, so ask for the whole map again.
+let mapResyncing = false;
+socket.on('map_state', (map)=>{ MAP = map || MAP; mapResyncing = false; resizeCells(); drawMap(); syncFogControls(); syncTokenControls(); });
+socket.on('map_patch', ({ base, version, ops })=>{
+  if (mapResyncing) return;
+  if (base !== MAP.version) { mapResyncing = true; socket.emit('map_request'); return; }
+  const dirty = new Set(), cell = (x, y) => y*MAP.w + x;
+  let whole = false;
+  for (const o of ops || []) {
+    switch (o.op) {
+      case 'tile':
+        MAP.tiles[o.y][o.x] = o.t;
+        if (o.v !== undefined) MAP.vis[o.y] = MAP.vis[o.y].slice(0, o.x) + o.v + MAP.vis[o.y].slice(o.x + 1);
+        dirty.add(cell(o.x, o.y));
+        break;
+      case 'object': case 'note': {
+        const layer = o.op === 'object' ? 'objects' : 'notes';
+        MAP[layer] = MAP[layer] || {};
+        if (o.val == null) delete MAP[layer][o.c]; else MAP[layer][o.c] = o.val;
+        dirty.add(o.c);
+        break;
+      }
+      case 'token': case 'token_move': case 'token_remove': {
+        const id = o.token?.id ?? o.id, was = MAP.tokens[id];
+        if (was) dirty.add(cell(was.x, was.y));
+        if (o.op === 'token_remove') delete MAP.tokens[id];
+        else MAP.tokens[id] = o.op === 'token' ? o.token : { ...was, x: o.x, y: o.y };
+        if (MAP.tokens[id]) dirty.add(cell(MAP.tokens[id].x, MAP.tokens[id].y));
+        break;
+      }
+      case 'meta':
+        MAP.name = o.name; MAP.fog = o.fog; whole = true;
+        break;
+    }
+  }
+  MAP.version = version;
+  if (whole) drawMap(); else drawCells(dirty);
+  syncFogControls(); syncTokenControls();
+});
 socket.on('map_ping', ({x,y})=>{
   pings.push({ x,y, ts: Date.now() });
   drawMap(); renderPings();
@@ -770,10 +1764,30 @@ socket.on('settings_updated', (settings)=>{
 socket.on('character_required', ({ reason })=>{
   openCharacterPopup($('name')?.value.trim() || 'Hero');
 });
+socket.on('campaign_delete_blocked', ({ kind, id, refs })=>{
+  const list = (refs||[]).map(r => `• ${r.sceneId}: "${r.text}"`).join('\n');
+  if (confirm(`${(refs||[]).length} choice(s) lead to ${kind} "${id}":\n${list}\n\nDelete anyway? Those choices will be flagged as broken.`)) {
+    socket.emit('campaign_scene_delete', { sceneId: id, force: true });
+  }
+});
+socket.on('campaign_check_requested', (check)=>{
+  CAMPAIGN.sceneCheck = check;
+  if ((check?.rollers || []).includes(CURRENT_USER)) openCheckModal(check);
+  gmControlsBar();
+});
+socket.on('campaign_check_update', (check)=>{ CAMPAIGN.sceneCheck = check; gmControlsBar(); });
+socket.on('campaign_check_resolved', ()=>{
+  CAMPAIGN.sceneCheck = null;
+  if (bySel('[data-checkmodal]')) hideModal();
+  gmControlsBar();
+});
 socket.on('campaign_choice_requested', (payload)=>{
-  CAMPAIGN.pendingChoice = payload?.choiceId || true;
   openConsentModal(payload);
-  gmControlsBar();
+});
+socket.on('campaign_vote_tally', setVote);
+socket.on('campaign_vote_closed', ()=>{
+  if (bySel('[data-votemodal]')) hideModal();
+  setVote(null);
 });
 
 /* ------- Theme toggle (CSP-safe) ------- */
@@ -8,12 +8,47 @@ import http from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import helmet from 'helmet';
-import { MongoClient } from 'mongodb';
 import crypto from 'crypto';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import fsp from 'fs/promises';
+import { rollAdvanced } from './lib/dice.js';
+import {
+  ABILITIES, ABILITY_METHOD_NAMES, ABILITY_METHODS, abilityMod, applyRace, averageMaxHp, buildCheck, characterRules, checkAbilities, checkLabel,
+  critExpression, deriveStats, expandRefs, levelUp, naturalD20, raceName, raceOf, rollAbilityScores, rollMode,
+} from './lib/character.js';
+import {
+  act, addCombatant, applyDamage, applyHealing, carryHpState, currentCombatant, deathSave, defaultEncounter, delayTurn,
+  grantTempHp, nextTurn, readyAction, removeCombatant, resolveDamageType, rollInitiative, sortOrder, startCombat,
+} from './lib/combat.js';
+import {
+  activeConditions, addCondition, combineModes, describeConditions, hasRollEffects, removeCondition, resolveCondition, rollEffects,
+  tickConditions,
+} from './lib/conditions.js';
+import { findAttack, findMonster, monsterAttackCheck, monsterSummary, rollMonsterHp, validateBestiary } from './lib/bestiary.js';
+import {
+  COINS, addCoins, addItem, applyEquipment, attackWeapon, carriedLoad, catalogItem, describeInventory, emptyCoins, equipItem, exchangeCoins,
+  formatCoins, parseCoins, parseGoods, removeItem, takeCoins,
+} from './lib/inventory.js';
+import {
+  castRolls, concentratingOn, concentrationCondition, concentrationDc, durationRounds, findSpell, forgetSpell, learnSpell, ordinal,
+  prepareSpell, recoverSlots, slotsLeft, spellSummary, spellcastingFor, spendSlot, validateSpellList,
+} from './lib/spells.js';
+import { createMemoryStore, createStore, decode, encode } from './lib/store.js';
+import {
+  ACCOUNT_LIMITS, LOGIN_LIMITS, createLimiter, hashPass, loadSessionSecret, loginKey, newUserId, signSession, verifyPass, verifySession,
+} from './lib/auth.js';
+import { VAULT_LIMITS, exportCharacter, lobbyProblems, parseCharacterFile, portableSheet, readSheet, vaultKey, vaultSummary } from './lib/vault.js';
+import {
+  AMBIENT, DIAGONAL_RULES, LIGHT_FT_MAX, MAP_SIZE, OBJECT_TYPES, TILE, TILE_TYPES,
+  blocksMove, defaultFog, diffMapView, ensureFog, ensureMap, findPath, isBlankMap, mapTemplate, mapToAscii, mapViewFor, newMap,
+  parseMapText, reachableIndex, setFogRegion, tileAt, toggleDoor,
+} from './lib/map.js';
+import {
+  DECISION_MODES, VOTE_SECONDS, applyChoice, campaignKey, campaignTemplate, campaignView, checkOutcome, choiceTargets,
+  claimHandoutGrants, decisionFor, enterScene, ensureState, summarizeReport, unmetRequirements, validateCampaign, voteOutcome,
+} from './lib/campaign.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -25,39 +60,151 @@ const io = new Server(server, { cors: { origin: '*', methods: ['GET','POST'] } }
 // ===== Campaign registry (for GM picker) =====
 const CAMPAIGN_DIR = path.join(__dirname, 'public', 'campaigns');
 let CAMPAIGN_REGISTRY = {}; // { key: {title, summary, scenes, handouts, quests, notes, currentSceneId, started:false} }
+let CAMPAIGN_REPORTS = {};  // { key: {file, loaded, errors:[{where,msg}], warnings:[{where,msg}]} } — includes files that failed to load
 
-async function loadCampaignRegistry() {
-  CAMPAIGN_REGISTRY = {};
+// Sources: the bundled JSON files in public/campaigns, plus campaigns saved into the store (files win on key clashes)
+async function loadCampaignRegistry({ log=false } = {}) {
+  const registry = {}, reports = {};
+  const add = (key, file, parse) => {
+    let report;
+    try {
+      const json = parse();
+      const { campaign, errors, warnings } = validateCampaign(json);
+      if (campaign) registry[key] = { ...campaign, title: json.title || key };
+      report = { file, loaded: !!campaign, errors, warnings };
+    } catch (e) {
+      report = { file, loaded: false, errors: [{ where: 'file', msg: `Invalid JSON: ${e.message}` }], warnings: [] };
+    }
+    reports[key] = report;
+    if (log) (report.errors.length ? console.warn : console.log)(summarizeReport(key, report));
+  };
   try {
-    if (!fs.existsSync(CAMPAIGN_DIR)) return;
-    const files = await fsp.readdir(CAMPAIGN_DIR);
-    for (const f of files) {
-      if (!/\.json$/i.test(f)) continue;
-      const key = f.replace(/\.json$/i, '');
-      const raw = await fsp.readFile(path.join(CAMPAIGN_DIR, f), 'utf8');
-      const json = JSON.parse(raw);
-      if (!Array.isArray(json.scenes)) continue; // minimal validation
-      CAMPAIGN_REGISTRY[key] = {
-        title: json.title || key,
-        summary: json.summary || '',
-        scenes: json.scenes || [],
-        handouts: json.handouts || [],
-        quests: json.quests || [],
-        notes: json.notes || [],
-        currentSceneId: json.currentSceneId || (json.scenes[0]?.id ?? null),
-        started: false,
-      };
+    if (fs.existsSync(CAMPAIGN_DIR)) {
+      for (const f of await fsp.readdir(CAMPAIGN_DIR)) {
+        if (!/\.json$/i.test(f)) continue;
+        const raw = await fsp.readFile(path.join(CAMPAIGN_DIR, f), 'utf8');
+        add(f.replace(/\.json$/i, ''), f, () => JSON.parse(raw));
+      }
     }
+    for (const { key, doc } of await store.all('campaigns')) if (!reports[key]) add(key, `store:${key}`, () => doc);
   } catch (e) {
     console.error('Failed to load campaigns:', e);
   }
+  CAMPAIGN_REGISTRY = registry;
+  CAMPAIGN_REPORTS = reports;
 }
 const cloneCampaign = (obj) => JSON.parse(JSON.stringify(obj));
 
+// Write a campaign into the registry's store. The bundled files are never written: they ship with the server,
+// and every lobby would see a replaced one. Callers check for the admin token (see isAdminToken).
+async function saveCampaignToRegistry(key, json, { overwrite=false } = {}) {
+  if (!key) throw new Error('Campaign key must contain letters or digits.');
+  const { campaign, errors, warnings } = validateCampaign(json);
+  if (!campaign || errors.length) {
+    const e = new Error(`Campaign has ${errors.length} error(s): ${errors.slice(0,3).map(x=>`${x.where}: ${x.msg}`).join('; ')}`);
+    e.report = { errors, warnings };
+    throw e;
+  }
+  if (CAMPAIGN_REPORTS[key] && !CAMPAIGN_REPORTS[key].file.startsWith('store:')) throw new Error(`"${key}" is a bundled campaign file; pick another key.`);
+  if (CAMPAIGN_REPORTS[key] && !overwrite) throw new Error(`Campaign "${key}" already exists.`);
+  await store.put('campaigns', key, campaignTemplate(campaign, campaign.currentSceneId));
+  await loadCampaignRegistry();
+  io.emit('campaigns_changed', { key });
+  return { key, warnings };
+}
+
+// ===== Content folders (JSON files the server reads at boot and reloads on change) =====
+// Every JSON file in dir, in name order, through its validator, which returns {[kind + 's']: {key: entry}, errors, warnings}.
+// A key already taken by an earlier file is skipped with a warning. Returns the merged {key: entry}.
+async function loadJsonDir(dir, validate, { label, kind, log=false }) {
+  const entries = {}, field = `${kind}s`;
+  try {
+    if (fs.existsSync(dir)) {
+      for (const f of (await fsp.readdir(dir)).sort()) {
+        if (!/\.json$/i.test(f)) continue;
+        let r;
+        try { r = validate(JSON.parse(await fsp.readFile(path.join(dir, f), 'utf8'))); }
+        catch (e) { r = { [field]: {}, errors: [{ where: 'file', msg: `Invalid JSON: ${e.message}` }], warnings: [] }; }
+        for (const [key, x] of Object.entries(r[field])) {
+          if (entries[key]) r.warnings.push({ where: `${kind} ${x.name}`, msg: `"${key}" is already in an earlier file; skipped.` });
+          else entries[key] = x;
+        }
+        if (log) {
+          (r.errors.length ? console.warn : console.log)(`${label} ${f}: ${Object.keys(r[field]).length} ${kind}(s), ` +
+            `${r.errors.length} error(s), ${r.warnings.length} warning(s)` + (r.errors.length ? ` — first error: ${r.errors[0].where}: ${r.errors[0].msg}` : ''));
+        }
+      }
+    }
+  } catch (e) {
+    console.error(`Failed to load ${label}:`, e);
+  }
+  return entries;
+}
+
+// Reload when JSON files in a content folder change (editor saves, git pulls, uploads)
+const watchTimers = {};
+function watchJsonDir(dir, reload) {
+  if (!fs.existsSync(dir)) return;
+  try {
+    fs.watch(dir, { persistent: false }, (evt, file) => {
+      if (file && !/\.json$/i.test(file)) return;
+      clearTimeout(watchTimers[dir]);
+      watchTimers[dir] = setTimeout(reload, 300);
+    });
+  } catch (e) {
+    console.error(`Folder watch unavailable for ${path.basename(dir)}:`, e.message);
+  }
+}
+
+// ===== Bestiary (stat blocks for /spawn) =====
+const BESTIARY_DIR = path.join(__dirname, 'public', 'bestiary');
+let BESTIARY = {}; // { key: monster } from the JSON files in public/bestiary; a loaded campaign adds its own (see monstersFor)
+async function loadBestiary({ log=false } = {}) {
+  BESTIARY = await loadJsonDir(BESTIARY_DIR, validateBestiary, { label: 'bestiary', kind: 'monster', log });
+}
+// Campaign monsters shadow bestiary ones with the same key
+const monstersFor = (L) => ({ ...BESTIARY, ...Object.fromEntries((L.campaign?.monsters || []).map(m => [m.key, m])) });
+
+// ===== Spells (for /cast and the sheet's spellcasting) =====
+const SPELL_DIR = path.join(__dirname, 'public', 'spells');
+let SPELLS = {}; // { key: spell } from the JSON files in public/spells
+async function loadSpells({ log=false } = {}) {
+  SPELLS = await loadJsonDir(SPELL_DIR, validateSpellList, { label: 'spells', kind: 'spell', log });
+}
+const spellList = () => Object.values(SPELLS).map(spellSummary);
+
+// The shared campaign registry is written only with CAMPAIGN_ADMIN_TOKEN (no token set: no writes); being GM of
+// some lobby isn't enough, since anyone can make a lobby. The one-shot tokens a GM requests over the socket only export.
+const isAdminToken = (tok) => {
+  const admin = process.env.CAMPAIGN_ADMIN_TOKEN;
+  return !!admin && typeof tok === 'string' && tok.length === admin.length && crypto.timingSafeEqual(Buffer.from(tok), Buffer.from(admin));
+};
+const UPLOAD_TOKEN_TTL_MS = 10 * 60 * 1000;
+const uploadTokens = new Map(); // token -> { lobby, by, expires }
+function issueUploadToken(lobby, by) {
+  for (const [t, v] of uploadTokens) if (v.expires < Date.now()) uploadTokens.delete(t);
+  const token = crypto.randomBytes(24).toString('hex');
+  uploadTokens.set(token, { lobby, by, expires: Date.now() + UPLOAD_TOKEN_TTL_MS });
+  return token;
+}
+// Bearer header, or ?token= for plain downloads the browser navigates to
+function requestToken(req) {
+  const m = String(req.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  return m?.[1] || (typeof req.query.token === 'string' ? req.query.token : '');
+}
+function takeUploadToken(req) {
+  const tok = requestToken(req);
+  if (!tok) return null;
+  if (isAdminToken(tok)) return { by: 'admin' };
+  const t = uploadTokens.get(tok);
+  uploadTokens.delete(tok);
+  return t && t.expires >= Date.now() ? t : null;
+}
+
 // ===== Security & middleware =====
 app.use(helmet({ contentSecurityPolicy: false }));
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '1mb' }));
 
 // List campaigns for client picker
 app.get('/campaigns', async (req, res) => {
@@ -65,6 +212,8 @@ app.get('/campaigns', async (req, res) => {
     if (!Object.keys(CAMPAIGN_REGISTRY).length) await loadCampaignRegistry();
     const list = Object.entries(CAMPAIGN_REGISTRY).map(([key, c]) => ({
       key, title: c.title || key, summary: c.summary || '',
+      errors: CAMPAIGN_REPORTS[key]?.errors.length || 0,
+      warnings: CAMPAIGN_REPORTS[key]?.warnings.length || 0,
     }));
     res.json(list);
   } catch (e) {
@@ -72,11 +221,81 @@ app.get('/campaigns', async (req, res) => {
   }
 });
 
-// ===== Optional Mongo persistence =====
-const useMongo = !!process.env.MONGODB_URI;
-let mongoClient = null, db = null;
-async function upsertLobbyMeta(name, changes){
-  if (useMongo) await db.collection('lobbies').updateOne({name},{ $set:{name, ...changes}}, {upsert:true});
+// Lint report for one campaign file (also covers files that failed to load)
+app.get('/campaigns/:key/validate', async (req, res) => {
+  if (!Object.keys(CAMPAIGN_REPORTS).length) await loadCampaignRegistry();
+  const report = CAMPAIGN_REPORTS[req.params.key];
+  if (!report) return res.status(404).json({ error: 'Campaign not found' });
+  res.json({ key: req.params.key, ...report });
+});
+
+// Download a registry campaign as a reusable JSON file. GM only: it carries scene notes and hidden handouts.
+app.get('/campaigns/:key/export', async (req, res) => {
+  if (!takeUploadToken(req)) return res.status(401).json({ error: 'Export token missing, used or expired.' });
+  if (!Object.keys(CAMPAIGN_REGISTRY).length) await loadCampaignRegistry();
+  const c = CAMPAIGN_REGISTRY[req.params.key];
+  if (!c) return res.status(404).json({ error: 'Campaign not found' });
+  res.set('Content-Disposition', `attachment; filename="${campaignKey(req.params.key) || 'campaign'}.json"`);
+  res.type('application/json').send(JSON.stringify(campaignTemplate(c, c.currentSceneId), null, 2));
+});
+
+// Upload a campaign JSON body. Auth: Bearer CAMPAIGN_ADMIN_TOKEN.
+// ?key=name (defaults to the title), ?overwrite=1 to replace an existing one
+app.post('/campaigns/import', async (req, res) => {
+  if (!isAdminToken(requestToken(req))) return res.status(401).json({ error: 'Importing a campaign needs the server\'s admin token.' });
+  const json = req.body?.campaign ?? req.body;
+  const key = campaignKey(req.query.key || json?.title);
+  try {
+    const out = await saveCampaignToRegistry(key, json, { overwrite: req.query.overwrite === '1' });
+    res.json({ ok: true, ...out });
+  } catch (e) {
+    res.status(e.report ? 422 : 409).json({ error: e.message, ...(e.report || {}) });
+  }
+});
+
+// ===== Persistence (STORE=memory|file|mongo, see lib/store.js) =====
+let store = createMemoryStore(); // the configured store replaces it at boot, where a bad config falls back to this
+const SAVE_DEBOUNCE_MS = 1000;
+const MAX_SAVED_HISTORY = 200;
+const LOBBY_IDLE_DAYS = 90; // a stored lobby nobody has changed for this long is deleted at boot instead of restored
+
+// ===== User macros (follow the user across lobbies; persisted by the store) =====
+const MACRO_LIMITS = { count: 40, body: 500, lines: 10, depth: 3 };
+const userMacros = new Map(); // userKey -> Map<name, body>
+const userKey = (uid) => String(uid ?? '').trim().toLowerCase(); // macros and the character vault are kept per user id
+const macroLines = (body) => String(body ?? '').split(/\r?\n|;;/).map(l => l.trim()).filter(Boolean).slice(0, MACRO_LIMITS.lines);
+async function loadUserMacros(uid){
+  const key = userKey(uid);
+  if (!userMacros.has(key)) {
+    const saved = await store.get('macros', key);
+    if (!userMacros.has(key)) userMacros.set(key, new Map(Object.entries(saved?.macros || {})));
+  }
+  return userMacros.get(key);
+}
+async function saveUserMacros(uid){
+  const key = userKey(uid);
+  await store.put('macros', key, { macros: Object.fromEntries(userMacros.get(key) || []) });
+}
+
+// ===== Character vault (characters a user takes from lobby to lobby; see lib/vault.js) =====
+const loadVault = async (uid) => (await store.get('vault', userKey(uid))) || { characters: {} };
+const saveVault = (uid, vault) => store.put('vault', userKey(uid), vault);
+
+// ===== Sessions & accounts (see lib/auth.js) =====
+let sessionSecret = null; // loaded at boot
+const loginFailures = createLimiter(LOGIN_LIMITS.failures, LOGIN_LIMITS.windowMs); // by login: guessing one account's password
+const loginAttempts = createLimiter(LOGIN_LIMITS.attempts, LOGIN_LIMITS.windowMs); // by socket: spamming sign-ins
+const loginsInFlight = new Set(); // logins being signed in to right now, so two sign-ups can't both create one account
+// Before user ids, macros and vaults were kept under the lowercased name; the first account to claim that name takes them
+async function adoptNamedData(uid, login) {
+  for (const col of ['macros','vault']) {
+    const old = await store.get(col, login);
+    if (!old || await store.get(col, userKey(uid))) continue;
+    await store.put(col, userKey(uid), old);
+    await store.del(col, login);
+  }
+  userMacros.delete(login);
+  userMacros.delete(userKey(uid));
 }
 
 // ===== Helpers =====
@@ -85,53 +304,19 @@ const safe = (s, max=120) => String(s ?? '').trim().slice(0, max);
 const clamp = (n, a, b) => Math.max(a, Math.min(b, n));
 const randId = (p='id') => `${p}_${Math.random().toString(36).slice(2,9)}`;
 
-const hashPass = (plain) => {
-  const salt = crypto.randomBytes(16);
-  const hash = crypto.scryptSync(plain, salt, 64);
-  return `${salt.toString('hex')}:${hash.toString('hex')}`;
-};
-const verifyPass = (plain, stored) => {
-  const [saltHex, hashHex] = (stored || '').split(':');
-  if (!saltHex || !hashHex) return false;
-  const salt = Buffer.from(saltHex, 'hex');
-  const test = crypto.scryptSync(plain, salt, 64);
-  return crypto.timingSafeEqual(Buffer.from(hashHex, 'hex'), test);
-};
-
-// ===== Dice =====
-const DICE_ADV = /^(\d*)d(\d+)(k[hl](\d+))?([+\-]\d+)?$/i;
-function rollAdvanced(exprRaw) {
-  const expr = safe(exprRaw, 40).replace(/\s+/g,'').toLowerCase();
-  if (expr === 'adv' || expr === 'd20adv') return rollAdvanced('2d20kh1');
-  if (expr === 'dis' || expr === 'd20dis') return rollAdvanced('2d20kl1');
-  const m = expr.match(DICE_ADV);
-  if (!m) throw new Error('Invalid dice. Try d20, 3d6+2, 4d6kh3, adv/dis.');
-  const count = Math.max(1, parseInt(m[1] || '1', 10));
-  const sides = parseInt(m[2], 10);
-  const keepMode = m[3]?.slice(1,2); const keepN = m[4] ? parseInt(m[4],10) : null;
-  const mod = m[5] ? parseInt(m[5], 10) : 0;
-  if (count > 100 || sides > 1000) throw new Error('Too big (<=100 dice, <=1000 sides).');
-  if (keepN && (keepN < 1 || keepN > count)) throw new Error('Keep out of range.');
-  const rolls = Array.from({length:count}, () => 1 + Math.floor(Math.random()*sides));
-  let used = [...rolls];
-  if (keepMode && keepN) { used.sort((a,b)=> keepMode==='h'? b-a : a-b); used = used.slice(0, keepN); }
-  const total = used.reduce((a,b)=>a+b,0) + mod;
-  return { expression: exprRaw, rolls, used, modifier: mod, total };
-}
-
 // ===== In-memory state & defaults =====
 const memory = { lobbies: new Map() };
-const defaultMap = () => ({ w: 20, h: 20, tiles: Array.from({length:20}, () => Array(20).fill(0)), tokens: {} });
+const defaultMap = () => newMap();
 const defaultCampaign = () => ({
   title: 'Embers of Argeth',
   summary: 'Starter mini-campaign to verify scenes & consent flow.',
   scenes: [
     { id: 's_intro', title: 'Arrival in Graywick', content: 'Foggy mining town; escort job & missing caravans.', choices: [
       { id: 'c_intro_tavern', text: 'Head to the Burnt Anvil tavern', to: 's_tavern' },
-      { id: 'c_intro_board',  text: 'Study the notice board',        to: 's_board'  }
+      { id: 'c_intro_board',  text: 'Study the notice board',        to: 's_board', effects: [{ reveal: 'h_notice' }] }
     ]},
     { id: 's_tavern', title: 'The Burnt Anvil', content: 'Foreman offers 10 gp each to guard a wagon at dawn.', choices: [
-      { id: 'c_tavern_accept', text: 'Accept the job (escort)', to: 's_road' },
+      { id: 'c_tavern_accept', text: 'Accept the job (escort)', to: 's_road', effects: [{ flag: 'escort_job' }] },
       { id: 'c_tavern_market', text: 'Wander the night market', to: 's_market' }
     ]},
     { id: 's_board', title: 'Notice Board', content: 'Late caravans; red-eyed goblins near the Old Road.', choices: [
@@ -140,26 +325,27 @@ const defaultCampaign = () => ({
     ]},
     { id: 's_market', title: 'Night Market', content: 'Lanterns sway; rumors of a glowing lighthouse.', choices: [
       { id: 'c_market_lighthouse', text: 'Scout the lighthouse', to: 's_lighthouse' },
-      { id: 'c_market_sleep',      text: 'Rest then escort',     to: 's_road' }
+      { id: 'c_market_sleep',      text: 'Rest then escort',     to: 's_road', requires: [{ flag: 'escort_job' }] }
     ]},
     { id: 's_road', title: 'Ambush on the Old Road', content: 'Goblins attack; tracks lead into woods.', choices: [
       { id: 'c_road_track',  text: 'Follow the tracks', to: 's_cave' },
-      { id: 'c_road_help',   text: 'Help wounded, return', to: 's_graywick' }
+      { id: 'c_road_help',   text: 'Help wounded, return', to: 's_graywick', effects: [{ coins: '10 gp', to: 'each' }] }
     ]},
     { id: 's_cave', title: 'Gloomroot Cave', content: 'Glowing mushrooms, captives, a humming idol.', choices: [
-      { id: 'c_cave_rescue', text: 'Rescue captives', to: 's_reward' },
-      { id: 'c_cave_idol',   text: 'Smash the idol',  to: 's_reward' }
+      { id: 'c_cave_rescue', text: 'Rescue captives', to: 's_reward', effects: [{ quest: 'q_goblins' }, { xp: 100 }, { coins: '10 gp', to: 'each' }] },
+      { id: 'c_cave_idol',   text: 'Smash the idol',  to: 's_reward', effects: [{ flag: 'idol_smashed' }, { xp: 100 }] }
     ]},
     { id: 's_lighthouse', title: 'Ruined Lighthouse', content: 'Sealed hatch; old vault of Argeth.', choices: [
-      { id: 'c_lh_descend', text: 'Descend into the vault', to: 's_reward' }
+      { id: 'c_lh_descend', text: 'Descend into the vault', to: 's_reward', effects: [{ coins: '50 gp' }, { item: 'Ember Crown rubbing' }] }
     ]},
     { id: 's_graywick', title: 'Back to Graywick', content: 'Thanks & hints to finish the job.', choices: [
       { id: 'c_graywick_road', text: 'Return to the Old Road', to: 's_road' }
     ]},
-    { id: 's_reward', title: 'Aftermath', content: 'Coin; rumors of the Ember Crown.', choices: []}
+    { id: 's_reward', title: 'Aftermath', content: 'Coin; rumors of the Ember Crown.', choices: [], ending: true }
   ],
   currentSceneId: 's_intro',
-  handouts: [{ id: 'h_notice', title: 'Notice Board', content: 'Escort to mill at dawn. Pay: 10 gp each.' }],
+  startSceneId: 's_intro',
+  handouts: [{ id: 'h_notice', title: 'Notice Board', content: 'Escort to mill at dawn. Pay: 10 gp each.', hidden: true }],
   quests: [
     { id: 'q_escort',  title: 'Escort the supply wagon', done: false },
     { id: 'q_goblins', title: 'Find the missing caravans', done: false }
@@ -171,39 +357,550 @@ function defaultSettings(){
     lockedUntilStart: true,
     campaignStarted: false,
     requireCharacter: true,
-    consent: { pending: null }, // { choiceId, text, to, approvals:Set<username>, requestedAt }
+    decision: { mode: 'unanimous', seconds: VOTE_SECONDS.default }, // lobby default; choices may override
+    diagonals: 'simple', // movement rule, see DIAGONAL_RULES
+    abilityMethod: 'pointbuy', // how players assign ability scores, see ABILITY_METHODS
+    consent: {
+      pending: null,  // { sceneId, choiceId, text, to, failure?, check?, mode, endsAt?, votes:{name:'yes'|'no'}, requestedBy, proposedBy?, requestedAt }
+      check: null,    // skill check gating an accepted choice: { sceneId, choiceId, text, to, failure, what, label, dc, who, rollers, results }
+      proposals: [],  // player suggestions for the GM: [{ choiceId, text, by:[names], ts }]
+    },
+  };
+}
+function newLobby() {
+  return {
+    createdAt: new Date(),
+    updatedAt: null,
+    keep: false, // set by the first real change (see socket.use); until then the lobby is never stored
+    joining: 0,  // connections part-way through join_lobby, which keep an empty lobby from being dropped under them
+    gm: null,   // the GM's name here, for display
+    gmId: null, // ...and their user id, which is what makes them GM
+    passwordHash: null,
+    bans: new Map(),    // user id -> name
+    members: new Map(), // user id -> name: everyone who has joined keeps their name here, so it never passes to someone else
+    users: new Map(),   // socket id -> {name, uid}
+    mapViews: new Map(), // socket id -> {version, view}: the last map view that socket was sent (see emitMapTo)
+    macros: new Map(), // GM-published macros shared with the lobby: name -> body
+    messages: [],
+    rolls: [],
+    characters: new Map(),
+    abilityRolls: {}, // name -> six 4d6-drop-lowest totals, for the 'rolled' ability method (one roll each)
+    stash: { inventory: [], coins: emptyCoins() }, // the party's shared loot (see lib/inventory.js)
+    encounter: defaultEncounter(),
+    map: defaultMap(), // the active map
+    maps: {},          // map library: every other map by id (see switchMap)
+    campaign: defaultCampaign(),
+    settings: defaultSettings(),
   };
 }
+// Stored lobbies are restored into memory at boot, so this stays synchronous
 function ensureLobby(name) {
-  if (!memory.lobbies.has(name)) {
-    memory.lobbies.set(name, {
-      createdAt: new Date(),
-      gm: null,
-      passwordHash: null,
-      bans: new Set(),
-      users: new Map(),
-      macros: new Map(),
-      messages: [],
-      rolls: [],
-      characters: new Map(),
-      encounter: { active:false, order:[], turnIndex:0 },
-      map: defaultMap(),
-      campaign: defaultCampaign(),
-      settings: defaultSettings(),
-    });
-  }
+  if (!memory.lobbies.has(name)) memory.lobbies.set(name, newLobby());
   return memory.lobbies.get(name);
 }
+// A lobby nobody changed is forgotten when its last user leaves, so joining random names fills neither memory nor the store
+function dropIfEmpty(name) {
+  const L = memory.lobbies.get(name);
+  if (!L || L.keep || L.users.size || L.joining) return;
+  memory.lobbies.delete(name);
+  clearTimeout(saveTimers.get(name));
+  saveTimers.delete(name);
+}
 
-// ===== API (before static) =====
-app.get('/health', (req,res)=> res.json({ok:true, useMongo}));
-app.get('/lobbies', async (req,res)=>{
-  if (useMongo) {
-    const docs = await db.collection('lobbies').find({}, { projection:{_id:0,name:1}}).toArray();
-    return res.json(docs.map(d=>d.name));
+// ===== Lobby persistence: debounced write-through, restored at boot =====
+// Live sockets (users) are never stored; Maps/Sets survive via encode/decode.
+const PERSISTED_FIELDS = ['createdAt','updatedAt','gm','gmId','passwordHash','bans','members','macros','messages','rolls','characters','abilityRolls','stash','encounter','map','maps','campaign','settings'];
+const saveTimers = new Map(); // lobby name -> pending timeout
+
+function serializeLobby(L) {
+  const doc = Object.fromEntries(PERSISTED_FIELDS.map(k => [k, L[k]]));
+  doc.messages = L.messages.slice(-MAX_SAVED_HISTORY);
+  doc.rolls = L.rolls.slice(-MAX_SAVED_HISTORY);
+  return encode(doc);
+}
+function hydrateLobby(doc) {
+  const L = newLobby();
+  const data = decode(doc);
+  for (const k of PERSISTED_FIELDS) if (data[k] !== undefined && data[k] !== null) L[k] = data[k];
+  L.keep = true;
+  const defaults = defaultSettings();
+  L.settings = { ...defaults, ...L.settings, consent: { ...defaults.consent, ...L.settings.consent } };
+  if (L.settings.consent.pending && !L.settings.consent.pending.votes) L.settings.consent.pending = null; // pre-vote format
+  if (L.bans instanceof Set) L.bans = new Map([...L.bans].map(n => [`name:${n}`, n])); // pre-user-id bans, by name until that name turns up
+  ensureMap(L.map);
+  for (const m of Object.values(L.maps)) ensureMap(m);
+  L.encounter = { ...defaultEncounter(), ...L.encounter };
+  for (const c of L.encounter.order) c.id = c.id || randId('c'); // pre-tracker {name, init} entries
+  if (L.encounter.active && !L.encounter.round && L.encounter.order.length) L.encounter.round = 1;
+  for (const sheet of L.characters.values()) {
+    if (sheet.baseAbilities) continue; // pre-rules sheets: what was stored is the base, racial modifiers never applied
+    sheet.baseAbilities = sheet.abilities;
+    sheet.abilities = applyRace(sheet.baseAbilities, sheet.race);
+  }
+  return L;
+}
+async function saveLobbyNow(name) {
+  const L = memory.lobbies.get(name);
+  if (!L?.keep) return;
+  L.updatedAt = new Date();
+  try { await store.put('lobbies', name, serializeLobby(L)); }
+  catch (e) { console.error(`Failed to save lobby "${name}":`, e.message); }
+}
+// The first change in a window schedules one save; later changes ride along since state is read at save time
+function persistLobby(name) {
+  if (!name || saveTimers.has(name)) return;
+  saveTimers.set(name, setTimeout(() => { saveTimers.delete(name); saveLobbyNow(name); }, SAVE_DEBOUNCE_MS));
+}
+async function flushLobbies() {
+  for (const [name, t] of [...saveTimers.entries()]) {
+    clearTimeout(t); saveTimers.delete(name);
+    await saveLobbyNow(name);
+  }
+}
+async function restoreLobbies() {
+  let n = 0, idle = 0;
+  for (const { key, doc } of await store.all('lobbies')) {
+    try {
+      const L = hydrateLobby(doc);
+      if (L.updatedAt && Date.now() - L.updatedAt > LOBBY_IDLE_DAYS * 86400000) { await store.del('lobbies', key); idle++; continue; }
+      memory.lobbies.set(key, L);
+      armVoteTimer(key, L);
+      n++;
+    }
+    catch (e) { console.error(`Failed to restore lobby "${key}":`, e.message); }
   }
-  res.json([...memory.lobbies.keys()]);
+  if (n) console.log(`Restored ${n} lobb${n === 1 ? 'y' : 'ies'} from ${store.kind} store`);
+  if (idle) console.log(`Deleted ${idle} lobb${idle === 1 ? 'y' : 'ies'} idle for over ${LOBBY_IDLE_DAYS} days`);
+}
+
+// ===== Lobby broadcasts (also used by timers, outside any socket) =====
+// Whether a connected user ({name, uid} from L.users) is the GM: by user id, like isGM, never by display name
+const isGMUser = (L, u) => !!L.gmId && u?.uid === L.gmId;
+// Campaign data is per viewer: the GM sees everything, players a redacted copy (see campaignView)
+const campaignFor = (L, u) => campaignView(L.campaign, { gm: isGMUser(L, u), user: u.name, started: L.settings.campaignStarted });
+function emitCampaignTo(name, L) {
+  for (const [sid, u] of L.users.entries()) io.to(sid).emit('campaign_state', campaignFor(L, u));
+}
+// Settings safe for every client (the pending vote's targets and the raw votes stay server-side)
+const publicSettings = (L) => ({
+  lockedUntilStart: L.settings.lockedUntilStart,
+  campaignStarted: L.settings.campaignStarted,
+  requireCharacter: L.settings.requireCharacter,
+  decision: L.settings.decision,
+  diagonals: L.settings.diagonals,
+  abilityMethod: L.settings.abilityMethod,
+  vote: voteTally(L),
+  proposals: L.settings.consent.proposals,
+  sceneCheck: publicCheck(L.settings.consent.check),
 });
+// Sheets as clients get them: with everything derived from the rules (see deriveStats), never stored
+const charactersView = (L) => Object.fromEntries([...L.characters.entries()].map(([n, s]) => [n, {
+  ...s, derived: { ...deriveStats(s), load: carriedLoad(s), spellcasting: spellcastingFor(s, SPELLS) },
+}]));
+// What lobbyProblems() checks a character brought in from elsewhere against
+const lobbyRules = (L) => ({ abilityMethod: L.settings.abilityMethod, spells: SPELLS });
+function emitLobbyState(name) {
+  const L = memory.lobbies.get(name);
+  if (!L) return;
+  const users = [...L.users.values()].map(u => u.name);
+  const base = {
+    users,
+    gm: L.gm,
+    characters: charactersView(L),
+    stash: L.stash,
+    settings: publicSettings(L),
+    characterNeeded: Object.fromEntries(users.map(u => [u, !L.characters.has(u)])),
+  };
+  for (const [sid, u] of L.users.entries()) io.to(sid).emit('state', { ...base, encounter: encounterFor(L, u), campaign: campaignFor(L, u) });
+}
+// Map data is per viewer too: with fog of war on, players only receive what their tokens can see.
+// Changes within MAP_FLUSH_MS go out together as one versioned map_patch per socket, diffed against the
+// view that socket holds; a socket with no view (just joined, or asked via map_request) gets a full map_state.
+const MAP_FLUSH_MS = 40;
+const mapFlushTimers = new Map(); // lobby name -> pending timeout
+function emitMapTo(name, L) {
+  if (mapFlushTimers.has(name)) return;
+  mapFlushTimers.set(name, setTimeout(() => { mapFlushTimers.delete(name); flushMap(L); }, MAP_FLUSH_MS));
+}
+function flushMap(L) {
+  const sheetFor = (owner) => L.characters.get(owner);
+  const views = new Map(); // user id -> view, built once and shared by all of that user's sockets
+  for (const [sid, u] of L.users.entries()) {
+    const gm = isGMUser(L, u);
+    let view = views.get(u.uid);
+    if (!view) {
+      view = mapViewFor(L.map, { gm, user: u.name, sheetFor });
+      view.tokens = Object.fromEntries(Object.entries(view.tokens).map(([id, t]) => [id, { ...t, ...tokenExtras(L, t, gm) }]));
+      views.set(u.uid, view = structuredClone(view));
+    }
+    const sent = L.mapViews.get(sid);
+    const ops = sent ? diffMapView(sent.view, view) : null;
+    if (ops && !ops.length) continue;
+    const version = (sent?.version || 0) + 1;
+    if (ops) io.to(sid).emit('map_patch', { base: sent.version, version, ops });
+    else io.to(sid).emit('map_state', { ...view, version });
+    L.mapViews.set(sid, { version, view });
+  }
+}
+// ===== Combat tracker (rules in lib/combat.js) =====
+// A combatant tied to a hidden token stays off players' trackers and out of their turn announcements
+const combatantHidden = (L, c) => !!(c.tokenId && L.map.tokens[c.tokenId]?.hidden);
+// PCs show their sheet's HP and AC; players see an NPC's health only as a bar (hpPct), never exact HP or AC
+function encounterFor(L, u) {
+  const gm = isGMUser(L, u);
+  const order = L.encounter.order.filter(c => gm || !combatantHidden(L, c)).map(c => {
+    if (c.kind === 'pc') {
+      const sheet = L.characters.get(c.owner);
+      return sheet ? { ...c, hp: sheet.hp, maxHp: sheet.maxHp, ac: sheet.ac, conditions: activeConditions(sheet) } : c;
+    }
+    if (gm || c.hp == null) return c;
+    const { hp, maxHp, ac, tempHp, resist, vulnerable, immune, ...rest } = c;
+    return { ...rest, hpPct: hpPct(c) };
+  });
+  return { ...L.encounter, order, current: currentCombatant(L.encounter)?.id || null };
+}
+const hpPct = (c) => clamp(Math.ceil(c.hp / c.maxHp * 10) * 10, 0, 100);
+// What a token shows beyond itself: its creature's HP bar (health) and conditions. A linked NPC combatant's
+// (players get an NPC's health as pct only), else the owning player's sheet; other tokens keep their own conditions.
+function tokenExtras(L, tok, gm) {
+  const c = L.encounter.order.find(o => o.kind === 'npc' && o.tokenId === tok.id);
+  const sheet = !c && tok.owner !== L.gm ? L.characters.get(tok.owner) : null;
+  const out = {};
+  if (c?.hp != null) out.health = gm ? { hp: c.hp, maxHp: c.maxHp, tempHp: c.tempHp || 0 } : { pct: hpPct(c) };
+  if (sheet) out.health = { hp: sheet.hp, maxHp: sheet.maxHp, tempHp: sheet.tempHp || 0, ...(sheet.status ? { status: sheet.status } : {}) };
+  const conditions = c || sheet ? activeConditions(c || sheet) : [];
+  if (conditions.length) out.conditions = conditions;
+  return out;
+}
+// Who a /damage, /heal, /cond… means: a character sheet (by name, or a player's token), an NPC combatant (by id or
+// name, or its linked token), or else a bare map token. Returns {kind: pc|npc|token, name, target}.
+function findTarget(L, name) {
+  const n = lc(name);
+  const sheetName = [...L.characters.keys()].find(k => lc(k) === n)
+    || Object.values(L.map.tokens).find(t => lc(t.name) === n && t.owner !== L.gm && L.characters.has(t.owner))?.owner;
+  if (sheetName) return { kind: 'pc', name: sheetName, target: L.characters.get(sheetName) };
+  const npc = (o) => o.kind === 'npc';
+  const c = L.encounter.order.find(o => npc(o) && (o.id === name || lc(o.name) === n));
+  if (c) return { kind: 'npc', name: c.name, target: c };
+  const tok = L.map.tokens[name] || Object.values(L.map.tokens).find(t => lc(t.name) === n);
+  if (!tok) return null;
+  const linked = L.encounter.order.find(o => npc(o) && o.tokenId === tok.id);
+  return linked ? { kind: 'npc', name: linked.name, target: linked } : { kind: 'token', name: tok.name, target: tok };
+}
+const targetHidden = (L, found) => found.kind === 'npc' ? combatantHidden(L, found.target) : found.kind === 'token' && !!found.target.hidden;
+// An NPC at 0 HP leaves the order; if it was acting, the turn passes on
+function defeatCombatant(name, L, c) {
+  const { turn } = removeCombatant(L.encounter, c.id);
+  const text = `${c.name} is defeated.`;
+  if (combatantHidden(L, c)) whisperGM(L, text); else io.to(name).emit('system', text);
+  if (turn) announceTurn(name, L, turn);
+}
+// PC combatant for a player's token (or a bare sheet name), initiative rolled from the sheet's DEX
+function pcCombatant(L, { name, owner, tokenId }) {
+  const dex = L.characters.get(owner)?.abilities?.DEX ?? 10;
+  const roll = rollInitiative(dex);
+  return { combatant: { id: randId('c'), name, init: roll.init, dex, kind: 'pc', owner, ...(tokenId ? { tokenId } : {}) }, roll };
+}
+// A fresh encounter with every player token in it, initiative rolled. Returns "Pat 15 (1d20+2: 13)" lines.
+function openEncounter(L) {
+  const enc = L.encounter = { ...defaultEncounter(), active: true };
+  const rolled = [];
+  for (const tok of Object.values(L.map.tokens)) {
+    if (tok.owner === L.gm) continue;
+    const { combatant, roll } = pcCombatant(L, { name: tok.name, owner: tok.owner, tokenId: tok.id });
+    addCombatant(enc, combatant);
+    rolled.push(`${tok.name} ${roll.init} (${roll.expression}: ${roll.natural})`);
+  }
+  return rolled;
+}
+
+// Up to n free cells for new tokens (walkable, no hazard, unoccupied), nearest first from `near` or the map's centre
+function spawnCells(L, n, near) {
+  const { w, h } = L.map;
+  const taken = new Set(Object.values(L.map.tokens).map(t => t.y*w + t.x));
+  const start = near || { x: Math.floor(w/2), y: Math.floor(h/2) };
+  const seen = new Set([start.y*w + start.x]), queue = [start], out = [];
+  while (queue.length && out.length < n) {
+    const { x, y } = queue.shift();
+    if (!blocksMove(L.map, x, y) && !tileAt(L.map, x, y).hazard && !taken.has(y*w + x)) out.push({ x, y });
+    for (const [dx, dy] of [[1,0],[-1,0],[0,1],[0,-1]]) {
+      const nx = x + dx, ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= w || ny >= h || seen.has(ny*w + nx)) continue;
+      seen.add(ny*w + nx); queue.push({ x: nx, y: ny });
+    }
+  }
+  return out;
+}
+// Tokens for a bestiary monster, each joining the encounter with rolled HP and initiative. Several of one kind
+// (or a name already on the map) are numbered: "Goblin 1", "Goblin 2"… Returns the new combatants.
+function spawnMonsters(L, m, count, near) {
+  const cells = spawnCells(L, count, near);
+  if (!cells.length) throw new Error('No free cell on the map for new tokens.');
+  const names = new Set([...Object.values(L.map.tokens).map(t => lc(t.name)), ...L.encounter.order.map(c => lc(c.name))]);
+  const base = m.name.slice(0, 20);
+  let n = 1;
+  const nextName = () => {
+    if (count === 1 && !names.has(lc(base)) && !names.has(lc(`${base} 1`))) return base;
+    while (names.has(lc(`${base} ${n}`))) n++;
+    return `${base} ${n}`;
+  };
+  return cells.map(({ x, y }) => {
+    const name = nextName();
+    names.add(lc(name));
+    const tok = { id: randId('t'), name, x, y, color: '#7f1d1d', owner: L.gm, light: 0 };
+    L.map.tokens[tok.id] = tok;
+    const hp = rollMonsterHp(m);
+    return addCombatant(L.encounter, {
+      id: randId('c'), name, init: rollInitiative(m.abilities.DEX).init, dex: m.abilities.DEX, kind: 'npc',
+      hp, maxHp: hp, ac: m.ac, tokenId: tok.id, monster: m.key,
+      resist: m.resist || '', vulnerable: m.vulnerable || '', immune: m.immune || '',
+    });
+  });
+}
+// "Round 2 — Turn: Goblin (poisoned (1 round))" after nextTurn() and friends, once timed conditions have ticked
+function announceTurn(name, L, turn) {
+  if (!turn) { io.to(name).emit('system', 'Nobody can act: every combatant is delaying.'); return; }
+  if (turn.ended || turn.newRound) expireConditions(name, L, turn);
+  const c = turn.combatant, round = turn.newRound ? `Round ${L.encounter.round} — ` : '';
+  const holder = c.kind === 'pc' ? L.characters.get(c.owner) : c;
+  const notes = [holder?.status === 'dying' ? 'dying: roll /deathsave' : '', describeConditions(holder?.conditions || [])].filter(Boolean).join('; ');
+  const text = `Turn: ${c.name}${notes ? ` (${notes})` : ''}`;
+  if (!combatantHidden(L, c)) { io.to(name).emit('system', round + text); return; }
+  if (round) io.to(name).emit('system', `Round ${L.encounter.round}`);
+  whisperGM(L, `${text} (hidden)`);
+}
+// A turn ended: every holder's timed conditions tick (see tickConditions) and the chat hears what wore off
+function expireConditions(name, L, turn) {
+  const order = L.encounter.order, ended = turn.ended;
+  const holders = [
+    ...[...L.characters.entries()].map(([n, s]) => ({ label: n, holder: s, ids: order.filter(o => o.kind === 'pc' && o.owner === n).map(o => o.id) })),
+    ...order.filter(o => o.kind === 'npc').map(o => ({ label: o.name, holder: o, ids: [o.id], hidden: combatantHidden(L, o) })),
+    ...Object.values(L.map.tokens).map(t => ({ label: t.name, holder: t, ids: [], hidden: t.hidden })),
+  ];
+  let changed = false;
+  for (const { label, holder, ids, hidden } of holders) {
+    if (!holder.conditions?.length) continue;
+    const gone = tickConditions(holder, { endedId: ended?.id, ownTurn: !!ended && ids.includes(ended.id), inOrder: ids.length > 0, newRound: turn.newRound });
+    changed = true;
+    if (!gone.length) continue;
+    const text = `${label} is no longer ${gone.map(c => c.name.toLowerCase()).join(', ')}.`;
+    if (hidden) whisperGM(L, text); else io.to(name).emit('system', text);
+  }
+  if (changed) emitMapTo(name, L);
+}
+
+// ===== Movement: players spend their sheet's speed on their own turn during an encounter =====
+const lc = (s) => String(s ?? '').trim().toLowerCase();
+const tokenSpeed = (L, tok) => L.characters.get(tok.owner)?.speed ?? 30;
+function isTokensTurn(L, tok) {
+  const cur = currentCombatant(L.encounter);
+  if (!cur) return false;
+  if (cur.tokenId) return cur.tokenId === tok.id;
+  return lc(cur.name) === lc(tok.name) || lc(cur.name) === lc(tok.owner);
+}
+// Route for tok to (x,y). In an encounter players also get {budget, spent} and `end`, the last step they can afford.
+function planMove(L, tok, x, y, { gm }) {
+  const enc = L.encounter, budgeted = enc.active && !gm;
+  if (budgeted && !isTokensTurn(L, tok)) return { error: "It's not your turn." };
+  const spent = enc.movement[tok.id] || { feet: 0, parity: 0 };
+  const route = findPath(L.map, tok, { x, y }, { diagonals: L.settings.diagonals, parity: budgeted ? spent.parity : 0 });
+  if (!route) return { error: 'No path there.' };
+  if (!budgeted) return { route, end: route.path.length - 1 };
+  const budget = Math.max(0, tokenSpeed(L, tok) - spent.feet);
+  return { route, budget, spent, end: reachableIndex(route, budget) };
+}
+
+// ===== Map library: L.map is the active map, L.maps holds the rest by id =====
+const mapLibrary = (L) => [L.map, ...Object.values(L.maps)].map(m => ({ id: m.id, name: m.name, w: m.w, h: m.h, active: m === L.map }));
+function uniqueMapId(L, base) {
+  const b = String(base || 'map').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 32) || 'map';
+  let id = b, i = 2;
+  while (id === L.map.id || L.maps[id]) id = `${b}_${i++}`;
+  return id;
+}
+// Make `id` the active map and shelve the current one. False if there is no such (inactive) map.
+function switchMap(L, id) {
+  if (id === L.map.id || !L.maps[id]) return false;
+  const next = L.maps[id];
+  delete L.maps[id];
+  L.maps[L.map.id] = L.map;
+  L.map = ensureMap(next);
+  return true;
+}
+const sceneUsesMap = (L, id) => L.campaign.scenes.some(s => s.mapId === id);
+// Put a new map on the table; a blank active map nobody points at is simply replaced
+function activateNewMap(L, map) {
+  if (!isBlankMap(L.map) || sceneUsesMap(L, L.map.id)) L.maps[L.map.id] = L.map;
+  delete L.maps[map.id];
+  L.map = ensureMap(map);
+}
+// Maps worth keeping with a saved campaign: anything drawn on, plus whatever a scene points at
+const campaignMaps = (L) => [L.map, ...Object.values(L.maps)]
+  .filter(m => !isBlankMap(m) || sceneUsesMap(L, m.id)).map(mapTemplate);
+function emitMapLibrary(L) {
+  for (const [sid, u] of L.users.entries()) if (isGMUser(L, u)) io.to(sid).emit('map_library', mapLibrary(L));
+}
+// Scenes with a mapId bring their map up when entered
+function showSceneMap(name, L) {
+  const scene = L.campaign.scenes.find(s => s.id === L.campaign.currentSceneId);
+  if (!scene?.mapId || !switchMap(L, scene.mapId)) return;
+  systemTo(name, `Map: ${L.map.name}`);
+  emitMapTo(name, L);
+  emitMapLibrary(L);
+}
+
+const systemTo = (name, text) => io.to(name).emit('system', text);
+const whisperGM = (L, text) => { for (const [sid, u] of L.users.entries()) if (isGMUser(L, u)) io.to(sid).emit('system', text); };
+
+// ===== Party decisions: consent votes, then (optionally) a skill check, then the choice's effects =====
+const voteTimers = new Map(); // lobby name -> timeout of a timed vote
+
+// Everyone in the room except the GM votes; a GM alone votes for themselves
+const partyVoters = (L) => [...new Set([...L.users.values()].filter(u => !isGMUser(L, u)).map(u => u.name))];
+
+function voteTally(L) {
+  const p = L.settings.consent.pending;
+  if (!p) return null;
+  const voters = partyVoters(L);
+  return {
+    choiceId: p.choiceId, text: p.text, mode: p.mode, endsAt: p.endsAt || null, requestedBy: p.requestedBy,
+    yes: Object.keys(p.votes).filter(n => p.votes[n] === 'yes'),
+    no: Object.keys(p.votes).filter(n => p.votes[n] === 'no'),
+    waiting: voters.filter(n => !p.votes[n]),
+  };
+}
+const publicCheck = (k) => k && { choiceId: k.choiceId, text: k.text, label: k.label, dc: k.dc, who: k.who, rollers: k.rollers, results: k.results };
+const requestPayload = (p, players) => ({
+  sceneId: p.sceneId, choiceId: p.choiceId, text: p.text, check: p.check || null,
+  mode: p.mode, endsAt: p.endsAt || null, requestedBy: p.requestedBy, proposedBy: p.proposedBy || null, players,
+});
+
+function clearVoteTimer(name) {
+  clearTimeout(voteTimers.get(name));
+  voteTimers.delete(name);
+}
+function armVoteTimer(name, L) {
+  clearVoteTimer(name);
+  const p = L.settings.consent.pending;
+  if (!p?.endsAt) return;
+  voteTimers.set(name, setTimeout(() => {
+    voteTimers.delete(name);
+    if (L.settings.consent.pending === p) settleVote(name, L, true);
+  }, Math.max(0, p.endsAt - Date.now())));
+}
+function cancelVote(name, L) {
+  clearVoteTimer(name);
+  L.settings.consent.pending = null;
+}
+
+// Re-evaluate the pending vote after a vote, a leave or the timer; broadcasts the tally either way
+function settleVote(name, L, expired=false) {
+  const p = L.settings.consent.pending;
+  if (!p) return;
+  const outcome = voteOutcome(p.mode, p.votes, partyVoters(L), expired);
+  const tally = voteTally(L);
+  if (!outcome) { io.to(name).emit('campaign_vote_tally', tally); emitLobbyState(name); return; }
+  cancelVote(name, L);
+  io.to(name).emit('campaign_vote_closed', { ...tally, outcome, expired });
+  const count = `${tally.yes.length} yes / ${tally.no.length} no`;
+  if (outcome === 'accept') resolvePendingChoice(name, L, p, `Choice accepted (${count}${expired ? ', time up' : ''}): ${p.text}`);
+  else { systemTo(name, `Choice rejected (${count}${expired ? ', time up' : ''}): ${p.text}`); emitLobbyState(name); }
+}
+
+// The party accepted: checked choices roll first, everything else resolves right away
+function resolvePendingChoice(name, L, pending, announce) {
+  L.settings.consent.proposals = [];
+  const choice = L.campaign.scenes.find(s => s.id === pending.sceneId)?.choices.find(c => c.id === pending.choiceId);
+  if (choice?.check) startSceneCheck(name, L, pending, choice, announce);
+  else finishChoice(name, L, pending, announce);
+}
+
+function startSceneCheck(name, L, pending, choice, announce) {
+  const unmet = unmetRequirements(L.campaign, choice.requires);
+  if (unmet.length) { systemTo(name, `Choice cancelled: Requirements not met: ${unmet.join(', ')}.`); emitLobbyState(name); return; }
+  const { what, dc, who } = choice.check;
+  const players = partyVoters(L);
+  const label = checkLabel(what) || `${what} check`;
+  L.settings.consent.check = {
+    sceneId: pending.sceneId, choiceId: choice.id, text: choice.text, to: choice.check.success ?? choice.to, failure: choice.check.failure,
+    what, label, dc, who, rollers: players.length ? players : [L.gm], results: {},
+  };
+  systemTo(name, announce);
+  const whoText = who === 'one' ? 'one of you' : who === 'everyone' ? 'everyone (all must pass)' : 'everyone (half must pass)';
+  systemTo(name, `${label}, DC ${dc} — ${whoText} roll!`);
+  io.to(name).emit('campaign_check_requested', publicCheck(L.settings.consent.check));
+  emitLobbyState(name);
+}
+
+// Re-evaluate the skill check after a roll or a leave: rollers who left without rolling no longer count.
+// With nobody left to roll it waits for the GM's ruling.
+function settleCheck(name, L) {
+  const check = L.settings.consent.check;
+  if (!check) return;
+  const here = new Set([...L.users.values()].map(u => u.name));
+  const rollers = check.rollers.filter(n => here.has(n) || check.results[n]);
+  if (!rollers.length) { emitLobbyState(name); return; }
+  if (rollers.length < check.rollers.length) {
+    check.rollers = rollers;
+    io.to(name).emit('campaign_check_update', publicCheck(check));
+  }
+  const outcome = checkOutcome(check.who, check.results, check.rollers);
+  if (outcome) resolveSceneCheck(name, L, outcome);
+  else emitLobbyState(name);
+}
+
+function resolveSceneCheck(name, L, outcome, forced=false) {
+  const check = L.settings.consent.check;
+  L.settings.consent.check = null;
+  const rolls = Object.values(check.results), passed = rolls.filter(r => r.success).length;
+  const tally = rolls.length ? ` (${passed}/${rolls.length} passed)` : '';
+  io.to(name).emit('campaign_check_resolved', { choiceId: check.choiceId, outcome, forced });
+  finishChoice(name, L, check, `${check.label} ${outcome === 'success' ? 'succeeded' : 'failed'}${forced ? ' (GM ruling)' : tally}.`, outcome);
+}
+
+// A campaign grant ({item, qty?} or {coins}) to the party stash or to each character (or each of `names`).
+// Returns the announcement.
+function grantGoods(L, g, names = null) {
+  const coins = g.coins != null ? parseCoins(g.coins) : null;
+  const what = coins ? formatCoins(coins) : `${g.qty > 1 ? `${g.qty} × ` : ''}${g.item}`;
+  const give = (holder) => coins ? addCoins(holder, coins) : addItem(holder, { name: g.item, qty: g.qty || 1 });
+  if (g.to !== 'each') { give(L.stash); return `The party stash gains ${what}.`; }
+  const sheets = [...L.characters.values()].filter(s => !names || names.includes(s.name));
+  if (!sheets.length) { give(L.stash); return `Nobody has a character yet; ${what} goes to the party stash.`; }
+  sheets.forEach(give);
+  return names ? `${sheets.map(s => s.name).join(', ')} each receive ${what}.` : `Each character receives ${what}.`;
+}
+
+// Apply the choice's effects and scene change in one step; on failure nothing changes
+function finishChoice(name, L, pending, announce, outcome) {
+  let out;
+  try { out = applyChoice(L.campaign, pending.sceneId, pending.choiceId, { outcome }); }
+  catch (e) {
+    systemTo(name, `Choice cancelled: ${e.message}`);
+    emitLobbyState(name);
+    return;
+  }
+  L.campaign = out.campaign;
+  if (out.xp) {
+    for (const sheet of L.characters.values()) sheet.xp = (sheet.xp || 0) + out.xp;
+    io.to(name).emit('characters', charactersView(L));
+  }
+  systemTo(name, announce);
+  for (const { text, gmOnly } of out.log) {
+    if (gmOnly) whisperGM(L, `(GM) ${text}`); else systemTo(name, text);
+  }
+  if (out.xp) systemTo(name, `Each character gains ${out.xp} XP.`);
+  for (const g of out.grants) systemTo(name, grantGoods(L, g));
+  if (out.grants.length) io.to(name).emit('characters', charactersView(L));
+  emitCampaignTo(name, L);
+  emitLobbyState(name);
+  showSceneMap(name, L);
+  persistLobby(name);
+}
+
+// ===== API (before static) =====
+app.get('/health', (req,res)=> res.json({ok:true, store: store.kind, useMongo: store.kind === 'mongo'}));
+app.get('/lobbies', (req,res)=> res.json([...memory.lobbies.keys()]));
 
 // ===== Static & SPA =====
 app.use(express.static(path.join(__dirname, 'public'), { index: 'index.html' }));
@@ -211,187 +908,1063 @@ app.get('/', (req,res) => res.sendFile(path.join(__dirname, 'public', 'index.htm
 app.get('*', (req,res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
 
 const PORT = process.env.PORT || 10000;
+const READ_ONLY_EVENTS = new Set(['identify','account_login','map_request','campaign_get','move_preview','map_export','vault_get','vault_import','vault_delete','character_export']);
 
 // ===== Sockets =====
 io.on('connection', (socket)=>{
   let username = 'Anon';
   let lobby = null;
+  let uid = newUserId(); // replaced by the session's on identify; everything this user owns is keyed to it
+
+  // Any other event from a lobby member may mutate it; saves are debounced so this is cheap. Joining alone isn't a
+  // change: a lobby is first kept (and stored) once a member does something in it.
+  socket.use((packet, next) => {
+    next();
+    if (!lobby || READ_ONLY_EVENTS.has(packet[0]) || packet[0] === 'join_lobby') return;
+    ensureLobby(lobby).keep = true;
+    persistLobby(lobby);
+  });
 
-  const emitState = () => {
-    if (!lobby) return;
-    const L = ensureLobby(lobby);
-    const users = [...L.users.values()].map(u => u.name);
-    io.to(lobby).emit('state', {
-      users,
-      gm: L.gm,
-      characters: Object.fromEntries([...L.characters.entries()]),
-      encounter: L.encounter,
-      campaign: L.campaign,
-      settings: {
-        lockedUntilStart: L.settings.lockedUntilStart,
-        campaignStarted: L.settings.campaignStarted,
-        requireCharacter: L.settings.requireCharacter,
-      },
-      characterNeeded: Object.fromEntries(users.map(u => [u, !L.characters.has(u)])),
-    });
+  const emitState = () => { if (lobby) emitLobbyState(lobby); };
+  const emitMap = () => { if (lobby) emitMapTo(lobby, ensureLobby(lobby)); };
+  const emitCampaign = (L) => emitCampaignTo(lobby, L);
+  // A ban by name (from before user ids) becomes a ban on whoever next turns up with that name
+  const joinOk = (L, name) => {
+    if (L.bans.has(uid)) return false;
+    const byName = `name:${lc(name)}`;
+    if (!L.bans.has(byName)) return true;
+    L.bans.set(uid, L.bans.get(byName));
+    L.bans.delete(byName);
+    return false;
   };
-  const emitMap = () => { if (!lobby) return; const L = ensureLobby(lobby); io.to(lobby).emit('map_state', L.map); };
-  const joinOk = (L, name) => !L.bans.has((name||'').toLowerCase());
+  // Your name in a lobby is the one you first joined with; anyone else asking for a name that's held gets a suffix
   const uniqueName = (L, base) => {
+    if (L.members.has(uid)) return L.members.get(uid);
+    const held = (nm) => [...L.members.values()].includes(nm) || [...L.users.values()].some(u => u.name === nm);
     let nm = base || 'Anon';
-    if (![...L.users.values()].some(u => u.name === nm)) return nm;
-    let i=2; while ([...L.users.values()].some(u=>u.name===`${base}${i}`)) i++;
+    if (!held(nm)) return nm;
+    let i=2; while (held(`${base}${i}`)) i++;
     return `${base}${i}`;
   };
+  const identified = (account) => socket.emit('identified', { username, uid, token: signSession(sessionSecret, uid), ...(account ? { account } : {}) });
 
-  socket.on('identify', ({name})=>{ username = safe(name || 'Anon', 24); socket.emit('identified', { username }); });
+  // A valid session token resumes that user; without one this connection's new id gets a token of its own
+  socket.on('identify', ({ name, token } = {})=>{
+    username = safe(name || 'Anon', 24);
+    if (!lobby) uid = verifySession(sessionSecret, token) || uid;
+    identified();
+  });
 
+  // Local accounts: a password on a name, so the same user can sign in from any browser. Signing in with a name
+  // nobody has claimed yet claims it for the current user. One attempt at a time per connection and per login,
+  // and only so many (see LOGIN_LIMITS).
+  let signingIn = false;
+  socket.on('account_login', async ({ name, password, token } = {})=>{
+    if (lobby) { socket.emit('error_message','Sign in before joining a lobby (reload the page to switch accounts).'); return; }
+    const login = loginKey(safe(name, 24)), pw = String(password ?? '');
+    if (!login) { socket.emit('error_message','Enter your name to sign in.'); return; }
+    if (pw.length < ACCOUNT_LIMITS.password || pw.length > ACCOUNT_LIMITS.passwordMax) {
+      socket.emit('error_message',`Account passwords are ${ACCOUNT_LIMITS.password} to ${ACCOUNT_LIMITS.passwordMax} characters.`); return;
+    }
+    if (signingIn || loginAttempts.blocked(socket.id) || loginFailures.blocked(login)) {
+      socket.emit('error_message','Too many sign-in attempts; try again later.'); return;
+    }
+    if (loginsInFlight.has(login)) { socket.emit('error_message','Someone is signing in with that name right now; try again.'); return; }
+    signingIn = true;
+    loginsInFlight.add(login);
+    loginAttempts.hit(socket.id);
+    try {
+      const account = await store.get('accounts', login);
+      if (account && !(await verifyPass(pw, account.passwordHash))) {
+        loginFailures.hit(login);
+        socket.emit('error_message','Wrong password for that name.'); return;
+      }
+      loginFailures.clear(login);
+      if (!account) {
+        uid = verifySession(sessionSecret, token) || uid;
+        await store.put('accounts', login, { uid, login, passwordHash: await hashPass(pw), createdAt: nowISO() });
+        await adoptNamedData(uid, login);
+        socket.emit('system', `Account created: sign in as ${safe(name, 24)} with this password from any browser.`);
+      } else uid = account.uid;
+      username = safe(name, 24);
+      identified(login);
+    } catch (e) { socket.emit('error_message', e.message || 'Sign-in failed.'); }
+    finally { signingIn = false; loginsInFlight.delete(login); }
+  });
+
+  // Others may join the same lobby while this one awaits a password check, so the name, the GM seat and a new
+  // lobby password are only claimed after the last await, in one synchronous step. One join at a time per connection.
+  let joining = false;
   socket.on('join_lobby', async ({ lobby: lobbyName, password })=>{
+    if (joining) return;
     lobbyName = safe(lobbyName || 'tavern', 40) || 'tavern';
     const L = ensureLobby(lobbyName);
-    if (!joinOk(L, username)) { socket.emit('error_message','You are banned from this lobby.'); return; }
-    if (L.passwordHash) {
-      if (!password || !verifyPass(password, L.passwordHash)) { socket.emit('error_message','Lobby is locked (wrong password).'); return; }
-    } else if (password) {
-      L.passwordHash = hashPass(password);
-      if (!L.gm) L.gm = username;
-      await upsertLobbyMeta(lobbyName, { password:true, gm:L.gm });
-    } else if (!L.gm) {
-      L.gm = username; // first-join GM
-    }
-    if (lobby) socket.leave(lobby);
+    joining = true; L.joining++;
+    try { await joinLobby(L, lobbyName, password); }
+    catch (e) { socket.emit('error_message', e.message || 'Could not join that lobby.'); }
+    finally { joining = false; L.joining--; dropIfEmpty(lobbyName); }
+  });
+  const joinLobby = async (L, lobbyName, password) => {
+    const asked = username;
+    if (!joinOk(L, uniqueName(L, username))) throw new Error('You are banned from this lobby.');
+    if (lobby) await syncVault(ensureLobby(lobby));
+    // Check the password against the lobby's lock as it stands after each await; an unlocked lobby gets a new hash ready
+    let opened = null, lock = null;
+    for (;;) {
+      const hash = L.passwordHash;
+      if (hash && hash !== opened) {
+        if (!password || !(await verifyPass(password, hash))) throw new Error('Lobby is locked (wrong password).');
+        opened = hash;
+      } else if (!hash && password && !lock) lock = await hashPass(password);
+      else break;
+    }
+    const name = uniqueName(L, username), returning = L.members.has(uid);
+    if (!joinOk(L, name)) throw new Error('You are banned from this lobby.');
+    if (!L.passwordHash && lock) {
+      L.passwordHash = lock;
+      L.keep = true;
+      if (!L.gm) claimGM(L, name);
+    } else if (!L.passwordHash && !L.gm) {
+      claimGM(L, name); // first-join GM
+    }
+    if (L.gm === name && !L.gmId) L.gmId = uid; // lobbies from before user ids: the GM's name is claimed once
+    if (lobby) leaveLobby();
     lobby = lobbyName;
-    username = uniqueName(L, username);
-    L.users.set(socket.id, { name: username });
+    username = name;
+    L.members.set(uid, username);
+    L.users.set(socket.id, { name: username, uid });
     socket.join(lobby);
 
     const history = { messages: L.messages.slice(-40), rolls: L.rolls.slice(-40) };
-    socket.emit('joined', { lobby, history, gm: L.gm, settings: L.settings });
+    socket.emit('joined', { lobby, username, history, gm: L.gm, settings: publicSettings(L) });
+    socket.emit('character_rules', characterRules());
+    socket.emit('spell_list', spellList());
+    if (L.abilityRolls[username]) socket.emit('ability_rolls', L.abilityRolls[username]);
     io.to(lobby).emit('system', `${username} joined ${lobby}`);
+    if (username !== asked) {
+      socket.emit('system', returning ? `You're ${username} here: a lobby keeps the name you first joined it with.` : `${asked} is taken here, so you're ${username}.`);
+    }
+    await emitVault().catch(e => console.error('Vault read failed:', e.message));
 
     if (L.settings.requireCharacter && !L.characters.has(username)) {
       io.to(socket.id).emit('character_required', { reason: 'GM requires a character before playing.' });
     }
 
     emitState(); emitMap();
-  });
+    await emitMacros(L).catch(e => console.error('Macro read failed:', e.message));
+    if (isGM(L)) socket.emit('map_library', mapLibrary(L));
+    // Mid-vote or mid-check joins (and reconnects) get the prompt they missed
+    const { pending, check } = L.settings.consent;
+    if (pending && !pending.votes[username]) socket.emit('campaign_choice_requested', requestPayload(pending, partyVoters(L)));
+    if (pending) socket.emit('campaign_vote_tally', voteTally(L));
+    if (check && check.rollers.includes(username) && !check.results[username]) socket.emit('campaign_check_requested', publicCheck(check));
+    persistLobby(lobby);
+  };
 
   const isLockedForPlayers = (L) => L.settings.lockedUntilStart && !L.settings.campaignStarted;
-  const isGM = (L) => L.gm === username;
+  const isGM = (L) => !!L.gmId && L.gmId === uid;
+  const claimGM = (L, name) => { L.gm = name; L.gmId = uid; };
 
   // ===== Chat & Roll =====
+  const postChat = (L, msg) => {
+    if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
+    const payload = { user: username, text: msg, ts: nowISO() };
+    io.to(lobby).emit('chat', payload);
+    L.messages.push(payload);
+  };
+
   socket.on('chat', async ({text})=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
     const msg = safe(text, 500);
     if (!msg) return;
     if (msg.startsWith('/')) { await handleCommand(L, msg); return; }
-    if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
-    const payload = { user: username, text: msg, ts: nowISO() };
-    io.to(lobby).emit('chat', payload);
-    L.messages.push(payload);
+    postChat(L, msg);
   });
 
-  socket.on('roll', async ({expression})=>{
+  const broadcastRoll = (L, res, extra={}) => {
+    const payload = { user: username, ...res, ...extra, ts: nowISO(), lobby };
+    io.to(lobby).emit('roll', payload);
+    L.rolls.push(payload);
+    return payload;
+  };
+  // Plain expression; @STR/@prof etc. resolve against the roller's own sheet
+  const rollExpression = (L, expression, extra={}) => {
+    const expr = expandRefs(expression || 'd20', L.characters.get(username));
+    return broadcastRoll(L, rollAdvanced(expr), extra);
+  };
+  // Roll a built check; attacks follow up with damage (dice doubled on a natural 20)
+  const rollCheck = (L, check) => {
+    const res = rollAdvanced(check.expression);
+    const natural = naturalD20(res);
+    const { kind, ability, skill, weapon, proficient, bonus, mode } = check;
+    const payload = broadcastRoll(L, res, { label: check.label, natural, check: { kind, ability, skill, weapon, proficient, bonus, mode } });
+    if (check.damage && natural !== 1) {
+      const crit = natural === 20;
+      const dmg = rollAdvanced(crit ? critExpression(check.damage.expression) : check.damage.expression);
+      broadcastRoll(L, dmg, { label: crit ? `${check.damage.label} — critical!` : check.damage.label, damageType: check.damage.type });
+    }
+    return payload;
+  };
+  // Sheet-driven check/save/attack.
+  // Conditions add advantage, disadvantage or dice (see rollEffects); a save they fail outright isn't rolled and returns null.
+  const rollSheetCheck = (L, req) => {
+    const sheet = L.characters.get(username);
+    if (req.kind === 'attack' && sheet) { const { what, magic } = attackWeapon(sheet, req.what); req = { ...req, what, magic }; } // equipped weapon by default
+    const base = buildCheck(sheet, req);
+    const fx = rollEffects(sheet, base.kind, base.ability);
+    if (fx.autoFail) { io.to(lobby).emit('system', `${username} automatically fails the ${base.label} (${fx.reasons.join('; ')}).`); return null; }
+    const check = fx.reasons.length ? buildCheck(sheet, { ...req, mode: combineModes([req.mode, ...fx.modes]) }) : base;
+    if (fx.bonus.length) check.expression += fx.bonus.join('');
+    if (fx.reasons.length) check.label += ` (${fx.reasons.join('; ')})`;
+    return rollCheck(L, check);
+  };
+  // A spawned monster's attack from its stat block, by name or the first one; its conditions apply as for PCs
+  const rollMonsterAttack = (L, c, word, mode) => {
+    const m = c.monster && monstersFor(L)[c.monster];
+    if (!m) throw new Error(`${c.name} has no stat block; /spawn it from the bestiary.`);
+    const attack = findAttack(m, word);
+    if (!attack) throw new Error(m.attacks.length ? `${m.name} has no attack called "${word}". Try ${m.attacks.map(a => a.name).join(', ')}.` : `${m.name} has no attacks.`);
+    const fx = rollEffects(c, 'attack');
+    const check = monsterAttackCheck(c.name, attack, combineModes([mode, ...fx.modes]));
+    if (fx.bonus.length) check.expression += fx.bonus.join('');
+    if (fx.reasons.length) check.label += ` (${fx.reasons.join('; ')})`;
+    return rollCheck(L, check);
+  };
+  const parseCheckArgs = (argStr) => {
+    const words = argStr.split(/\s+/).filter(Boolean);
+    const mode = rollMode(words[words.length-1]);
+    if (mode) words.pop();
+    return { what: words.join(' '), mode };
+  };
+  const emitCharacters = (L) => io.to(lobby).emit('characters', charactersView(L));
+
+  // kind: damage|heal|temp; amount: a number or dice ("2d6+3"); target defaults to your own character.
+  // The GM can touch anyone; players only their own character, with temp HP up to its max HP.
+  // Healing someone else goes through a spell (/cast <spell> on <name>, see castSpell) or the GM.
+  const changeHp = (L, { target, kind, amount, type }) => {
+    const found = findTarget(L, safe(target, 40) || username);
+    if (found?.target.hp == null) throw new Error(`No character or combatant with hit points named "${target}".`);
+    if (!isGM(L) && found.kind === 'npc') throw new Error('Only the GM changes NPC hit points.');
+    if (!isGM(L) && found.name !== username) {
+      throw new Error(kind === 'heal' ? `Heal ${found.name} with a spell (/cast <spell> on ${found.name}) or ask the GM.` : 'You can only change your own character\'s hit points.');
+    }
+    const expr = safe(amount, 40);
+    if (!expr) throw new Error('How much?');
+    const rolled = !/^\d+$/.test(expr);
+    let n = clamp(rolled ? rollAdvanced(expr).total : parseInt(expr, 10), 0, 10000);
+    const capped = !isGM(L) && kind === 'temp' && n > found.target.maxHp;
+    if (capped) n = found.target.maxHp;
+    const why = [rolled ? expr : '', capped ? 'capped at max HP' : ''].filter(Boolean).join(', ');
+    const shown = why ? `${n} (${why})` : `${n}`;
+    const dtype = type ? resolveDamageType(type) : null;
+    if (type && !dtype) throw new Error(`Unknown damage type "${type}".`);
+    applyHp(L, found, { kind, n, shown, dtype });
+  };
+  // Apply a damage, heal or temp HP amount already rolled and allowed; shown is how the amount reads in chat
+  const applyHp = (L, found, { kind, n, shown = `${n}`, dtype = null }) => {
+    const { target: t, name } = found;
+    let text, after = '';
+    if (kind === 'damage') {
+      const r = applyDamage(t, n, dtype, { deathSaves: found.kind === 'pc' });
+      const notes = [r.modifier === 'immune' ? 'immune' : r.modifier ? `${r.modifier}: ${r.taken} taken` : '', r.absorbed ? `${r.absorbed} absorbed by temp HP` : ''].filter(Boolean);
+      text = `${username} deals ${shown} ${dtype ? `${dtype} ` : ''}damage to ${name}${notes.length ? ` (${notes.join('; ')})` : ''}`;
+      if (r.status === 'dying') after = ` ${name} falls unconscious and is dying.`;
+      else if (r.status === 'failure') after = ` ${name} fails a death save (${t.deathSaves.failures}/3).`;
+      else if (r.status === 'dead') after = ` ${name} dies.`;
+      // Damage breaks concentration at 0 HP, otherwise it takes a CON save
+      const focus = r.taken ? concentratingOn(t) : null;
+      if (focus && t.hp === 0) { removeCondition(t, 'concentrating'); after += ` ${name} loses concentration on ${focus}.`; }
+      else if (focus) after += ` ${name} makes a DC ${concentrationDc(r.taken)} Constitution save (/save con) to keep concentrating on ${focus}.`;
+    } else if (kind === 'heal') {
+      const r = applyHealing(t, n);
+      if (r.dead) throw new Error(`${name} is dead; healing won't help.`);
+      text = `${username} heals ${name} for ${shown}`;
+      if (r.revived) after = ` ${name} regains consciousness.`;
+    } else {
+      const r = grantTempHp(t, n);
+      text = r.kept ? `${name} keeps their ${r.tempHp} temp HP (temp HP don't stack)` : `${username} gives ${name} ${shown} temp HP`;
+    }
+    text += (found.kind === 'pc' ? ` — ${t.hp}/${t.maxHp} HP${t.tempHp ? ` +${t.tempHp} temp` : ''}.` : '.') + after;
+    if (found.kind === 'npc' && combatantHidden(L, t)) whisperGM(L, text); else io.to(lobby).emit('system', text);
+    if (found.kind === 'npc' && t.hp === 0) defeatCombatant(lobby, L, t);
+    if (found.kind === 'pc') emitCharacters(L);
+    emitState(); emitMap();
+  };
+
+  const emitBestiary = (L) => socket.emit('bestiary', Object.values(monstersFor(L)).map(monsterSummary));
+
+  // Conditions on a character, NPC combatant or bare token. rounds: whole rounds; until: a combatant's id or name.
+  // The GM can mark anyone; players may mark characters but not NPCs or tokens, and only their own with a
+  // condition that changes rolls. Players clear, and re-apply, only what they applied themselves.
+  const setCondition = (L, { target, condition, rounds, until, remove = false }) => {
+    const who = safe(target, 40) || username, found = findTarget(L, who);
+    if (!found) throw new Error(`No character, combatant or token named "${who}".`);
+    if (!isGM(L) && found.kind !== 'pc') throw new Error('Only the GM sets conditions on NPCs and tokens.');
+    const word = safe(condition, 24);
+    const cond = remove && lc(word) === 'all' ? { key: 'all' } : resolveCondition(word);
+    if (!cond) throw new Error('Which condition?');
+    let text;
+    if (remove) {
+      // Players clear only what they applied; the GM's conditions (and their roll effects) stay until the GM lifts them
+      const gone = removeCondition(found.target, cond.key, isGM(L) ? {} : { by: username });
+      const held = (found.target.conditions || []).some(c => cond.key === 'all' || c.key === cond.key);
+      if (!gone.length && held) throw new Error(`Only the GM can clear ${cond.name ? cond.name.toLowerCase() : 'those conditions'} from ${found.name}.`);
+      if (!gone.length) throw new Error(cond.name ? `${found.name} isn't ${cond.name.toLowerCase()}.` : `${found.name} has no conditions.`);
+      text = `${username} clears ${gone.map(c => c.name.toLowerCase()).join(', ')} from ${found.name}.`;
+    } else {
+      if (!isGM(L)) {
+        const held = (found.target.conditions || []).find(c => c.key === cond.key);
+        if (held && held.by !== username) throw new Error(`${found.name} is already ${cond.name.toLowerCase()}; only ${held.by ? `${held.by} or the GM` : 'the GM'} can change that.`);
+        if (found.name !== username && hasRollEffects(cond.key)) throw new Error(`Only the GM can make ${found.name} ${cond.name.toLowerCase()}.`);
+      }
+      const untilName = safe(until, 40);
+      const ends = untilName ? L.encounter.order.find(o => o.id === untilName || lc(o.name) === lc(untilName)) : null;
+      if (untilName && !ends) throw new Error(`${untilName} isn't in the initiative order.`);
+      const entry = addCondition(found.target, cond, {
+        rounds: clamp(parseInt(rounds, 10) || 0, 0, 1000), until: ends?.id, untilName: ends?.name, ...(isGM(L) ? {} : { by: username }),
+      });
+      text = `${username} marks ${found.name} as ${describeConditions([entry])}.`;
+    }
+    if (targetHidden(L, found)) whisperGM(L, text); else io.to(lobby).emit('system', text);
+    if (found.kind === 'pc') emitCharacters(L);
+    emitState(); emitMap();
+  };
+
+  // d20 for a dying character: yours, or anyone's for the GM
+  const rollDeathSave = (L, who) => {
+    const name = who ? [...L.characters.keys()].find(k => lc(k) === lc(who)) : username;
+    const sheet = L.characters.get(name);
+    if (!sheet) throw new Error(who ? `No character named "${who}".` : 'You need a character sheet first.');
+    if (!isGM(L) && name !== username) throw new Error('You can only roll your own death saves.');
+    if (sheet.status !== 'dying') throw new Error(`${name} isn't dying${sheet.status ? ` (${sheet.status})` : ''}.`);
+    const res = rollAdvanced('1d20');
+    broadcastRoll(L, res, { label: `${name}: death save` });
+    const r = deathSave(sheet, res.total);
+    io.to(lobby).emit('system', r.result === 'revived'
+      ? `${name} rolls a natural 20 on a death save and is back up with 1 HP!`
+      : `${name}'s death save: ${r.result} (${r.successes} ✔ / ${r.failures} ✖)${r.status === 'stable' ? ` — ${name} is stable.` : r.status === 'dead' ? ` — ${name} dies.` : '.'}`);
+    emitCharacters(L); emitState(); emitMap();
+  };
+
+  // 4d6-drop-lowest ×6 for the 'rolled' ability method: once per character, unless the GM clears it for a reroll
+  const rollStats = (L) => {
+    if (L.settings.abilityMethod !== 'rolled') throw new Error("The GM hasn't chosen rolled ability scores.");
+    if (L.abilityRolls[username]) throw new Error(`You already rolled: ${L.abilityRolls[username].join(', ')}.`);
+    const rolls = rollAbilityScores();
+    L.abilityRolls[username] = rolls.map(r => r.total);
+    io.to(lobby).emit('system', `${username} rolls ability scores (4d6, drop lowest): ${rolls.map(r => `${r.total} [${r.dice.join(',')}]`).join(', ')}.`);
+    socket.emit('ability_rolls', L.abilityRolls[username]);
+  };
+
+  // One level: players level their own character once its XP reaches the next threshold; the GM levels anyone.
+  // hp: 'roll' the hit die or take the 'average'.
+  const doLevelUp = (L, who, hp) => {
+    const name = who ? [...L.characters.keys()].find(k => lc(k) === lc(who)) : username;
+    const sheet = L.characters.get(name);
+    if (!sheet) throw new Error(who ? `No character named "${who}".` : 'You need a character sheet first.');
+    if (!isGM(L)) {
+      if (name !== username) throw new Error('You can only level up your own character.');
+      const { canLevelUp, nextXp } = deriveStats(sheet);
+      if (!canLevelUp) throw new Error(nextXp == null ? `${name} is already level 20.` : `${name} needs ${nextXp} XP for level ${sheet.level + 1} (has ${sheet.xp || 0}).`);
+    }
+    const r = levelUp(sheet, hp === 'roll' ? 'roll' : 'average');
+    const con = abilityMod(sheet.abilities?.CON);
+    const how = r.rolled != null ? `rolled ${r.rolled} on d${r.die}` : `average ${r.die / 2 + 1} for d${r.die}`;
+    io.to(lobby).emit('system', `${name} reaches level ${r.level}: ${how}${con ? ` ${con > 0 ? '+' : ''}${con} CON` : ''} = ${r.gain} HP (max HP ${sheet.maxHp}).`);
+    emitCharacters(L); emitState(); emitMap();
+  };
+
+  // ===== Spellcasting =====
+  // Spend a slot on your own character's spell and roll what it does: a spell attack (with damage on a hit, conditions
+  // applied as for weapon attacks), or the save DC and damage, or healing. Concentration spells replace the last one.
+  // A healing spell cast "on" a character (any creature with HP, for the GM) heals it by the roll.
+  const castSpell = (L, word, level, mode, onName = '') => {
+    const sheet = L.characters.get(username);
+    if (!sheet) throw new Error('You need a character sheet first.');
+    if (sheet.hp <= 0) throw new Error(`${username} can't cast spells at 0 HP.`);
+    const spell = findSpell(SPELLS, word);
+    if (!spell) throw new Error(`No spell called "${word}". /spells lists the ones ${username} knows.`);
+    const patient = onName ? findTarget(L, onName) : null;
+    if (onName) {
+      if (!spell.heal) throw new Error(`${spell.name} doesn't heal; cast it without "on".`);
+      if (patient?.target.hp == null || (!isGM(L) && patient.kind !== 'pc')) throw new Error(`No character named "${onName}".`);
+      if (patient.target.status === 'dead') throw new Error(`${patient.name} is dead; healing won't help.`);
+    }
+    const at = spendSlot(sheet, spell, level);
+    const fx = spell.attack ? rollEffects(sheet, 'attack') : { modes: [], bonus: [], reasons: [] };
+    const rolls = castRolls(sheet, spell, at, combineModes([mode, ...fx.modes]));
+    let text = `${username} casts ${spell.name}${at ? ` with a ${ordinal(at)}-level slot (${slotsLeft(sheet, at)} left)` : ''}`;
+    if (rolls.dc) text += ` — DC ${rolls.dc} ${spell.save} save${spell.halfOnSave ? ', half damage on a success' : ''}`;
+    const before = spell.concentration ? concentratingOn(sheet) : null;
+    if (spell.concentration) addCondition(sheet, concentrationCondition(spell), { rounds: durationRounds(spell.duration), by: username });
+    io.to(lobby).emit('system', `${text}.${before ? ` ${username} stops concentrating on ${before}.` : ''}`);
+    if (rolls.attack) {
+      if (fx.bonus.length) rolls.attack.expression += fx.bonus.join('');
+      if (fx.reasons.length) rolls.attack.label += ` (${fx.reasons.join('; ')})`;
+      rollCheck(L, rolls.attack);
+    } else if (rolls.damage) {
+      broadcastRoll(L, rollAdvanced(rolls.damage.expression), { label: rolls.damage.label, damageType: rolls.damage.type });
+    }
+    if (rolls.heal) {
+      const healing = rollAdvanced(rolls.heal.expression);
+      broadcastRoll(L, healing, { label: rolls.heal.label });
+      if (patient) applyHp(L, patient, { kind: 'heal', n: healing.total });
+    }
+    emitCharacters(L); emitState(); emitMap();
+  };
+  // "Mia: wizard, DC 13, +5 to hit; slots 1st 3/4, 2nd 0/2; concentrating on Bless. Known: Fire Bolt, Shield*…" (* prepared)
+  const describeSpellcasting = (name, sheet) => {
+    const sc = spellcastingFor(sheet, SPELLS);
+    if (!sc) return `${name} has no spellcasting class.`;
+    const slots = sc.slots.map(s => `${ordinal(s.level)} ${s.max - s.used}/${s.max}`).join(', ') || 'none yet';
+    const known = sc.spells.map(s => `${s.name}${sc.prepares && s.prepared ? '*' : ''}`).join(', ') || 'none';
+    return `${name}: ${sc.class}, spell save DC ${sc.dc}, spell attack ${sc.attack >= 0 ? '+' : ''}${sc.attack}; slots ${slots}` +
+      (sc.pact ? ' (pact magic, back on a short rest)' : '') + (sc.concentration ? `; concentrating on ${sc.concentration}` : '') +
+      `. Spells: ${known}` + (sc.prepares ? ` (* prepared, ${sc.prepared}/${sc.maxPrepared})` : '') + '.';
+  };
+  // /learn, /forget, /prepare, /unprepare [character] <spell>: your own sheet, or anyone's for the GM
+  const changeSpells = (L, action, text) => {
+    const named = splitHolder(L, text);
+    const who = named && !named.stash ? named : { name: username, holder: L.characters.get(username), rest: text };
+    if (!who.rest) throw new Error(`Usage: /${action} [character] <spell>`);
+    if (!who.holder) throw new Error('You need a character sheet first.');
+    if (who.name !== username && !isGM(L)) throw new Error('You can only change your own spells.');
+    const spell = findSpell(SPELLS, who.rest);
+    if (!spell) throw new Error(`No spell called "${who.rest}".`);
+    if (action === 'learn') learnSpell(who.holder, spell, { gm: isGM(L) });
+    else if (action === 'forget') forgetSpell(who.holder, spell);
+    else prepareSpell(who.holder, spell, action === 'prepare');
+    const verb = { learn: 'learns', forget: 'forgets', prepare: 'prepares', unprepare: 'unprepares' }[action];
+    io.to(lobby).emit('system', `${who.name} ${verb} ${spell.name}${spell.level ? ` (${ordinal(spell.level)} level)` : ' (cantrip)'}.`);
+    emitCharacters(L); emitState();
+  };
+
+  // ===== Inventory =====
+  // "stash" / "party" or a character name. Returns {name, holder, stash} or null.
+  const holderNamed = (L, word) => {
+    if (['stash','party','party stash'].includes(lc(word))) return { name: 'the party stash', holder: L.stash, stash: true };
+    const name = [...L.characters.keys()].find(k => lc(k) === lc(word));
+    return name ? { name, holder: L.characters.get(name), stash: false } : null;
+  };
+  // "Pat Smith 10 gp, 2 torches": the longest leading run of words naming a holder, and the rest
+  const splitHolder = (L, text) => {
+    const words = text.split(/\s+/).filter(Boolean);
+    for (let n = words.length - 1; n > 0; n--) {
+      const found = holderNamed(L, words.slice(0, n).join(' '));
+      if (found) return { ...found, rest: words.slice(n).join(' ') };
+    }
+    return null;
+  };
+  // Items and coins from one holder to another: from null conjures them (GM), to null makes them vanish.
+  // All or nothing — the moves run on copies, committed once every part worked. Returns "10 gp, 2 × Torch".
+  const moveGoods = (L, from, to, goods) => {
+    const copy = (h) => h && { inventory: structuredClone(h.inventory || []), coins: { ...emptyCoins(), ...h.coins } };
+    const a = copy(from), b = copy(to), moved = [];
+    for (const g of goods) {
+      if (g.coins) {
+        if (a) takeCoins(a, g.coins);
+        if (b) addCoins(b, g.coins);
+        moved.push(formatCoins(g.coins));
+        continue;
+      }
+      const item = a ? removeItem(a, g.name, g.qty).item : { name: catalogItem(g.name).name, qty: g.qty };
+      if (b) addItem(b, item);
+      moved.push(`${item.qty > 1 ? `${item.qty} × ` : ''}${item.name}`);
+    }
+    for (const [h, c] of [[from, a], [to, b]]) {
+      if (!h) continue;
+      h.inventory = c.inventory; h.coins = c.coins;
+      if (h !== L.stash) applyEquipment(h); // armour handed over comes off
+    }
+    return moved.join(', ');
+  };
+  const goodsUsage = (cmd) => `Usage: /${cmd} <character|stash> <items and coins>, e.g. /${cmd} Pat 10 gp, 2 torches`;
+
+  // ===== Macros =====
+  const emitMacros = async (L) => {
+    const mine = await loadUserMacros(uid);
+    socket.emit('macros', { mine: Object.fromEntries(mine), shared: Object.fromEntries(L.macros) });
+  };
+  const emitSharedMacros = (L) => io.to(lobby).emit('macros_shared', Object.fromEntries(L.macros));
+
+  const saveMacro = async (nameRaw, bodyRaw) => {
+    const name = safe(nameRaw, 24);
+    const body = String(bodyRaw ?? '').trim().slice(0, MACRO_LIMITS.body);
+    if (!/^\w+$/.test(name)) throw new Error('Macro names are letters, digits and _ only.');
+    if (!macroLines(body).length) throw new Error('Macro is empty.');
+    const mine = await loadUserMacros(uid);
+    if (!mine.has(name) && mine.size >= MACRO_LIMITS.count) throw new Error(`Macro limit reached (${MACRO_LIMITS.count}).`);
+    mine.set(name, body);
+    await saveUserMacros(uid);
+    return name;
+  };
+  const deleteMacro = async (name) => {
+    const mine = await loadUserMacros(uid);
+    const had = mine.delete(name);
+    if (had) await saveUserMacros(uid);
+    return had;
+  };
+  // GM copies one of their own macros into the lobby's shared set (or removes it)
+  const publishMacro = async (L, name, shared=true) => {
+    if (!isGM(L)) throw new Error('GM only.');
+    if (!shared) return L.macros.delete(name);
+    const body = (await loadUserMacros(uid)).get(name);
+    if (body == null) throw new Error(`You have no macro named ${name}.`);
+    L.macros.set(name, body);
+    return true;
+  };
+
+  // Each line: "/command" runs as a command, "/m other" nests, dice expressions roll, anything else is chat
+  const runMacro = async (L, name, depth=0) => {
+    if (depth >= MACRO_LIMITS.depth) { socket.emit('error_message','Macros nest too deep.'); return; }
+    const body = (await loadUserMacros(uid)).get(name) ?? L.macros.get(name);
+    if (body == null) { socket.emit('error_message',`Macro not found: ${name}`); return; }
+    for (const line of macroLines(body)) {
+      if (line.startsWith('/')) {
+        const [c, ...r] = line.slice(1).split(' ');
+        const sub = (c||'').toLowerCase();
+        if (sub === 'm') await runMacro(L, r.join(' ').trim(), depth+1);
+        else if (sub !== 'macro') await handleCommand(L, safe(line, 500));
+        continue;
+      }
+      if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
+      try { rollExpression(L, line, { label: `macro: ${name}` }); }
+      catch { postChat(L, safe(line, 500)); }
+    }
+  };
+
+  socket.on('macro_run', async ({name})=>{
+    if (!lobby) return;
+    try { await runMacro(ensureLobby(lobby), safe(name, 24)); }
+    catch(e){ socket.emit('error_message', e.message || 'Could not run macro.'); }
+  });
+
+  // GM may pass shared:true/false to (un)publish in the same step
+  socket.on('macro_save', async ({name, body, shared})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    try {
+      const nm = await saveMacro(name, body);
+      socket.emit('system', `Macro saved: ${nm}`);
+      await emitMacros(L);
+      if (typeof shared === 'boolean' && isGM(L) && (shared || L.macros.has(nm))) {
+        await publishMacro(L, nm, shared);
+        emitSharedMacros(L);
+      }
+    } catch(e){ socket.emit('error_message', e.message || 'Could not save macro.'); }
+  });
+
+  socket.on('macro_delete', async ({name})=>{
+    if (!lobby) return;
+    try { if (await deleteMacro(safe(name, 24))) await emitMacros(ensureLobby(lobby)); }
+    catch(e){ socket.emit('error_message', e.message || 'Could not delete macro.'); }
+  });
+
+  socket.on('macro_publish', async ({name, shared})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    try {
+      const nm = safe(name, 24);
+      if (await publishMacro(L, nm, shared !== false)) {
+        io.to(lobby).emit('system', shared !== false ? `GM shared macro: ${nm}` : `GM unshared macro: ${nm}`);
+        emitSharedMacros(L);
+      }
+    } catch(e){ socket.emit('error_message', e.message || 'Could not publish macro.'); }
+  });
+
+  socket.on('roll', async ({expression, label})=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
     if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
     try{
-      const res = rollAdvanced(expression || 'd20');
-      const payload = { user: username, ...res, ts: nowISO(), lobby };
-      io.to(lobby).emit('roll', payload);
-      L.rolls.push(payload);
+      rollExpression(L, expression, label ? { label: safe(label, 80) } : {});
     }catch(e){ socket.emit('error_message', e.message || 'Bad dice expression.'); }
   });
 
-  // ===== Characters =====
-  socket.on('character_upsert', (sheet)=>{
+  socket.on('roll_check', ({kind, what, mode})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
+    try {
+      rollSheetCheck(L, { kind: safe(kind, 10), what: safe(what, 40), mode: rollMode(mode) });
+    } catch(e){ socket.emit('error_message', e.message || 'Could not roll that.'); }
+  });
+
+  // ===== Hit points =====
+  socket.on('hp_change', ({target, kind, amount, type})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
+    if (!['damage','heal','temp'].includes(kind)) return;
+    try { changeHp(L, { target, kind, amount: String(amount ?? ''), type: type || null }); }
+    catch (e) { socket.emit('error_message', e.message || 'Could not change HP.'); }
+  });
+
+  socket.on('death_save', ({name} = {})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    try { rollDeathSave(L, safe(name, 24)); }
+    catch (e) { socket.emit('error_message', e.message || 'Could not roll a death save.'); }
+  });
+
+  socket.on('bestiary_get', ()=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    emitBestiary(L);
+  });
+
+  socket.on('condition_add', ({target, condition, rounds, until} = {})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
+    try { setCondition(L, { target, condition, rounds, until }); }
+    catch (e) { socket.emit('error_message', e.message || 'Could not set that condition.'); }
+  });
+
+  socket.on('condition_remove', ({target, condition} = {})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
+    try { setCondition(L, { target, condition, remove: true }); }
+    catch (e) { socket.emit('error_message', e.message || 'Could not clear that condition.'); }
+  });
+
+  // ===== Characters =====
+  socket.on('character_upsert', (sheet)=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    const gm = isGM(L);
+    const target = safe(sheet?.name || username, 24);
+    if (!gm && target !== username) { socket.emit('error_message','You can only edit your own sheet.'); return; }
+
+    // abilities are the base scores as assigned; the race's modifiers are added here (see applyRace)
+    const ab = sheet?.abilities || {};
+    const baseAbilities = Object.fromEntries(ABILITIES.map(a => [a, clamp(parseInt(ab[a] || 8,10) || 8, 1, 30)]));
+    const prev = L.characters.get(target);
+    if (!gm && JSON.stringify(baseAbilities) !== JSON.stringify(prev?.baseAbilities)) {
+      const problem = checkAbilities(baseAbilities, L.settings.abilityMethod, L.abilityRolls[target]);
+      if (problem) { socket.emit('error_message', problem); return; }
+    }
+    const race = raceName(sheet.race) || safe(sheet.race, 20);
+    const sanitized = {
+      name: target,
+      archetype: safe(sheet.archetype, 20),
+      race,
+      speed: !gm && raceOf(race) ? raceOf(race).speed : clamp(parseInt(sheet.speed || 30,10) || 30, 0, 120),
+      profs: safe(sheet.profs, 200),
+      traits: safe(sheet.traits, 800),
+      class: safe(sheet.class, 24),
+      level: clamp(parseInt(sheet.level || 1,10)||1, 1, 20),
+      ac: clamp(parseInt(sheet.ac || 10,10)||10, 1, 30),
+      maxHp: clamp(parseInt(sheet.maxHp || 10,10)||10, 1, 1000),
+      resist: safe(sheet.resist, 120),
+      vulnerable: safe(sheet.vulnerable, 120),
+      immune: safe(sheet.immune, 120),
+      xp: clamp(parseInt((gm ? sheet.xp : null) ?? prev?.xp ?? 0,10)||0, 0, 355000),
+      notes: safe(sheet.notes, 2000),
+      baseAbilities,
+      abilities: applyRace(baseAbilities, race),
+      updatedAt: nowISO(),
+    };
+    // Players don't set level or max HP: a new sheet starts at level 1 with average HP, later ones come from
+    // /levelup, and a changed CON modifier adjusts max HP for every level. The GM sets both freely.
+    if (!gm) {
+      sanitized.level = prev?.level || 1;
+      const conDelta = abilityMod(sanitized.abilities.CON) - abilityMod(prev?.abilities?.CON);
+      sanitized.maxHp = prev ? Math.max(sanitized.level, prev.maxHp + conDelta * sanitized.level) : averageMaxHp(sanitized);
+    }
+    const hp = parseInt(sheet.hp, 10);
+    sanitized.hp = prev || gm ? clamp(Number.isFinite(hp) ? hp : sanitized.maxHp, 0, sanitized.maxHp) : sanitized.maxHp;
+    if (prev?.conditions?.length) sanitized.conditions = prev.conditions;
+    // Items and coins change through /give, /take and /equip, never through the sheet form
+    sanitized.inventory = prev?.inventory || [];
+    sanitized.coins = prev?.coins || emptyCoins();
+    if (prev?.gearAc) sanitized.gearAc = true;
+    applyEquipment(sanitized);
+    // Spells change through /learn and /prepare, slots through /cast and /rest
+    sanitized.spells = prev?.spells || [];
+    if (prev?.slotsUsed) sanitized.slotsUsed = prev.slotsUsed;
+    if (prev?.vault) sanitized.vault = prev.vault;
+    L.characters.set(target, carryHpState(sanitized, prev));
+    io.to(lobby).emit('system', `${username} updated ${target}'s sheet`);
+    emitCharacters(L);
+    emitState();
+    emitMap(); // token HP bars; under fog, race may bring darkvision
+  });
+
+  socket.on('ability_method', ({method})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    if (!ABILITY_METHODS.includes(method)) return;
+    L.settings.abilityMethod = method;
+    io.to(lobby).emit('system', `Ability scores now use ${ABILITY_METHOD_NAMES[method]}.`);
+    emitState();
+  });
+
+  socket.on('ability_roll', ()=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    try { rollStats(L); }
+    catch (e) { socket.emit('error_message', e.message); }
+  });
+
+  socket.on('level_up', ({name, hp} = {})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    try { doLevelUp(L, safe(name, 24), hp); }
+    catch (e) { socket.emit('error_message', e.message || 'Could not level up.'); }
+  });
+
+  socket.on('character_delete', ({name})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    const target = safe(name || username, 24);
+    const gm = isGM(L);
+    if (!gm && target !== username) { socket.emit('error_message','You can only remove your own sheet.'); return; }
+    L.characters.delete(target);
+    io.to(lobby).emit('system', `${username} removed ${target}'s sheet`);
+    emitCharacters(L);
+    emitState();
+  });
+
+  // ===== Character vault =====
+  // Your characters, kept under your user id across lobbies. Bringing one in makes it your sheet here (named after
+  // you, like every player sheet) and links it to its vault entry; the lobby's changes go back when you leave.
+  const emitVault = async () => {
+    const vault = await loadVault(uid);
+    socket.emit('vault', Object.entries(vault.characters).map(([key, e]) => vaultSummary(key, e)));
+  };
+  // A lobby sheet into the vault: its linked entry (keeping the character's own name), else a new one. Returns the entry name.
+  const storeInVault = async (sheet, where) => {
+    const vault = await loadVault(uid);
+    const key = sheet.vault || vaultKey(sheet.name), prev = vault.characters[key];
+    if (!prev && Object.keys(vault.characters).length >= VAULT_LIMITS.characters) throw new Error(`Your vault holds ${VAULT_LIMITS.characters} characters; delete one first.`);
+    vault.characters[key] = { sheet: { ...portableSheet(sheet), name: prev?.sheet.name || sheet.name }, savedAt: nowISO(), lobby: where };
+    await saveVault(uid, vault);
+    sheet.vault = key;
+    return vault.characters[key].sheet.name;
+  };
+  // End of a session here (leaving the lobby or disconnecting): a sheet that came from the vault syncs back
+  const syncVault = async (L) => {
+    const sheet = L.characters.get(username);
+    if (sheet?.vault) await storeInVault(sheet, lobby).catch(e => console.error(`Vault sync for ${username} failed:`, e.message));
+  };
+
+  socket.on('vault_get', ()=> { emitVault().catch(e => socket.emit('error_message', e.message)); });
+
+  socket.on('vault_save', async ()=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    const sheet = L.characters.get(username);
+    if (!sheet) { socket.emit('error_message','You need a character sheet first.'); return; }
+    try {
+      socket.emit('system', `${await storeInVault(sheet, lobby)} is saved to your vault.`);
+      persistLobby(lobby); // the sheet is linked now
+      await emitVault();
+    } catch (e) { socket.emit('error_message', e.message || 'Could not save to the vault.'); }
+  });
+
+  socket.on('vault_delete', async ({key} = {})=>{
+    try {
+      const vault = await loadVault(uid), entry = vault.characters[safe(key, 40)];
+      if (!entry) throw new Error('No such character in your vault.');
+      delete vault.characters[safe(key, 40)];
+      await saveVault(uid, vault);
+      socket.emit('system', `${entry.sheet.name} is removed from your vault.`);
+      await emitVault();
+    } catch (e) { socket.emit('error_message', e.message || 'Could not delete that character.'); }
+  });
+
+  // A character file (see lib/vault.js) of a vault character, or of a sheet here: yours, or anyone's for the GM
+  socket.on('character_export', async ({key, name} = {})=>{
+    try {
+      let sheet;
+      if (key) {
+        sheet = (await loadVault(uid)).characters[safe(key, 40)]?.sheet;
+        if (!sheet) throw new Error('No such character in your vault.');
+      } else {
+        if (!lobby) return;
+        const L = ensureLobby(lobby), target = safe(name, 24) || username;
+        if (!isGM(L) && target !== username) throw new Error('You can only export your own sheet.');
+        sheet = L.characters.get(target);
+        if (!sheet) throw new Error(`No character named "${target}".`);
+      }
+      socket.emit('character_file', { name: sheet.name, text: JSON.stringify(exportCharacter(sheet), null, 2) });
+    } catch (e) { socket.emit('error_message', e.message || 'Could not export that character.'); }
+  });
+
+  // A character file into your vault (replacing one of the same name); in a lobby you also hear what it would break here
+  socket.on('vault_import', async ({text} = {})=>{
+    const { sheet, errors, warnings } = parseCharacterFile(String(text ?? ''));
+    if (!sheet) { socket.emit('error_message', `Character import failed: ${errors.join(' ')}`); return; }
+    try {
+      const vault = await loadVault(uid), key = vaultKey(sheet.name), replaced = !!vault.characters[key];
+      if (!replaced && Object.keys(vault.characters).length >= VAULT_LIMITS.characters) throw new Error(`Your vault holds ${VAULT_LIMITS.characters} characters; delete one first.`);
+      vault.characters[key] = { sheet: portableSheet(sheet), savedAt: nowISO() };
+      await saveVault(uid, vault);
+      socket.emit('system', `${sheet.name} ${replaced ? 'replaces the copy in' : 'is added to'} your vault.${warnings.length ? ` Notes: ${warnings.join(' ')}` : ''}`);
+      const problems = lobby ? lobbyProblems(sheet, lobbyRules(ensureLobby(lobby))) : [];
+      if (problems.length) socket.emit('system', `Brought into ${lobby}, ${sheet.name} would break its rules: ${problems.join(' ')}`);
+      await emitVault();
+    } catch (e) { socket.emit('error_message', e.message || 'Could not import that character.'); }
+  });
+
+  // A vault character becomes your sheet here (a linked sheet it replaces syncs back first). Rule problems don't
+  // block it; you and the GM are told so the GM can decide.
+  socket.on('vault_use', async ({key} = {})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    try {
+      key = safe(key, 40);
+      const entry = (await loadVault(uid)).characters[key];
+      if (!entry) throw new Error('No such character in your vault.');
+      const prev = L.characters.get(username);
+      if (prev?.vault && prev.vault !== key) await storeInVault(prev, lobby);
+      const { sheet } = readSheet(entry.sheet);
+      Object.assign(sheet, { name: username, vault: key, updatedAt: nowISO() });
+      L.characters.set(username, carryHpState(sheet, null));
+      io.to(lobby).emit('system', `${username} brings ${entry.sheet.name} (level ${sheet.level}${sheet.class ? ` ${sheet.class}` : ''}) from their vault.`);
+      const problems = lobbyProblems(sheet, lobbyRules(L));
+      if (problems.length) {
+        socket.emit('system', `${entry.sheet.name} doesn't fit this lobby's rules: ${problems.join(' ')} The GM can adjust the sheet.`);
+        if (!isGM(L)) whisperGM(L, `(GM) ${username}'s ${entry.sheet.name} doesn't fit this lobby's rules: ${problems.join(' ')}`);
+      }
+      emitCharacters(L); emitState(); emitMap();
+      persistLobby(lobby);
+    } catch (e) { socket.emit('error_message', e.message || 'Could not bring that character in.'); }
+  });
+
+  // ===== Map =====
+  // Also the resync path: a client whose version fell behind the patches asks for the whole map again
+  socket.on('map_request', ()=> {
+    if (!lobby) return;
+    ensureLobby(lobby).mapViews.delete(socket.id);
+    emitMap();
+  });
+
+  // New blank map; the current one goes to the library unless it is blank too
+  socket.on('map_init', ({w,h,name})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    w = clamp(parseInt(w||20,10)||20, MAP_SIZE.min, MAP_SIZE.max);
+    h = clamp(parseInt(h||20,10)||20, MAP_SIZE.min, MAP_SIZE.max);
+    const { enabled, ambient } = ensureFog(L.map);
+    const title = safe(name, 60);
+    const id = isBlankMap(L.map) && !title ? L.map.id : uniqueMapId(L, title || 'map');
+    activateNewMap(L, { ...newMap({ id, name: title || (id === L.map.id ? L.map.name : `Map ${mapLibrary(L).length + 1}`), w, h }), fog: { ...defaultFog(), enabled, ambient } });
+    io.to(lobby).emit('system', `Map set to ${L.map.name} (${w}×${h})`);
+    emitMap(); emitMapLibrary(L);
+  });
+
+  socket.on('map_load', ({id})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    if (!switchMap(L, id)) { if (id !== L.map.id) socket.emit('error_message','Map not found.'); return; }
+    io.to(lobby).emit('system', `Map: ${L.map.name}`);
+    emitMap(); emitMapLibrary(L);
+  });
+
+  // Snapshot of the active map into a new library slot (fog progress is not copied)
+  socket.on('map_save_as', ({name})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const title = safe(name, 60) || `${L.map.name} copy`;
+    const copy = ensureMap({ ...structuredClone(mapTemplate(L.map)), id: uniqueMapId(L, title), name: title });
+    L.maps[copy.id] = copy;
+    socket.emit('system', `Map saved as "${title}".`);
+    emitMapLibrary(L);
+  });
+
+  socket.on('map_rename', ({name})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const title = safe(name, 60);
+    if (!title) return;
+    L.map.name = title;
+    emitMap(); emitMapLibrary(L);
+  });
+
+  socket.on('map_delete', ({id})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    if (id === L.map.id) { socket.emit('error_message','Load another map before deleting this one.'); return; }
+    if (!L.maps[id]) { socket.emit('error_message','Map not found.'); return; }
+    const user = L.campaign.scenes.find(s => s.mapId === id);
+    if (user) { socket.emit('error_message', `Scene "${user.title || user.id}" uses this map.`); return; }
+    const { name } = L.maps[id];
+    delete L.maps[id];
+    socket.emit('system', `Map "${name}" deleted.`);
+    emitMapLibrary(L);
+  });
+
+  // format: json | ascii (see Map files in lib/map.js)
+  socket.on('map_export', ({id, format})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const map = !id || id === L.map.id ? L.map : L.maps[id];
+    if (!map) { socket.emit('error_message','Map not found.'); return; }
+    const text = format === 'ascii' ? mapToAscii(map) : JSON.stringify(mapTemplate(map), null, 2);
+    socket.emit('map_export', { id: map.id, name: map.name, format: format === 'ascii' ? 'ascii' : 'json', text });
+  });
+
+  // JSON or ASCII text; the imported map becomes the active one
+  socket.on('map_import', ({text, name})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    if (String(text ?? '').length > 200000) { socket.emit('error_message','Map file too large.'); return; }
+    const { map, errors } = parseMapText(text, { name: safe(name, 60) });
+    if (!map) { socket.emit('error_message', `Map import failed: ${errors.slice(0,3).join(' ')}`); return; }
+    map.id = uniqueMapId(L, map.name);
+    for (const t of Object.values(map.tokens)) t.owner = username;
+    activateNewMap(L, map);
+    io.to(lobby).emit('system', `Map: ${map.name} (${map.w}×${map.h})`);
+    if (errors.length) socket.emit('system', `Imported with ${errors.length} problem(s): ${errors.slice(0,3).join(' ')}`);
+    emitMap(); emitMapLibrary(L);
+  });
+
+  // layer: terrain (val = TILE_TYPES code; true/false still mean wall/floor) | objects (val = OBJECT_TYPES key) | notes (val = text)
+  // An empty val clears objects and notes
+  socket.on('map_set', ({x,y,val,layer='terrain'})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const {w,h} = ensureMap(L.map);
+    x = clamp(parseInt(x,10)||0, 0, w-1); y = clamp(parseInt(y,10)||0, 0, h-1);
+    const cell = y*w + x;
+    if (layer === 'terrain') {
+      if (!Array.isArray(L.map.tiles[y])) return;
+      const code = typeof val === 'number' ? val : val ? 1 : 0;
+      if (!TILE_TYPES[code]) return;
+      L.map.tiles[y][x] = code;
+    } else if (layer === 'objects') {
+      if (val && !OBJECT_TYPES[val]) return;
+      if (val) L.map.objects[cell] = val; else delete L.map.objects[cell];
+    } else if (layer === 'notes') {
+      const text = safe(val, 200);
+      if (text) L.map.notes[cell] = text; else delete L.map.notes[cell];
+    } else return;
+    emitMap();
+  });
+
+  socket.on('token_add', ({id,name,color,light})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
+    const {w,h} = L.map;
+    const tid = safe(id||`t_${Date.now()}_${Math.random().toString(36).slice(2,7)}`, 40);
+    const nm = safe(name || username, 24);
+    let x=0,y=0;
+    outer: for (let yy=0; yy<h; yy++) for (let xx=0; xx<w; xx++) {
+      if (!blocksMove(L.map, xx, yy) && !tileAt(L.map, xx, yy).hazard && !Object.values(L.map.tokens).some(t=>t.x===xx&&t.y===yy)) { x=xx; y=yy; break outer; }
+    }
+    L.map.tokens[tid] = { id:tid, name:nm, x, y, color: safe(color||'#222', 16), owner: username, light: clamp(parseInt(light,10)||0, 0, LIGHT_FT_MAX) };
+    emitMap();
+  });
+
+  // Path and cost preview while dragging; nothing moves
+  socket.on('move_preview', ({id, x, y})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    const tok = L.map.tokens?.[id];
+    if (!tok || (!isGM(L) && tok.owner !== username)) return;
+    const {w,h} = L.map;
+    x = clamp(parseInt(x,10)||0, 0, w-1); y = clamp(parseInt(y,10)||0, 0, h-1);
+    const plan = planMove(L, tok, x, y, { gm: isGM(L) });
+    if (plan.error) { socket.emit('move_preview', { id, x, y, error: plan.error }); return; }
+    const { path, feet } = plan.route;
+    socket.emit('move_preview', {
+      id, x, y, feet, path: path.map(p => [p.x, p.y]), reach: plan.end,
+      ...(plan.budget !== undefined ? { budget: plan.budget, remaining: plan.budget - path[plan.end].feet } : {}),
+    });
+  });
+
+  socket.on('movement_rule', ({diagonals})=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
-    const gm = isGM(L);
-    const target = safe(sheet?.name || username, 24);
-    if (!gm && target !== username) { socket.emit('error_message','You can only edit your own sheet.'); return; }
-
-    const ab = sheet?.abilities || {};
-    const abilities = {
-      STR: clamp(parseInt(ab.STR || 8,10) || 8, 1, 30),
-      DEX: clamp(parseInt(ab.DEX || 8,10) || 8, 1, 30),
-      CON: clamp(parseInt(ab.CON || 8,10) || 8, 1, 30),
-      INT: clamp(parseInt(ab.INT || 8,10) || 8, 1, 30),
-      WIS: clamp(parseInt(ab.WIS || 8,10) || 8, 1, 30),
-      CHA: clamp(parseInt(ab.CHA || 8,10) || 8, 1, 30),
-    };
-    const sanitized = {
-      name: target,
-      archetype: safe(sheet.archetype, 20),
-      race: safe(sheet.race, 20),
-      speed: clamp(parseInt(sheet.speed || 30,10) || 30, 0, 120),
-      profs: safe(sheet.profs, 200),
-      traits: safe(sheet.traits, 800),
-      class: safe(sheet.class, 24),
-      level: clamp(parseInt(sheet.level || 1,10)||1, 1, 20),
-      ac: clamp(parseInt(sheet.ac || 10,10)||10, 1, 30),
-      hp: clamp(parseInt(sheet.hp || 10,10)||10, 0, 1000),
-      maxHp: clamp(parseInt(sheet.maxHp || 10,10)||10, 1, 1000),
-      notes: safe(sheet.notes, 2000),
-      abilities,
-      updatedAt: nowISO(),
-    };
-    L.characters.set(target, sanitized);
-    io.to(lobby).emit('system', `${username} updated ${target}'s sheet`);
-    io.to(lobby).emit('characters', Object.fromEntries([...L.characters.entries()]));
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    if (!DIAGONAL_RULES.includes(diagonals)) return;
+    L.settings.diagonals = diagonals;
+    io.to(lobby).emit('system', `Diagonals now cost ${diagonals === 'alternate' ? '5/10/5 ft' : '5 ft each'}.`);
     emitState();
   });
 
-  socket.on('character_delete', ({name})=>{
+  // ===== Combat tracker: NPC/monster combatants (GM) =====
+  // Leave init empty to roll d20 + DEX. A GM token with the same name is linked unless tokenId says otherwise.
+  // resist / vulnerable / immune: damage type lists, as on character sheets
+  socket.on('encounter_add', ({name, hp, ac, dex, init, tokenId, resist, vulnerable, immune})=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
-    const target = safe(name || username, 24);
-    const gm = isGM(L);
-    if (!gm && target !== username) { socket.emit('error_message','You can only remove your own sheet.'); return; }
-    L.characters.delete(target);
-    io.to(lobby).emit('system', `${username} removed ${target}'s sheet`);
-    io.to(lobby).emit('characters', Object.fromEntries([...L.characters.entries()]));
-    emitState();
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    if (!L.encounter.active) { socket.emit('error_message','Start an encounter first.'); return; }
+    const nm = safe(name, 24);
+    if (!nm) { socket.emit('error_message','Name the combatant.'); return; }
+    const maxHp = clamp(parseInt(hp,10)||1, 1, 1000), score = clamp(parseInt(dex,10)||10, 1, 30);
+    const linked = new Set(L.encounter.order.map(c => c.tokenId));
+    const tok = L.map.tokens[tokenId] || Object.values(L.map.tokens).find(t => t.owner === L.gm && lc(t.name) === lc(nm) && !linked.has(t.id));
+    const rolled = init === '' || init == null || !Number.isFinite(Number(init));
+    const c = addCombatant(L.encounter, {
+      id: randId('c'), name: nm, init: rolled ? rollInitiative(score).init : clamp(Number(init), -10, 50), dex: score,
+      kind: 'npc', hp: maxHp, maxHp, ac: clamp(parseInt(ac,10)||10, 1, 30), ...(tok ? { tokenId: tok.id } : {}),
+      resist: safe(resist, 120), vulnerable: safe(vulnerable, 120), immune: safe(immune, 120),
+    });
+    const text = `${c.name} joins the fight (initiative ${c.init}${rolled ? ', rolled' : ''}).`;
+    if (combatantHidden(L, c)) whisperGM(L, text); else io.to(lobby).emit('system', text);
+    emitState(); emitMap();
   });
 
-  // ===== Map =====
-  socket.on('map_request', ()=> { if (lobby) emitMap(); });
-
-  socket.on('map_init', ({w,h})=>{
+  // GM edits initiative, or an NPC's HP / max HP / AC; an NPC brought to 0 HP is defeated and leaves the order
+  socket.on('encounter_update', ({id, init, hp, maxHp, ac})=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
     if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
-    w = clamp(parseInt(w||20,10)||20, 5, 60);
-    h = clamp(parseInt(h||20,10)||20, 5, 60);
-    L.map = { w, h, tiles: Array.from({length:h},()=>Array(w).fill(0)), tokens: {} };
-    io.to(lobby).emit('system', `Map set to ${w}×${h}`);
-    emitMap();
+    const c = L.encounter.order.find(o => o.id === id);
+    if (!c) { socket.emit('error_message','Combatant not found.'); return; }
+    if (init != null && Number.isFinite(Number(init))) { c.init = clamp(Number(init), -10, 50); sortOrder(L.encounter); }
+    if (c.kind === 'npc') {
+      if (maxHp != null) c.maxHp = clamp(parseInt(maxHp,10)||1, 1, 1000);
+      if (ac != null) c.ac = clamp(parseInt(ac,10)||10, 1, 30);
+      if (hp != null) c.hp = clamp(parseInt(hp,10)||0, 0, c.maxHp ?? 1000);
+      if (c.hp === 0) defeatCombatant(lobby, L, c);
+    }
+    emitState(); emitMap();
   });
 
-  socket.on('map_set', ({x,y,val})=>{
+  socket.on('encounter_remove', ({id})=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
     if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
-    const {w,h} = L.map;
-    x = clamp(parseInt(x,10)||0, 0, w-1); y = clamp(parseInt(y,10)||0, 0, h-1);
-    if (!Array.isArray(L.map.tiles[y])) return;
-    L.map.tiles[y][x] = val ? 1 : 0;
-    emitMap();
+    const res = removeCombatant(L.encounter, id);
+    if (!res) { socket.emit('error_message','Combatant not found.'); return; }
+    const text = `${res.removed.name} leaves the fight.`;
+    if (combatantHidden(L, res.removed)) whisperGM(L, text); else io.to(lobby).emit('system', text);
+    if (res.turn) announceTurn(lobby, L, res.turn);
+    emitState(); emitMap();
   });
 
-  socket.on('token_add', ({id,name,color})=>{
+  // Light radius (feet) by owner or GM; only the GM can hide a token from players
+  socket.on('token_update', ({id, light, hidden})=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
     if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
-    const {w,h} = L.map;
-    const tid = safe(id||`t_${Date.now()}_${Math.random().toString(36).slice(2,7)}`, 40);
-    const nm = safe(name || username, 24);
-    let x=0,y=0;
-    outer: for (let yy=0; yy<h; yy++) for (let xx=0; xx<w; xx++) {
-      if ((L.map.tiles[yy]?.[xx] ?? 0)===0 && !Object.values(L.map.tokens).some(t=>t.x===xx&&t.y===yy)) { x=xx; y=yy; break outer; }
+    const tok = L.map.tokens?.[id];
+    if (!tok) return;
+    if (!isGM(L) && tok.owner !== username) { socket.emit('error_message','Only owner or GM can change this token.'); return; }
+    if (light !== undefined) tok.light = clamp(parseInt(light,10)||0, 0, LIGHT_FT_MAX);
+    if (hidden !== undefined) {
+      if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+      tok.hidden = !!hidden;
+      if (L.encounter.order.some(c => c.tokenId === id)) emitState(); // its combatant appears on / leaves players' trackers
     }
-    L.map.tokens[tid] = { id:tid, name:nm, x, y, color: safe(color||'#222', 16), owner: username };
     emitMap();
   });
 
@@ -402,10 +1975,28 @@ io.on('connection', (socket)=>{
     const tok = L.map.tokens?.[id];
     if (!tok) return;
     if (!isGM(L) && tok.owner !== username) { socket.emit('error_message','Only owner or GM can move this token.'); return; }
-    const {w,h,tiles} = L.map;
+    const {w,h} = L.map;
     x = clamp(parseInt(x,10)||0, 0, w-1); y = clamp(parseInt(y,10)||0, 0, h-1);
-    if ((tiles?.[y]?.[x] ?? 0)===1) return; // wall
+    if (blocksMove(L.map, x, y)) return; // wall, closed door, crate…
+    // Players walk a real path (and spend speed in an encounter); the GM may place tokens anywhere
+    const gm = isGM(L);
+    const plan = planMove(L, tok, x, y, { gm });
+    if (plan.error && !gm) { socket.emit('error_message', plan.error); return; }
+    if (plan.budget !== undefined) {
+      const stop = plan.route.path[plan.end];
+      if (plan.end === 0) { socket.emit('error_message', `${tok.name} has no movement left this turn.`); return; }
+      L.encounter.movement[tok.id] = { feet: plan.spent.feet + stop.feet, parity: stop.parity };
+      if (plan.end < plan.route.path.length - 1) socket.emit('system', `${tok.name} runs out of movement after ${stop.feet} ft.`);
+      x = stop.x; y = stop.y;
+      emitState();
+    }
+    const moved = tok.x !== x || tok.y !== y;
     tok.x = x; tok.y = y;
+    const hazard = moved && tileAt(L.map, x, y).hazard;
+    if (hazard) {
+      if (tok.hidden) whisperGM(L, `(GM) ${tok.name} ${hazard}!`);
+      else io.to(lobby).emit('system', `${tok.name} ${hazard}!`);
+    }
     emitMap();
   });
 
@@ -426,6 +2017,44 @@ io.on('connection', (socket)=>{
     if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
     const {w,h} = L.map;
     L.map.tiles = Array.from({length:h},()=>Array(w).fill(0));
+    L.map.objects = {};
+    emitMap();
+  });
+
+  socket.on('door_toggle', ({x,y})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (isLockedForPlayers(L) && !isGM(L)) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
+    const out = toggleDoor(L.map, parseInt(x,10), parseInt(y,10), { gm: isGM(L), user: username });
+    if (out.error) { socket.emit('error_message', out.error); return; }
+    const verb = out.tile === TILE.DOOR_OPEN ? 'opens' : out.was === TILE.DOOR_LOCKED ? 'unlocks' : 'closes';
+    io.to(lobby).emit('system', `${username} ${verb} a door.`);
+    emitMap();
+  });
+
+  // ===== Fog of war (GM) =====
+  socket.on('map_fog', ({enabled, ambient, resetExplored})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const fog = ensureFog(L.map);
+    if (enabled !== undefined && fog.enabled !== !!enabled) {
+      fog.enabled = !!enabled;
+      io.to(lobby).emit('system', `Fog of war ${fog.enabled ? 'on' : 'off'}`);
+    }
+    if (AMBIENT.includes(ambient)) fog.ambient = ambient;
+    if (resetExplored) fog.explored = {};
+    emitMap();
+  });
+
+  socket.on('map_fog_region', ({x0, y0, x1, y1, mode})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    if (!['reveal','hide','clear'].includes(mode)) return;
+    const {w,h} = L.map;
+    const cx = (v) => clamp(parseInt(v,10)||0, 0, w-1), cy = (v) => clamp(parseInt(v,10)||0, 0, h-1);
+    setFogRegion(L.map, { x0: cx(x0), y0: cy(y0), x1: cx(x1 ?? x0), y1: cy(y1 ?? y0), mode });
     emitMap();
   });
 
@@ -446,20 +2075,31 @@ io.on('connection', (socket)=>{
     if (!Object.keys(CAMPAIGN_REGISTRY).length) await loadCampaignRegistry();
     const picked = CAMPAIGN_REGISTRY[key];
     if (!picked) { socket.emit('error_message','Campaign not found.'); return; }
-    L.campaign = cloneCampaign(picked);
+    // The campaign's maps join the lobby's library, replacing same-id ones
+    const { maps = [], ...campaign } = cloneCampaign(picked);
+    L.campaign = campaign;
+    for (const m of maps) {
+      const live = ensureMap({ ...m, tokens: Object.fromEntries(Object.values(m.tokens || {}).map(t => [t.id, { ...t, owner: username }])) });
+      if (live.id === L.map.id) L.map = live; else L.maps[live.id] = live;
+    }
     if (L.settings) {
       L.settings.campaignStarted = false;
-      L.settings.consent.pending = null;
+      cancelVote(lobby, L);
+      L.settings.consent.check = null;
+      L.settings.consent.proposals = [];
     }
     io.to(lobby).emit('system', `GM loaded campaign: ${L.campaign.title}`);
-    io.to(lobby).emit('campaign_state', L.campaign);
+    emitBestiary(L); // the campaign's own monsters
+    emitCampaign(L);
     emitState();
+    emitMap(); emitMapLibrary(L);
+    showSceneMap(lobby, L);
   });
 
   socket.on('campaign_get', ()=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
-    socket.emit('campaign_state', L.campaign);
+    socket.emit('campaign_state', campaignFor(L, { name: username, uid }));
   });
 
   socket.on('campaign_start', ()=>{
@@ -482,7 +2122,27 @@ io.on('connection', (socket)=>{
     if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
     if (title) L.campaign.title = safe(title, 120);
     if (summary != null) L.campaign.summary = safe(summary, 2000);
-    io.to(lobby).emit('campaign_state', L.campaign);
+    emitCampaign(L);
+  });
+
+  // Save this lobby's campaign into the registry so it can be loaded again later
+  socket.on('campaign_save_as', async ({key, overwrite, adminToken})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    if (!isAdminToken(adminToken)) { socket.emit('error_message',"Saving to the campaign registry needs the server's admin token."); return; }
+    try {
+      const k = campaignKey(key || L.campaign.title);
+      const { warnings } = await saveCampaignToRegistry(k, campaignTemplate(L.campaign, L.campaign.startSceneId, campaignMaps(L)), { overwrite: !!overwrite });
+      socket.emit('system', `Campaign saved as "${k}"${warnings.length ? ` (${warnings.length} warning(s))` : ''}.`);
+    } catch(e){ socket.emit('error_message', e.message || 'Could not save campaign.'); }
+  });
+
+  socket.on('campaign_upload_token', ()=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    socket.emit('campaign_upload_token', { token: issueUploadToken(lobby, username) });
   });
 
   socket.on('campaign_scene_add', ({title, content})=>{
@@ -492,7 +2152,7 @@ io.on('connection', (socket)=>{
     const scene = { id: randId('scn'), title: safe(title||'New Scene',120), content: safe(content||'', 4000), choices: [] };
     L.campaign.scenes.push(scene);
     if (!L.campaign.currentSceneId) L.campaign.currentSceneId = scene.id;
-    io.to(lobby).emit('campaign_state', L.campaign);
+    emitCampaign(L);
   });
 
   socket.on('campaign_scene_set', ({sceneId})=>{
@@ -500,9 +2160,11 @@ io.on('connection', (socket)=>{
     const L = ensureLobby(lobby);
     if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
     if (L.campaign.scenes.some(s=>s.id===sceneId)){
-      L.campaign.currentSceneId = sceneId;
+      clearPendingIf(L, p => p.sceneId !== sceneId);
+      enterScene(L.campaign, sceneId);
       io.to(lobby).emit('system', `Scene changed to: ${sceneId}`);
-      io.to(lobby).emit('campaign_state', L.campaign);
+      emitCampaign(L);
+      showSceneMap(lobby, L);
     }
   });
 
@@ -511,9 +2173,11 @@ io.on('connection', (socket)=>{
     const L = ensureLobby(lobby);
     if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
     const scene = L.campaign.scenes.find(s=>s.id===sceneId);
-    if (!scene) return;
-    scene.choices.push({ id: randId('ch'), text: safe(text||'Choice', 200), to: safe(to||'', 120) });
-    io.to(lobby).emit('campaign_state', L.campaign);
+    if (!scene) { socket.emit('error_message','Scene not found.'); return; }
+    const target = safe(to||'', 120);
+    if (!L.campaign.scenes.some(s=>s.id===target)) { socket.emit('error_message',`Choice target "${target}" is not a scene.`); return; }
+    scene.choices.push({ id: randId('ch'), text: safe(text||'Choice', 200), to: target });
+    emitCampaign(L);
   });
 
   socket.on('campaign_handout_add', ({title, content})=>{
@@ -521,7 +2185,7 @@ io.on('connection', (socket)=>{
     const L = ensureLobby(lobby);
     if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
     L.campaign.handouts.push({ id: randId('hd'), title: safe(title||'Handout',120), content: safe(content||'', 4000) });
-    io.to(lobby).emit('campaign_state', L.campaign);
+    emitCampaign(L);
   });
 
   socket.on('campaign_quest_add', ({title})=>{
@@ -529,7 +2193,7 @@ io.on('connection', (socket)=>{
     const L = ensureLobby(lobby);
     if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
     L.campaign.quests.push({ id: randId('q'), title: safe(title||'Quest', 200), done: false });
-    io.to(lobby).emit('campaign_state', L.campaign);
+    emitCampaign(L);
   });
 
   socket.on('campaign_quest_toggle', ({id})=>{
@@ -539,16 +2203,192 @@ io.on('connection', (socket)=>{
     const q = L.campaign.quests.find(q=>q.id===id);
     if (!q) return;
     q.done = !q.done;
-    io.to(lobby).emit('campaign_state', L.campaign);
+    emitCampaign(L);
+  });
+
+  // ===== Campaign editor: update / delete / reorder =====
+  // Choices pointing at a scene, across the whole campaign
+  const sceneRefs = (L, sceneId) => L.campaign.scenes.flatMap(s =>
+    s.choices.filter(c => choiceTargets(c).includes(sceneId)).map(c => ({ sceneId: s.id, choiceId: c.id, text: c.text })));
+  // Drop a pending vote or skill check whose choice the GM just changed
+  const clearPendingIf = (L, pred) => {
+    const { pending, check } = L.settings.consent;
+    if (pending && pred(pending)) {
+      cancelVote(lobby, L);
+      io.to(lobby).emit('campaign_vote_closed', { choiceId: pending.choiceId, outcome: 'cancelled' });
+      io.to(lobby).emit('system', 'Pending choice cancelled (edited by GM).');
+    }
+    L.settings.consent.proposals = L.settings.consent.proposals.filter(p => !pred({ ...p, sceneId: L.campaign.currentSceneId }));
+    if (check && pred(check)) { L.settings.consent.check = null; io.to(lobby).emit('system', 'Pending check cancelled (edited by GM).'); emitState(); }
+  };
+
+  socket.on('campaign_scene_update', ({sceneId, title, content, gmNotes, ending, mapId})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const scene = L.campaign.scenes.find(s=>s.id===sceneId);
+    if (!scene) { socket.emit('error_message','Scene not found.'); return; }
+    if (title != null) scene.title = safe(title, 120) || scene.title;
+    if (content != null) scene.content = safe(content, 4000);
+    if (gmNotes != null) scene.gmNotes = safe(gmNotes, 4000);
+    if (ending != null) scene.ending = !!ending;
+    if (mapId != null) {
+      if (mapId && mapId !== L.map.id && !L.maps[mapId]) { socket.emit('error_message','Map not found.'); return; }
+      if (mapId) scene.mapId = mapId; else delete scene.mapId;
+    }
+    emitCampaign(L);
+  });
+
+  // Deleting a referenced scene needs force:true; the dangling choices are then flagged broken
+  socket.on('campaign_scene_delete', ({sceneId, force})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const idx = L.campaign.scenes.findIndex(s=>s.id===sceneId);
+    if (idx < 0) { socket.emit('error_message','Scene not found.'); return; }
+    if (L.campaign.scenes.length === 1) { socket.emit('error_message','A campaign needs at least one scene.'); return; }
+    const refs = sceneRefs(L, sceneId).filter(r => r.sceneId !== sceneId);
+    if (refs.length && !force) { socket.emit('campaign_delete_blocked', { kind:'scene', id: sceneId, refs }); return; }
+    L.campaign.scenes.splice(idx, 1);
+    for (const s of L.campaign.scenes) for (const c of s.choices) if (choiceTargets(c).includes(sceneId)) c.broken = true;
+    if (L.campaign.currentSceneId === sceneId) L.campaign.currentSceneId = L.campaign.scenes[0].id;
+    clearPendingIf(L, p => p.to === sceneId || p.failure === sceneId);
+    socket.emit('system', refs.length
+      ? `Scene ${sceneId} deleted; ${refs.length} choice(s) now point nowhere: ${refs.map(r=>`${r.sceneId}/${r.choiceId}`).join(', ')}`
+      : `Scene ${sceneId} deleted.`);
+    emitCampaign(L);
+  });
+
+  socket.on('campaign_choice_update', ({sceneId, choiceId, text, to})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const choice = L.campaign.scenes.find(s=>s.id===sceneId)?.choices.find(c=>c.id===choiceId);
+    if (!choice) { socket.emit('error_message','Choice not found.'); return; }
+    if (to != null) {
+      const target = safe(to, 120);
+      if (!L.campaign.scenes.some(s=>s.id===target)) { socket.emit('error_message',`Choice target "${target}" is not a scene.`); return; }
+      choice.to = target;
+      if (choice.check) choice.check.success = target;
+      if (!choice.check || L.campaign.scenes.some(s=>s.id===choice.check.failure)) delete choice.broken;
+    }
+    if (text != null) choice.text = safe(text, 200) || choice.text;
+    clearPendingIf(L, p => p.choiceId === choiceId);
+    emitCampaign(L);
+  });
+
+  socket.on('campaign_choice_delete', ({sceneId, choiceId})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const scene = L.campaign.scenes.find(s=>s.id===sceneId);
+    const idx = scene ? scene.choices.findIndex(c=>c.id===choiceId) : -1;
+    if (idx < 0) { socket.emit('error_message','Choice not found.'); return; }
+    scene.choices.splice(idx, 1);
+    clearPendingIf(L, p => p.choiceId === choiceId);
+    emitCampaign(L);
+  });
+
+  socket.on('campaign_handout_update', ({id, title, content, hidden})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const h = L.campaign.handouts.find(h=>h.id===id);
+    if (!h) { socket.emit('error_message','Handout not found.'); return; }
+    if (title != null) h.title = safe(title, 120) || h.title;
+    if (content != null) h.content = safe(content, 4000);
+    if (hidden != null) h.hidden = !!hidden;
+    emitCampaign(L);
+  });
+
+  // Show a hidden handout to everyone (to: 'all') or to some players (to: [names]); hide:true takes it back
+  socket.on('campaign_handout_reveal', ({id, to, hide})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const h = L.campaign.handouts.find(h=>h.id===id);
+    if (!h) { socket.emit('error_message','Handout not found.'); return; }
+    const st = ensureState(L.campaign);
+    let grants = [];
+    if (hide) {
+      st.revealed = st.revealed.filter(x => x !== h.id);
+      delete st.revealedTo[h.id];
+      socket.emit('system', `Handout hidden again: ${h.title}`);
+    } else if (to === 'all') {
+      if (!st.revealed.includes(h.id)) st.revealed.push(h.id);
+      io.to(lobby).emit('system', `Handout revealed: ${h.title}`);
+      grants = claimHandoutGrants(L.campaign, h).map(g => grantGoods(L, g));
+    } else {
+      const names = (Array.isArray(to) ? to : [to]).map(n => safe(n, 24)).filter(n => n && n !== L.gm);
+      if (!names.length) { socket.emit('error_message','Pick who sees the handout.'); return; }
+      st.revealedTo[h.id] = [...new Set([...(st.revealedTo[h.id] || []), ...names])];
+      for (const [sid, u] of L.users.entries()) if (names.includes(u.name)) io.to(sid).emit('system', `The GM shows you a handout: ${h.title}`);
+      socket.emit('system', `Handout "${h.title}" shown to ${names.join(', ')}.`);
+      grants = claimHandoutGrants(L.campaign, h).map(g => grantGoods(L, g, names));
+    }
+    for (const text of grants) io.to(lobby).emit('system', text);
+    if (grants.length) { emitCharacters(L); emitState(); }
+    emitCampaign(L);
+  });
+
+  socket.on('campaign_handout_delete', ({id})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const before = L.campaign.handouts.length;
+    L.campaign.handouts = L.campaign.handouts.filter(h=>h.id!==id);
+    if (L.campaign.handouts.length === before) { socket.emit('error_message','Handout not found.'); return; }
+    emitCampaign(L);
+  });
+
+  socket.on('campaign_quest_update', ({id, title, done, hidden})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const q = L.campaign.quests.find(q=>q.id===id);
+    if (!q) { socket.emit('error_message','Quest not found.'); return; }
+    if (title != null) q.title = safe(title, 200) || q.title;
+    if (done != null) q.done = !!done;
+    if (hidden != null) q.hidden = !!hidden;
+    emitCampaign(L);
+  });
+
+  socket.on('campaign_quest_delete', ({id})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const before = L.campaign.quests.length;
+    L.campaign.quests = L.campaign.quests.filter(q=>q.id!==id);
+    if (L.campaign.quests.length === before) { socket.emit('error_message','Quest not found.'); return; }
+    emitCampaign(L);
+  });
+
+  // kind: scenes|choices|handouts|quests; order: full list of ids in the new order (choices need sceneId)
+  socket.on('campaign_reorder', ({kind, sceneId, order})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    const list = kind === 'choices' ? L.campaign.scenes.find(s=>s.id===sceneId)?.choices
+      : ['scenes','handouts','quests'].includes(kind) ? L.campaign[kind] : null;
+    if (!list) { socket.emit('error_message','Nothing to reorder.'); return; }
+    const ids = Array.isArray(order) ? order.map(String) : [];
+    const byId = new Map(list.map(x => [x.id, x]));
+    if (ids.length !== list.length || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+      socket.emit('error_message','Reorder must list every id exactly once.'); return;
+    }
+    list.splice(0, list.length, ...ids.map(id => byId.get(id)));
+    emitCampaign(L);
   });
 
-  socket.on('campaign_note_add', ({text})=>{
+  // GM notes can be private (never sent to players); everyone else's notes are public
+  socket.on('campaign_note_add', ({text, private: priv})=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
     const t = safe(text, 1000);
     if (!t) return;
-    L.campaign.notes.push({ by: username, text: t, ts: nowISO() });
-    io.to(lobby).emit('campaign_state', L.campaign);
+    if (priv && !isGM(L)) { socket.emit('error_message','Only the GM keeps private notes.'); return; }
+    L.campaign.notes.push({ by: username, text: t, ts: nowISO(), ...(priv ? { private: true } : {}) });
+    emitCampaign(L);
   });
 
   // ===== Slash-commands =====
@@ -561,10 +2401,20 @@ io.on('connection', (socket)=>{
     switch ((cmd||'').toLowerCase()){
       case 'help':
         socket.emit('system',
-          'Commands: /help, /me <action>, /w @name <msg>, /roll <expr>, ' +
-          '/macro add name=expr | del name | list, ' +
+          'Commands: /help, /me <action>, /w @name <msg>, /roll <expr> (use @STR…@CHA, @prof, @level), ' +
+          '/check <ability|skill> [adv|dis], /save <ability> [adv|dis], /attack [weapon] [adv|dis], ' +
+          '/m <name> (run macro), /macro add name=line1;;line2 | del name | list | publish name (GM) | unpublish name (GM), ' +
           '/setpass <pass> (GM on first set), /kick <name> (GM), /ban <name> (GM), /unban <name> (GM), ' +
-          '/startencounter (GM), /setinit <name> <n> (GM), /next (GM), /endencounter (GM), ' +
+          '/startencounter (GM, rolls initiative), /setinit <name> <n> (GM), /next (GM), /endencounter (GM), ' +
+          '/delay, /ready <trigger>, /act [name] (on or after your turn), ' +
+          '/damage <target> <amount> [type], /heal <target> <amount>, /temphp <target> <amount>, /deathsave, ' +
+          '/cond [target] <condition> [rounds] [until <combatant>], /uncond [target] <condition|all>, ' +
+          '/spawn <monster> [xN] [at X,Y] (GM), /mattack <creature> [attack] [adv|dis] (GM), ' +
+          '/levelup [roll|average] [name], /rollstats, /abilitymethod <pointbuy|standard|rolled|free> (GM), ' +
+          '/inv [character|stash], /give <character|stash> <items, coins>, /take <character|stash> <items, coins>, ' +
+          '/loot [items, coins | split] (GM), /equip [character] <item>, /unequip [character] <item>, /exchange <n> <coin> <coin>, ' +
+          '/cast <spell> [slot level] [adv|dis] [on <character>], /spells [character], /learn [character] <spell>, /forget [character] <spell>, ' +
+          '/prepare [character] <spell>, /unprepare [character] <spell>, /rest <short|long> [character] (GM), ' +
           'Campaign: /camp title <t> (GM), /camp summary <text> (GM), ' +
           '/scene add <title>|<content> (GM), /scene set <sceneId> (GM), ' +
           '/start (GM start campaign), /consent force (GM)'
@@ -604,39 +2454,64 @@ io.on('connection', (socket)=>{
 
       case 'roll': {
         if (isLockedForPlayers(L) && !gm) { socket.emit('error_message','Campaign not started by GM yet.'); break; }
-        try {
-          const res = rollAdvanced(argStr || 'd20');
-          const payload = { user: username, ...res, ts: nowISO(), lobby };
-          io.to(lobby).emit('roll', payload);
-          L.rolls.push(payload);
-        } catch(e){ socket.emit('error_message', e.message || 'Bad dice'); }
+        try { rollExpression(L, argStr || 'd20'); }
+        catch(e){ socket.emit('error_message', e.message || 'Bad dice'); }
+        break;
+      }
+
+      case 'check':
+      case 'save':
+      case 'attack': {
+        if (isLockedForPlayers(L) && !gm) { socket.emit('error_message','Campaign not started by GM yet.'); break; }
+        const { what, mode } = parseCheckArgs(argStr);
+        if (!what && cmd.toLowerCase() !== 'attack') { socket.emit('error_message',`Usage: /${cmd.toLowerCase()} <${cmd.toLowerCase()==='save' ? 'ability' : 'ability|skill'}> [adv|dis]`); break; }
+        try { rollSheetCheck(L, { kind: cmd.toLowerCase(), what, mode }); }
+        catch(e){ socket.emit('error_message', e.message || 'Could not roll that.'); }
+        break;
+      }
+
+      case 'm': {
+        if (!argStr) { socket.emit('error_message','Usage: /m <macro name>'); break; }
+        try { await runMacro(L, argStr.split(' ')[0]); }
+        catch(e){ socket.emit('error_message', e.message || 'Could not run macro.'); }
         break;
       }
 
       case 'macro': {
         const [sub, ...rest2] = argStr.split(' ');
         const restJoin = rest2.join(' ').trim();
-        const map = L.macros.get(username) || new Map();
-        if (sub === 'add') {
-          const m = restJoin.match(/^(\w+)\s*=\s*([\s\S]+)$/);
-          if (!m) { socket.emit('error_message','Use: /macro add name=expr'); break; }
-          map.set(m[1], m[2]); L.macros.set(username, map);
-          socket.emit('system', `Macro added: ${m[1]} = ${m[2]}`);
-        } else if (sub === 'del') {
-          map.delete(rest2[0]); L.macros.set(username, map);
-          socket.emit('system', `Macro deleted: ${rest2[0]}`);
-        } else if (sub === 'list') {
-          socket.emit('system', `Your macros: ${JSON.stringify(Object.fromEntries(map.entries()))}`);
-        } else socket.emit('error_message','Subcommands: add, del, list');
+        try {
+          if (sub === 'add') {
+            const m = restJoin.match(/^(\w+)\s*=\s*([\s\S]+)$/);
+            if (!m) { socket.emit('error_message','Use: /macro add name=expr (separate lines with ;;)'); break; }
+            await saveMacro(m[1], m[2]);
+            socket.emit('system', `Macro added: ${m[1]} = ${m[2]}`);
+            await emitMacros(L);
+          } else if (sub === 'del') {
+            await deleteMacro(rest2[0]);
+            socket.emit('system', `Macro deleted: ${rest2[0]}`);
+            await emitMacros(L);
+          } else if (sub === 'list') {
+            const mine = await loadUserMacros(uid);
+            socket.emit('system', `Your macros: ${JSON.stringify(Object.fromEntries(mine))}`);
+            if (L.macros.size) socket.emit('system', `Shared by GM: ${JSON.stringify(Object.fromEntries(L.macros))}`);
+          } else if (sub === 'publish' || sub === 'unpublish') {
+            const nm = rest2[0];
+            if (!nm) { socket.emit('error_message',`Use: /macro ${sub} <name>`); break; }
+            if (await publishMacro(L, nm, sub === 'publish')) {
+              send(sub === 'publish' ? `GM shared macro: ${nm}` : `GM unshared macro: ${nm}`);
+              emitSharedMacros(L);
+            }
+          } else socket.emit('error_message','Subcommands: add, del, list, publish (GM), unpublish (GM)');
+        } catch(e){ socket.emit('error_message', e.message || 'Macro error.'); }
         break;
       }
 
       case 'setpass': {
         if (L.passwordHash && !gm) { socket.emit('error_message','Only GM can change password.'); break; }
         if (!argStr) { socket.emit('error_message','Usage: /setpass <password>'); break; }
-        L.passwordHash = hashPass(argStr);
-        if (!L.gm) L.gm = username;
-        await upsertLobbyMeta?.(lobby, { password:true, gm:L.gm, updatedAt: nowISO() });
+        L.passwordHash = await hashPass(argStr);
+        if (!L.gm) claimGM(L, username);
         send('Lobby password set/updated.');
         emitState();
         break;
@@ -651,39 +2526,313 @@ io.on('connection', (socket)=>{
         io.to(targetId).emit('error_message','You were kicked by the GM.');
         io.sockets.sockets.get(targetId)?.leave(lobby);
         L.users.delete(targetId);
+        L.mapViews.delete(targetId);
         send(`${target} was kicked by the GM.`);
         emitState();
         break;
       }
 
-      case 'ban':   { if (!gm) { socket.emit('error_message','GM only.'); break; } L.bans.add(safe(argStr,24).toLowerCase()); send(`${argStr} is banned.`); emitState(); break; }
-      case 'unban': { if (!gm) { socket.emit('error_message','GM only.'); break; } L.bans.delete(safe(argStr,24).toLowerCase()); send(`${argStr} is unbanned.`); emitState(); break; }
+      // Bans follow the user, not the name: anyone who has been in the lobby can be banned, here or not
+      case 'ban': {
+        if (!gm) { socket.emit('error_message','GM only.'); break; }
+        const target = [...L.members.entries()].find(([, n]) => lc(n) === lc(safe(argStr,24)));
+        if (!target) { socket.emit('error_message',`No one called "${argStr}" has been in this lobby.`); break; }
+        if (target[0] === uid) { socket.emit('error_message',"You can't ban yourself."); break; }
+        L.bans.set(...target);
+        send(`${target[1]} is banned.`); emitState(); break;
+      }
+      case 'unban': {
+        if (!gm) { socket.emit('error_message','GM only.'); break; }
+        const ids = [...L.bans.entries()].filter(([, n]) => lc(n) === lc(safe(argStr,24))).map(([id]) => id);
+        if (!ids.length) { socket.emit('error_message',`"${argStr}" isn't banned.`); break; }
+        for (const id of ids) L.bans.delete(id);
+        send(`${argStr} is unbanned.`); emitState(); break;
+      }
 
       // Encounter
+      // Starting rolls initiative (d20 + DEX from the sheet) for every player token on the map
       case 'startencounter': {
         if (!gm) { socket.emit('error_message','GM only.'); break; }
-        L.encounter={active:true,order:[],turnIndex:0};
-        send('Encounter started. Use /setinit <name> <n>.'); emitState(); break;
+        const rolled = openEncounter(L);
+        if (!rolled.length) { send('Encounter started. Add combatants, or /setinit <name> <n>, then /next.'); emitState(); break; }
+        send(`Encounter started. Initiative: ${rolled.join(', ')}`);
+        announceTurn(lobby, L, startCombat(L.encounter));
+        emitState(); break;
       }
       case 'setinit': {
         if (!gm) { socket.emit('error_message','GM only.'); break; }
         const m = argStr.match(/^(\S+)\s+(-?\d+)$/);
         if (!m) { socket.emit('error_message','Usage: /setinit <name> <number>'); break; }
+        if (!L.encounter.active) { socket.emit('error_message','No active encounter.'); break; }
         const name = m[1], init = Number(m[2]);
-        const i = L.encounter.order.findIndex(o=>o.name===name);
-        if (i>=0) L.encounter.order[i].init = init; else L.encounter.order.push({name,init});
-        L.encounter.order.sort((a,b)=>b.init-a.init);
+        const c = L.encounter.order.find(o => lc(o.name) === lc(name));
+        if (c) { c.init = init; sortOrder(L.encounter); }
+        else if (L.characters.has(name)) addCombatant(L.encounter, { ...pcCombatant(L, { name, owner: name }).combatant, init });
+        else addCombatant(L.encounter, { id: randId('c'), name, init, dex: 10, kind: 'npc' });
         send(`Initiative set: ${name} → ${init}`); emitState(); break;
       }
       case 'next': {
         if (!gm) { socket.emit('error_message','GM only.'); break; }
-        if (!L.encounter.active || L.encounter.order.length===0) { socket.emit('error_message','No active encounter.'); break; }
-        L.encounter.turnIndex = (L.encounter.turnIndex+1) % L.encounter.order.length;
-        send(`Turn: ${L.encounter.order[L.encounter.turnIndex].name}`); emitState(); break;
+        const enc = L.encounter;
+        if (!enc.active || enc.order.length===0) { socket.emit('error_message','No active encounter.'); break; }
+        announceTurn(lobby, L, enc.round ? nextTurn(enc) : startCombat(enc));
+        emitState(); break;
+      }
+      // The acting combatant's owner (or the GM) holds the turn, readies an action, or steps back in
+      case 'delay': case 'ready': {
+        const cur = currentCombatant(L.encounter);
+        if (!cur) { socket.emit('error_message','No active turn.'); break; }
+        if (!gm && cur.owner !== username) { socket.emit('error_message',"It's not your turn."); break; }
+        const c = cmd.toLowerCase();
+        if (c === 'ready' && !argStr) { socket.emit('error_message','Usage: /ready <trigger>, e.g. /ready attack when the door opens'); break; }
+        const res = c === 'delay' ? delayTurn(L.encounter) : readyAction(L.encounter, safe(argStr, 120));
+        const text = c === 'delay' ? `${cur.name} delays their turn.` : `${cur.name} readies an action: ${res.combatant.ready}`;
+        if (combatantHidden(L, cur)) whisperGM(L, text); else send(text);
+        announceTurn(lobby, L, res.turn);
+        emitState(); break;
+      }
+      case 'act': {
+        const delayed = L.encounter.order.filter(o => o.delayed && (gm || o.owner === username));
+        const c = argStr ? delayed.find(o => lc(o.name) === lc(argStr)) : delayed[0];
+        if (!L.encounter.round || !c) { socket.emit('error_message', argStr ? `${argStr} isn't delaying.` : 'Nobody of yours is delaying.'); break; }
+        act(L.encounter, c.id);
+        announceTurn(lobby, L, { combatant: c, newRound: false });
+        emitState(); break;
+      }
+      // /damage <target> <amount> [type], /heal <target> <amount>, /temphp <target> <amount>; no target means your character
+      case 'damage': case 'heal': case 'temphp': {
+        const kind = { damage:'damage', heal:'heal', temphp:'temp' }[cmd.toLowerCase()];
+        const words = argStr.split(/\s+/).filter(Boolean);
+        const type = kind === 'damage' && words.length > 1 && resolveDamageType(words[words.length-1]) ? words.pop() : null;
+        const amount = words.pop();
+        if (!amount) { socket.emit('error_message', `Usage: /${cmd.toLowerCase()} <target> <amount>${kind === 'damage' ? ' [type]' : ''}`); break; }
+        try { changeHp(L, { target: words.join(' '), kind, amount, type }); }
+        catch (e) { socket.emit('error_message', e.message); }
+        break;
+      }
+      case 'deathsave': {
+        try { rollDeathSave(L, argStr); }
+        catch (e) { socket.emit('error_message', e.message); }
+        break;
+      }
+      // /cond [target] <condition> [rounds] [until <combatant>], /uncond [target] <condition|all>; no target means your character
+      case 'cond': case 'uncond': {
+        const remove = cmd.toLowerCase() === 'uncond';
+        const [head, until] = remove ? [argStr] : argStr.split(/\s+until\s+/i);
+        const words = head.split(/\s+/).filter(Boolean);
+        const rounds = !remove && words.length > 1 && /^\d+$/.test(words[words.length-1]) ? words.pop() : 0;
+        // The longest leading run of words that names someone is the target; the rest is the condition ("Barrel on fire")
+        let split = words.length - 1;
+        while (split > 0 && !findTarget(L, words.slice(0, split).join(' '))) split -= 1;
+        if (!split && words.length > 1) split = words.length - 1; // nobody by that name: let setCondition say so
+        const condition = words.slice(split).join(' ');
+        if (!condition) { socket.emit('error_message', remove ? 'Usage: /uncond [target] <condition|all>' : 'Usage: /cond [target] <condition> [rounds] [until <combatant>]'); break; }
+        try { setCondition(L, { target: words.slice(0, split).join(' '), condition, rounds, until, remove }); }
+        catch (e) { socket.emit('error_message', e.message); }
+        break;
+      }
+      // /spawn <monster> [xN] [at X,Y] — bestiary or campaign monster; tokens near X,Y (default: map centre)
+      case 'spawn': {
+        if (!gm) { socket.emit('error_message','GM only.'); break; }
+        const m = argStr.match(/^(.+?)(?:\s+x(\d+))?(?:\s+at\s+(\d+)\s*,\s*(\d+))?$/i);
+        if (!m) { socket.emit('error_message','Usage: /spawn <monster> [xN] [at X,Y]'); break; }
+        const monster = findMonster(monstersFor(L), m[1]);
+        if (!monster) { socket.emit('error_message', `No monster "${m[1]}" in the bestiary or campaign.`); break; }
+        const count = clamp(parseInt(m[2] || '1', 10) || 1, 1, 20);
+        const near = m[3] != null ? { x: clamp(parseInt(m[3], 10), 0, L.map.w - 1), y: clamp(parseInt(m[4], 10), 0, L.map.h - 1) } : null;
+        const opened = !L.encounter.active && openEncounter(L);
+        if (opened) send(`Encounter started.${opened.length ? ` Initiative: ${opened.join(', ')}` : ''}`);
+        let spawned;
+        try { spawned = spawnMonsters(L, monster, count, near); }
+        catch (e) { socket.emit('error_message', e.message); emitState(); break; }
+        send(`${monster.name}${spawned.length > 1 ? ` ×${spawned.length} join` : ' joins'} the fight: ${spawned.map(c => `${c.name} (initiative ${c.init})`).join(', ')}.`);
+        whisperGM(L, `(GM) Rolled HP: ${spawned.map(c => `${c.name} ${c.hp}`).join(', ')}.`);
+        if (spawned.length < count) whisperGM(L, `(GM) Only ${spawned.length} free cell(s) for ${count} ${monster.name}.`);
+        if (opened) whisperGM(L, '(GM) Spawn the rest, then /next starts round 1.');
+        emitState(); emitMap(); break;
+      }
+      // /mattack <creature> [attack] [adv|dis] — a spawned monster attacks with a stat block attack (default: its first)
+      case 'mattack': {
+        if (!gm) { socket.emit('error_message','GM only.'); break; }
+        const { what, mode } = parseCheckArgs(argStr);
+        const words = what.split(/\s+/).filter(Boolean);
+        const npcAt = (k) => { const f = findTarget(L, words.slice(0, k).join(' ')); return f?.kind === 'npc' ? f.target : null; };
+        let split = words.length;
+        while (split > 0 && !npcAt(split)) split -= 1;
+        if (!split) { socket.emit('error_message', words.length ? `No combatant named "${what}".` : 'Usage: /mattack <creature> [attack] [adv|dis]'); break; }
+        try { rollMonsterAttack(L, npcAt(split), words.slice(split).join(' '), mode); }
+        catch (e) { socket.emit('error_message', e.message); }
+        break;
+      }
+      // /abilitymethod <pointbuy|standard|rolled|free> (GM) · /rollstats · /rollstats reset <name> (GM)
+      case 'abilitymethod': {
+        if (!gm) { socket.emit('error_message','GM only.'); break; }
+        const method = lc(argStr).replace(/[^a-z]/g, '');
+        if (!ABILITY_METHODS.includes(method)) { socket.emit('error_message', `Usage: /abilitymethod <${ABILITY_METHODS.join('|')}>`); break; }
+        L.settings.abilityMethod = method;
+        send(`Ability scores now use ${ABILITY_METHOD_NAMES[method]}.`);
+        emitState(); break;
+      }
+      case 'rollstats': {
+        const reset = argStr.match(/^reset\s+(.+)$/i);
+        if (reset) {
+          if (!gm) { socket.emit('error_message','GM only.'); break; }
+          const who = Object.keys(L.abilityRolls).find(k => lc(k) === lc(reset[1]));
+          if (!who) { socket.emit('error_message', `${reset[1]} hasn't rolled ability scores.`); break; }
+          delete L.abilityRolls[who];
+          send(`${who} may roll ability scores again.`); break;
+        }
+        try { rollStats(L); }
+        catch (e) { socket.emit('error_message', e.message); }
+        break;
+      }
+      // /levelup [roll|average] [name]
+      case 'levelup': {
+        const m = argStr.match(/^(roll|avg|average)?\s*(.*)$/i);
+        try { doLevelUp(L, m[2].trim(), lc(m[1]) === 'roll' ? 'roll' : 'average'); }
+        catch (e) { socket.emit('error_message', e.message); }
+        break;
+      }
+      // /give <character|stash> <items and coins> — the GM conjures them; players hand over their own
+      case 'give': {
+        if (isLockedForPlayers(L) && !gm) { socket.emit('error_message','Campaign not started by GM yet.'); break; }
+        const to = splitHolder(L, argStr), goods = to ? parseGoods(to.rest) : [];
+        if (!to || !goods.length) { socket.emit('error_message', goodsUsage('give')); break; }
+        const from = gm ? null : L.characters.get(username);
+        if (!gm && !from) { socket.emit('error_message','You need a character sheet first.'); break; }
+        if (from === to.holder) { socket.emit('error_message',"You can't give things to yourself."); break; }
+        try { send(`${username} gives ${to.name} ${moveGoods(L, from, to.holder, goods)}.`); }
+        catch (e) { socket.emit('error_message', e.message); break; }
+        emitCharacters(L); emitState();
+        break;
+      }
+      // /take <character|stash> <items and coins> — the GM takes them away; players take from the party stash
+      case 'take': {
+        if (isLockedForPlayers(L) && !gm) { socket.emit('error_message','Campaign not started by GM yet.'); break; }
+        const src = splitHolder(L, argStr), goods = src ? parseGoods(src.rest) : [];
+        if (!src || !goods.length) { socket.emit('error_message', goodsUsage('take')); break; }
+        if (!gm && !src.stash) { socket.emit('error_message','Players can only /take from the party stash.'); break; }
+        const to = gm ? null : L.characters.get(username);
+        if (!gm && !to) { socket.emit('error_message','You need a character sheet first.'); break; }
+        try { send(`${username} takes ${moveGoods(L, src.holder, to, goods)} from ${src.name}.`); }
+        catch (e) { socket.emit('error_message', e.message); break; }
+        emitCharacters(L); emitState();
+        break;
+      }
+      // /loot shows the party stash; /loot <items and coins> (GM) fills it; /loot split (GM) shares its coins out
+      case 'loot': {
+        if (!argStr) { socket.emit('system', `Party stash: ${describeInventory(L.stash)}; ${formatCoins(L.stash.coins)}.`); break; }
+        if (!gm) { socket.emit('error_message','GM only.'); break; }
+        if (lc(argStr) === 'split') {
+          const sheets = [...L.characters.values()];
+          const share = Object.fromEntries(COINS.map(c => [c, sheets.length ? Math.floor((L.stash.coins[c] || 0) / sheets.length) : 0]));
+          if (!Object.values(share).some(Boolean)) { socket.emit('error_message', sheets.length ? 'Not enough coin in the stash to split.' : 'Nobody has a character to share with.'); break; }
+          for (const c of COINS) L.stash.coins[c] -= share[c] * sheets.length;
+          sheets.forEach(s => addCoins(s, share));
+          const left = formatCoins(L.stash.coins);
+          send(`The stash is shared out: each character receives ${formatCoins(share)}${left !== 'no coins' ? ` (${left} stays in the stash)` : ''}.`);
+        } else {
+          const goods = parseGoods(argStr);
+          if (!goods.length) { socket.emit('error_message','Usage: /loot [items and coins | split]'); break; }
+          try { send(`Loot! ${moveGoods(L, null, L.stash, goods)} goes into the party stash.`); }
+          catch (e) { socket.emit('error_message', e.message); break; }
+        }
+        emitCharacters(L); emitState();
+        break;
+      }
+      // /inv [character|stash]
+      case 'inv': {
+        const found = holderNamed(L, argStr || username);
+        if (!found) { socket.emit('error_message', argStr ? `No character named "${argStr}".` : 'You need a character sheet first.'); break; }
+        const load = found.stash ? null : carriedLoad(found.holder);
+        socket.emit('system', `${found.name}: ${describeInventory(found.holder)}; ${formatCoins(found.holder.coins)}.` +
+          (load ? ` Carrying ${load.weight} of ${load.capacity} lb${load.over ? ' — over capacity!' : ''}.` : ''));
+        break;
+      }
+      // /equip [character] <item>, /unequip [character] <item> — the character is the GM's to name
+      case 'equip': case 'unequip': {
+        const on = cmd.toLowerCase() === 'equip';
+        const named = splitHolder(L, argStr);
+        const who = named && !named.stash ? named : { name: username, holder: L.characters.get(username), rest: argStr };
+        if (!who.rest) { socket.emit('error_message',`Usage: /${cmd.toLowerCase()} [character] <item>`); break; }
+        if (!who.holder) { socket.emit('error_message','You need a character sheet first.'); break; }
+        if (who.name !== username && !gm) { socket.emit('error_message','You can only change your own equipment.'); break; }
+        try {
+          const { item, slot, replaced } = equipItem(who.holder, who.rest, on);
+          applyEquipment(who.holder);
+          const ac = slot === 'armor' || slot === 'shield' ? ` (AC ${who.holder.ac})` : '';
+          send(on ? `${who.name} equips ${item.name}${replaced ? ` in place of ${replaced.name}` : ''}${ac}.` : `${who.name} puts away ${item.name}${ac}.`);
+        } catch (e) { socket.emit('error_message', e.message); break; }
+        emitCharacters(L); emitState();
+        break;
+      }
+      // /exchange <n> <coin> <coin>: "/exchange 25 sp gp"
+      case 'exchange': {
+        const m = argStr.match(/^(\d+)\s*(cp|sp|ep|gp|pp)\s+(?:to\s+|for\s+)?(cp|sp|ep|gp|pp)$/i);
+        if (!m) { socket.emit('error_message','Usage: /exchange <amount> <cp|sp|ep|gp|pp> <cp|sp|ep|gp|pp>, e.g. /exchange 25 sp gp'); break; }
+        const sheet = L.characters.get(username);
+        if (!sheet) { socket.emit('error_message','You need a character sheet first.'); break; }
+        try {
+          const { spent, got } = exchangeCoins(sheet, parseInt(m[1], 10), lc(m[2]), lc(m[3]));
+          send(`${username} exchanges ${spent} ${lc(m[2])} for ${got} ${lc(m[3])}.`);
+        } catch (e) { socket.emit('error_message', e.message); break; }
+        emitCharacters(L); emitState();
+        break;
+      }
+      // /cast <spell> [slot level] [adv|dis] [on <character>]: "/cast fireball 4", "/cast cure wounds 2 on Pat"
+      case 'cast': {
+        if (isLockedForPlayers(L) && !gm) { socket.emit('error_message','Campaign not started by GM yet.'); break; }
+        const [, spellPart, onName = ''] = argStr.match(/^(.*?)(?:\s+on\s+(.+))?$/i);
+        const words = spellPart.split(/\s+/).filter(Boolean);
+        const mode = rollMode(words[words.length-1]);
+        if (mode) words.pop();
+        const lvl = words.length > 1 && words[words.length-1].match(/^([1-9])(?:st|nd|rd|th)?$/i);
+        if (lvl) words.pop();
+        if (!words.length) { socket.emit('error_message','Usage: /cast <spell> [slot level] [adv|dis] [on <character>]'); break; }
+        try { castSpell(L, words.join(' '), lvl ? parseInt(lvl[1], 10) : null, mode, safe(onName, 40)); }
+        catch (e) { socket.emit('error_message', e.message); }
+        break;
+      }
+      // /spells [character]
+      case 'spells': {
+        const name = argStr ? [...L.characters.keys()].find(k => lc(k) === lc(argStr)) : username;
+        const sheet = L.characters.get(name);
+        if (!sheet) { socket.emit('error_message', argStr ? `No character named "${argStr}".` : 'You need a character sheet first.'); break; }
+        socket.emit('system', describeSpellcasting(name, sheet));
+        break;
+      }
+      case 'learn': case 'forget': case 'prepare': case 'unprepare': {
+        try { changeSpells(L, cmd.toLowerCase(), argStr); }
+        catch (e) { socket.emit('error_message', e.message); }
+        break;
+      }
+      // /rest <short|long> [character] (GM): a long rest restores hit points and every spell slot and ends concentration;
+      // a short rest brings back warlock pact slots. Characters at 0 HP don't benefit.
+      case 'rest': {
+        if (!gm) { socket.emit('error_message','GM only.'); break; }
+        const m = argStr.match(/^(short|long)\b\s*(.*)$/i);
+        if (!m) { socket.emit('error_message','Usage: /rest <short|long> [character]'); break; }
+        const kind = lc(m[1]), who = m[2].trim();
+        const names = [...L.characters.keys()].filter(k => !who || lc(k) === lc(who));
+        if (!names.length) { socket.emit('error_message', who ? `No character named "${who}".` : 'Nobody has a character yet.'); break; }
+        const rested = [], regained = [], down = [];
+        for (const name of names) {
+          const sheet = L.characters.get(name);
+          if (sheet.hp <= 0) { down.push(name); continue; }
+          rested.push(name);
+          if (recoverSlots(sheet, kind)) regained.push(name);
+          if (kind === 'long') { sheet.hp = sheet.maxHp; delete sheet.tempHp; removeCondition(sheet, 'concentrating'); }
+        }
+        if (!rested.length) { socket.emit('error_message', `${down.join(', ')} can't rest at 0 HP.`); break; }
+        send(`${kind === 'long' ? 'Long' : 'Short'} rest for ${rested.join(', ')}` +
+          (kind === 'long' ? ': hit points restored' : '') + (regained.length ? `; spell slots back for ${regained.join(', ')}` : '') +
+          (down.length ? `; ${down.join(', ')} at 0 HP can't rest` : '') + '.');
+        emitCharacters(L); emitState(); emitMap();
+        break;
       }
       case 'endencounter': {
         if (!gm) { socket.emit('error_message','GM only.'); break; }
-        L.encounter={active:false,order:[],turnIndex:0}; send('Encounter ended.'); emitState(); break;
+        L.encounter=defaultEncounter(); send('Encounter ended.'); emitState(); emitMap(); break;
       }
 
       // Campaign helpers
@@ -704,10 +2853,11 @@ io.on('connection', (socket)=>{
           const scene = { id: randId('scn'), title: safe(mAdd[1],120), content: safe(mAdd[2], 4000), choices: [] };
           L.campaign.scenes.push(scene);
           if (!L.campaign.currentSceneId) L.campaign.currentSceneId = scene.id;
-          send(`Scene added: ${scene.title} (${scene.id})`); emitState();
+          socket.emit('system', `Scene added: ${scene.title} (${scene.id})`); // players only learn of scenes they reach
+          emitCampaign(L); emitState();
         } else if (mSet){
           const id = mSet[1];
-          if (L.campaign.scenes.some(s=>s.id===id)){ L.campaign.currentSceneId = id; send(`Scene set: ${id}`); emitState(); }
+          if (L.campaign.scenes.some(s=>s.id===id)){ enterScene(L.campaign, id); send(`Scene set: ${id}`); emitState(); showSceneMap(lobby, L); }
           else socket.emit('error_message','Scene not found.');
         } else socket.emit('error_message','Use: /scene add <title>|<content> OR /scene set <sceneId>');
         break;
@@ -723,7 +2873,7 @@ io.on('connection', (socket)=>{
     }
   }
 
-  // Consent flow
+  // ===== Consent flow: votes, proposals, skill checks =====
   socket.on('campaign_choice_request', ({choiceId})=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
@@ -734,32 +2884,102 @@ io.on('connection', (socket)=>{
     if (!scene) return;
     const choice = scene.choices.find(c=>c.id===choiceId);
     if (!choice) { socket.emit('error_message','Choice not found.'); return; }
+    const unmet = unmetRequirements(L.campaign, choice.requires);
+    if (unmet.length) { socket.emit('error_message',`Requirements not met: ${unmet.join(', ')}.`); return; }
+
+    if (L.settings.consent.check) { socket.emit('error_message','Finish the current skill check first.'); return; }
+
+    const { mode, seconds } = decisionFor(choice, L.settings.decision);
+    const proposal = L.settings.consent.proposals.find(p => p.choiceId === choice.id);
+    cancelVote(lobby, L);
+    L.settings.consent.pending = {
+      sceneId: scene.id, choiceId: choice.id, text: choice.text, to: choice.to, failure: choice.check?.failure,
+      check: choice.check ? { what: choice.check.what, dc: choice.check.dc, who: choice.check.who } : null,
+      mode, endsAt: mode === 'timed' ? Date.now() + seconds * 1000 : null, votes: {},
+      requestedBy: username, proposedBy: proposal?.by || null, requestedAt: Date.now(),
+    };
+    L.settings.consent.proposals = L.settings.consent.proposals.filter(p => p !== proposal);
+    armVoteTimer(lobby, L);
+
+    io.to(lobby).emit('campaign_choice_requested', requestPayload(L.settings.consent.pending, partyVoters(L)));
+    io.to(lobby).emit('campaign_vote_tally', voteTally(L));
+    emitState();
+  });
 
-    L.settings.consent.pending = { choiceId: choice.id, text: choice.text, to: choice.to, approvals: new Set(), requestedAt: Date.now() };
+  // Players approve (ack) or reject the pending choice; the decision mode says when it's settled
+  const castVote = (L, vote) => {
+    const pending = L.settings.consent.pending;
+    if (!pending) return;
+    const voters = partyVoters(L);
+    if (voters.length && !voters.includes(username)) { socket.emit('error_message','Only players vote on choices.'); return; }
+    if (pending.mode === 'first' && Object.keys(pending.votes).length) return;
+    pending.votes[username] = vote;
+    settleVote(lobby, L);
+  };
+  socket.on('campaign_choice_ack', ()=>{ if (lobby) castVote(ensureLobby(lobby), 'yes'); });
+  socket.on('campaign_choice_reject', ()=>{ if (lobby) castVote(ensureLobby(lobby), 'no'); });
 
-    const players = [...L.users.values()].map(u=>u.name).filter(n => n !== L.gm);
-    io.to(lobby).emit('campaign_choice_requested', { sceneId: scene.id, choiceId: choice.id, text: choice.text, to: choice.to, requestedBy: username, players });
+  // A player suggests one of the current scene's choices; the GM accepts by requesting it
+  socket.on('campaign_choice_propose', ({choiceId}={})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (isGM(L)) { socket.emit('error_message','GM: pick the choice directly.'); return; }
+    if (!L.settings.campaignStarted) { socket.emit('error_message','Campaign not started by GM yet.'); return; }
+    const choice = L.campaign.scenes.find(s=>s.id===L.campaign.currentSceneId)?.choices.find(c=>c.id===choiceId);
+    if (!choice) { socket.emit('error_message','Choice not found.'); return; }
+    if (unmetRequirements(L.campaign, choice.requires).length) { socket.emit('error_message','That choice is not available yet.'); return; }
+    if (L.settings.consent.pending?.choiceId === choice.id) { socket.emit('error_message','That choice is already up for a vote.'); return; }
+    let p = L.settings.consent.proposals.find(p => p.choiceId === choice.id);
+    if (p?.by.includes(username)) return;
+    if (p) p.by.push(username);
+    else L.settings.consent.proposals.push(p = { choiceId: choice.id, text: choice.text, by: [username], ts: nowISO() });
+    io.to(lobby).emit('system', `${username} proposes: ${choice.text}`);
     emitState();
   });
 
-  socket.on('campaign_choice_ack', ()=>{
+  socket.on('campaign_proposal_dismiss', ({choiceId}={})=>{
     if (!lobby) return;
     const L = ensureLobby(lobby);
-    const pending = L.settings.consent.pending;
-    if (!pending) return;
-    pending.approvals.add(username);
-    const nonGM = [...L.users.values()].map(u=>u.name).filter(n => n !== L.gm);
-    const allApproved = nonGM.every(n => pending.approvals.has(n));
-    if (allApproved) {
-      const target = L.campaign.scenes.find(s=>s.id===pending.to);
-      if (target) {
-        L.campaign.currentSceneId = target.id;
-        io.to(lobby).emit('system', `Choice accepted: ${pending.text}`);
-        io.to(lobby).emit('campaign_state', L.campaign);
-      }
-      L.settings.consent.pending = null;
-      emitState();
-    }
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    L.settings.consent.proposals = L.settings.consent.proposals.filter(p => p.choiceId !== choiceId);
+    emitState();
+  });
+
+  // Lobby-wide default for how the party decides; per-choice "decision" in the campaign file wins
+  socket.on('campaign_decision_mode', ({mode, seconds}={})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    if (!DECISION_MODES.includes(mode)) { socket.emit('error_message',`Mode must be one of ${DECISION_MODES.join(', ')}.`); return; }
+    const secs = clamp(parseInt(seconds,10) || L.settings.decision.seconds, VOTE_SECONDS.min, VOTE_SECONDS.max);
+    L.settings.decision = { mode, seconds: secs };
+    io.to(lobby).emit('system', `Party decisions: ${mode}${mode === 'timed' ? ` (${secs}s)` : ''}.`);
+    emitState();
+  });
+
+  // A roller answers the skill-check prompt; their own sheet supplies the bonus
+  socket.on('campaign_check_roll', ({mode}={})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    const check = L.settings.consent.check;
+    if (!check) { socket.emit('error_message','No check to roll.'); return; }
+    if (!check.rollers.includes(username)) { socket.emit('error_message','You are not part of this check.'); return; }
+    if (check.results[username]) { socket.emit('error_message','You already rolled.'); return; }
+    let roll;
+    try { roll = rollSheetCheck(L, { kind: 'check', what: check.what, mode: rollMode(mode) }); }
+    catch(e){ socket.emit('error_message', e.message || 'Could not roll that.'); return; }
+    check.results[username] = { total: roll.total, success: roll.total >= check.dc };
+    io.to(lobby).emit('campaign_check_update', publicCheck(check));
+    settleCheck(lobby, L);
+  });
+
+  socket.on('campaign_check_force', ({outcome}={})=>{
+    if (!lobby) return;
+    const L = ensureLobby(lobby);
+    if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
+    if (!L.settings.consent.check) return;
+    if (!['success','failure'].includes(outcome)) { socket.emit('error_message','Outcome must be success or failure.'); return; }
+    resolveSceneCheck(lobby, L, outcome, true);
   });
 
   socket.on('campaign_choice_force', ()=>{
@@ -768,37 +2988,66 @@ io.on('connection', (socket)=>{
     if (!isGM(L)) { socket.emit('error_message','GM only.'); return; }
     const pending = L.settings.consent.pending;
     if (!pending) return;
-    const target = L.campaign.scenes.find(s=>s.id===pending.to);
-    if (target) {
-      L.campaign.currentSceneId = target.id;
-      io.to(lobby).emit('system', `GM forced proceed: ${pending.text}`);
-      io.to(lobby).emit('campaign_state', L.campaign);
-    }
-    L.settings.consent.pending = null;
-    emitState();
+    const tally = voteTally(L);
+    cancelVote(lobby, L);
+    io.to(lobby).emit('campaign_vote_closed', { ...tally, outcome: 'accept', forced: true });
+    resolvePendingChoice(lobby, L, pending, `GM forced proceed: ${pending.text}`);
   });
 
   // ===== On disconnect =====
-  socket.on('disconnect', ()=>{
-    if (!lobby) return;
+  // Out of the current lobby, when switching lobbies or disconnecting
+  const leaveLobby = () => {
     const L = ensureLobby(lobby);
     L.users.delete(socket.id);
+    L.mapViews.delete(socket.id);
+    socket.leave(lobby);
     io.to(lobby).emit('system', `${username} left`);
+    if (L.settings.consent.pending) settleVote(lobby, L); // the last holdout leaving can settle a vote
+    if (L.settings.consent.check) settleCheck(lobby, L);  // ...or a skill check
     emitState();
+    dropIfEmpty(lobby);
+  };
+
+  socket.on('disconnect', ()=>{
+    if (!lobby) return;
+    syncVault(ensureLobby(lobby));
+    leaveLobby();
   });
 });
 
-// ===== Optional Mongo + Boot =====
+// ===== Store + Boot =====
 (async ()=>{
-  if (useMongo) {
-    try {
-      mongoClient = new MongoClient(process.env.MONGODB_URI, { ignoreUndefined: true });
-      await mongoClient.connect();
-      db = mongoClient.db(process.env.MONGODB_DB || 'dnd');
-      console.log('Mongo connected');
-    } catch (e) {
-      console.error('Mongo connection failed (continuing without DB):', e.message);
-    }
+  try {
+    store = createStore(process.env, __dirname);
+    await store.init();
+    console.log(`Store: ${store.kind}`);
+  } catch (e) {
+    console.error(`Store "${process.env.STORE || store.kind}" failed (continuing in memory):`, e.message);
+    store = createMemoryStore();
   }
+  sessionSecret = await loadSessionSecret(store);
+  try { await restoreLobbies(); }
+  catch (e) { console.error('Failed to restore lobbies:', e.message); }
+  await loadCampaignRegistry({ log: true });
+  await loadBestiary({ log: true });
+  await loadSpells({ log: true });
+  watchJsonDir(CAMPAIGN_DIR, async () => {
+    await loadCampaignRegistry({ log: true });
+    io.emit('campaigns_changed', {});
+  });
+  watchJsonDir(BESTIARY_DIR, () => loadBestiary({ log: true }));
+  watchJsonDir(SPELL_DIR, async () => {
+    await loadSpells({ log: true });
+    io.emit('spell_list', spellList());
+  });
   server.listen(PORT, ()=> console.log(`Server on ${PORT}`));
-})();
\ No newline at end of file
+})();
+
+// Render sends SIGTERM on redeploy: write pending lobby changes before exiting
+for (const sig of ['SIGTERM','SIGINT']) {
+  process.once(sig, async ()=>{
+    await flushLobbies();
+    await store.close().catch(()=>{});
+    process.exit(0);
+  });
+}
\ No newline at end of file